@@ -14,6 +14,19 @@ const FB_VERSION_YEAR  = 2024;
 const FB_VERSION_MONTH = 10;
 const FB_VERSION_DAY   = 20;
 
+// Global object (window, worker scope, or Node.js global)
+var fb_global = (typeof globalThis === 'object') ? globalThis
+              : (typeof self === 'object') ? self
+              : window;
+
+// Loaded as a module (CommonJS, or ES module through 'framebuffer.mjs')
+//
+// Modules export 'fb_namespace' and leave the global object
+// alone, the legacy (script tag) build populates globals.
+var fb_module = typeof module === 'object'
+             && module !== null
+             && typeof module.exports === 'object';
+
 // Origin types (useful for logging, errors, etc)
 const FB_ORIGIN_SYSTEM = 0; // Result originates from system (library) code.
 const FB_ORIGIN_USER   = 1; // Result originates from user code.
@@ -29,6 +42,127 @@ function FBResource() {
   Object.assign(this, ...arguments);
 }
 
+/**
+ * FBLayer prototype
+ * @constructor
+ * @module FBLayer
+ * @param {...*} var_args
+ * @returns {FBLayer}
+ */
+function FBLayer() {
+  Object.assign(this, ...arguments);
+}
+
+/**
+ * FBLayerStack prototype
+ * @constructor
+ * @module FBLayerStack
+ * @param {...*} var_args
+ * @returns {FBLayerStack}
+ */
+function FBLayerStack() {
+  Object.assign(this, ...arguments);
+}
+
+/**
+ * FBPalette prototype
+ * @constructor
+ * @module FBPalette
+ * @param {...*} var_args
+ * @returns {FBPalette}
+ */
+function FBPalette() {
+  Object.assign(this, ...arguments);
+}
+
+/**
+ * FBRecording prototype
+ * @constructor
+ * @module FBRecording
+ * @param {...*} var_args
+ * @returns {FBRecording}
+ */
+function FBRecording() {
+  Object.assign(this, ...arguments);
+}
+
+/**
+ * FBSpriteSheet prototype
+ * @constructor
+ * @module FBSpriteSheet
+ * @param {...*} var_args
+ * @returns {FBSpriteSheet}
+ */
+function FBSpriteSheet() {
+  Object.assign(this, ...arguments);
+}
+
+/**
+ * FBSprite prototype
+ * @constructor
+ * @module FBSprite
+ * @param {...*} var_args
+ * @returns {FBSprite}
+ */
+function FBSprite() {
+  Object.assign(this, ...arguments);
+}
+
+/**
+ * FBFont prototype
+ * @constructor
+ * @module FBFont
+ * @param {...*} var_args
+ * @returns {FBFont}
+ */
+function FBFont() {
+  Object.assign(this, ...arguments);
+}
+
+/**
+ * FBStroke prototype
+ * @constructor
+ * @module FBStroke
+ * @param {...*} var_args
+ * @returns {FBStroke}
+ */
+function FBStroke() {
+  Object.assign(this, ...arguments);
+}
+
+/**
+ * FBPath prototype
+ * @constructor
+ * @module FBPath
+ * @param {...*} var_args
+ * @returns {FBPath}
+ */
+function FBPath() {
+  Object.assign(this, ...arguments);
+}
+
+/**
+ * FBGradient prototype
+ * @constructor
+ * @module FBGradient
+ * @param {...*} var_args
+ * @returns {FBGradient}
+ */
+function FBGradient() {
+  Object.assign(this, ...arguments);
+}
+
+/**
+ * FBPattern prototype
+ * @constructor
+ * @module FBPattern
+ * @param {...*} var_args
+ * @returns {FBPattern}
+ */
+function FBPattern() {
+  Object.assign(this, ...arguments);
+}
+
 /**
  * FBError prototype
  * @constructor
@@ -105,6 +239,104 @@ var fb_canvas_context_attributes = {
 const FB_MAX_WIDTH  = 32767;
 const FB_MAX_HEIGHT = 32767;
 
+// Dirty tile size (in pixels) for partial synchronization
+// See 'fb_invalidate()' and 'fb_dirty_regions()'.
+const FB_DIRTY_TILE_SIZE = 32;
+
+// Pixel formats (see fb_create)
+//
+// RGBA8 resources store pixels in 'image.data', others
+// store them in 'pixels' and 'image' is a display copy.
+const FB_FORMAT_RGBA8    = 0;
+const FB_FORMAT_INDEXED8 = 1; // Palette indices (see FBPalette)
+const FB_FORMAT_GRAY8    = 2; // Single 8-bit channel
+const FB_FORMAT_RGB565   = 3; // 16-bit packed, no alpha
+const FB_FORMAT_RGBA32F  = 4; // Float32 channels, 1.0 is full intensity (HDR)
+
+// Tone mapping operators (see fb_format_convert)
+//
+// Map RGBA32F values above 1.0 into the displayable range.
+const FB_TONE_CLAMP    = 0;
+const FB_TONE_REINHARD = 1;
+const FB_TONE_ACES     = 2; // Curve fit by Krzysztof Narkowicz
+
+// Serialization (see fb_serialize)
+const FB_SERIAL_VERSION = 1;
+const FB_SERIAL_BINARY  = 0; // ArrayBuffer
+const FB_SERIAL_JSON    = 1; // JSON string, pixels in base64
+
+// PNG row filters (see fb_png_encode)
+const FB_PNG_FILTER_NONE     = 0;
+const FB_PNG_FILTER_SUB      = 1;
+const FB_PNG_FILTER_UP       = 2;
+const FB_PNG_FILTER_AVERAGE  = 3;
+const FB_PNG_FILTER_PAETH    = 4;
+const FB_PNG_FILTER_ADAPTIVE = 5; // Best filter of each row
+
+// PNG file signature
+const FB_PNG_SIGNATURE = [137, 80, 78, 71, 13, 10, 26, 10];
+
+// Fit modes (see fb_load)
+//
+// How a source is scaled into a requested size.
+const FB_FIT_FILL    = 0; // Stretch to the size
+const FB_FIT_CONTAIN = 1; // Scale to fit inside, transparent bars
+const FB_FIT_COVER   = 2; // Scale to cover, cropped
+const FB_FIT_NONE    = 3; // No scaling, centered
+
+// Animation directions (see fb_sheet_animation)
+const FB_ANIM_FORWARD  = 0;
+const FB_ANIM_REVERSE  = 1;
+const FB_ANIM_PINGPONG = 2; // Forward then backward
+
+// Text alignment (see fb_text)
+const FB_ALIGN_LEFT   = 0;
+const FB_ALIGN_CENTER = 1;
+const FB_ALIGN_RIGHT  = 2;
+const FB_ALIGN_TOP    = 0;
+const FB_ALIGN_MIDDLE = 1;
+const FB_ALIGN_BOTTOM = 2;
+
+// Line modes (see fb_line)
+const FB_LINE_PRECISION = 0; // Steps along the line (legacy)
+const FB_LINE_EXACT     = 1; // Bresenham
+const FB_LINE_AA        = 2; // Xiaolin Wu, anti-aliased
+
+// Stroke caps and joins (see fb_stroke)
+const FB_CAP_BUTT   = 0;
+const FB_CAP_ROUND  = 1;
+const FB_CAP_SQUARE = 2; // Extends the ends by half the width
+const FB_JOIN_MITER = 0;
+const FB_JOIN_ROUND = 1;
+const FB_JOIN_BEVEL = 2;
+
+// Fill rules (see fb_polygon)
+const FB_FILL_NONZERO = 0;
+const FB_FILL_EVENODD = 1;
+
+// Arc types (see fb_arc)
+const FB_ARC_OPEN  = 0;
+const FB_ARC_CHORD = 1; // Closed by a line between the ends
+const FB_ARC_PIE   = 2; // Closed through the center
+
+// Gradient types and spread modes (see fb_gradient_linear)
+const FB_GRADIENT_LINEAR = 0;
+const FB_GRADIENT_RADIAL = 1;
+const FB_GRADIENT_CONIC  = 2;
+const FB_SPREAD_PAD      = 0; // End colors beyond the ends
+const FB_SPREAD_REPEAT   = 1;
+const FB_SPREAD_REFLECT  = 2;
+
+// Pattern repeat modes (see fb_pattern)
+const FB_PATTERN_REPEAT    = 0;
+const FB_PATTERN_REPEAT_X  = 1;
+const FB_PATTERN_REPEAT_Y  = 2;
+const FB_PATTERN_NO_REPEAT = 3;
+
+// Color distances (see fb_fill)
+const FB_DISTANCE_CHANNEL    = 0;
+const FB_DISTANCE_PERCEPTUAL = 1; // CIE76 delta E
+
 // Color channel offsets
 const FB_CHANNEL_R = 0;
 const FB_CHANNEL_G = 1;
@@ -115,6 +347,40 @@ const FB_CHANNEL_A = 3;
 const FB_DEFER_WRITE_THROUGH = 0;
 const FB_DEFER_WRITE_BACK    = 1;
 
+// Alpha modes (how color channels relate to alpha)
+//
+// ImageData, and therefore the canvas, always uses straight
+// alpha. Premultiplied resources are converted on fb_sync().
+const FB_ALPHA_STRAIGHT      = 0;
+const FB_ALPHA_PREMULTIPLIED = 1;
+
+// Blend modes (see fb_blit)
+// See: https://www.w3.org/TR/compositing-1/#blending
+const FB_BLEND_NORMAL     = 0;
+const FB_BLEND_MULTIPLY   = 1;
+const FB_BLEND_SCREEN     = 2;
+const FB_BLEND_OVERLAY    = 3;
+const FB_BLEND_ADD        = 4;
+const FB_BLEND_SUBTRACT   = 5;
+const FB_BLEND_DIFFERENCE = 6;
+const FB_BLEND_DARKEN     = 7;
+const FB_BLEND_LIGHTEN    = 8;
+
+// Porter-Duff compositing operators (see fb_blit)
+// See: https://www.w3.org/TR/compositing-1/#porterduffcompositingoperators
+const FB_COMPOSITE_CLEAR            = 0;
+const FB_COMPOSITE_COPY             = 1;
+const FB_COMPOSITE_DESTINATION      = 2;
+const FB_COMPOSITE_SOURCE_OVER      = 3;
+const FB_COMPOSITE_DESTINATION_OVER = 4;
+const FB_COMPOSITE_SOURCE_IN        = 5;
+const FB_COMPOSITE_DESTINATION_IN   = 6;
+const FB_COMPOSITE_SOURCE_OUT       = 7;
+const FB_COMPOSITE_DESTINATION_OUT  = 8;
+const FB_COMPOSITE_SOURCE_ATOP      = 9;
+const FB_COMPOSITE_DESTINATION_ATOP = 10;
+const FB_COMPOSITE_XOR              = 11;
+
 // Error definitions
 var fb_error_defs = {
   FB_ERR_UNSPECIFIED: 'unspecified error',
@@ -142,20 +408,110 @@ var fb_error_defs = {
   FB_ERR_CANVAS_NOT_SUPPORTED: 'canvas not supported',
   FB_ERR_EXPECTS_RESOURCE: 'expects a framebuffer resource',
   FB_ERR_EXPECTS_CONTAINER: 'expects container to be an element',
+  FB_ERR_BACKEND_UNAVAILABLE: 'backend not available in this environment',
+  FB_ERR_BACKEND_UNSUPPORTED: 'operation not supported by backend',
+  FB_ERR_BAD_BACKEND: 'bad backend name or structure',
+  FB_ERR_BAD_BLEND_MODE: 'bad blend mode',
+  FB_ERR_BAD_COMPOSITE_OP: 'bad compositing operator',
+  FB_ERR_BAD_FORMAT: 'bad pixel format',
+  FB_ERR_UNSUPPORTED_FORMAT: 'operation not supported for this pixel format',
+  FB_ERR_EXPECTS_PALETTE: 'expects a palette',
+  FB_ERR_BAD_TONE_MAP: 'bad tone mapping operator',
+  FB_ERR_BAD_SERIAL_ENCODING: 'bad serialization encoding',
+  FB_ERR_UNSUPPORTED_VERSION: 'unsupported serialization version',
+  FB_ERR_BAD_PNG_FILTER: 'bad PNG filter type',
+  FB_ERR_UNKNOWN_IMAGE_FORMAT: 'unknown image format',
+  FB_ERR_BAD_FRAMES: 'expects frames (resources of the same size)',
+  FB_ERR_BAD_SOURCE: 'unsupported image source',
+  FB_ERR_BAD_FIT: 'bad fit mode',
+  FB_ERR_BAD_LOAD_OPTIONS: 'bad load options',
+  FB_ERR_ABORTED: 'operation aborted',
+  FB_ERR_NETWORK: 'network request failed',
+  FB_ERR_LOAD_FAILED: 'image failed to load',
+  FB_ERR_BAD_ATLAS: 'bad sprite sheet descriptor',
+  FB_ERR_UNKNOWN_SPRITE: 'unknown sprite name',
+  FB_ERR_BAD_FONT: 'bad font data',
+  FB_ERR_BAD_FILL_RULE: 'bad fill rule',
+  FB_ERR_BAD_ARC_TYPE: 'bad arc type',
+  FB_ERR_BAD_SVG: 'bad svg',
+  FB_ERR_BAD_GRADIENT: 'bad gradient',
+  FB_ERR_BAD_SPREAD: 'bad spread mode',
+  FB_ERR_BAD_PATTERN: 'bad pattern',
+  FB_ERR_BAD_REPEAT: 'bad repeat mode',
+  FB_ERR_BAD_CONNECTIVITY: 'bad connectivity',
+  FB_ERR_BAD_DISTANCE: 'bad color distance',
 };
 
-// Expand error definitions to global scope
+// Create error definitions
 for (let id in fb_error_defs) {
   let text = fb_error_defs[id];
 
   // create an error definition to differentiate
   // between built-in and user-provided errors
   fb_error_defs[id] = new FBErrorDefinition(text, id);
-
-  // assign global variable as reference to error text
-  window[id] = fb_error_defs[id];
 }
 
+// Error definitions as library constants
+const {
+  FB_ERR_UNSPECIFIED,
+  FB_ERR_BAD_WIDTH,
+  FB_ERR_BAD_HEIGHT,
+  FB_ERR_LARGE_WIDTH,
+  FB_ERR_LARGE_HEIGHT,
+  FB_ERR_STUB_FUNCTION,
+  FB_ERR_FUNC_BLACKLISTED,
+  FB_ERR_BAD_CFG_KEY,
+  FB_ERR_BAD_CFG_VALUE,
+  FB_ERR_BAD_HOOK_TYPE,
+  FB_ERR_HOOK_CALL_FAILED,
+  FB_ERR_PATH_NOT_FOUND,
+  FB_ERR_FILE_NOT_FOUND,
+  FB_ERR_INVALID_FUNCTION,
+  FB_ERR_INVALID_ACCESS,
+  FB_ERR_INVALID_DATA,
+  FB_ERR_USER_GENERATED,
+  FB_ERR_UNHANDLED_CASE,
+  FB_ERR_RES_LIST_DISABLED,
+  FB_ERR_CONVOLUTION_MATRIX_SIZE,
+  FB_ERR_BAD_RESOURCE_STRUCTURE,
+  FB_ERR_FROM_SYSTEM,
+  FB_ERR_CANVAS_NOT_SUPPORTED,
+  FB_ERR_EXPECTS_RESOURCE,
+  FB_ERR_EXPECTS_CONTAINER,
+  FB_ERR_BACKEND_UNAVAILABLE,
+  FB_ERR_BACKEND_UNSUPPORTED,
+  FB_ERR_BAD_BACKEND,
+  FB_ERR_BAD_BLEND_MODE,
+  FB_ERR_BAD_COMPOSITE_OP,
+  FB_ERR_BAD_FORMAT,
+  FB_ERR_UNSUPPORTED_FORMAT,
+  FB_ERR_EXPECTS_PALETTE,
+  FB_ERR_BAD_TONE_MAP,
+  FB_ERR_BAD_SERIAL_ENCODING,
+  FB_ERR_UNSUPPORTED_VERSION,
+  FB_ERR_BAD_PNG_FILTER,
+  FB_ERR_UNKNOWN_IMAGE_FORMAT,
+  FB_ERR_BAD_FRAMES,
+  FB_ERR_BAD_SOURCE,
+  FB_ERR_BAD_FIT,
+  FB_ERR_BAD_LOAD_OPTIONS,
+  FB_ERR_ABORTED,
+  FB_ERR_NETWORK,
+  FB_ERR_LOAD_FAILED,
+  FB_ERR_BAD_ATLAS,
+  FB_ERR_UNKNOWN_SPRITE,
+  FB_ERR_BAD_FONT,
+  FB_ERR_BAD_FILL_RULE,
+  FB_ERR_BAD_ARC_TYPE,
+  FB_ERR_BAD_SVG,
+  FB_ERR_BAD_GRADIENT,
+  FB_ERR_BAD_SPREAD,
+  FB_ERR_BAD_PATTERN,
+  FB_ERR_BAD_REPEAT,
+  FB_ERR_BAD_CONNECTIVITY,
+  FB_ERR_BAD_DISTANCE,
+} = fb_error_defs;
+
 // Color definitions
 var fb_color_defs = {
   aliceblue: [240, 248, 255],
@@ -315,11 +671,334 @@ var fb_color_defs = {
   yellowgreen: [154, 205, 50],
 };
 
-// Expand color definitions to global scope
+// Library constants
+//
+// Every 'FB_' constant in a single object, including
+// the error and color ('FB_COLOR_') definitions.
+var fb_constants = {
+  FB_VERSION_YEAR,
+  FB_VERSION_MONTH,
+  FB_VERSION_DAY,
+  FB_ORIGIN_SYSTEM,
+  FB_ORIGIN_USER,
+  FB_MAX_WIDTH,
+  FB_MAX_HEIGHT,
+  FB_DIRTY_TILE_SIZE,
+  FB_FORMAT_RGBA8,
+  FB_FORMAT_INDEXED8,
+  FB_FORMAT_GRAY8,
+  FB_FORMAT_RGB565,
+  FB_FORMAT_RGBA32F,
+  FB_TONE_CLAMP,
+  FB_TONE_REINHARD,
+  FB_TONE_ACES,
+  FB_SERIAL_VERSION,
+  FB_SERIAL_BINARY,
+  FB_SERIAL_JSON,
+  FB_PNG_FILTER_NONE,
+  FB_PNG_FILTER_SUB,
+  FB_PNG_FILTER_UP,
+  FB_PNG_FILTER_AVERAGE,
+  FB_PNG_FILTER_PAETH,
+  FB_PNG_FILTER_ADAPTIVE,
+  FB_PNG_SIGNATURE,
+  FB_FIT_FILL,
+  FB_FIT_CONTAIN,
+  FB_FIT_COVER,
+  FB_FIT_NONE,
+  FB_ANIM_FORWARD,
+  FB_ANIM_REVERSE,
+  FB_ANIM_PINGPONG,
+  FB_ALIGN_LEFT,
+  FB_ALIGN_CENTER,
+  FB_ALIGN_RIGHT,
+  FB_ALIGN_TOP,
+  FB_ALIGN_MIDDLE,
+  FB_ALIGN_BOTTOM,
+  FB_LINE_PRECISION,
+  FB_LINE_EXACT,
+  FB_LINE_AA,
+  FB_CAP_BUTT,
+  FB_CAP_ROUND,
+  FB_CAP_SQUARE,
+  FB_JOIN_MITER,
+  FB_JOIN_ROUND,
+  FB_JOIN_BEVEL,
+  FB_FILL_NONZERO,
+  FB_FILL_EVENODD,
+  FB_ARC_OPEN,
+  FB_ARC_CHORD,
+  FB_ARC_PIE,
+  FB_GRADIENT_LINEAR,
+  FB_GRADIENT_RADIAL,
+  FB_GRADIENT_CONIC,
+  FB_SPREAD_PAD,
+  FB_SPREAD_REPEAT,
+  FB_SPREAD_REFLECT,
+  FB_PATTERN_REPEAT,
+  FB_PATTERN_REPEAT_X,
+  FB_PATTERN_REPEAT_Y,
+  FB_PATTERN_NO_REPEAT,
+  FB_DISTANCE_CHANNEL,
+  FB_DISTANCE_PERCEPTUAL,
+  FB_CHANNEL_R,
+  FB_CHANNEL_G,
+  FB_CHANNEL_B,
+  FB_CHANNEL_A,
+  FB_DEFER_WRITE_THROUGH,
+  FB_DEFER_WRITE_BACK,
+  FB_ALPHA_STRAIGHT,
+  FB_ALPHA_PREMULTIPLIED,
+  FB_BLEND_NORMAL,
+  FB_BLEND_MULTIPLY,
+  FB_BLEND_SCREEN,
+  FB_BLEND_OVERLAY,
+  FB_BLEND_ADD,
+  FB_BLEND_SUBTRACT,
+  FB_BLEND_DIFFERENCE,
+  FB_BLEND_DARKEN,
+  FB_BLEND_LIGHTEN,
+  FB_COMPOSITE_CLEAR,
+  FB_COMPOSITE_COPY,
+  FB_COMPOSITE_DESTINATION,
+  FB_COMPOSITE_SOURCE_OVER,
+  FB_COMPOSITE_DESTINATION_OVER,
+  FB_COMPOSITE_SOURCE_IN,
+  FB_COMPOSITE_DESTINATION_IN,
+  FB_COMPOSITE_SOURCE_OUT,
+  FB_COMPOSITE_DESTINATION_OUT,
+  FB_COMPOSITE_SOURCE_ATOP,
+  FB_COMPOSITE_DESTINATION_ATOP,
+  FB_COMPOSITE_XOR,
+};
+
+for (let id in fb_error_defs) {
+  fb_constants[id] = fb_error_defs[id];
+}
+
 for (let id in fb_color_defs) {
-  window['FB_COLOR_' + id.toUpperCase()] = fb_color_defs[id];
+  fb_constants['FB_COLOR_' + id.toUpperCase()] = fb_color_defs[id];
 }
 
+// Blend functions indexed by FB_BLEND_ constants
+//
+// Arguments are the backdrop (destination) and source
+// color channels ranging from 0.0 to 1.0.
+var fb_blend_funcs = [
+  // FB_BLEND_NORMAL
+  function(cb, cs) { return cs; },
+
+  // FB_BLEND_MULTIPLY
+  function(cb, cs) { return cb * cs; },
+
+  // FB_BLEND_SCREEN
+  function(cb, cs) { return cb + cs - cb * cs; },
+
+  // FB_BLEND_OVERLAY (hard light with layers swapped)
+  function(cb, cs) {
+    if (cb <= 0.5) {
+      return cs * 2 * cb;
+    }
+
+    let cb2 = 2 * cb - 1;
+    return cs + cb2 - cs * cb2;
+  },
+
+  // FB_BLEND_ADD
+  function(cb, cs) { return Math.min(1, cb + cs); },
+
+  // FB_BLEND_SUBTRACT
+  function(cb, cs) { return Math.max(0, cb - cs); },
+
+  // FB_BLEND_DIFFERENCE
+  function(cb, cs) { return Math.abs(cb - cs); },
+
+  // FB_BLEND_DARKEN
+  function(cb, cs) { return Math.min(cb, cs); },
+
+  // FB_BLEND_LIGHTEN
+  function(cb, cs) { return Math.max(cb, cs); },
+];
+
+// Porter-Duff fractions indexed by FB_COMPOSITE_ constants
+//
+// Returns [Fa, Fb]: how much of the source and backdrop
+// remain, given the source and backdrop alpha.
+var fb_composite_funcs = [
+  // FB_COMPOSITE_CLEAR
+  function(as, ab) { return [0, 0]; },
+
+  // FB_COMPOSITE_COPY
+  function(as, ab) { return [1, 0]; },
+
+  // FB_COMPOSITE_DESTINATION
+  function(as, ab) { return [0, 1]; },
+
+  // FB_COMPOSITE_SOURCE_OVER
+  function(as, ab) { return [1, 1 - as]; },
+
+  // FB_COMPOSITE_DESTINATION_OVER
+  function(as, ab) { return [1 - ab, 1]; },
+
+  // FB_COMPOSITE_SOURCE_IN
+  function(as, ab) { return [ab, 0]; },
+
+  // FB_COMPOSITE_DESTINATION_IN
+  function(as, ab) { return [0, as]; },
+
+  // FB_COMPOSITE_SOURCE_OUT
+  function(as, ab) { return [1 - ab, 0]; },
+
+  // FB_COMPOSITE_DESTINATION_OUT
+  function(as, ab) { return [0, 1 - as]; },
+
+  // FB_COMPOSITE_SOURCE_ATOP
+  function(as, ab) { return [ab, 1 - as]; },
+
+  // FB_COMPOSITE_DESTINATION_ATOP
+  function(as, ab) { return [1 - ab, as]; },
+
+  // FB_COMPOSITE_XOR
+  function(as, ab) { return [1 - ab, 1 - as]; },
+];
+
+// Tone mapping functions indexed by FB_TONE_ constants
+//
+// Argument is a color channel (1.0 is full intensity), the
+// result is clamped from 0.0 to 1.0 afterwards.
+var fb_tone_funcs = [
+  // FB_TONE_CLAMP
+  (v) => v,
+
+  // FB_TONE_REINHARD
+  (v) => v / (1 + v),
+
+  // FB_TONE_ACES
+  // See: https://knarkowicz.wordpress.com/2016/01/06/aces-filmic-tone-mapping-curve/
+  (v) => (v * (2.51 * v + 0.03)) / (v * (2.43 * v + 0.59) + 0.14),
+];
+
+// Image file formats (see fb_image_decode and fb_image_encode)
+//
+// 'parse' returns straight RGBA8 pixels ({ width, height, data })
+// or null, 'encode' returns the file contents.
+var fb_image_formats = {
+  png: {
+    extensions: ['png'],
+    mime: 'image/png',
+    parse: (bytes) => fb_png_parse(bytes),
+    encode: (resource, options) => fb_png_encode(
+      resource,
+      options.level ?? 6,
+      options.filter ?? FB_PNG_FILTER_ADAPTIVE,
+      options.text ?? null
+    ),
+  },
+
+  bmp: {
+    extensions: ['bmp', 'dib'],
+    mime: 'image/bmp',
+    parse: (bytes) => fb_bmp_parse(bytes),
+    encode: (resource, options) => fb_bmp_encode(resource, options.alpha ?? true),
+  },
+
+  tga: {
+    extensions: ['tga', 'tpic'],
+    mime: 'image/x-tga',
+    parse: (bytes) => fb_tga_parse(bytes),
+    encode: (resource, options) => fb_tga_encode(resource, options.rle ?? true),
+  },
+
+  ppm: {
+    extensions: ['ppm', 'pnm'],
+    mime: 'image/x-portable-pixmap',
+    parse: (bytes) => fb_pnm_parse(bytes),
+    encode: (resource, options) => fb_pnm_encode(resource, 'ppm', options.ascii ?? false),
+  },
+
+  pgm: {
+    extensions: ['pgm'],
+    mime: 'image/x-portable-graymap',
+    parse: (bytes) => fb_pnm_parse(bytes),
+    encode: (resource, options) => fb_pnm_encode(resource, 'pgm', options.ascii ?? false),
+  },
+
+  pbm: {
+    extensions: ['pbm'],
+    mime: 'image/x-portable-bitmap',
+    parse: (bytes) => fb_pnm_parse(bytes),
+    encode: (resource, options) => fb_pnm_encode(resource, 'pbm', options.ascii ?? false),
+  },
+
+  qoi: {
+    extensions: ['qoi'],
+    mime: 'image/qoi',
+    parse: (bytes) => fb_qoi_parse(bytes),
+    encode: (resource, options) => fb_qoi_encode(resource),
+  },
+};
+
+// Deflate length codes 257-285: base length and extra bits
+// See: https://www.rfc-editor.org/rfc/rfc1951#section-3.2.5
+var fb_deflate_length_base = [
+  3, 4, 5, 6, 7, 8, 9, 10, 11, 13, 15, 17, 19, 23, 27, 31,
+  35, 43, 51, 59, 67, 83, 99, 115, 131, 163, 195, 227, 258,
+];
+
+var fb_deflate_length_extra = [
+  0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 1, 1, 2, 2, 2, 2,
+  3, 3, 3, 3, 4, 4, 4, 4, 5, 5, 5, 5, 0,
+];
+
+// Deflate distance codes 0-29: base distance and extra bits
+var fb_deflate_dist_base = [
+  1, 2, 3, 4, 5, 7, 9, 13, 17, 25, 33, 49, 65, 97, 129, 193,
+  257, 385, 513, 769, 1025, 1537, 2049, 3073, 4097, 6145,
+  8193, 12289, 16385, 24577,
+];
+
+var fb_deflate_dist_extra = [
+  0, 0, 0, 0, 1, 1, 2, 2, 3, 3, 4, 4, 5, 5, 6, 6,
+  7, 7, 8, 8, 9, 9, 10, 10, 11, 11, 12, 12, 13, 13,
+];
+
+// Order of the code length code lengths in a dynamic block
+var fb_deflate_cl_order = [16, 17, 18, 0, 8, 7, 9, 6, 10, 5, 11, 4, 12, 3, 13, 2, 14, 1, 15];
+
+// CRC-32 lookup table, built on first use (see fb_crc32)
+var fb_crc32_table = null;
+
+// Built-in font glyphs, ASCII 32 to 126 (see fb_font_default)
+// 8 rows of 8 pixels per glyph in hex, the lowest bit is leftmost.
+var fb_font_8x8 =
+  '0000000000000000183c3c1818001800363600000000000036367f367f363600' + //   ! " #
+  '0c3e031e301f0c00006333180c6663001c361c6e3b336e000606030000000000' + // $ % & '
+  '180c0606060c1800060c1818180c060000663cff3c660000000c0c3f0c0c0000' + // ( ) * +
+  '00000000000c0c060000003f0000000000000000000c0c006030180c06030100' + // , - . /
+  '3e63737b6f673e000c0e0c0c0c0c3f001e33301c06333f001e33301c30331e00' + // 0 1 2 3
+  '383c36337f3078003f031f3030331e001c06031f33331e003f3330180c0c0c00' + // 4 5 6 7
+  '1e33331e33331e001e33333e30180e00000c0c00000c0c00000c0c00000c0c06' + // 8 9 : ;
+  '180c0603060c180000003f00003f0000060c1830180c06001e3330180c000c00' + // < = > ?
+  '3e637b7b7b031e000c1e33333f3333003f66663e66663f003c66030303663c00' + // @ A B C
+  '1f36666666361f007f46161e16467f007f46161e16060f003c66030373667c00' + // D E F G
+  '3333333f333333001e0c0c0c0c0c1e007830303033331e006766361e36666700' + // H I J K
+  '0f06060646667f0063777f7f6b63630063676f7b736363001c36636363361c00' + // L M N O
+  '3f66663e06060f001e3333333b1e38003f66663e366667001e33070e38331e00' + // P Q R S
+  '3f2d0c0c0c0c1e003333333333333f0033333333331e0c006363636b7f776300' + // T U V W
+  '6363361c1c3663003333331e0c0c1e007f6331184c667f001e06060606061e00' + // X Y Z [
+  '03060c18306040001e18181818181e00081c36630000000000000000000000ff' + // \\ ] ^ _
+  '0c0c18000000000000001e303e336e000706063e66663b0000001e3303331e00' + // ` a b c
+  '3830303e33336e0000001e333f031e001c36060f06060f0000006e33333e301f' + // d e f g
+  '0706366e666667000c000e0c0c0c1e00300030303033331e070666361e366700' + // h i j k
+  '0e0c0c0c0c0c1e000000337f7f6b630000001f333333330000001e3333331e00' + // l m n o
+  '00003b66663e060f00006e33333e307800003b6e66060f0000003e031e301f00' + // p q r s
+  '080c3e0c0c2c18000000333333336e0000003333331e0c000000636b7f7f3600' + // t u v w
+  '000063361c36630000003333333e301f00003f190c263f00380c0c070c0c3800' + // x y z {
+  '1818180018181800070c0c380c0c07006e3b000000000000'; // | } ~
+
+// Built-in font, created on first use
+var fb_font_builtin = null;
+
 // Object containing hooked functions
 // See 'fb_hook()' function.
 // Wiki: https://en.wikipedia.org/wiki/Hooking
@@ -329,6 +1008,7 @@ var fb_hooked_functions = {};
 var fb_hook_blacklist = [
   'fb_hook',
   'fb_hook_active',
+  'fb_hook_assign',
   'fb_hook_call',
   'fb_hook_disable',
   'fb_hook_enable',
@@ -346,6 +1026,161 @@ var fb_resource_list = [];
 // to enable logging.
 var fb_errors = [];
 
+// Rendering backends
+//
+// The pixel buffer ('resource.image') is always the source
+// of truth, a backend only mirrors it onto something that
+// can be displayed, downloaded or encoded.
+//
+// Methods set to 'null' are unsupported by the backend and
+// the calling library function reports it as an error.
+//
+// See 'fb_backend_register()' for adding your own.
+var fb_backends = {
+  // HTMLCanvasElement (browser) or OffscreenCanvas (worker)
+  canvas: {
+    available: function() {
+      return typeof document === 'object'
+          || typeof OffscreenCanvas === 'function';
+    },
+
+    create: function(resource) {
+      if (typeof document === 'object') {
+        resource.canvas = document.createElement('canvas');
+        resource.canvas.width = resource.width;
+        resource.canvas.height = resource.height;
+      } else {
+        resource.canvas = new OffscreenCanvas(resource.width, resource.height);
+      }
+
+      resource.context = resource.canvas.getContext(
+        '2d', fb_canvas_context_attributes
+      );
+
+      return resource.context !== null;
+    },
+
+    resize: function(resource, width, height) {
+      resource.canvas.width = width;
+      resource.canvas.height = height;
+    },
+
+    sync: function(resource, image, x, y, width, height) {
+      resource.context.putImageData(image, 0, 0, x, y, width, height);
+    },
+
+    data_url: function(resource) {
+      // OffscreenCanvas only has the asynchronous 'convertToBlob'
+      if (typeof resource.canvas.toDataURL !== 'function') {
+        return fb_png_data_url(resource);
+      }
+
+      return resource.canvas.toDataURL();
+    },
+
+    save: function(resource, filename) {
+      let url = fb_data_url(resource);
+
+      if (url === null || typeof document !== 'object') {
+        return false;
+      }
+
+      let anchor = document.createElement('a');
+      anchor.href = url;
+      anchor.download = filename;
+      anchor.click();
+
+      return true;
+    },
+
+    spawn: function(resource, container) {
+      if (typeof Element !== 'function' || container instanceof Element === false) {
+        return false;
+      }
+
+      // TODO: add a try-catch here?
+      //       For elements missing the 'append' method.
+      container.append(resource.canvas);
+      return true;
+    },
+
+    despawn: function(resource) {
+      let parent = resource?.canvas?.parentElement;
+
+      if (parent === null || parent === undefined) {
+        return false;
+      }
+
+      parent.removeChild(resource.canvas);
+      return true;
+    },
+
+    load: function(path, onload, onerror, options) {
+      if (typeof Image !== 'function') {
+        return false;
+      }
+
+      let img = new Image();
+
+      if (options.crossOrigin !== null) {
+        img.crossOrigin = options.crossOrigin;
+      }
+
+      img.onload = function() {
+        onload(img, img.naturalWidth, img.naturalHeight);
+      };
+
+      img.onerror = function() {
+        onerror(FB_ERR_LOAD_FAILED);
+      };
+
+      img.src = path;
+
+      return true;
+    },
+
+    draw_source: function(resource, source, width, height) {
+      resource.context.drawImage(source, 0, 0, width, height);
+      resource.image = resource.context.getImageData(0, 0, width, height);
+    },
+  },
+
+  // No DOM, no canvas. Resource is its pixel buffer.
+  headless: {
+    available: function() {
+      return true;
+    },
+
+    create: function(resource) {
+      return true;
+    },
+
+    resize: function(resource, width, height) {},
+    sync: function(resource, image, x, y, width, height) {},
+
+    data_url: function(resource) {
+      return fb_png_data_url(resource);
+    },
+
+    // Downloads need a document (e.g. headless in a page),
+    // elsewhere use fb_png_encode() and write the bytes.
+    save: function(resource, filename) {
+      return fb_download(fb_png_encode(resource), filename, 'image/png');
+    },
+
+    spawn: null,
+    despawn: null,
+
+    // Formats decoded by the library (see 'fb_image_formats')
+    load: function(path, onload, onerror, options) {
+      return fb_image_fetch(path, onload, onerror, options);
+    },
+
+    // Sources decoded by the library are handled by fb_draw_source()
+    draw_source: null,
+  },
+};
+
 // Configuration map keys accessible by 'fb_config()'
 var fb_config_map_keys = [
   'alpha',
@@ -353,6 +1188,9 @@ var fb_config_map_keys = [
   'error_log',
   'resource_list',
   'desync',
+  'backend',
+  'alpha_mode',
+  'history_budget',
 ];
 
 // Configuration map
@@ -440,15 +1278,66 @@ var fb_config_map = {
       fb_canvas_context_attributes.desynchronized = value;
     }
   },
+
+  // Backend of resources created by fb_create()
+  // 'auto' picks 'canvas' when available, else 'headless'.
+  //
+  // Backends added by fb_backend_register() are
+  // appended to the allowed values.
+  backend: {
+    allowed: ['auto', 'canvas', 'headless'],
+    default: 'auto',
+    value: 'auto',
+
+    // Private methods
+    _set: function(value, parent) {
+      parent.value = value;
+    }
+  },
+
+  // Alpha mode of resources created by fb_create()
+  //
+  // Disclaimer: Enable 'alpha' as well, otherwise the
+  // canvas is opaque and images loaded through it
+  // lose their transparency.
+  alpha_mode: {
+    allowed: [
+      FB_ALPHA_STRAIGHT,
+      FB_ALPHA_PREMULTIPLIED,
+    ],
+    default: FB_ALPHA_STRAIGHT,
+    value: FB_ALPHA_STRAIGHT,
+
+    // Private methods
+    _set: function(value, parent) {
+      parent.value = value;
+    }
+  },
+
+  // Memory budget (in bytes) of the undo/redo history
+  // of each resource. Oldest steps are dropped first.
+  history_budget: {
+    allowed: function(value) {
+      return typeof value === 'number' && value >= 0;
+    },
+    default: 16 * 1024 * 1024,
+    value: 16 * 1024 * 1024,
+
+    // Private methods
+    _set: function(value, parent) {
+      parent.value = value;
+    }
+  },
 };
 
 /**
  * Create a Framebuffer Resource
  * @param {number} width Width
  * @param {number} height Height
+ * @param {number} format Pixel format (default FB_FORMAT_RGBA8)
  * @returns {FBResource} Framebuffer Resource
  */
-function fb_create(width = 0, height = 0) {
+function fb_create(width = 0, height = 0, format = FB_FORMAT_RGBA8) {
   let FN_NAME = 'fb_create';
   let FN_ARGS = [...arguments];
 
@@ -463,6 +1352,24 @@ function fb_create(width = 0, height = 0) {
     context: null,
     image: null,
 
+    // Pixel format (see FB_FORMAT_ constants)
+    //
+    // Other than RGBA8, pixels are stored in 'pixels' and
+    // 'image' is a display copy, see fb_image().
+    format: format,
+    pixels: null,
+
+    // Palette of indexed resources (see fb_palette_create)
+    palette: null,
+    palette_version: -1,
+
+    // Display copy ('image') needs a full conversion
+    image_stale: true,
+
+    // Backend name (see 'fb_backends')
+    // Headless resources have no canvas and context.
+    backend: null,
+
     // UNIX time on creation
     created: +Date.now(),
 
@@ -490,6 +1397,30 @@ function fb_create(width = 0, height = 0) {
     // performed.
     dirty: 0,
 
+    // Tiles changed since the last fb_sync() call, one byte
+    // per tile of FB_DIRTY_TILE_SIZE pixels (row-major).
+    //
+    // Only the changed tiles are pushed to the canvas. If no
+    // tile is marked, fb_sync() pushes the entire image.
+    //
+    // Use fb_invalidate() after writing to 'image.data'
+    // directly, and fb_dirty_regions() to query.
+    dirty_tiles: null,
+
+    // Tile maps of the layers showing this resource, marked
+    // along with 'dirty_tiles'. Each is cleared by its layer
+    // stack in fb_layers_sync(), fb_sync() leaves them alone.
+    layer_tiles: [],
+
+    // Undo/redo history, created by fb_history_begin()
+    history: null,
+
+    // User data (JSON-compatible), kept by fb_serialize()
+    metadata: {},
+
+    // Frames captured on fb_sync(), see fb_record_start()
+    recording: null,
+
     // Course of action when pixel values change.
     // Default: write-back
     //
@@ -502,6 +1433,16 @@ function fb_create(width = 0, height = 0) {
     //     but more intuitive as no need to call fb_sync()
     defer: fb_config_map.defer.value,
 
+    // How color channels relate to alpha.
+    // See fb_alpha_mode() to convert.
+    //
+    // FB_ALPHA_STRAIGHT
+    //     Color channels are independent of alpha.
+    //
+    // FB_ALPHA_PREMULTIPLIED
+    //     Color channels are multiplied by alpha.
+    alpha_mode: fb_config_map.alpha_mode.value,
+
     // Error messages by internal functions.
     //
     // Please don't modify it with your code!
@@ -534,23 +1475,53 @@ function fb_create(width = 0, height = 0) {
     return resource;
   }
 
-  resource.canvas = document.createElement('canvas');
-  resource.canvas.width = width;
-  resource.canvas.height = height;
-
-  resource.context = resource.canvas.getContext(
-    '2d', fb_canvas_context_attributes
-  );
+  if (!fb_format_valid(format)) {
+    resource.error = fb_error(FB_ERR_BAD_FORMAT, FB_ORIGIN_SYSTEM, FN_NAME, FN_ARGS);
+    return resource;
+  }
+
+  resource.backend = fb_backend_resolve(fb_config_map.backend.value);
+
+  if (resource.backend === null) {
+    resource.error = fb_error(FB_ERR_BACKEND_UNAVAILABLE, FB_ORIGIN_SYSTEM, FN_NAME, FN_ARGS);
+    return resource;
+  }
 
   // Failed to create context
   // Canvas not supported
-  if (resource.context === null) {
+  if (!fb_backend(resource).create(resource)) {
     resource.error = fb_error(FB_ERR_CANVAS_NOT_SUPPORTED, FB_ORIGIN_SYSTEM, FN_NAME, FN_ARGS);
     return resource;
   }
 
-  resource.image = new ImageData(width, height);
-  resource.image.data.fill(255);
+  switch (format) {
+    case FB_FORMAT_RGBA8:
+      resource.image = fb_image_create(width, height);
+      resource.image.data.fill(255);
+      break;
+
+    case FB_FORMAT_INDEXED8:
+      resource.pixels = new Uint8Array(width * height);
+      resource.palette = fb_palette_create();
+      break;
+
+    case FB_FORMAT_GRAY8:
+      resource.pixels = new Uint8Array(width * height).fill(255);
+      break;
+
+    case FB_FORMAT_RGB565:
+      resource.pixels = new Uint16Array(width * height).fill(0xFFFF);
+      break;
+
+    case FB_FORMAT_RGBA32F:
+      resource.pixels = new Float32Array(width * height * 4).fill(1);
+      break;
+  }
+
+  // Only RGBA8 supports premultiplied alpha
+  if (format != FB_FORMAT_RGBA8) {
+    resource.alpha_mode = FB_ALPHA_STRAIGHT;
+  }
 
   // Synchronize
   fb_sync(resource);
@@ -560,19 +1531,52 @@ function fb_create(width = 0, height = 0) {
 
 /**
  * Synchronize ImageData to the Canvas
- * @param {...FBResource} var_args Framebuffer Resource(s)
+ * Layer stacks are flattened into their target (see fb_layers_sync).
+ * @param {...FBResource|...FBLayerStack} var_args Framebuffer Resource(s) or Layer Stack(s)
  * @returns {number} Valid resources synchronized
  */
 function fb_sync(var_args) {
   let count = 0;
 
   for (let resource of arguments) {
+    if (resource instanceof FBLayerStack) {
+      count += fb_layers_sync(resource) ? 1 : 0;
+      continue;
+    }
+
     if (!fb_valid(resource)) {
       continue;
     }
 
     ++count;
-    resource.context.putImageData(resource.image, 0, 0);
+
+    if (resource.recording !== null && resource.recording !== undefined) {
+      fb_record_capture(resource);
+    }
+
+    // Nothing to push to
+    if (resource.backend === 'headless') {
+      fb_update(resource);
+      continue;
+    }
+
+    // An edited palette changes every pixel (checked before
+    // fb_image() resolves the display copy with it)
+    let recolored = resource.palette !== null && resource.palette_version !== resource.palette.version;
+
+    let backend = fb_backend(resource);
+    let image = fb_image_straight(resource);
+    let regions = recolored ? [] : fb_dirty_regions(resource);
+
+    // Nothing tracked, push the entire image
+    if (regions.length == 0) {
+      regions.push([0, 0, resource.width, resource.height]);
+    }
+
+    for (let [x, y, w, h] of regions) {
+      backend.sync(resource, image, x, y, w, h);
+    }
+
     fb_update(resource);
   }
 
@@ -593,9 +1597,166 @@ function fb_update(resource = null) {
   resource.dirty = 0;
   resource.updated = +Date.now();
 
+  if (resource.dirty_tiles !== null) {
+    resource.dirty_tiles.fill(0);
+  }
+
+  return true;
+}
+
+/**
+ * Mark an area as changed, so fb_sync() pushes it to the canvas
+ * Call it after writing to 'resource.image.data' directly.
+ * Without coordinates, the entire image is marked.
+ * @param {FBResource} resource Framebuffer Resource
+ * @param {number} x X axis
+ * @param {number} y Y axis
+ * @param {number} w Width (-1 is resource width)
+ * @param {number} h Height (-1 is resource height)
+ * @returns {boolean}
+ */
+function fb_invalidate(resource = null, x = 0, y = 0, w = -1, h = -1) {
+  if (!fb_valid(resource)) {
+    return false;
+  }
+
+  if (w == -1) {
+    w = resource.width;
+  }
+
+  if (h == -1) {
+    h = resource.height;
+  }
+
+  let x1 = clamp(x | 0, 0, resource.width);
+  let y1 = clamp(y | 0, 0, resource.height);
+  let x2 = clamp((x + w) | 0, 0, resource.width);
+  let y2 = clamp((y + h) | 0, 0, resource.height);
+
+  if (x1 >= x2 || y1 >= y2) {
+    return false;
+  }
+
+  let tiles = fb_dirty_tiles(resource);
+  let cols = Math.ceil(resource.width / FB_DIRTY_TILE_SIZE);
+
+  let tx1 = (x1 / FB_DIRTY_TILE_SIZE) | 0;
+  let ty1 = (y1 / FB_DIRTY_TILE_SIZE) | 0;
+  let tx2 = ((x2 - 1) / FB_DIRTY_TILE_SIZE) | 0;
+  let ty2 = ((y2 - 1) / FB_DIRTY_TILE_SIZE) | 0;
+
+  for (let ty = ty1; ty <= ty2; ty++) {
+    tiles.fill(1, ty * cols + tx1, ty * cols + tx2 + 1);
+
+    for (let map of resource.layer_tiles) {
+      map.fill(1, ty * cols + tx1, ty * cols + tx2 + 1);
+    }
+  }
+
+  resource.dirty = 1;
+
   return true;
 }
 
+/**
+ * Get the areas changed since the last fb_sync() call
+ * Adjacent tiles on the same row are merged.
+ * @param {FBResource} resource Framebuffer Resource
+ * @returns {array} Array of [x, y, width, height] areas
+ */
+function fb_dirty_regions(resource = null) {
+  if (!fb_valid(resource)) {
+    return [];
+  }
+
+  return fb_dirty_tile_regions(resource, resource.dirty_tiles);
+}
+
+/**
+ * Get the areas marked in a tile map of a resource
+ * <InternalFunction>
+ * @param {FBResource} resource Framebuffer Resource
+ * @param {null|Uint8Array} tiles Tile map (see 'dirty_tiles')
+ * @returns {array} Array of [x, y, width, height] areas
+ */
+function fb_dirty_tile_regions(resource, tiles) {
+  let regions = [];
+  let size = FB_DIRTY_TILE_SIZE;
+  let cols = Math.ceil(resource.width / size);
+  let rows = Math.ceil(resource.height / size);
+
+  // Nothing tracked (or the resource was resized)
+  if (tiles === null || tiles.length != cols * rows) {
+    return regions;
+  }
+
+  for (let ty = 0; ty < rows; ty++) {
+    for (let tx = 0; tx < cols; tx++) {
+      if (!tiles[ty * cols + tx]) {
+        continue;
+      }
+
+      // Run of dirty tiles on this row
+      let start = tx;
+
+      while (tx + 1 < cols && tiles[ty * cols + tx + 1]) {
+        ++tx;
+      }
+
+      let x = start * size;
+      let y = ty * size;
+
+      regions.push([
+        x,
+        y,
+        Math.min((tx + 1) * size, resource.width) - x,
+        Math.min(y + size, resource.height) - y,
+      ]);
+    }
+  }
+
+  return regions;
+}
+
+/**
+ * Get the dirty tiles of a resource, (re)allocated to fit its size
+ * <InternalFunction>
+ * @param {FBResource} resource Framebuffer Resource
+ * @returns {Uint8Array}
+ */
+function fb_dirty_tiles(resource = null) {
+  let cols = Math.ceil(resource.width / FB_DIRTY_TILE_SIZE);
+  let rows = Math.ceil(resource.height / FB_DIRTY_TILE_SIZE);
+
+  if (resource.dirty_tiles === null || resource.dirty_tiles.length != cols * rows) {
+    resource.dirty_tiles = new Uint8Array(cols * rows);
+  }
+
+  return resource.dirty_tiles;
+}
+
+/**
+ * Mark the tile of a pixel as changed (no bounds checks)
+ * <InternalFunction>
+ * @param {FBResource} resource Framebuffer Resource
+ * @param {number} x X axis (integer)
+ * @param {number} y Y axis (integer)
+ * @returns {undefined}
+ */
+function fb_dirty_mark(resource, x, y) {
+  let tiles = fb_dirty_tiles(resource);
+  let cols = Math.ceil(resource.width / FB_DIRTY_TILE_SIZE);
+  let index = ((y / FB_DIRTY_TILE_SIZE) | 0) * cols + ((x / FB_DIRTY_TILE_SIZE) | 0);
+
+  tiles[index] = 1;
+
+  for (let i = 0; i < resource.layer_tiles.length; i++) {
+    resource.layer_tiles[i][index] = 1;
+  }
+
+  resource.dirty = 1;
+}
+
 /**
  * Set RGB pixel color at X and Y coordinates
  * <NoDefer>
@@ -618,13 +1779,69 @@ function fb_set_pixel(resource = null, x, y, r, g, b) {
   x |= 0;
   y |= 0;
 
+  // Out of bounds
+  if (0 > x || x >= resource.width || 0 > y || y >= resource.height) {
+    return;
+  }
+
+  if (resource.format != FB_FORMAT_RGBA8) {
+    fb_pixel_write(resource, resource.width * y + x, r, g, b, 255);
+    fb_dirty_mark(resource, x, y);
+    return;
+  }
+
   let pos = resource.width * y * 4 + x * 4;
 
   resource.image.data[pos + FB_CHANNEL_R] = r;
   resource.image.data[pos + FB_CHANNEL_G] = g;
   resource.image.data[pos + FB_CHANNEL_B] = b;
 
-  resource.dirty = 1;
+  fb_dirty_mark(resource, x, y);
+}
+
+/**
+ * Set RGBA pixel color at X and Y coordinates
+ * Color channels are stored as given, see 'alpha_mode'.
+ * <NoDefer>
+ * @param {FBResource} resource Framebuffer Resource
+ * @param {number} x X axis
+ * @param {number} y Y axis
+ * @param {number} r Red channel
+ * @param {number} g Green channel
+ * @param {number} b Blue channel
+ * @param {number} a Alpha channel (default 255)
+ */
+function fb_set_pixel_rgba(resource = null, x, y, r, g, b, a = 255) {
+  if (!fb_valid(resource)) {
+    return;
+  }
+
+  if (resource.locked) {
+    return;
+  }
+
+  x |= 0;
+  y |= 0;
+
+  // Out of bounds
+  if (0 > x || x >= resource.width || 0 > y || y >= resource.height) {
+    return;
+  }
+
+  if (resource.format != FB_FORMAT_RGBA8) {
+    fb_pixel_write(resource, resource.width * y + x, r, g, b, a);
+    fb_dirty_mark(resource, x, y);
+    return;
+  }
+
+  let pos = resource.width * y * 4 + x * 4;
+
+  resource.image.data[pos + FB_CHANNEL_R] = r;
+  resource.image.data[pos + FB_CHANNEL_G] = g;
+  resource.image.data[pos + FB_CHANNEL_B] = b;
+  resource.image.data[pos + FB_CHANNEL_A] = a;
+
+  fb_dirty_mark(resource, x, y);
 }
 
 /**
@@ -667,6 +1884,10 @@ function fb_get_pixel(resource = null, x = null, y = null) {
     pos = resource.width * y * 4 + x * 4; // flat plane
   }
 
+  if (resource.format != FB_FORMAT_RGBA8) {
+    return fb_pixel_read(resource, pos >> 2).slice(0, 3);
+  }
+
   return [
     resource.image.data[pos + FB_CHANNEL_R] | 0,
     resource.image.data[pos + FB_CHANNEL_G] | 0,
@@ -674,6 +1895,43 @@ function fb_get_pixel(resource = null, x = null, y = null) {
   ];
 }
 
+/**
+ * Get RGBA pixel color at the specified X and Y coordinates.
+ * Same as fb_get_pixel() but includes the Alpha channel.
+ * <PolymorphicFunction, NoDefer>
+ * @param {FBResource} resource Framebuffer Resource
+ * @param {null|number} x X axis (linear data access when Y is null)
+ * @param {null|number} [y] Y axis (can be null)
+ * @returns {number[]} An array containing the Red, Green, Blue and Alpha channel values of the pixel.
+ */
+function fb_get_pixel_rgba(resource = null, x = null, y = null) {
+  if (!fb_valid(resource)) {
+    return;
+  }
+
+  let is_y_nan = (y === null || y === undefined || typeof y !== 'number');
+
+  x |= 0;
+  y |= 0;
+
+  let pos = x; // linear access
+
+  if (!is_y_nan) {
+    pos = resource.width * y * 4 + x * 4; // flat plane
+  }
+
+  if (resource.format != FB_FORMAT_RGBA8) {
+    return fb_pixel_read(resource, pos >> 2);
+  }
+
+  return [
+    resource.image.data[pos + FB_CHANNEL_R] | 0,
+    resource.image.data[pos + FB_CHANNEL_G] | 0,
+    resource.image.data[pos + FB_CHANNEL_B] | 0,
+    resource.image.data[pos + FB_CHANNEL_A] | 0
+  ];
+}
+
 /**
  * Spawn resource to a container element
  * @param {FBResource} resource Framebuffer Resource
@@ -688,13 +1946,16 @@ function fb_spawn(resource = null, container = null) {
     return fb_error(FB_ERR_EXPECTS_RESOURCE, FB_ORIGIN_SYSTEM, FN_NAME, FN_ARGS);
   }
 
-  if (container === null || container instanceof Element === false) {
+  let backend = fb_backend(resource);
+
+  if (backend.spawn === null) {
+    return fb_error(FB_ERR_BACKEND_UNSUPPORTED, FB_ORIGIN_SYSTEM, FN_NAME, FN_ARGS);
+  }
+
+  if (container === null || !backend.spawn(resource, container)) {
     return fb_error(FB_ERR_EXPECTS_CONTAINER, FB_ORIGIN_SYSTEM, FN_NAME, FN_ARGS);
   }
 
-  // TODO: add a try-catch here?
-  //       For elements missing the 'append' method.
-  container.append(resource.canvas);
   return true;
 }
 
@@ -708,37 +1969,53 @@ function fb_despawn(resource = null) {
     return false;
   }
 
-  let parent = resource?.canvas?.parentElement;
+  let backend = fb_backend(resource);
 
-  if (parent === null) {
+  if (backend.despawn === null) {
     return false;
   }
 
-  parent?.removeChild(resource?.canvas);
-
-  return true;
+  return backend.despawn(resource);
 }
 
 /**
  * Download resource image as file
+ * The format follows the file extension (see fb_image_encode),
+ * PNG without options and unknown extensions go through the
+ * backend 'save' method.
  * @param {FBResource} resource Framebuffer Resource
  * @param {String} filename Name of saved file
- * @returns {boolean}
+ * @param {Object} options Encoder options (see fb_image_encode)
+ * @returns {boolean|FBError}
  */
 function fb_save(
   resource = null,
-  filename = '0.png'
+  filename = '0.png',
+  options = {}
 ) {
   if (!fb_valid(resource)) {
     return false;
   }
 
-  let anchor = document.createElement('a');
-  anchor.href = fb_data_url(resource);
-  anchor.download = filename;
-  anchor.click();
+  let format = fb_image_format_from_name(filename);
 
-  return true;
+  if (format !== null && (format != 'png' || Object.keys(options ?? {}).length > 0)) {
+    let bytes = fb_image_encode(resource, format, options);
+
+    if (bytes instanceof FBError) {
+      return bytes;
+    }
+
+    return fb_download(bytes, filename, fb_image_formats[format].mime);
+  }
+
+  let backend = fb_backend(resource);
+
+  if (backend.save === null) {
+    return false;
+  }
+
+  return backend.save(resource, filename);
 }
 
 /**
@@ -748,10 +2025,11 @@ function fb_save(
  * @param {number} y Y axis
  * @param {number} w Width
  * @param {number} h Height
- * @param {number} r Red channel
+ * @param {number|FBGradient|FBPattern} r Red channel (or a paint, see fb_gradient_linear and fb_pattern)
  * @param {number} g Green channel
  * @param {number} b Blue channel
  * @param {boolean} fill Fill the area with color
+ * @param {null|FBStroke|object} stroke Stroke style of the outline (see fb_stroke)
  * @returns {boolean}
  */
 function fb_rect(
@@ -763,17 +2041,24 @@ function fb_rect(
   r = 255,
   g = 255,
   b = 255,
-  fill = false
+  fill = false,
+  stroke = null
 ) {
   if (!fb_valid(resource)) {
     return false
   }
 
-  if (fill) {
+  // Through the edge pixels
+  if (!fill && stroke !== null) {
+    let x2 = x + w - 1;
+    let y2 = y + h - 1;
+
+    fb_stroke_path(resource, [[x, y], [x2, y], [x2, y2], [x, y2]], true, stroke, r, g, b);
+  } else if (fill) {
     for (let y2 = y; y2 < h + y; y2++) {
       for (let x2 = x; x2 < w + x; x2++) {
         if (resource.width > x2 && resource.height > y2) {
-          fb_set_pixel(resource, x2, y2, r, g, b);
+          fb_paint_pixel(resource, x2, y2, r, g, b);
         }
       }
     }
@@ -782,9 +2067,9 @@ function fb_rect(
     let y2 = h + y;
 
     fb_line(resource, x, y, x2 - 1, y, r, g, b);           // top
-    fb_line(resource, x, y, x, y2, r, g, b);               // left
+    fb_line(resource, x, y, x, y2 - 1, r, g, b);           // left
     fb_line(resource, x, y2 - 1, x2 - 1, y2 - 1, r, g, b); // bottom
-    fb_line(resource, x2 - 1, y, x2 - 1, y2, r, g, b);     // right
+    fb_line(resource, x2 - 1, y, x2 - 1, y2 - 1, r, g, b); // right
   }
 
   fb_defer(resource);
@@ -793,20 +2078,25 @@ function fb_rect(
 }
 
 /**
- * Draw a circle
+ * Draw a circle or an ellipse inside a W by H pixel box
+ * Outlines are midpoint rasterized, fills are spans between them.
+ * With start and end angles other than 0 and 360 an arc is drawn,
+ * filled as a pie slice (see fb_arc).
  * @param {FBResource} resource Framebuffer Resource
  * @param {number} x X axis
  * @param {number} y Y axis
  * @param {number} w Width
  * @param {number} h Height
- * @param {number} r Red channel
+ * @param {number|FBGradient|FBPattern} r Red channel (or a paint, see fb_gradient_linear and fb_pattern)
  * @param {number} g Green channel
  * @param {number} b Blue channel
- * @param {number} p Precision of line (clamped from 0.1 to 2) (ignored on fill)
+ * @param {number} p Unused (kept for compatibility)
  * @param {boolean} fill Fill the area with color
  * @param {boolean} center Treat X and Y coordinates as middle of the circle
- * @param {number} angles Across what angle to plot the circle
- * @returns {boolean}
+ * @param {number} start Start angle in degrees (clockwise from 3 o'clock)
+ * @param {number} end End angle in degrees
+ * @param {null|FBStroke|object} stroke Stroke style of the outline (see fb_stroke)
+ * @returns {boolean|FBError}
  */
 function fb_circle(
   resource = null,
@@ -820,427 +2110,362 @@ function fb_circle(
   p      = 1,
   fill   = false,
   center = false,
-  angles = 360
+  start  = 0,
+  end    = 360,
+  stroke = null
 ) {
   if (!fb_valid(resource)) {
     return false;
   }
 
-  let radian = w / 2;
-
-  if (!fill) {
-    p = 1 / p;
-    p = clamp(p, 0.5, 10); // clamped from 0.5 to 10
-    p -= .5;
-  }
-
-  // Offset from the center
-  if (!center) {
-    x += w / 2;
-    y += h / 2;
-  }
-
-  w = radian / w * 2.016;
-  h = radian / h * 2.016;
-
-  for (let angle = 0, x1, y1; angle < angles; angle += 0.05) {
-    x1 = radian * Math.cos(angle * (Math.PI / 180)) / w;
-    y1 = radian * Math.sin(angle * (Math.PI / 180)) / h;
-
-    // FIXME: Correct logic? Shouldn't we be calling `fb_fill`
-    //        and not `fb_line` ???      - imshvc (2024-09-22)
-    if (fill) {
-      fb_line(resource, x, y, x + x1, y + y1, r, g, b);
-      continue;
-    }
-
-    if (p > 0) {
-      angle += p;
-    }
-
-    fb_set_pixel(resource, x + x1, y + y1, r, g, b);
-  }
-
-  fb_defer(resource);
+  let type = fill ? FB_ARC_PIE : FB_ARC_OPEN;
 
-  return true;
+  return fb_arc(resource, x, y, w, h, start, end, r, g, b, type, fill, center, stroke);
 }
 
 /**
- * Draw a line from point A to point B
+ * Draw an arc, chord or pie slice of an ellipse inside a W by H pixel box
+ * Angles are in degrees, clockwise from 3 o'clock like the Canvas 2D
+ * API, and going around from start to end (so 270 to 90 is the right half).
  * @param {FBResource} resource Framebuffer Resource
- * @param {number} x1 X axis (point A)
- * @param {number} y1 Y axis (point A)
- * @param {number} x2 X axis (point B)
- * @param {number} y2 Y axis (point B)
- * @param {number} r Red channel
+ * @param {number} x X axis
+ * @param {number} y Y axis
+ * @param {number} w Width
+ * @param {number} h Height
+ * @param {number} start Start angle in degrees
+ * @param {number} end End angle in degrees
+ * @param {number|FBGradient|FBPattern} r Red channel (or a paint, see fb_gradient_linear and fb_pattern)
  * @param {number} g Green channel
  * @param {number} b Blue channel
- * @param {number} p Precision of line (clamped from 0.1 to 2)
- * @returns {boolean}
+ * @param {number} type Arc type, FB_ARC_OPEN, FB_ARC_CHORD or FB_ARC_PIE (default FB_ARC_OPEN)
+ * @param {boolean} fill Fill the area with color (open arcs fill like chords)
+ * @param {boolean} center Treat X and Y coordinates as middle of the ellipse
+ * @param {null|FBStroke|object} stroke Stroke style of the outline (see fb_stroke)
+ * @returns {boolean|FBError}
  */
-function fb_line(
+function fb_arc(
   resource = null,
-  x1,
-  y1,
-  x2,
-  y2,
+  x = 0,
+  y = 0,
+  w = 10,
+  h = 10,
+  start = 0,
+  end = 360,
   r = 255,
   g = 255,
   b = 255,
-  p = 1
+  type = FB_ARC_OPEN,
+  fill = false,
+  center = false,
+  stroke = null
 ) {
+  let FN_NAME = 'fb_arc';
+  let FN_ARGS = [...arguments];
+
   if (!fb_valid(resource)) {
     return false;
   }
 
-  p = clamp(p, 0.1, 2);
-  let x = x2 - x1;
-  let y = y2 - y1;
-  let l = Math.sqrt(x * x + y * y) * p;
-
-  let ax = x / l;
-  let ay = y / l;
-
-  x = x1;
-  y = y1;
-
-  for (let i = 0; i < l; i += 0.5) {
-    if (resource.width > x && resource.height > y) {
-      fb_set_pixel(resource, x, y, r, g, b);
-    }
-
-    x += ax / 2;
-    y += ay / 2;
+  if (type != FB_ARC_OPEN && type != FB_ARC_CHORD && type != FB_ARC_PIE) {
+    return fb_error(FB_ERR_BAD_ARC_TYPE, FB_ORIGIN_SYSTEM, FN_NAME, FN_ARGS);
   }
 
-  fb_defer(resource);
-
-  return true;
-}
+  w = Math.floor(w);
+  h = Math.floor(h);
 
-/**
- * Clear the canvas (default color Black)
- * @param {FBResource} resource Framebuffer Resource
- * @param {number} r Red channel
- * @param {number} g Green channel
- * @param {number} b Blue channel
- * @returns {boolean}
- */
-function fb_clear(resource = null, r = 0, g = 0, b = 0) {
-  if (!fb_valid(resource)) {
+  if (!(w > 0 && h > 0)) {
     return false;
   }
 
-  for (let i = 0; i < resource.image.data.length; i += 4) {
-    resource.image.data[i + FB_CHANNEL_R] = r;
-    resource.image.data[i + FB_CHANNEL_G] = g;
-    resource.image.data[i + FB_CHANNEL_B] = b;
-  }
+  // Box edges (inclusive), centered on the pixel (or the pair for even sizes)
+  let left = Math.floor(center ? x - (w - 1) / 2 : x);
+  let top = Math.floor(center ? y - (h - 1) / 2 : y);
+  let right = left + w - 1;
+  let bottom = top + h - 1;
 
-  fb_defer(resource);
+  let cx = (left + right) / 2;
+  let cy = (top + bottom) / 2;
+  let rx = (w - 1) / 2;
+  let ry = (h - 1) / 2;
 
-  return true;
-}
+  let sweep = end - start;
+  let full = Math.abs(sweep) >= 360;
 
-/**
- * Verify that the Framebuffer Resource is valid
- * @param {FBResource} resource Framebuffer Resource
- * @returns {boolean}
- */
-function fb_valid(resource = null) {
-  if (resource === null) {
-    return false;
-  }
+  if (!full) {
+    sweep = ((sweep % 360) + 360) % 360;
 
-  if (resource instanceof FBResource === false) {
-    return false;
+    if (sweep == 0) {
+      return true;
+    }
   }
 
-  let fields = [
-    'canvas',
-    'context',
-    'created',
-    'defer',
-    'dirty',
-    'error',
-    'height',
-    'image',
-    'loaded',
-    'locked',
-    'updated',
-    'width',
+  let radians = Math.PI / 180;
+  let point = (angle) => [
+    cx + rx * Math.cos(angle * radians),
+    cy + ry * Math.sin(angle * radians)
   ];
 
-  for (let field of fields) {
-    if (field in resource === false) {
-      return false;
-    }
-  }
+  // Through the edge pixels, as a polyline of short segments
+  if (!fill && stroke !== null) {
+    let span = full ? 360 : sweep;
+    let steps = Math.max(8, Math.ceil(span * radians * Math.max(rx, ry, 1)));
+    let points = [];
 
-  return true;
-}
+    for (let i = 0; i <= steps; i++) {
+      points.push(point(start + span * i / steps));
+    }
 
-/**
- * Clone the resource
- * <NoDefer>
- * @param {FBResource} resource Framebuffer Resource
- * @param {number} cri Red channel index (default FB_CHANNEL_R)
- * @param {number} cgi Green channel index (default FB_CHANNEL_G)
- * @param {number} cbi Blue channel index (default FB_CHANNEL_B)
- * @returns {boolean|FBResource} Framebuffer Resource
- */
-function fb_copy(
-  resource = null,
-  cri = FB_CHANNEL_R,
-  cgi = FB_CHANNEL_G,
-  cbi = FB_CHANNEL_B
-) {
-  if (!fb_valid(resource)) {
-    return false;
-  }
+    if (!full && type == FB_ARC_PIE) {
+      points.push([cx, cy]);
+    }
 
-  let copy = fb_create(resource.width, resource.height);
+    fb_stroke_path(resource, points, full || type != FB_ARC_OPEN, stroke, r, g, b);
+    fb_defer(resource);
 
-  for (let i = 0, j = resource.image.data.length; i < j; i += 4) {
-    copy.image.data[i + FB_CHANNEL_R] = resource.image.data[i + cri];
-    copy.image.data[i + FB_CHANNEL_G] = resource.image.data[i + cgi];
-    copy.image.data[i + FB_CHANNEL_B] = resource.image.data[i + cbi];
+    return true;
   }
 
-  // Synchronize
-  copy.context.putImageData(copy.image, 0, 0);
+  // Parametric angle of a pixel, relative to the start angle
+  let within = (px, py) => {
+    let angle = Math.atan2((py - cy) / (ry || 1), (px - cx) / (rx || 1)) / radians;
 
-  return copy;
-}
+    let offset = (((angle - start) % 360) + 360) % 360;
 
-/**
- * Create a resource from an asynchronously loaded image
- * <NoDirtyBit>
- * @param {String} path Path or URL to an image
- * @param {Number|Function} width Resource width (-1 for auto), or a callback after load
- * @param {Number|Function} height Resource height (-1 for auto), or a callback after error
- * @returns {(null|Object)} Framebuffer Resource
- */
-function fb_load(
-  path = null, // URL of the image
-  width = -1,  // Resource width (-1 for auto)
-  height = -1  // Resource height (-1 for auto)
-) {
-  if (path === null) {
-    return null;
-  }
+    // Rounding errors on the edges (just before the start is the start)
+    return offset <= sweep + 1e-9 || offset >= 360 - 1e-9;
+  };
 
-  let FN_NAME = 'fb_load';
-  let FN_ARGS = [...arguments];
+  let [x1, y1] = point(start);
+  let [x2, y2] = point(start + sweep);
+  let inside = null;
 
-  // Dummy callbacks on default
-  let after_load = function() {};
-  let after_error = function() {};
+  if (!full && type == FB_ARC_PIE) {
+    inside = (px, py) => (px == cx && py == cy) || within(px, py);
+  } else if (!full) {
+    // Same side of the chord as the middle of the arc
+    let side = (px, py) => (x2 - x1) * (py - y1) - (y2 - y1) * (px - x1);
+    let [mx, my] = point(start + sweep / 2);
+    let sign = Math.sign(side(mx, my));
 
-  // after load callback
-  if (typeof width === 'function') {
-    after_load = width;
-    width = -1;
-  }
+    // End points come from cos() and sin(), pixels on the chord
+    // are kept whatever side their rounding errors put them
+    let epsilon = 1e-9 * (w + h) * (w + h);
 
-  // after error callback
-  if (typeof height === 'function') {
-    after_error = height;
-    height = -1;
+    inside = (px, py) => side(px, py) * sign >= -epsilon;
   }
 
-  // Dummy resource
-  let resource = fb_create(1, 1);
-  resource.loaded = false;
+  // Quadrant centers, a pixel apart on even sizes
+  let a = Math.floor(rx);
+  let c = Math.floor(ry);
+  let xl = left + a;
+  let xr = right - a;
+  let yt = top + c;
+  let yb = bottom - c;
+  let quadrant = fb_ellipse_points(a, c);
 
-  let img = new Image();
+  if (fill) {
+    let spans = [];
 
-  // Event handler
-  img.onload = function() {
-    if (width == -1) {
-      width = img.width;
+    for (let [px, py] of quadrant) {
+      spans[py] = Math.max(spans[py] ?? 0, px);
     }
 
-    if (height == -1) {
-      height = img.height;
-    }
+    for (let py = 0; py < spans.length; py++) {
+      let rows = yt - py == yb + py ? [yb + py] : [yt - py, yb + py];
 
-    // Boundary checks
-    if (0 >= width) {
-      resource.error = fb_error(FB_ERR_BAD_WIDTH, FB_ORIGIN_SYSTEM, FN_NAME, FN_ARGS);
-      after_error(resource, path);
-      return;
-    }
+      for (let row of rows) {
+        if (row < 0 || row >= resource.height) {
+          continue;
+        }
 
-    if (0 >= height) {
-      resource.error = fb_error(FB_ERR_BAD_HEIGHT, FB_ORIGIN_SYSTEM, FN_NAME, FN_ARGS);
-      after_error(resource, path);
-      return;
-    }
+        let x0 = Math.max(xl - spans[py], 0);
+        let x3 = Math.min(xr + spans[py], resource.width - 1);
 
-    if (width > FB_MAX_WIDTH) {
-      resource.error = fb_error(FB_ERR_LARGE_WIDTH, FB_ORIGIN_SYSTEM, FN_NAME, FN_ARGS);
-      after_error(resource, path);
-      return;
+        for (let px = x0; px <= x3; px++) {
+          if (inside === null || inside(px, row)) {
+            fb_paint_pixel(resource, px, row, r, g, b);
+          }
+        }
+      }
     }
 
-    if (height > FB_MAX_HEIGHT) {
-      resource.error = fb_error(FB_ERR_LARGE_HEIGHT, FB_ORIGIN_SYSTEM, FN_NAME, FN_ARGS);
-      after_error(resource, path);
-      return;
-    }
+    fb_defer(resource);
+
+    return true;
+  }
 
-    resource.canvas.width = width;
-    resource.canvas.height = height;
-    resource.width = width;
-    resource.height = height;
+  for (let [px, py] of quadrant) {
+    for (let [qx, qy] of [[xr + px, yb + py], [xl - px, yb + py], [xl - px, yt - py], [xr + px, yt - py]]) {
+      if (full || within(qx, qy)) {
+        fb_paint_pixel(resource, qx, qy, r, g, b);
+      }
+    }
+  }
 
-    fb_draw_source(resource, img, width, height);
-    resource.loaded = true;
+  if (!full && type != FB_ARC_OPEN) {
+    x1 = Math.round(x1);
+    y1 = Math.round(y1);
+    x2 = Math.round(x2);
+    y2 = Math.round(y2);
 
-    after_load(resource, path);
-  };
+    if (type == FB_ARC_CHORD) {
+      fb_line_exact(resource, x1, y1, x2, y2, r, g, b);
+    } else {
+      let x3 = Math.round(cx);
+      let y3 = Math.round(cy);
 
-  // Event handler
-  img.onerror = function() {
-    resource.error = fb_error(FB_ERR_PATH_NOT_FOUND, FB_ORIGIN_SYSTEM, FN_NAME, FN_ARGS);
-    after_error(resource, path);
-  };
+      fb_line_exact(resource, x1, y1, x3, y3, r, g, b);
+      fb_line_exact(resource, x3, y3, x2, y2, r, g, b);
+    }
+  }
 
-  img.src = path;
+  fb_defer(resource);
 
-  return resource;
+  return true;
 }
 
 /**
- * Draw the contents from a resource child to the resource parent
- * <NoDefer>
- * @param {FBResource} resource_p Framebuffer Resource we're drawing to (parent)
- * @param {FBResource} resource_c Framebuffer Resource being drawn (child)
- * @param {number} x X axis
- * @param {number} y Y axis
- * @param {number} w Width (-1 is child's width)
- * @param {number} h Height (-1 is child's height)
- * @param {number} ox X axis offset
- * @param {number} oy Y axis offset
- * @returns {boolean}
+ * Midpoint ellipse points of the lower-right quadrant
+ * @param {number} a Horizontal radius (integer)
+ * @param {number} b Vertical radius (integer)
+ * @returns {array} Points ([[x, y], ...]) relative to the center
+ * <InternalFunction>
  */
-function fb_draw(
-  resource_p,
-  resource_c,
-  x = 0,
-  y = 0,
-  w = -1,
-  h = -1,
-  ox = 0,
-  oy = 0
-) {
-  if (!fb_valid(resource_p)) {
-    return false;
-  }
+function fb_ellipse_points(a, b) {
+  let points = [];
 
-  if (!fb_valid(resource_c)) {
-    return false;
+  if (b == 0) {
+    for (let x = 0; x <= a; x++) {
+      points.push([x, 0]);
+    }
+
+    return points;
   }
 
-  w = clamp(w, -1, resource_c.width) | 0;
-  h = clamp(h, -1, resource_c.height) | 0;
+  let a2 = a * a;
+  let b2 = b * b;
+  let x = 0;
+  let y = b;
+  let dx = 0;
+  let dy = 2 * a2 * y;
 
-  x |= 0;
-  y |= 0;
-  w |= 0;
-  h |= 0;
-  ox |= 0;
-  oy |= 0;
+  // Region 1, slope above -1
+  let d = b2 - a2 * b + a2 / 4;
 
-  // Don't draw
-  if (w == 0 && h == 0) {
-    return false;
-  }
+  while (dx < dy) {
+    points.push([x, y]);
+    x++;
+    dx += 2 * b2;
 
-  // If width or height are less than or equal to
-  // zero we assign each the child's dimensions
-  if (w == -1) {
-    w = resource_c.width;
+    if (d < 0) {
+      d += dx + b2;
+    } else {
+      y--;
+      dy -= 2 * a2;
+      d += dx - dy + b2;
+    }
   }
 
-  if (h == -1) {
-    h = resource_c.height;
+  // Region 2, slope below -1
+  d = b2 * (x + 0.5) * (x + 0.5) + a2 * (y - 1) * (y - 1) - a2 * b2;
+
+  while (y >= 0) {
+    points.push([x, y]);
+    y--;
+    dy -= 2 * a2;
+
+    if (d > 0) {
+      d += a2 - dy;
+    } else {
+      x++;
+      dx += 2 * b2;
+      d += dx - dy + a2;
+    }
   }
 
-  // Synchronize
-  resource_p.context.putImageData(resource_c.image, x, y, ox, oy, w, h);
-  resource_p.image = resource_p.context.getImageData(0, 0, w, h);
-  fb_update(resource_p);
+  // Flat ellipses stop short of the tips
+  for (let [x] = points[points.length - 1]; x < a; x++) {
+    points.push([x + 1, 0]);
+  }
 
-  return true;
+  return points;
 }
 
 /**
- * Fill the area with the given color starting from x,y until all
- * occurences of the background color have been replaced in that area.
+ * Draw a line from point A to point B
+ *
+ * Modes:
+ * - FB_LINE_EXACT: Bresenham, both end points included and every
+ *   pixel of the line plotted once (clipped to the resource)
+ * - FB_LINE_AA: Xiaolin Wu anti-aliased, blended into the pixels
+ * - FB_LINE_PRECISION: Steps along the line, see 'p'
+ *
  * @param {FBResource} resource Framebuffer Resource
- * @param {number} x X axis
- * @param {number} y Y axis
- * @param {number} r Red channel
+ * @param {number} x1 X axis (point A)
+ * @param {number} y1 Y axis (point A)
+ * @param {number} x2 X axis (point B)
+ * @param {number} y2 Y axis (point B)
+ * @param {number|FBGradient|FBPattern} r Red channel (or a paint, see fb_gradient_linear and fb_pattern)
  * @param {number} g Green channel
  * @param {number} b Blue channel
- * @param {(null|Function)} callback Callback function (default fb_set_pixel)
+ * @param {number} p Precision of line (clamped from 0.1 to 2, FB_LINE_PRECISION only)
+ * @param {number} mode Line mode (default FB_LINE_EXACT)
+ * @param {null|FBStroke|object} stroke Stroke style (see fb_stroke), replaces the mode
  * @returns {boolean}
  */
-function fb_fill(
+function fb_line(
   resource = null,
-  x,
-  y,
-  r,
-  g,
-  b,
-  callback = fb_set_pixel
+  x1,
+  y1,
+  x2,
+  y2,
+  r = 255,
+  g = 255,
+  b = 255,
+  p = 1,
+  mode = FB_LINE_EXACT,
+  stroke = null
 ) {
   if (!fb_valid(resource)) {
     return false;
   }
 
-  if (callback === null) {
-    callback = fb_set_pixel;
+  if (stroke !== null) {
+    fb_stroke_path(resource, [[x1, y1], [x2, y2]], false, stroke, r, g, b);
+    fb_defer(resource);
+    return true;
   }
 
-  // FIXME: Add a callback check to make sure it's a function
-  //        and if not, return an FBError with a built-in
-  //        FBErrorDefinition for such a case.
-
-  let bg_color = fb_get_pixel(resource, x, y);
+  if (mode == FB_LINE_AA) {
+    fb_line_wu(resource, x1, y1, x2, y2, r, g, b);
+    fb_defer(resource);
+    return true;
+  }
 
-  // Let's not shoot ourselves in the foot
-  if (bg_color[0] == r && bg_color[1] == g && bg_color[2] == b) {
-    return false;
+  if (mode == FB_LINE_EXACT) {
+    fb_line_exact(resource, Math.floor(x1), Math.floor(y1), Math.floor(x2), Math.floor(y2), r, g, b);
+    fb_defer(resource);
+    return true;
   }
 
-  let fill_stack = [];
-  fill_stack.push([x, y]);
+  p = clamp(p, 0.1, 2);
+  let x = x2 - x1;
+  let y = y2 - y1;
+  let l = Math.sqrt(x * x + y * y) * p;
 
-  while (fill_stack.length > 0) {
-    let [x, y] = fill_stack.pop();
-    let color = fb_get_pixel(resource, x, y);
+  let ax = x / l;
+  let ay = y / l;
 
-    if (0 > x || x > resource.width ||
-        0 > y || y > resource.height) {
-      continue;
-    }
+  x = x1;
+  y = y1;
 
-    if (color[0] != bg_color[0] ||
-        color[1] != bg_color[1] ||
-        color[2] != bg_color[2]) {
-      continue;
+  for (let i = 0; i < l; i += 0.5) {
+    if (resource.width > x && resource.height > y) {
+      fb_paint_pixel(resource, x, y, r, g, b);
     }
 
-    callback(resource, x, y, r, g, b);
-
-    fill_stack.push([x + 1, y]);
-    fill_stack.push([x - 1, y]);
-    fill_stack.push([x, y + 1]);
-    fill_stack.push([x, y - 1]);
+    x += ax / 2;
+    y += ay / 2;
   }
 
   fb_defer(resource);
@@ -1249,1064 +2474,10191 @@ function fb_fill(
 }
 
 /**
- * Retrieve a specific color channel from a resource
- * Disclaimer: Alpha channel is white if a resource was created.
+ * Plot a Bresenham line, clipped to the resource
+ * Pixel 'i' along the major axis is at round(i * minor / major)
+ * on the minor axis, so only the visible steps are walked and
+ * the clipped line keeps the pixels of the whole line.
+ * <InternalFunction, NoDefer>
  * @param {FBResource} resource Framebuffer Resource
- * @param {number} channel Channel index (0=Red, 1=Green, 2=Blue, 3=Alpha) (default 0)
- * @returns {null|FBResource} Framebuffer Resource
+ * @param {number} x1 X axis (point A, integer)
+ * @param {number} y1 Y axis (point A, integer)
+ * @param {number} x2 X axis (point B, integer)
+ * @param {number} y2 Y axis (point B, integer)
+ * @param {number} r Red channel
+ * @param {number} g Green channel
+ * @param {number} b Blue channel
  */
-function fb_get_channel(resource = null, channel = 0) {
-  // FIXME: test loaded images with alpha
+function fb_line_exact(resource, x1, y1, x2, y2, r, g, b) {
+  let dx = Math.abs(x2 - x1);
+  let dy = Math.abs(y2 - y1);
+  let sx = x2 >= x1 ? 1 : -1;
+  let sy = y2 >= y1 ? 1 : -1;
 
-  if (!fb_valid(resource)) {
-    return null;
-  }
+  let steep = dy > dx;
+  let major = steep ? dy : dx;
+  let minor = steep ? dx : dy;
 
-  channel = clamp(channel, 0, 3);
-  return fb_copy(resource, channel, channel, channel);
-}
+  // Major axis start, direction and size
+  let m1 = steep ? y1 : x1;
+  let ms = steep ? sy : sx;
+  let size = steep ? resource.height : resource.width;
 
-/**
- * Flip image horizontally (X axis)
- * @param {FBResource} resource Framebuffer Resource
- * @returns {null|FBResource} Framebuffer Resource
- */
-function fb_flip_x(resource = null) {
-  if (!fb_valid(resource)) {
-    return null;
-  }
+  // Steps inside the resource on the major axis
+  let first = ms > 0 ? -m1 : m1 - (size - 1);
+  let last = ms > 0 ? size - 1 - m1 : m1;
 
-  let width = resource.width;
-  let height = resource.height;
-  let resource_new = fb_create(width, height);
+  first = Math.max(0, first);
+  last = Math.min(major, last);
 
-  // FIXME: Linear access implementation?
-  for (let y = 0; y < height; y++) {
-    for (let x = 0; x < width; x++) {
-      let color = fb_get_pixel(resource, x, y);
+  for (let i = first; i <= last; i++) {
+    let offset = major == 0 ? 0 : Math.floor((2 * i * minor + major) / (2 * major));
 
-      // FIXME: Maybe we can yield better performance if we implement this ourselves in bitwise?
-      let x2 = Math.abs(width - x) - 1;
-      fb_set_pixel(resource_new, x2, y, ...color);
+    if (steep) {
+      fb_paint_pixel(resource, x1 + offset * sx, y1 + i * sy, r, g, b);
+    } else {
+      fb_paint_pixel(resource, x1 + i * sx, y1 + offset * sy, r, g, b);
     }
   }
-
-  fb_defer(resource_new); // FIXME: need test
-
-  return resource_new;
 }
 
 /**
- * Flip image vertically (Y axis)
+ * Plot a Xiaolin Wu anti-aliased line, clipped to the resource
+ * Pixel centers are at integer coordinates.
+ * <InternalFunction, NoDefer>
  * @param {FBResource} resource Framebuffer Resource
- * @returns {null|FBResource} Framebuffer Resource
+ * @param {number} x1 X axis (point A)
+ * @param {number} y1 Y axis (point A)
+ * @param {number} x2 X axis (point B)
+ * @param {number} y2 Y axis (point B)
+ * @param {number|FBGradient|FBPattern} r Red channel (or a paint)
+ * @param {number} g Green channel
+ * @param {number} b Blue channel
+ * @param {number} a Alpha channel (default 255)
  */
-function fb_flip_y(resource = null) {
-  if (!fb_valid(resource)) {
-    return null;
+function fb_line_wu(resource, x1, y1, x2, y2, r, g, b, a = 255) {
+  let steep = Math.abs(y2 - y1) > Math.abs(x2 - x1);
+
+  if (steep) {
+    [x1, y1, x2, y2] = [y1, x1, y2, x2];
   }
 
-  let width = resource.width;
-  let height = resource.height;
-  let resource_new = fb_create(width, height);
+  if (x1 > x2) {
+    [x1, y1, x2, y2] = [x2, y2, x1, y1];
+  }
 
-  // FIXME: Linear access implementation?
-  for (let y = 0; y < height; y++) {
-    for (let x = 0; x < width; x++) {
-      let color = fb_get_pixel(resource, x, y);
+  let fpart = (v) => v - Math.floor(v);
+  let rfpart = (v) => 1 - fpart(v);
 
-      // FIXME: Maybe we can yield better performance if we implement this ourselves in bitwise?
-      let y2 = Math.abs(height - y) - 1;
-      fb_set_pixel(resource_new, x, y2, ...color);
+  let plot = function(x, y, coverage) {
+    if (steep) {
+      [x, y] = [y, x];
     }
-  }
 
-  fb_defer(resource); // FIXME: need test
+    // Paints are sampled per pixel, their alpha scaled by the coverage
+    let paint = fb_paint_color(r, x, y);
 
-  return resource_new;
-}
+    if (paint !== null) {
+      fb_pixel_blend(resource, x, y, paint[0], paint[1], paint[2], paint[3] * a / 255 * coverage);
+    } else {
+      fb_pixel_blend(resource, x, y, r, g, b, a * coverage);
+    }
+  };
 
-/**
- * Rotate image right (90 degrees clockwise)
- * @param {FBResource} resource Framebuffer Resource
- * @returns {(null|Object)} Framebuffer Resource
- */
-function fb_rotate_right(resource = null) {
-  if (!fb_valid(resource)) {
-    return null;
-  }
+  let dx = x2 - x1;
+  let gradient = dx == 0 ? 1 : (y2 - y1) / dx;
 
-  let width = resource.width;
-  let height = resource.height;
-  let resource_new = fb_create(height, width);
+  // End points
+  let xend1 = Math.round(x1);
+  let yend1 = y1 + gradient * (xend1 - x1);
+  let xgap = rfpart(x1 + 0.5);
 
-  // FIXME: Linear access implementation?
-  for (let y = 0; y < height; y++) {
-    for (let x = 0; x < width; x++) {
-      let color = fb_get_pixel(resource, x, y);
+  plot(xend1, Math.floor(yend1), rfpart(yend1) * xgap);
+  plot(xend1, Math.floor(yend1) + 1, fpart(yend1) * xgap);
 
-      // FIXME: Maybe we can yield better performance if we implement this ourselves in bitwise?
-      let y2 = Math.abs(height - y) - 1;
-      fb_set_pixel(resource_new, y2, x, ...color);
-    }
+  let xend2 = Math.round(x2);
+  let yend2 = y2 + gradient * (xend2 - x2);
+  xgap = fpart(x2 + 0.5);
+
+  if (xend2 != xend1) {
+    plot(xend2, Math.floor(yend2), rfpart(yend2) * xgap);
+    plot(xend2, Math.floor(yend2) + 1, fpart(yend2) * xgap);
   }
 
-  fb_defer(resource); // FIXME: need test
+  // Steps inside the resource on the major axis
+  let size = steep ? resource.height : resource.width;
+  let first = Math.max(xend1 + 1, 0);
+  let last = Math.min(xend2 - 1, size - 1);
 
-  return resource_new;
+  for (let x = first; x <= last; x++) {
+    let y = yend1 + gradient * (x - xend1);
+
+    plot(x, Math.floor(y), rfpart(y));
+    plot(x, Math.floor(y) + 1, fpart(y));
+  }
 }
 
 /**
- * Rotate image left (90 degrees counterclockwise)
- * @param {FBResource} resource Framebuffer Resource
- * @returns {(null|Object)} Framebuffer Resource
+ * Create a stroke style for primitives (see fb_line, fb_rect, fb_circle)
+ *
+ * Options:
+ * - width: Line width in pixels (default 1)
+ * - dash: Dash pattern, lengths of dashes and gaps (default [], solid),
+ *   periods under a pixel are scaled up to one
+ * - dash_offset: Distance into the dash pattern to start at (default 0)
+ * - cap: FB_CAP_BUTT, FB_CAP_ROUND or FB_CAP_SQUARE
+ * - join: FB_JOIN_MITER, FB_JOIN_ROUND or FB_JOIN_BEVEL
+ * - miter_limit: Miter length to width ratio, longer miters are beveled (default 10)
+ *
+ * Same semantics as the Canvas 2D API, but coordinates of points
+ * are pixel centers and pixels are either covered or not.
+ *
+ * @param {object} options Stroke options
+ * @returns {FBStroke} Stroke style
  */
-function fb_rotate_left(resource = null) {
-  if (!fb_valid(resource)) {
-    return null;
-  }
+function fb_stroke(options = {}) {
+  let stroke = new FBStroke({
+    width: 1,
+    dash: [],
+    dash_offset: 0,
+    cap: FB_CAP_BUTT,
+    join: FB_JOIN_MITER,
+    miter_limit: 10,
+  }, options);
 
-  let width = resource.width;
-  let height = resource.height;
-  let resource_new = fb_create(height, width);
+  stroke.width = Math.max(0, +stroke.width || 0);
+  stroke.miter_limit = Math.max(1, +stroke.miter_limit || 10);
+  stroke.dash_offset = +stroke.dash_offset || 0;
 
-  // FIXME: Linear access implementation?
-  for (let y = 0; y < height; y++) {
-    for (let x = 0; x < width; x++) {
-      let color = fb_get_pixel(resource, x, y);
+  let dash = Array.isArray(stroke.dash) ? stroke.dash.map(Number) : [];
 
-      // FIXME: Maybe we can yield better performance if we implement this ourselves in bitwise?
-      let x2 = Math.abs(width - x) - 1;
-      fb_set_pixel(resource_new, y, x2, ...color);
-    }
+  // Invalid patterns are solid, odd ones are repeated
+  if (dash.some((length) => !(length >= 0 && isFinite(length))) || dash.every((length) => length == 0)) {
+    dash = [];
   }
 
-  fb_defer(resource); // FIXME: need test
+  // Periods under a pixel are scaled up to one, tinier
+  // dashes would only add shapes covering no pixels
+  let period = dash.reduce((sum, length) => sum + length, 0);
 
-  return resource_new;
+  if (period > 0 && period < 1) {
+    dash = dash.map((length) => length / period);
+    stroke.dash_offset /= period;
+  }
+
+  stroke.dash = dash.length % 2 ? dash.concat(dash) : dash;
+
+  return stroke;
 }
 
 /**
- * Replace a specific color in the image
+ * Stroke a polyline with a stroke style
+ * <InternalFunction, NoDefer>
  * @param {FBResource} resource Framebuffer Resource
- * @param {number} pr Red channel (parent)
- * @param {number} pg Green channel (parent)
- * @param {number} pb Blue channel (parent)
- * @param {number} cr Red channel (child)
- * @param {number} cg Green channel (child)
- * @param {number} cb Blue channel (child)
- * @returns {(null|Object)} Framebuffer Resource
+ * @param {array} points Points ([x, y] pixel centers)
+ * @param {boolean} closed Connect the last point to the first
+ * @param {FBStroke|object} stroke Stroke style (see fb_stroke)
+ * @param {number} r Red channel
+ * @param {number} g Green channel
+ * @param {number} b Blue channel
  */
-function fb_color_replace(resource = null, pr, pg, pb, cr, cg, cb) {
-  if (!fb_valid(resource)) {
-    return null;
+function fb_stroke_path(resource, points, closed, stroke, r, g, b) {
+  if (!(stroke instanceof FBStroke)) {
+    stroke = fb_stroke(stroke);
   }
 
-  let width = resource.width;
-  let height = resource.height;
-  let resource_new = fb_copy(resource);
+  if (stroke.width == 0 || points.length == 0) {
+    return;
+  }
 
-  // FIXME: Linear access implementation?
-  for (let y = 0; y < height; y++) {
-    for (let x = 0; x < width; x++) {
-      let [r, g, b] = fb_get_pixel(resource, x, y);
+  // Pixel centers, without repeated points
+  let path = [];
 
-      if (r == pr && g == pg &&b == pb) {
-        fb_set_pixel(resource_new, x, y, cr, cg ,cb);
-      }
+  for (let [x, y] of points) {
+    let last = path[path.length - 1];
+
+    if (last === undefined || last[0] != x + 0.5 || last[1] != y + 0.5) {
+      path.push([x + 0.5, y + 0.5]);
     }
   }
 
-  fb_defer(resource_new); // FIXME: need test
+  if (closed && path.length > 1 && path[0][0] == path[path.length - 1][0] && path[0][1] == path[path.length - 1][1]) {
+    path.pop();
+  }
 
-  return resource_new;
-}
+  closed = closed && path.length > 2;
 
-/**
- * Invert colors of an image
- * @param {FBResource} resource Framebuffer Resource
- * @returns {(null|Object)} Framebuffer Resource
- */
-function fb_color_invert(resource = null) {
-  if (!fb_valid(resource)) {
-    return null;
-  }
+  let shapes = [];
 
-  let resource_new = fb_copy(resource);
+  // Dashes farther out than caps and miters reach are not drawn
+  let margin = stroke.width * stroke.miter_limit + 1;
+  let bounds = [-margin, -margin, resource.width + margin, resource.height + margin];
 
-  for (let i = 0; i < resource.image.data.length; i += 4) {
-    resource_new.image.data[i + FB_CHANNEL_R] ^= 255;
-    resource_new.image.data[i + FB_CHANNEL_G] ^= 255;
-    resource_new.image.data[i + FB_CHANNEL_B] ^= 255;
+  for (let run of fb_stroke_dashes(path, closed, stroke.dash, stroke.dash_offset, bounds)) {
+    fb_stroke_outline(run, closed && stroke.dash.length == 0, stroke, shapes);
   }
 
-  fb_defer(resource_new); // FIXME: need test
-
-  return resource_new;
+  fb_spans_fill(resource, shapes, r, g, b);
 }
 
 /**
- * Convert image to grayscale
- * @param {FBResource} resource Framebuffer Resource
- * @returns {(null|Object)} Framebuffer Resource
+ * Split a polyline into its dashes
+ * Parts of segments outside of the bounds only advance the
+ * pattern, no dashes are made there.
+ * <InternalFunction>
+ * @param {array} path Points
+ * @param {boolean} closed Connect the last point to the first
+ * @param {array} dash Dash pattern (even length, or empty)
+ * @param {number} offset Dash offset
+ * @param {array} bounds Area to make dashes in ([x1, y1, x2, y2])
+ * @returns {array} Polylines
  */
-function fb_color_grayscale(resource = null) {
-  if (!fb_valid(resource)) {
-    return null;
+function fb_stroke_dashes(path, closed, dash, offset, bounds) {
+  if (dash.length == 0) {
+    return [path];
   }
 
-  let pixelcount = resource.image.data.length;
-  let resource_new = fb_create(resource.width, resource.height);
-
-  for (let i = 0; i <= pixelcount; i += 4) {
-    let [r, g, b] = fb_get_pixel(resource, i);
+  let points = closed ? path.concat([path[0]]) : path;
+  let period = dash.reduce((total, length) => total + length, 0);
 
-    // https://en.wikipedia.org/wiki/Luma_(video)#Use_of_relative_luminance
-    let color = (r * 0.21)
-              + (g * 0.72)
-              + (b * 0.07);
+  // Position in the pattern
+  let phase = ((offset % period) + period) % period;
+  let index = 0;
 
-    resource_new.image.data[i + FB_CHANNEL_R] = color;
-    resource_new.image.data[i + FB_CHANNEL_G] = color;
-    resource_new.image.data[i + FB_CHANNEL_B] = color;
+  while (phase >= dash[index]) {
+    phase -= dash[index];
+    index = (index + 1) % dash.length;
   }
 
-  fb_defer(resource_new);
+  let left = dash[index] - phase;
+  let runs = [];
+  let run = index % 2 == 0 ? [points[0]] : null;
 
-  return resource_new;
-}
+  // Move along the pattern without making dashes
+  let skip = function(distance) {
+    if (run !== null && run.length > 1) {
+      runs.push(run);
+    }
 
-/**
- * Convert image to 1-bit
- * @param {FBResource} resource Framebuffer Resource
- * @returns {(null|Object)} Framebuffer Resource
- */
-function fb_color_1bit(resource = null) {
-  if (!fb_valid(resource)) {
-    return null;
-  }
+    if (distance >= left) {
+      distance -= left;
+      index = (index + 1) % dash.length;
+      left = dash[index];
+      distance %= period;
 
-  let width = resource.width;
-  let height = resource.height;
-  let resource_new = fb_create(width, height);
+      while (distance >= left) {
+        distance -= left;
+        index = (index + 1) % dash.length;
+        left = dash[index];
+      }
+    }
 
-  // FIXME: Linear access implementation?
-  for (let y = 0; y < height; y++) {
-    for (let x = 0; x < width; x++) {
-      let c = fb_get_pixel(resource, x, y);
+    left -= distance;
+  };
 
-      c = (((c[0] + c[1] + c[2]) / 3) | 0) & 0xFF;
-      c = c > 127 ? 255 : 0;
+  for (let i = 0; i + 1 < points.length; i++) {
+    let [ax, ay] = points[i];
+    let [bx, by] = points[i + 1];
+    let length = Math.hypot(bx - ax, by - ay);
+    let [t0, t1] = fb_stroke_clip(ax, ay, bx, by, bounds);
 
-      fb_set_pixel(resource_new, x, y, c, c, c);
+    // Entirely outside
+    if (t0 > t1) {
+      skip(length);
+      run = index % 2 == 0 ? [[bx, by]] : null;
+      continue;
     }
-  }
-
-  fb_defer(resource_new); // FIXME: need test
 
-  return resource_new;
-}
+    let at = t0 * length;
+    let end = t1 * length;
 
-/**
- * Add grayscale noise to an image
- * @param {FBResource} resource Framebuffer Resource
- * @param {number} scale Amount of noise to add ranging from 0.0 to 10.0 (default 0.1)
- * @returns {(null|Object)} Framebuffer Resource
- */
-function fb_noise_grayscale(resource = null, scale = 0.1) {
-  if (!fb_valid(resource)) {
-    return null;
-  }
+    if (t0 > 0) {
+      skip(at);
+      run = index % 2 == 0 ? [[ax + (bx - ax) * t0, ay + (by - ay) * t0]] : null;
+    }
 
-  scale = clamp(scale, 0, 10);
+    while (end - at > left) {
+      at += left;
 
-  let resource_new = fb_copy(resource);
+      let point = [ax + (bx - ax) * at / length, ay + (by - ay) * at / length];
 
-  if (scale == 0) {
-    return resource_new;
-  }
+      // Dash ends, or starts
+      if (run !== null) {
+        run.push(point);
+        runs.push(run);
+        run = null;
+      } else {
+        run = [point];
+      }
 
-  let width = resource.width;
-  let height = resource.height;
+      index = (index + 1) % dash.length;
+      left = dash[index];
+    }
 
-  // FIXME: Linear access implementation?
-  for (let y = 0; y < height; y++) {
-    for (let x = 0; x < width; x++) {
-      let c = fb_get_pixel(resource, x, y);
-      let noise = Math.floor(Math.random(0) * (255 * scale)); // FIXME: Try bitwise this
+    left -= end - at;
 
-      // FIXME: Do we need clamping here? The Uint8ClampedArray
-      //        should automatically handle it, albeit it relies
-      //        on the modulo (%) operator, which may yield
-      //        incorrect results.
-      c[0] = clamp(c[0] + noise, 0, 255);
-      c[1] = clamp(c[1] + noise, 0, 255);
-      c[2] = clamp(c[2] + noise, 0, 255);
+    if (t1 < 1) {
+      if (run !== null) {
+        run.push([ax + (bx - ax) * t1, ay + (by - ay) * t1]);
+      }
 
-      fb_set_pixel(resource_new, x, y, ...c);
+      skip(length - end);
+      run = index % 2 == 0 ? [[bx, by]] : null;
+    } else if (run !== null) {
+      run.push([bx, by]);
     }
   }
 
-  fb_defer(resource_new); // FIXME: need test
+  if (run !== null) {
+    runs.push(run);
+  }
 
-  return resource_new;
+  return runs;
 }
 
 /**
- * Add RGB noise to an image
- * @param {FBResource} resource Framebuffer Resource
- * @param {number} scale Amount of noise to add ranging from 0.0 to 10.0 (default 0.1)
- * @returns {null|object} Framebuffer Resource
+ * Clip a segment to an area (Liang-Barsky)
+ * <InternalFunction>
+ * @param {number} ax X axis of the start
+ * @param {number} ay Y axis of the start
+ * @param {number} bx X axis of the end
+ * @param {number} by Y axis of the end
+ * @param {array} bounds Area ([x1, y1, x2, y2])
+ * @returns {array} Part of the segment inside ([t0, t1], t0 > t1 when outside)
  */
-function fb_noise_rgb(resource = null, scale = 0.1) {
-  if (!fb_valid(resource)) {
-    return null;
+function fb_stroke_clip(ax, ay, bx, by, bounds) {
+  let [x1, y1, x2, y2] = bounds;
+  let dx = bx - ax;
+  let dy = by - ay;
+  let t0 = 0;
+  let t1 = 1;
+
+  for (let [p, q] of [[-dx, ax - x1], [dx, x2 - ax], [-dy, ay - y1], [dy, y2 - ay]]) {
+    if (p == 0) {
+      if (q < 0) {
+        return [1, 0];
+      }
+    } else if (p < 0) {
+      t0 = Math.max(t0, q / p);
+    } else {
+      t1 = Math.min(t1, q / p);
+    }
   }
 
-  scale = clamp(scale, 0, 10);
+  return [t0, t1];
+}
 
-  let resource_new = fb_copy(resource);
+/**
+ * Add the shapes covered by a stroked polyline
+ * Segments are quads, caps and joins are added at the ends and
+ * at the corners.
+ * <InternalFunction>
+ * @param {array} path Points
+ * @param {boolean} closed Connect the last point to the first
+ * @param {FBStroke} stroke Stroke style
+ * @param {array} shapes Shapes (see fb_spans_fill)
+ */
+function fb_stroke_outline(path, closed, stroke, shapes) {
+  let hw = stroke.width / 2;
 
-  if (scale == 0) {
-    return resource_new;
-  }
+  // Dashes can end on a corner
+  path = path.filter(function(point, i) {
+    return i == 0 || point[0] != path[i - 1][0] || point[1] != path[i - 1][1];
+  });
 
-  let width = resource.width;
-  let height = resource.height;
+  // Segment directions and normals
+  let count = closed ? path.length : path.length - 1;
+  let dirs = [];
 
-  // FIXME: Linear access implementation?
-  for (let y = 0; y < height; y++) {
-    for (let x = 0; x < width; x++) {
-      let c = fb_get_pixel(resource, x, y);
+  for (let i = 0; i < count; i++) {
+    let [ax, ay] = path[i];
+    let [bx, by] = path[(i + 1) % path.length];
+    let length = Math.hypot(bx - ax, by - ay);
 
-      // FIXME: Overuse of the Math prototype methods.
-      //        We must come up with a better and more
+    if (length == 0) {
+      continue;
+    }
+
+    let dx = (bx - ax) / length;
+    let dy = (by - ay) / length;
+
+    dirs.push([dx, dy]);
+
+    shapes.push([
+      [ax - dy * hw, ay + dx * hw],
+      [bx - dy * hw, by + dx * hw],
+      [bx + dy * hw, by - dx * hw],
+      [ax + dy * hw, ay - dx * hw],
+    ]);
+  }
+
+  // Zero length: round and square caps are drawn as dots
+  if (dirs.length == 0) {
+    let [x, y] = path[0];
+
+    if (stroke.cap == FB_CAP_ROUND) {
+      shapes.push({ x: x, y: y, radius: hw });
+    } else if (stroke.cap == FB_CAP_SQUARE) {
+      shapes.push([[x - hw, y - hw], [x + hw, y - hw], [x + hw, y + hw], [x - hw, y + hw]]);
+    }
+
+    return;
+  }
+
+  // Joins
+  for (let i = closed ? 0 : 1; i < dirs.length; i++) {
+    let d1 = dirs[(i - 1 + dirs.length) % dirs.length];
+    let d2 = dirs[i];
+    let [x, y] = path[i];
+
+    fb_stroke_join(x, y, d1, d2, stroke, shapes);
+  }
+
+  if (closed) {
+    return;
+  }
+
+  // Caps
+  let ends = [
+    [path[0], dirs[0].map((v) => -v)],
+    [path[path.length - 1], dirs[dirs.length - 1]],
+  ];
+
+  for (let [[x, y], [dx, dy]] of ends) {
+    if (stroke.cap == FB_CAP_ROUND) {
+      shapes.push({ x: x, y: y, radius: hw });
+    } else if (stroke.cap == FB_CAP_SQUARE) {
+      shapes.push([
+        [x - dy * hw, y + dx * hw],
+        [x - dy * hw + dx * hw, y + dx * hw + dy * hw],
+        [x + dy * hw + dx * hw, y - dx * hw + dy * hw],
+        [x + dy * hw, y - dx * hw],
+      ]);
+    }
+  }
+}
+
+/**
+ * Add the shape joining two segments at a point
+ * <InternalFunction>
+ * @param {number} x X axis
+ * @param {number} y Y axis
+ * @param {array} d1 Direction of the incoming segment
+ * @param {array} d2 Direction of the outgoing segment
+ * @param {FBStroke} stroke Stroke style
+ * @param {array} shapes Shapes (see fb_spans_fill)
+ */
+function fb_stroke_join(x, y, d1, d2, stroke, shapes) {
+  let hw = stroke.width / 2;
+  let cross = d1[0] * d2[1] - d1[1] * d2[0];
+
+  // Straight
+  if (Math.abs(cross) < 1e-9 && d1[0] * d2[0] + d1[1] * d2[1] > 0) {
+    return;
+  }
+
+  if (stroke.join == FB_JOIN_ROUND) {
+    shapes.push({ x: x, y: y, radius: hw });
+    return;
+  }
+
+  // Normals on the outer side of the turn
+  let side = cross > 0 ? -1 : 1;
+  let n1 = [-d1[1] * side, d1[0] * side];
+  let n2 = [-d2[1] * side, d2[0] * side];
+
+  let a = [x + n1[0] * hw, y + n1[1] * hw];
+  let b = [x + n2[0] * hw, y + n2[1] * hw];
+  let dot = n1[0] * n2[0] + n1[1] * n2[1];
+
+  // Miter length over the width is 1 / sin(angle / 2)
+  if (stroke.join == FB_JOIN_MITER && dot > -1 && 1 / Math.sqrt((1 + dot) / 2) <= stroke.miter_limit) {
+    let m = hw / (1 + dot);
+    shapes.push([[x, y], a, [x + (n1[0] + n2[0]) * m, y + (n1[1] + n2[1]) * m], b]);
+    return;
+  }
+
+  shapes.push([[x, y], a, b]);
+}
+
+/**
+ * Fill the union of shapes, pixels are filled when their
+ * center is inside (left and top edges inclusive)
+ * <InternalFunction, NoDefer>
+ * @param {FBResource} resource Framebuffer Resource
+ * @param {array} shapes Convex polygons ([[x, y], ...]) and circles ({ x, y, radius })
+ * @param {number} r Red channel
+ * @param {number} g Green channel
+ * @param {number} b Blue channel
+ */
+function fb_spans_fill(resource, shapes, r, g, b) {
+  let bounds = shapes.map(function(shape) {
+    if (Array.isArray(shape)) {
+      let ys = shape.map((point) => point[1]);
+      return [Math.min(...ys), Math.max(...ys)];
+    }
+
+    return [shape.y - shape.radius, shape.y + shape.radius];
+  });
+
+  let top = Infinity;
+  let bottom = -Infinity;
+
+  for (let [y0, y1] of bounds) {
+    top = Math.min(top, y0);
+    bottom = Math.max(bottom, y1);
+  }
+
+  top = Math.max(0, Math.floor(top));
+  bottom = Math.min(resource.height - 1, Math.ceil(bottom));
+
+  for (let y = top; y <= bottom; y++) {
+    let yc = y + 0.5;
+    let spans = [];
+
+    for (let i = 0; i < shapes.length; i++) {
+      let shape = shapes[i];
+
+      if (yc < bounds[i][0] || yc > bounds[i][1]) {
+        continue;
+      }
+
+      if (!Array.isArray(shape)) {
+        let dx = Math.sqrt(shape.radius * shape.radius - (yc - shape.y) * (yc - shape.y));
+        spans.push([shape.x - dx, shape.x + dx]);
+        continue;
+      }
+
+      let x0 = Infinity;
+      let x1 = -Infinity;
+
+      for (let j = 0; j < shape.length; j++) {
+        let [ax, ay] = shape[j];
+        let [bx, by] = shape[(j + 1) % shape.length];
+
+        if ((ay <= yc && yc < by) || (by <= yc && yc < ay)) {
+          let x = ax + (yc - ay) * (bx - ax) / (by - ay);
+          x0 = Math.min(x0, x);
+          x1 = Math.max(x1, x);
+        }
+      }
+
+      if (x0 < x1) {
+        spans.push([x0, x1]);
+      }
+    }
+
+    // Merge overlapping spans, so pixels are set once
+    spans.sort((s1, s2) => s1[0] - s2[0]);
+
+    for (let i = 0; i < spans.length; i++) {
+      let [x0, x1] = spans[i];
+
+      while (i + 1 < spans.length && spans[i + 1][0] <= x1) {
+        x1 = Math.max(x1, spans[++i][1]);
+      }
+
+      let from = Math.max(0, Math.ceil(x0 - 0.5));
+      let to = Math.min(resource.width, Math.ceil(x1 - 0.5));
+
+      for (let x = from; x < to; x++) {
+        fb_paint_pixel(resource, x, y, r, g, b);
+      }
+    }
+  }
+}
+
+/**
+ * Draw a polygon
+ * Filled like the Canvas 2D API (without anti-aliasing): pixels
+ * with their center inside, so (0, 0), (10, 0), (10, 10), (0, 10)
+ * fills the same pixels as fb_rect(resource, 0, 0, 10, 10).
+ * Outlines go through the points as pixels (see fb_line).
+ * @param {FBResource} resource Framebuffer Resource
+ * @param {array} points Points ([[x, y], ...], [{ x, y }, ...] or [x, y, x, y, ...])
+ * @param {number|FBGradient|FBPattern} r Red channel (or a paint, see fb_gradient_linear and fb_pattern)
+ * @param {number} g Green channel
+ * @param {number} b Blue channel
+ * @param {boolean} fill Fill the area with color
+ * @param {number} rule Fill rule, FB_FILL_NONZERO or FB_FILL_EVENODD (default FB_FILL_NONZERO)
+ * @param {null|FBStroke|object} stroke Stroke style of the outline (see fb_stroke)
+ * @returns {boolean|FBError}
+ */
+function fb_polygon(
+  resource = null,
+  points = [],
+  r = 255,
+  g = 255,
+  b = 255,
+  fill = false,
+  rule = FB_FILL_NONZERO,
+  stroke = null
+) {
+  let FN_NAME = 'fb_polygon';
+  let FN_ARGS = [...arguments];
+
+  if (!fb_valid(resource)) {
+    return false;
+  }
+
+  if (rule != FB_FILL_NONZERO && rule != FB_FILL_EVENODD) {
+    return fb_error(FB_ERR_BAD_FILL_RULE, FB_ORIGIN_SYSTEM, FN_NAME, FN_ARGS);
+  }
+
+  points = fb_points(points);
+
+  if (points.length == 0) {
+    return false;
+  }
+
+  if (fill) {
+    fb_polygon_fill(resource, [points], rule, r, g, b);
+  } else if (stroke !== null) {
+    fb_stroke_path(resource, points, true, stroke, r, g, b);
+  } else {
+    for (let i = 0; i < points.length; i++) {
+      let [x1, y1] = points[i];
+      let [x2, y2] = points[(i + 1) % points.length];
+
+      fb_line(resource, x1, y1, x2, y2, r, g, b);
+    }
+  }
+
+  fb_defer(resource);
+
+  return true;
+}
+
+/**
+ * Draw a triangle (see fb_polygon)
+ * @param {FBResource} resource Framebuffer Resource
+ * @param {number} x1 X axis (point A)
+ * @param {number} y1 Y axis (point A)
+ * @param {number} x2 X axis (point B)
+ * @param {number} y2 Y axis (point B)
+ * @param {number} x3 X axis (point C)
+ * @param {number} y3 Y axis (point C)
+ * @param {number|FBGradient|FBPattern} r Red channel (or a paint, see fb_gradient_linear and fb_pattern)
+ * @param {number} g Green channel
+ * @param {number} b Blue channel
+ * @param {boolean} fill Fill the area with color
+ * @param {null|FBStroke|object} stroke Stroke style of the outline (see fb_stroke)
+ * @returns {boolean}
+ */
+function fb_triangle(
+  resource = null,
+  x1 = 0,
+  y1 = 0,
+  x2 = 0,
+  y2 = 0,
+  x3 = 0,
+  y3 = 0,
+  r = 255,
+  g = 255,
+  b = 255,
+  fill = false,
+  stroke = null
+) {
+  return fb_polygon(resource, [[x1, y1], [x2, y2], [x3, y3]], r, g, b, fill, FB_FILL_NONZERO, stroke);
+}
+
+/**
+ * Draw connected lines through points (see fb_line)
+ * @param {FBResource} resource Framebuffer Resource
+ * @param {array} points Points ([[x, y], ...], [{ x, y }, ...] or [x, y, x, y, ...])
+ * @param {number|FBGradient|FBPattern} r Red channel (or a paint, see fb_gradient_linear and fb_pattern)
+ * @param {number} g Green channel
+ * @param {number} b Blue channel
+ * @param {null|FBStroke|object} stroke Stroke style, joins apply at the points (see fb_stroke)
+ * @returns {boolean}
+ */
+function fb_polyline(resource = null, points = [], r = 255, g = 255, b = 255, stroke = null) {
+  if (!fb_valid(resource)) {
+    return false;
+  }
+
+  points = fb_points(points);
+
+  if (points.length == 0) {
+    return false;
+  }
+
+  if (stroke !== null) {
+    fb_stroke_path(resource, points, false, stroke, r, g, b);
+  } else if (points.length == 1) {
+    fb_paint_pixel(resource, points[0][0], points[0][1], r, g, b);
+  } else {
+    for (let i = 0; i + 1 < points.length; i++) {
+      fb_line(resource, points[i][0], points[i][1], points[i + 1][0], points[i + 1][1], r, g, b);
+    }
+  }
+
+  fb_defer(resource);
+
+  return true;
+}
+
+/**
+ * Normalize a list of points to [[x, y], ...]
+ * <InternalFunction>
+ * @param {array} points Points ([[x, y], ...], [{ x, y }, ...] or [x, y, x, y, ...])
+ * @returns {array}
+ */
+function fb_points(points) {
+  if (!Array.isArray(points) || points.length == 0) {
+    return [];
+  }
+
+  if (typeof points[0] === 'number') {
+    let pairs = [];
+
+    for (let i = 0; i + 1 < points.length; i += 2) {
+      pairs.push([+points[i], +points[i + 1]]);
+    }
+
+    return pairs;
+  }
+
+  return points.map((point) => Array.isArray(point) ? [+point[0], +point[1]] : [+point.x, +point.y]);
+}
+
+/**
+ * Scanline fill of contours with a fill rule
+ * Edges are kept in an active edge table, crossings at the pixel
+ * centers of each row are sorted and their winding decides the
+ * spans (left and top edges inclusive).
+ * <InternalFunction, NoDefer>
+ * @param {FBResource} resource Framebuffer Resource
+ * @param {array} contours Closed contours ([[[x, y], ...], ...])
+ * @param {number} rule Fill rule (FB_FILL_NONZERO or FB_FILL_EVENODD)
+ * @param {number} r Red channel
+ * @param {number} g Green channel
+ * @param {number} b Blue channel
+ */
+function fb_polygon_fill(resource, contours, rule, r, g, b) {
+  let edges = [];
+
+  for (let contour of contours) {
+    for (let i = 0; i < contour.length; i++) {
+      let [x1, y1] = contour[i];
+      let [x2, y2] = contour[(i + 1) % contour.length];
+
+      // Horizontal edges never cross a row center
+      if (y1 == y2 || !isFinite(x1 + y1 + x2 + y2)) {
+        continue;
+      }
+
+      let winding = y2 > y1 ? 1 : -1;
+
+      if (winding < 0) {
+        [x1, y1, x2, y2] = [x2, y2, x1, y1];
+      }
+
+      edges.push({ top: y1, bottom: y2, x: x1, slope: (x2 - x1) / (y2 - y1), winding: winding });
+    }
+  }
+
+  if (edges.length == 0) {
+    return;
+  }
+
+  edges.sort((e1, e2) => e1.top - e2.top);
+
+  // Rows with a center in [top, bottom) of some edge
+  let first = Math.max(0, Math.ceil(edges[0].top - 0.5));
+  let bottom = -Infinity;
+
+  for (let edge of edges) {
+    bottom = Math.max(bottom, edge.bottom);
+  }
+
+  let last = Math.min(resource.height - 1, Math.ceil(bottom - 0.5) - 1);
+
+  let active = [];
+  let next = 0;
+
+  for (let y = first; y <= last; y++) {
+    let yc = y + 0.5;
+
+    while (next < edges.length && edges[next].top <= yc) {
+      active.push(edges[next++]);
+    }
+
+    active = active.filter((edge) => edge.bottom > yc);
+
+    let crossings = active
+      .map((edge) => [edge.x + (yc - edge.top) * edge.slope, edge.winding])
+      .sort((c1, c2) => c1[0] - c2[0]);
+
+    let winding = 0;
+
+    for (let i = 0; i + 1 < crossings.length; i++) {
+      winding += rule == FB_FILL_EVENODD ? 1 : crossings[i][1];
+
+      let inside = rule == FB_FILL_EVENODD ? winding % 2 != 0 : winding != 0;
+
+      if (!inside) {
+        continue;
+      }
+
+      let from = Math.max(0, Math.ceil(crossings[i][0] - 0.5));
+      let to = Math.min(resource.width, Math.ceil(crossings[i + 1][0] - 0.5));
+
+      for (let x = from; x < to; x++) {
+        fb_paint_pixel(resource, x, y, r, g, b);
+      }
+    }
+  }
+}
+
+/**
+ * Create an empty path
+ * Curves are kept as they are given and only flattened
+ * to lines when the path is drawn (see fb_path_stroke and fb_path_fill).
+ * @returns {FBPath}
+ */
+function fb_path_create() {
+  return new FBPath({
+    // Commands as [type, ...coordinates], type is one of
+    // 'M' (x, y), 'L' (x, y), 'Q' (cx, cy, x, y),
+    // 'C' (c1x, c1y, c2x, c2y, x, y) or 'Z'
+    commands: [],
+
+    // Current point (null until the first command)
+    x: null,
+    y: null,
+
+    // Start of the current subpath
+    start_x: null,
+    start_y: null,
+  });
+}
+
+/**
+ * Start a new subpath at a point
+ * @param {FBPath} path Path
+ * @param {number} x X axis
+ * @param {number} y Y axis
+ * @returns {boolean}
+ */
+function fb_path_move_to(path = null, x = 0, y = 0) {
+  if (!(path instanceof FBPath)) {
+    return false;
+  }
+
+  path.commands.push(['M', x, y]);
+  path.x = path.start_x = x;
+  path.y = path.start_y = y;
+
+  return true;
+}
+
+/**
+ * Add a line from the current point (or move there on an empty path)
+ * @param {FBPath} path Path
+ * @param {number} x X axis
+ * @param {number} y Y axis
+ * @returns {boolean}
+ */
+function fb_path_line_to(path = null, x = 0, y = 0) {
+  if (!(path instanceof FBPath)) {
+    return false;
+  }
+
+  if (path.x === null) {
+    return fb_path_move_to(path, x, y);
+  }
+
+  path.commands.push(['L', x, y]);
+  path.x = x;
+  path.y = y;
+
+  return true;
+}
+
+/**
+ * Add a quadratic Bézier curve from the current point
+ * @param {FBPath} path Path
+ * @param {number} cx X axis (control point)
+ * @param {number} cy Y axis (control point)
+ * @param {number} x X axis (end point)
+ * @param {number} y Y axis (end point)
+ * @returns {boolean}
+ */
+function fb_path_quadratic_to(path = null, cx = 0, cy = 0, x = 0, y = 0) {
+  if (!(path instanceof FBPath)) {
+    return false;
+  }
+
+  if (path.x === null) {
+    fb_path_move_to(path, cx, cy);
+  }
+
+  path.commands.push(['Q', cx, cy, x, y]);
+  path.x = x;
+  path.y = y;
+
+  return true;
+}
+
+/**
+ * Add a cubic Bézier curve from the current point
+ * @param {FBPath} path Path
+ * @param {number} c1x X axis (first control point)
+ * @param {number} c1y Y axis (first control point)
+ * @param {number} c2x X axis (second control point)
+ * @param {number} c2y Y axis (second control point)
+ * @param {number} x X axis (end point)
+ * @param {number} y Y axis (end point)
+ * @returns {boolean}
+ */
+function fb_path_bezier_to(path = null, c1x = 0, c1y = 0, c2x = 0, c2y = 0, x = 0, y = 0) {
+  if (!(path instanceof FBPath)) {
+    return false;
+  }
+
+  if (path.x === null) {
+    fb_path_move_to(path, c1x, c1y);
+  }
+
+  path.commands.push(['C', c1x, c1y, c2x, c2y, x, y]);
+  path.x = x;
+  path.y = y;
+
+  return true;
+}
+
+/**
+ * Add a circular arc tangent to the lines from the current point
+ * to (x1, y1) and from (x1, y1) to (x2, y2), joined by a straight line
+ * (like arcTo of the Canvas 2D API)
+ * @param {FBPath} path Path
+ * @param {number} x1 X axis (corner)
+ * @param {number} y1 Y axis (corner)
+ * @param {number} x2 X axis (direction of the end)
+ * @param {number} y2 Y axis (direction of the end)
+ * @param {number} radius Radius
+ * @returns {boolean}
+ */
+function fb_path_arc_to(path = null, x1 = 0, y1 = 0, x2 = 0, y2 = 0, radius = 0) {
+  if (!(path instanceof FBPath) || !(radius >= 0)) {
+    return false;
+  }
+
+  if (path.x === null) {
+    fb_path_move_to(path, x1, y1);
+  }
+
+  let ax = path.x - x1;
+  let ay = path.y - y1;
+  let bx = x2 - x1;
+  let by = y2 - y1;
+  let la = Math.hypot(ax, ay);
+  let lb = Math.hypot(bx, by);
+  let cross = ax * by - ay * bx;
+
+  // Coincident or collinear points, and no radius, only reach the corner
+  if (la == 0 || lb == 0 || radius == 0 || Math.abs(cross) < 1e-9 * la * lb) {
+    return fb_path_line_to(path, x1, y1);
+  }
+
+  ax /= la;
+  ay /= la;
+  bx /= lb;
+  by /= lb;
+
+  let half = Math.acos(clamp(ax * bx + ay * by, -1, 1)) / 2;
+  let distance = radius / Math.tan(half);
+  let bisector = Math.hypot(ax + bx, ay + by);
+  let cx = x1 + (ax + bx) / bisector * radius / Math.sin(half);
+  let cy = y1 + (ay + by) / bisector * radius / Math.sin(half);
+  let tx = x1 + ax * distance;
+  let ty = y1 + ay * distance;
+
+  let start = Math.atan2(ty - cy, tx - cx);
+  let end = Math.atan2(y1 + by * distance - cy, x1 + bx * distance - cx);
+  let sweep = end - start;
+
+  // Shorter way around
+  if (sweep > Math.PI) {
+    sweep -= 2 * Math.PI;
+  } else if (sweep < -Math.PI) {
+    sweep += 2 * Math.PI;
+  }
+
+  fb_path_line_to(path, tx, ty);
+  fb_path_arc_segments(path, cx, cy, radius, radius, 0, start, sweep);
+
+  return true;
+}
+
+/**
+ * Close the current subpath with a line back to its start
+ * @param {FBPath} path Path
+ * @returns {boolean}
+ */
+function fb_path_close(path = null) {
+  if (!(path instanceof FBPath)) {
+    return false;
+  }
+
+  if (path.x === null) {
+    return true;
+  }
+
+  path.commands.push(['Z']);
+  path.x = path.start_x;
+  path.y = path.start_y;
+
+  return true;
+}
+
+/**
+ * Stroke a path
+ * Like fb_polyline, points are pixels (see fb_line and fb_stroke).
+ * @param {FBResource} resource Framebuffer Resource
+ * @param {FBPath} path Path
+ * @param {number|FBGradient|FBPattern} r Red channel (or a paint, see fb_gradient_linear and fb_pattern)
+ * @param {number} g Green channel
+ * @param {number} b Blue channel
+ * @param {null|FBStroke|object} stroke Stroke style (see fb_stroke)
+ * @param {number} tolerance Maximum distance of the lines from the curves (default 0.25)
+ * @returns {boolean}
+ */
+function fb_path_stroke(resource = null, path = null, r = 255, g = 255, b = 255, stroke = null, tolerance = 0.25) {
+  if (!fb_valid(resource) || !(path instanceof FBPath)) {
+    return false;
+  }
+
+  for (let { points, closed } of fb_path_flatten(path, tolerance)) {
+    // A lone move draws nothing
+    if (points.length < 2) {
+      continue;
+    }
+
+    if (stroke !== null) {
+      fb_stroke_path(resource, points, closed, stroke, r, g, b);
+      continue;
+    }
+
+    if (closed) {
+      points.push(points[0]);
+    }
+
+    for (let i = 0; i + 1 < points.length; i++) {
+      fb_line(resource, points[i][0], points[i][1], points[i + 1][0], points[i + 1][1], r, g, b);
+    }
+  }
+
+  fb_defer(resource);
+
+  return true;
+}
+
+/**
+ * Fill a path, every subpath is closed (see fb_polygon)
+ * @param {FBResource} resource Framebuffer Resource
+ * @param {FBPath} path Path
+ * @param {number|FBGradient|FBPattern} r Red channel (or a paint, see fb_gradient_linear and fb_pattern)
+ * @param {number} g Green channel
+ * @param {number} b Blue channel
+ * @param {number} rule Fill rule, FB_FILL_NONZERO or FB_FILL_EVENODD (default FB_FILL_NONZERO)
+ * @param {number} tolerance Maximum distance of the lines from the curves (default 0.25)
+ * @returns {boolean|FBError}
+ */
+function fb_path_fill(
+  resource = null,
+  path = null,
+  r = 255,
+  g = 255,
+  b = 255,
+  rule = FB_FILL_NONZERO,
+  tolerance = 0.25
+) {
+  let FN_NAME = 'fb_path_fill';
+  let FN_ARGS = [...arguments];
+
+  if (!fb_valid(resource) || !(path instanceof FBPath)) {
+    return false;
+  }
+
+  if (rule != FB_FILL_NONZERO && rule != FB_FILL_EVENODD) {
+    return fb_error(FB_ERR_BAD_FILL_RULE, FB_ORIGIN_SYSTEM, FN_NAME, FN_ARGS);
+  }
+
+  let contours = fb_path_flatten(path, tolerance)
+    .map((subpath) => subpath.points)
+    .filter((points) => points.length > 2);
+
+  fb_polygon_fill(resource, contours, rule, r, g, b);
+  fb_defer(resource);
+
+  return true;
+}
+
+/**
+ * Add cubic Béziers following an elliptical arc, from the current point
+ * (which should be on the arc) in quarter turns at most
+ * <InternalFunction>
+ * @param {FBPath} path Path
+ * @param {number} cx X axis (center)
+ * @param {number} cy Y axis (center)
+ * @param {number} rx Horizontal radius
+ * @param {number} ry Vertical radius
+ * @param {number} rotation Rotation of the ellipse (radians)
+ * @param {number} start Start angle (radians)
+ * @param {number} sweep Swept angle, negative counterclockwise (radians)
+ */
+function fb_path_arc_segments(path, cx, cy, rx, ry, rotation, start, sweep) {
+  let count = Math.max(1, Math.ceil(Math.abs(sweep) / (Math.PI / 2) - 1e-9));
+  let step = sweep / count;
+  let k = 4 / 3 * Math.tan(step / 4);
+  let cos = Math.cos(rotation);
+  let sin = Math.sin(rotation);
+
+  // Unit circle to ellipse
+  let map = (ux, uy) => [
+    cx + rx * ux * cos - ry * uy * sin,
+    cy + rx * ux * sin + ry * uy * cos
+  ];
+
+  for (let i = 0; i < count; i++) {
+    let a1 = start + step * i;
+    let a2 = a1 + step;
+    let [x1, y1] = map(Math.cos(a1) - k * Math.sin(a1), Math.sin(a1) + k * Math.cos(a1));
+    let [x2, y2] = map(Math.cos(a2) + k * Math.sin(a2), Math.sin(a2) - k * Math.cos(a2));
+    let [x, y] = map(Math.cos(a2), Math.sin(a2));
+
+    fb_path_bezier_to(path, x1, y1, x2, y2, x, y);
+  }
+}
+
+/**
+ * Flatten a path to polylines
+ * <InternalFunction>
+ * @param {FBPath} path Path
+ * @param {number} tolerance Maximum distance of the lines from the curves
+ * @returns {array} Subpaths ([{ points, closed }, ...])
+ */
+function fb_path_flatten(path, tolerance) {
+  tolerance = Math.max(tolerance, 0.01);
+
+  let subpaths = [];
+  let current = null;
+  let x = 0;
+  let y = 0;
+
+  for (let [type, ...args] of path.commands) {
+    if (type == 'Z') {
+      if (current !== null) {
+        current.closed = true;
+        [x, y] = current.points[0];
+        current = null;
+      }
+
+      continue;
+    }
+
+    // Drawing after a close starts a new subpath where it ended
+    if (type == 'M' || current === null) {
+      current = { points: type == 'M' ? [] : [[x, y]], closed: false };
+      subpaths.push(current);
+    }
+
+    if (type == 'Q') {
+      // Elevated to a cubic
+      let [qx, qy, ex, ey] = args;
+
+      args = [
+        x + (qx - x) * 2 / 3,
+        y + (qy - y) * 2 / 3,
+        ex + (qx - ex) * 2 / 3,
+        ey + (qy - ey) * 2 / 3,
+        ex,
+        ey
+      ];
+      type = 'C';
+    }
+
+    if (type == 'C') {
+      fb_path_bezier_flatten(current.points, x, y, ...args, tolerance, 0);
+    } else {
+      current.points.push([args[0], args[1]]);
+    }
+
+    [x, y] = current.points[current.points.length - 1];
+  }
+
+  return subpaths;
+}
+
+/**
+ * Flatten a cubic Bézier by recursive subdivision
+ * <InternalFunction>
+ * @param {array} points Points to append to (without the start point)
+ * @param {number} x0 X axis (start point)
+ * @param {number} y0 Y axis (start point)
+ * @param {number} x1 X axis (first control point)
+ * @param {number} y1 Y axis (first control point)
+ * @param {number} x2 X axis (second control point)
+ * @param {number} y2 Y axis (second control point)
+ * @param {number} x3 X axis (end point)
+ * @param {number} y3 Y axis (end point)
+ * @param {number} tolerance Maximum distance of the lines from the curve
+ * @param {number} depth Subdivisions so far
+ */
+function fb_path_bezier_flatten(points, x0, y0, x1, y1, x2, y2, x3, y3, tolerance, depth) {
+  // Bound of the distance to the chord (traversed at constant speed)
+  let error = 0.75 * Math.max(
+    Math.hypot(x1 - (2 * x0 + x3) / 3, y1 - (2 * y0 + y3) / 3),
+    Math.hypot(x2 - (x0 + 2 * x3) / 3, y2 - (y0 + 2 * y3) / 3)
+  );
+
+  if (error <= tolerance || depth >= 16) {
+    points.push([x3, y3]);
+    return;
+  }
+
+  // De Casteljau split at t = 0.5
+  let ax = (x0 + x1) / 2;
+  let ay = (y0 + y1) / 2;
+  let bx = (x1 + x2) / 2;
+  let by = (y1 + y2) / 2;
+  let cx = (x2 + x3) / 2;
+  let cy = (y2 + y3) / 2;
+  let dx = (ax + bx) / 2;
+  let dy = (ay + by) / 2;
+  let ex = (bx + cx) / 2;
+  let ey = (by + cy) / 2;
+  let mx = (dx + ex) / 2;
+  let my = (dy + ey) / 2;
+
+  fb_path_bezier_flatten(points, x0, y0, ax, ay, dx, dy, mx, my, tolerance, depth + 1);
+  fb_path_bezier_flatten(points, mx, my, ex, ey, cx, cy, x3, y3, tolerance, depth + 1);
+}
+
+/**
+ * Build a path from SVG path data (the `d` attribute)
+ * @param {string} d Path data
+ * @returns {FBPath|FBError}
+ */
+function fb_path_svg(d = '') {
+  let FN_NAME = 'fb_path_svg';
+  let FN_ARGS = [...arguments];
+
+  let path = fb_path_create();
+
+  if (typeof d !== 'string' || !fb_svg_path_parse(d, path)) {
+    return fb_error(FB_ERR_BAD_SVG, FB_ORIGIN_SYSTEM, FN_NAME, FN_ARGS);
+  }
+
+  return path;
+}
+
+/**
+ * Transform a path by an affine matrix
+ * @param {FBPath} path Path
+ * @param {array} matrix Matrix [a, b, c, d, e, f] (like SVG matrix(), x' = ax + cy + e and y' = bx + dy + f)
+ * @returns {null|FBPath} Transformed copy
+ */
+function fb_path_transform(path = null, matrix = [1, 0, 0, 1, 0, 0]) {
+  if (!(path instanceof FBPath)) {
+    return null;
+  }
+
+  let [a, b, c, d, e, f] = matrix;
+  let copy = fb_path_create();
+
+  for (let [type, ...args] of path.commands) {
+    for (let i = 0; i + 1 < args.length; i += 2) {
+      [args[i], args[i + 1]] = [a * args[i] + c * args[i + 1] + e, b * args[i] + d * args[i + 1] + f];
+    }
+
+    copy.commands.push([type, ...args]);
+  }
+
+  for (let key of ['x', 'start_x']) {
+    let y = key.replace('x', 'y');
+
+    if (path[key] !== null) {
+      copy[key] = a * path[key] + c * path[y] + e;
+      copy[y] = b * path[key] + d * path[y] + f;
+    }
+  }
+
+  return copy;
+}
+
+/**
+ * Draw an SVG document
+ * Supports path, rect, circle, ellipse, line, polyline and polygon elements
+ * in svg and g groups, with transforms, fill and stroke colors and styles
+ * (as attributes or in the style attribute). Paints are opaque and paint
+ * servers (url(#...)), text, images, clipping and masks are not drawn.
+ * @param {FBResource} resource Framebuffer Resource
+ * @param {string} svg SVG document
+ * @param {number} x X axis
+ * @param {number} y Y axis
+ * @param {null|number} w Width (default the document width)
+ * @param {null|number} h Height (default the document height)
+ * @returns {boolean|FBError}
+ */
+function fb_svg(resource = null, svg = '', x = 0, y = 0, w = null, h = null) {
+  let FN_NAME = 'fb_svg';
+  let FN_ARGS = [...arguments];
+
+  if (!fb_valid(resource)) {
+    return false;
+  }
+
+  if (typeof svg !== 'string') {
+    return fb_error(FB_ERR_BAD_SVG, FB_ORIGIN_SYSTEM, FN_NAME, FN_ARGS);
+  }
+
+  let shapes = ['path', 'rect', 'circle', 'ellipse', 'line', 'polyline', 'polygon'];
+  let tags = /<(\/?)([\w:.-]+)((?:\s+[\w:.-]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>/g;
+  let stack = [];
+  let skip = 0;
+  let state = null;
+
+  // Without comments, processing instructions, doctype and character data
+  svg = svg.replace(/<!--[\s\S]*?-->|<\?[\s\S]*?\?>|<!DOCTYPE[^>]*>|<!\[CDATA\[[\s\S]*?\]\]>/gi, '');
+
+  for (let [, closing, name, list, empty] of svg.matchAll(tags)) {
+    name = name.replace(/^svg:/, '');
+
+    if (closing) {
+      if (skip > 0) {
+        skip--;
+      } else if (stack.length > 0) {
+        state = stack.pop();
+      }
+
+      continue;
+    }
+
+    if (skip > 0) {
+      skip += empty ? 0 : 1;
+      continue;
+    }
+
+    let attributes = fb_svg_attributes(list);
+
+    if (state === null) {
+      if (name != 'svg') {
+        continue;
+      }
+
+      state = fb_svg_root(attributes, x, y, w ?? null, h ?? null);
+    } else if (name != 'svg' && name != 'g' && name != 'a' && !shapes.includes(name)) {
+      // Definitions, text, etc.
+      skip += empty ? 0 : 1;
+      continue;
+    }
+
+    let inner = fb_svg_state(state, attributes);
+
+    if (shapes.includes(name) && !inner.hidden) {
+      fb_svg_shape(resource, name, attributes, inner);
+    }
+
+    if (!empty) {
+      stack.push(state);
+      state = inner;
+    }
+  }
+
+  if (state === null && stack.length == 0) {
+    return fb_error(FB_ERR_BAD_SVG, FB_ORIGIN_SYSTEM, FN_NAME, FN_ARGS);
+  }
+
+  fb_defer(resource);
+
+  return true;
+}
+
+/**
+ * Parse SVG path data into a path, up to the first error
+ * <InternalFunction>
+ * @param {string} d Path data
+ * @param {FBPath} path Path
+ * @returns {boolean} No errors
+ */
+function fb_svg_path_parse(d, path) {
+  let numbers = /[-+]?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?/y;
+  let counts = { M: 2, L: 2, H: 1, V: 1, C: 6, S: 4, Q: 4, T: 2, A: 7, Z: 0 };
+  let pos = 0;
+  let command = null;
+  let previous = null;
+
+  // Last control point, for the reflections of S and T
+  let cx = 0;
+  let cy = 0;
+
+  let blank = () => {
+    while (pos < d.length && ' \t\r\n,'.includes(d[pos])) {
+      pos++;
+    }
+  };
+
+  while (true) {
+    blank();
+
+    if (pos >= d.length) {
+      return true;
+    }
+
+    if (Object.hasOwn(counts, d[pos].toUpperCase())) {
+      command = d[pos++];
+    } else if (command === null || command.toUpperCase() == 'Z') {
+      return false;
+    }
+
+    let type = command.toUpperCase();
+    let args = [];
+
+    for (let i = 0; i < counts[type]; i++) {
+      blank();
+
+      // Arc flags need no separators
+      if (type == 'A' && (i == 3 || i == 4)) {
+        if (d[pos] != '0' && d[pos] != '1') {
+          return false;
+        }
+
+        args.push(+d[pos++]);
+        continue;
+      }
+
+      numbers.lastIndex = pos;
+
+      let match = numbers.exec(d);
+
+      if (match === null) {
+        return false;
+      }
+
+      args.push(+match[0]);
+      pos = numbers.lastIndex;
+    }
+
+    if (path.x === null && type != 'M') {
+      return false;
+    }
+
+    // Relative to the current point
+    let ox = command != type ? path.x ?? 0 : 0;
+    let oy = command != type ? path.y ?? 0 : 0;
+    let [x, y] = [path.x, path.y];
+
+    switch (type) {
+      case 'M':
+        fb_path_move_to(path, ox + args[0], oy + args[1]);
+
+        // Following pairs are lines
+        command = command == 'M' ? 'L' : 'l';
+        break;
+      case 'L':
+        fb_path_line_to(path, ox + args[0], oy + args[1]);
+        break;
+      case 'H':
+        fb_path_line_to(path, ox + args[0], y);
+        break;
+      case 'V':
+        fb_path_line_to(path, x, oy + args[0]);
+        break;
+      case 'C':
+        fb_path_bezier_to(path, ox + args[0], oy + args[1], ox + args[2], oy + args[3], ox + args[4], oy + args[5]);
+        [cx, cy] = [ox + args[2], oy + args[3]];
+        break;
+      case 'S':
+        [cx, cy] = previous == 'C' || previous == 'S' ? [2 * x - cx, 2 * y - cy] : [x, y];
+        fb_path_bezier_to(path, cx, cy, ox + args[0], oy + args[1], ox + args[2], oy + args[3]);
+        [cx, cy] = [ox + args[0], oy + args[1]];
+        break;
+      case 'Q':
+        [cx, cy] = [ox + args[0], oy + args[1]];
+        fb_path_quadratic_to(path, cx, cy, ox + args[2], oy + args[3]);
+        break;
+      case 'T':
+        [cx, cy] = previous == 'Q' || previous == 'T' ? [2 * x - cx, 2 * y - cy] : [x, y];
+        fb_path_quadratic_to(path, cx, cy, ox + args[0], oy + args[1]);
+        break;
+      case 'A':
+        fb_svg_arc(path, args[0], args[1], args[2], args[3], args[4], ox + args[5], oy + args[6]);
+        break;
+      case 'Z':
+        fb_path_close(path);
+        break;
+    }
+
+    previous = type;
+  }
+}
+
+/**
+ * Add an SVG elliptical arc (endpoint parameterization) to a path
+ * <InternalFunction>
+ * @param {FBPath} path Path
+ * @param {number} rx Horizontal radius
+ * @param {number} ry Vertical radius
+ * @param {number} angle Rotation of the ellipse (degrees)
+ * @param {number} large Large arc flag
+ * @param {number} sweep Sweep flag (clockwise)
+ * @param {number} x X axis (end point)
+ * @param {number} y Y axis (end point)
+ */
+function fb_svg_arc(path, rx, ry, angle, large, sweep, x, y) {
+  let x0 = path.x;
+  let y0 = path.y;
+
+  if (x0 == x && y0 == y) {
+    return;
+  }
+
+  rx = Math.abs(rx);
+  ry = Math.abs(ry);
+
+  if (rx == 0 || ry == 0) {
+    fb_path_line_to(path, x, y);
+    return;
+  }
+
+  // Center parameterization (SVG 1.1, F.6.5 and F.6.6)
+  let phi = angle * Math.PI / 180;
+  let cos = Math.cos(phi);
+  let sin = Math.sin(phi);
+  let x1 = cos * (x0 - x) / 2 + sin * (y0 - y) / 2;
+  let y1 = -sin * (x0 - x) / 2 + cos * (y0 - y) / 2;
+  let lambda = (x1 * x1) / (rx * rx) + (y1 * y1) / (ry * ry);
+
+  if (lambda > 1) {
+    rx *= Math.sqrt(lambda);
+    ry *= Math.sqrt(lambda);
+  }
+
+  let numerator = rx * rx * ry * ry - rx * rx * y1 * y1 - ry * ry * x1 * x1;
+  let denominator = rx * rx * y1 * y1 + ry * ry * x1 * x1;
+  let coefficient = Math.sqrt(Math.max(0, numerator / denominator)) * (large == sweep ? -1 : 1);
+  let cx1 = coefficient * rx * y1 / ry;
+  let cy1 = -coefficient * ry * x1 / rx;
+
+  let start = Math.atan2((y1 - cy1) / ry, (x1 - cx1) / rx);
+  let end = Math.atan2((-y1 - cy1) / ry, (-x1 - cx1) / rx);
+  let delta = end - start;
+
+  if (sweep && delta < 0) {
+    delta += 2 * Math.PI;
+  } else if (!sweep && delta > 0) {
+    delta -= 2 * Math.PI;
+  }
+
+  let cx = cos * cx1 - sin * cy1 + (x0 + x) / 2;
+  let cy = sin * cx1 + cos * cy1 + (y0 + y) / 2;
+
+  fb_path_arc_segments(path, cx, cy, rx, ry, phi, start, delta);
+}
+
+/**
+ * Parse the attributes of an SVG tag, with the style attribute
+ * properties taking precedence
+ * <InternalFunction>
+ * @param {string} list Attributes
+ * @returns {object}
+ */
+function fb_svg_attributes(list) {
+  let attributes = {};
+
+  for (let [, name, , value] of list.matchAll(/([\w:.-]+)\s*=\s*(["'])([\s\S]*?)\2/g)) {
+    attributes[name] = value;
+  }
+
+  for (let declaration of (attributes.style ?? '').split(';')) {
+    let colon = declaration.indexOf(':');
+
+    if (colon > 0) {
+      attributes[declaration.slice(0, colon).trim()] = declaration.slice(colon + 1).trim();
+    }
+  }
+
+  return attributes;
+}
+
+/**
+ * Initial state of an SVG document, mapping its viewBox to a box
+ * <InternalFunction>
+ * @param {object} attributes Attributes of the svg element
+ * @param {number} x X axis
+ * @param {number} y Y axis
+ * @param {null|number} w Width
+ * @param {null|number} h Height
+ * @returns {object}
+ */
+function fb_svg_root(attributes, x, y, w, h) {
+  let box = (attributes.viewBox ?? '').trim().split(/[\s,]+/).map(Number);
+  let view = box.length == 4 && box.every(isFinite) && box[2] > 0 && box[3] > 0 ? box : null;
+
+  w = w ?? fb_svg_length(attributes.width) ?? (view ? view[2] : 300);
+  h = h ?? fb_svg_length(attributes.height) ?? (view ? view[3] : 150);
+
+  let matrix = [1, 0, 0, 1, x, y];
+
+  if (view !== null) {
+    let [align = 'xMidYMid', mode = 'meet'] = (attributes.preserveAspectRatio ?? '').trim().split(/\s+/).filter((s) => s);
+    let sx = w / view[2];
+    let sy = h / view[3];
+
+    if (align != 'none') {
+      sx = sy = mode == 'slice' ? Math.max(sx, sy) : Math.min(sx, sy);
+    }
+
+    let factor = (axis) => align.includes(axis + 'Mid') ? 0.5 : align.includes(axis + 'Max') ? 1 : 0;
+
+    matrix = [
+      sx,
+      0,
+      0,
+      sy,
+      x + (w - view[2] * sx) * factor('x') - view[0] * sx,
+      y + (h - view[3] * sy) * factor('Y') - view[1] * sy
+    ];
+  }
+
+  return {
+    matrix,
+    color: [0, 0, 0],
+    fill: [0, 0, 0],
+    stroke: null,
+    stroke_width: 1,
+    cap: FB_CAP_BUTT,
+    join: FB_JOIN_MITER,
+    miter_limit: 4,
+    dash: [],
+    dash_offset: 0,
+    rule: FB_FILL_NONZERO,
+    hidden: false,
+  };
+}
+
+/**
+ * State of an SVG element, inherited from its parent
+ * <InternalFunction>
+ * @param {object} parent Parent state
+ * @param {object} attributes Attributes of the element
+ * @returns {object}
+ */
+function fb_svg_state(parent, attributes) {
+  let state = { ...parent };
+
+  if (attributes.transform !== undefined) {
+    state.matrix = fb_svg_multiply(parent.matrix, fb_svg_transform(attributes.transform));
+  }
+
+  if (attributes.color !== undefined) {
+    state.color = fb_svg_color(attributes.color, parent.color, parent.color) ?? parent.color;
+  }
+
+  let caps = { butt: FB_CAP_BUTT, round: FB_CAP_ROUND, square: FB_CAP_SQUARE };
+  let joins = { miter: FB_JOIN_MITER, 'miter-clip': FB_JOIN_MITER, arcs: FB_JOIN_MITER, round: FB_JOIN_ROUND, bevel: FB_JOIN_BEVEL };
+  let value = (name) => attributes[name] === undefined || attributes[name] == 'inherit' ? undefined : attributes[name];
+  let number = (name, fallback) => isFinite(parseFloat(value(name))) ? parseFloat(value(name)) : fallback;
+
+  if (value('fill') !== undefined) {
+    state.fill = fb_svg_color(value('fill'), parent.fill, state.color);
+  }
+
+  if (value('stroke') !== undefined) {
+    state.stroke = fb_svg_color(value('stroke'), parent.stroke, state.color);
+  }
+
+  // Opaque paints only, fully transparent ones are not drawn
+  if (number('fill-opacity', 1) <= 0 || number('opacity', 1) <= 0) {
+    state.fill = null;
+  }
+
+  if (number('stroke-opacity', 1) <= 0 || number('opacity', 1) <= 0) {
+    state.stroke = null;
+  }
+
+  state.stroke_width = Math.max(0, number('stroke-width', parent.stroke_width));
+  state.cap = caps[value('stroke-linecap')] ?? parent.cap;
+  state.join = joins[value('stroke-linejoin')] ?? parent.join;
+  state.miter_limit = number('stroke-miterlimit', parent.miter_limit);
+  state.dash_offset = number('stroke-dashoffset', parent.dash_offset);
+
+  if (value('stroke-dasharray') !== undefined) {
+    state.dash = value('stroke-dasharray') == 'none' ? [] : value('stroke-dasharray').split(/[\s,]+/).filter((s) => s).map(parseFloat);
+  }
+
+  if (value('fill-rule') !== undefined) {
+    state.rule = value('fill-rule') == 'evenodd' ? FB_FILL_EVENODD : FB_FILL_NONZERO;
+  }
+
+  state.hidden = parent.hidden || value('display') == 'none' || value('visibility') == 'hidden';
+
+  return state;
+}
+
+/**
+ * Draw an SVG shape element
+ * <InternalFunction, NoDefer>
+ * @param {FBResource} resource Framebuffer Resource
+ * @param {string} name Element name
+ * @param {object} attributes Attributes of the element
+ * @param {object} state State of the element
+ */
+function fb_svg_shape(resource, name, attributes, state) {
+  let number = (key) => fb_svg_length(attributes[key]) ?? 0;
+  let path = fb_path_create();
+
+  switch (name) {
+    case 'path':
+      fb_svg_path_parse(attributes.d ?? '', path);
+      break;
+    case 'rect': {
+      let [x, y, w, h] = [number('x'), number('y'), number('width'), number('height')];
+      let rx = fb_svg_length(attributes.rx);
+      let ry = fb_svg_length(attributes.ry);
+
+      if (!(w > 0 && h > 0)) {
+        return;
+      }
+
+      rx = clamp(rx ?? ry ?? 0, 0, w / 2);
+      ry = clamp(ry ?? rx, 0, h / 2);
+
+      fb_path_move_to(path, x + rx, y);
+      fb_path_line_to(path, x + w - rx, y);
+
+      if (rx > 0 && ry > 0) {
+        fb_path_arc_segments(path, x + w - rx, y + ry, rx, ry, 0, -Math.PI / 2, Math.PI / 2);
+        fb_path_line_to(path, x + w, y + h - ry);
+        fb_path_arc_segments(path, x + w - rx, y + h - ry, rx, ry, 0, 0, Math.PI / 2);
+        fb_path_line_to(path, x + rx, y + h);
+        fb_path_arc_segments(path, x + rx, y + h - ry, rx, ry, 0, Math.PI / 2, Math.PI / 2);
+        fb_path_line_to(path, x, y + ry);
+        fb_path_arc_segments(path, x + rx, y + ry, rx, ry, 0, Math.PI, Math.PI / 2);
+      } else {
+        fb_path_line_to(path, x + w, y + h);
+        fb_path_line_to(path, x, y + h);
+      }
+
+      fb_path_close(path);
+      break;
+    }
+    case 'circle':
+    case 'ellipse': {
+      let rx = name == 'circle' ? number('r') : number('rx');
+      let ry = name == 'circle' ? rx : number('ry');
+
+      if (!(rx > 0 && ry > 0)) {
+        return;
+      }
+
+      fb_path_move_to(path, number('cx') + rx, number('cy'));
+      fb_path_arc_segments(path, number('cx'), number('cy'), rx, ry, 0, 0, 2 * Math.PI);
+      fb_path_close(path);
+      break;
+    }
+    case 'line':
+      fb_path_move_to(path, number('x1'), number('y1'));
+      fb_path_line_to(path, number('x2'), number('y2'));
+      break;
+    case 'polyline':
+    case 'polygon': {
+      let values = (attributes.points ?? '').trim().split(/[\s,]+/).map(parseFloat);
+
+      for (let i = 0; i + 1 < values.length && isFinite(values[i]) && isFinite(values[i + 1]); i += 2) {
+        fb_path_line_to(path, values[i], values[i + 1]);
+      }
+
+      if (name == 'polygon') {
+        fb_path_close(path);
+      }
+
+      break;
+    }
+  }
+
+  let [a, b, c, d, e, f] = state.matrix;
+
+  if (state.fill !== null && name != 'line') {
+    fb_path_fill(resource, fb_path_transform(path, state.matrix), ...state.fill, state.rule);
+  }
+
+  if (state.stroke !== null && state.stroke_width > 0) {
+    let scale = Math.sqrt(Math.abs(a * d - b * c));
+    let stroke = fb_stroke({
+      width: state.stroke_width * scale,
+      dash: state.dash.map((length) => length * scale),
+      dash_offset: state.dash_offset * scale,
+      cap: state.cap,
+      join: state.join,
+      miter_limit: state.miter_limit,
+    });
+
+    // Strokes go through pixel centers
+    let outline = fb_path_transform(path, [a, b, c, d, e - 0.5, f - 0.5]);
+
+    fb_path_stroke(resource, outline, ...state.stroke, stroke);
+  }
+}
+
+/**
+ * Parse an SVG length in user units (unitless or px)
+ * <InternalFunction>
+ * @param {undefined|string} value Length
+ * @returns {null|number}
+ */
+function fb_svg_length(value) {
+  let match = /^\s*([-+]?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?)(px)?\s*$/.exec(value ?? '');
+
+  return match === null ? null : +match[1];
+}
+
+/**
+ * Parse an SVG paint
+ * <InternalFunction>
+ * @param {string} value Paint (none, currentColor, #rgb, #rrggbb, rgb() or a color name)
+ * @param {null|array} inherited Paint of the parent (kept on unknown values)
+ * @param {array} current Current color
+ * @returns {null|array} RGB color (null for none)
+ */
+function fb_svg_color(value, inherited, current) {
+  value = value.trim();
+
+  let name = value.toLowerCase();
+  let hex = /^#([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/i.exec(value);
+  let rgb = /^rgba?\(\s*([^,\s]+)[\s,]+([^,\s]+)[\s,]+([^,\s)]+)/i.exec(value);
+
+  if (name == 'none' || name.startsWith('url(')) {
+    return null;
+  }
+
+  if (name == 'currentcolor') {
+    return current;
+  }
+
+  if (hex !== null) {
+    let digits = hex[1].length <= 4 ? hex[1].replace(/./g, '$&$&') : hex[1];
+
+    return [0, 2, 4].map((i) => parseInt(digits.substr(i, 2), 16));
+  }
+
+  if (rgb !== null) {
+    return rgb.slice(1, 4).map((channel) => clamp(Math.round(
+      channel.endsWith('%') ? parseFloat(channel) * 2.55 : parseFloat(channel)
+    ), 0, 255));
+  }
+
+  if (Object.hasOwn(fb_color_defs, name)) {
+    return fb_color_defs[name].slice(0, 3);
+  }
+
+  return inherited;
+}
+
+/**
+ * Parse an SVG transform list
+ * <InternalFunction>
+ * @param {string} value Transform list
+ * @returns {array} Matrix [a, b, c, d, e, f]
+ */
+function fb_svg_transform(value) {
+  let matrix = [1, 0, 0, 1, 0, 0];
+
+  for (let [, name, list] of value.matchAll(/(matrix|translate|scale|rotate|skewX|skewY)\s*\(([^)]*)\)/g)) {
+    let args = list.trim().split(/[\s,]+/).map(Number);
+    let radians = (args[0] || 0) * Math.PI / 180;
+    let step = [1, 0, 0, 1, 0, 0];
+
+    switch (name) {
+      case 'matrix':
+        step = args.length == 6 ? args : step;
+        break;
+      case 'translate':
+        step = [1, 0, 0, 1, args[0] || 0, args[1] || 0];
+        break;
+      case 'scale':
+        step = [args[0], 0, 0, args[1] ?? args[0], 0, 0];
+        break;
+      case 'rotate': {
+        let [cx = 0, cy = 0] = args.slice(1);
+        let cos = Math.cos(radians);
+        let sin = Math.sin(radians);
+
+        step = [cos, sin, -sin, cos, cx - cos * cx + sin * cy, cy - sin * cx - cos * cy];
+        break;
+      }
+      case 'skewX':
+        step = [1, 0, Math.tan(radians), 1, 0, 0];
+        break;
+      case 'skewY':
+        step = [1, Math.tan(radians), 0, 1, 0, 0];
+        break;
+    }
+
+    matrix = fb_svg_multiply(matrix, step);
+  }
+
+  return matrix;
+}
+
+/**
+ * Multiply two affine matrices (the second is applied first)
+ * <InternalFunction>
+ * @param {array} m1 Matrix [a, b, c, d, e, f]
+ * @param {array} m2 Matrix [a, b, c, d, e, f]
+ * @returns {array}
+ */
+function fb_svg_multiply(m1, m2) {
+  return [
+    m1[0] * m2[0] + m1[2] * m2[1],
+    m1[1] * m2[0] + m1[3] * m2[1],
+    m1[0] * m2[2] + m1[2] * m2[3],
+    m1[1] * m2[2] + m1[3] * m2[3],
+    m1[0] * m2[4] + m1[2] * m2[5] + m1[4],
+    m1[1] * m2[4] + m1[3] * m2[5] + m1[5]
+  ];
+}
+
+/**
+ * Create a linear gradient, along the line from point A to point B
+ * Gradients are paints: pass one instead of the red channel of
+ * fb_rect, fb_circle, fb_arc, fb_polygon, fb_path_fill, fb_clear, etc.
+ * (the green and blue channels are then ignored).
+ * @param {number} x1 X axis (point A, offset 0)
+ * @param {number} y1 Y axis (point A, offset 0)
+ * @param {number} x2 X axis (point B, offset 1)
+ * @param {number} y2 Y axis (point B, offset 1)
+ * @param {array} stops Color stops ([[offset, r, g, b, a], ...], see fb_gradient_stop)
+ * @param {number} spread Spread mode, FB_SPREAD_PAD, FB_SPREAD_REPEAT or FB_SPREAD_REFLECT (default FB_SPREAD_PAD)
+ * @param {boolean} dither Ordered dithering, against banding
+ * @returns {FBGradient|FBError}
+ */
+function fb_gradient_linear(x1 = 0, y1 = 0, x2 = 0, y2 = 0, stops = [], spread = FB_SPREAD_PAD, dither = false) {
+  let FN_NAME = 'fb_gradient_linear';
+  let FN_ARGS = [...arguments];
+
+  return fb_gradient_create(FN_NAME, FN_ARGS, FB_GRADIENT_LINEAR, { x1, y1, x2, y2 }, stops, spread, dither);
+}
+
+/**
+ * Create a radial gradient, between a start and an end circle
+ * (like createRadialGradient of the Canvas 2D API)
+ * @param {number} x1 X axis (center of the start circle, offset 0)
+ * @param {number} y1 Y axis (center of the start circle)
+ * @param {number} r1 Radius of the start circle
+ * @param {number} x2 X axis (center of the end circle, offset 1)
+ * @param {number} y2 Y axis (center of the end circle)
+ * @param {number} r2 Radius of the end circle
+ * @param {array} stops Color stops ([[offset, r, g, b, a], ...], see fb_gradient_stop)
+ * @param {number} spread Spread mode (default FB_SPREAD_PAD)
+ * @param {boolean} dither Ordered dithering, against banding
+ * @returns {FBGradient|FBError}
+ */
+function fb_gradient_radial(
+  x1 = 0,
+  y1 = 0,
+  r1 = 0,
+  x2 = 0,
+  y2 = 0,
+  r2 = 0,
+  stops = [],
+  spread = FB_SPREAD_PAD,
+  dither = false
+) {
+  let FN_NAME = 'fb_gradient_radial';
+  let FN_ARGS = [...arguments];
+
+  if (!(r1 >= 0 && r2 >= 0)) {
+    return fb_error(FB_ERR_BAD_GRADIENT, FB_ORIGIN_SYSTEM, FN_NAME, FN_ARGS);
+  }
+
+  return fb_gradient_create(FN_NAME, FN_ARGS, FB_GRADIENT_RADIAL, { x1, y1, r1, x2, y2, r2 }, stops, spread, dither);
+}
+
+/**
+ * Create a conic gradient, around a center point
+ * Offsets go from 0 to 1 clockwise around the center.
+ * @param {number} x X axis (center)
+ * @param {number} y Y axis (center)
+ * @param {number} angle Angle of offset 0 in degrees (clockwise from 3 o'clock)
+ * @param {array} stops Color stops ([[offset, r, g, b, a], ...], see fb_gradient_stop)
+ * @param {number} spread Spread mode (default FB_SPREAD_PAD)
+ * @param {boolean} dither Ordered dithering, against banding
+ * @returns {FBGradient|FBError}
+ */
+function fb_gradient_conic(x = 0, y = 0, angle = 0, stops = [], spread = FB_SPREAD_PAD, dither = false) {
+  let FN_NAME = 'fb_gradient_conic';
+  let FN_ARGS = [...arguments];
+
+  return fb_gradient_create(FN_NAME, FN_ARGS, FB_GRADIENT_CONIC, { x1: x, y1: y, angle }, stops, spread, dither);
+}
+
+/**
+ * Add a color stop to a gradient
+ * Stops are kept in offset order, a stop at the same
+ * offset as another goes after it (for hard edges).
+ * @param {FBGradient} gradient Gradient
+ * @param {number} offset Offset (0 to 1)
+ * @param {number} r Red channel
+ * @param {number} g Green channel
+ * @param {number} b Blue channel
+ * @param {number} a Alpha channel (default 255)
+ * @returns {boolean}
+ */
+function fb_gradient_stop(gradient = null, offset = 0, r = 0, g = 0, b = 0, a = 255) {
+  if (!(gradient instanceof FBGradient) || !isFinite(offset)) {
+    return false;
+  }
+
+  let stop = [clamp(offset, 0, 1), r, g, b, a];
+  let index = gradient.stops.findIndex((other) => other[0] > stop[0]);
+
+  gradient.stops.splice(index == -1 ? gradient.stops.length : index, 0, stop);
+
+  return true;
+}
+
+/**
+ * Get the color of a gradient at a pixel
+ * @param {FBGradient} gradient Gradient
+ * @param {number} x X axis
+ * @param {number} y Y axis
+ * @returns {array} RGBA color (transparent where the gradient is not defined)
+ */
+function fb_gradient_color(gradient = null, x = 0, y = 0) {
+  if (!(gradient instanceof FBGradient) || gradient.stops.length == 0) {
+    return [0, 0, 0, 0];
+  }
+
+  x = Math.floor(x);
+  y = Math.floor(y);
+
+  let t = fb_gradient_offset(gradient, x + 0.5, y + 0.5);
+
+  if (t === null) {
+    return [0, 0, 0, 0];
+  }
+
+  if (gradient.spread == FB_SPREAD_REPEAT) {
+    t -= Math.floor(t);
+  } else if (gradient.spread == FB_SPREAD_REFLECT) {
+    t = Math.abs(t - 2 * Math.round(t / 2));
+  } else {
+    t = clamp(t, 0, 1);
+  }
+
+  let stops = gradient.stops;
+  let next = stops.findIndex((stop) => stop[0] > t);
+  let s1 = stops[next == -1 ? stops.length - 1 : Math.max(0, next - 1)];
+  let s2 = stops[next == -1 ? stops.length - 1 : next];
+  let f = s1 === s2 ? 0 : (t - s1[0]) / (s2[0] - s1[0]);
+
+  // Interpolated with premultiplied alpha
+  let a = s1[4] + (s2[4] - s1[4]) * f;
+  let color = [1, 2, 3].map((i) => (s1[i] * s1[4] + (s2[i] * s2[4] - s1[i] * s1[4]) * f) / (a || 1));
+
+  color.push(a);
+
+  // Bayer 8x8 threshold (-0.5 to 0.5)
+  let threshold = 0;
+
+  if (gradient.dither) {
+    let index = 0;
+
+    for (let bit = 0; bit < 3; bit++) {
+      index = index * 4 + 2 * (((x ^ y) >> bit) & 1) + ((y >> bit) & 1);
+    }
+
+    threshold = (index + 0.5) / 64 - 0.5;
+  }
+
+  return color.map((c) => clamp(Math.round(c + threshold), 0, 255));
+}
+
+/**
+ * Create a pattern paint, tiling a resource
+ * Like gradients, pass it instead of the red channel (see fb_gradient_linear).
+ * The resource is not copied, later changes to it show in the pattern.
+ * @param {FBResource} resource Framebuffer Resource of the tile
+ * @param {number} x Offset on the X axis
+ * @param {number} y Offset on the Y axis
+ * @param {number} scale_x Horizontal scale (nearest neighbor)
+ * @param {number} scale_y Vertical scale (default scale_x)
+ * @param {number} repeat Repeat mode (See FB_PATTERN_ constants, default FB_PATTERN_REPEAT)
+ * @returns {FBPattern|FBError}
+ */
+function fb_pattern(resource = null, x = 0, y = 0, scale_x = 1, scale_y = scale_x, repeat = FB_PATTERN_REPEAT) {
+  let FN_NAME = 'fb_pattern';
+  let FN_ARGS = [...arguments];
+
+  if (!fb_valid(resource)) {
+    return fb_error(FB_ERR_BAD_PATTERN, FB_ORIGIN_SYSTEM, FN_NAME, FN_ARGS);
+  }
+
+  if (!isFinite(scale_x) || !isFinite(scale_y) || scale_x == 0 || scale_y == 0) {
+    return fb_error(FB_ERR_BAD_PATTERN, FB_ORIGIN_SYSTEM, FN_NAME, FN_ARGS);
+  }
+
+  if (repeat != FB_PATTERN_REPEAT && repeat != FB_PATTERN_REPEAT_X &&
+      repeat != FB_PATTERN_REPEAT_Y && repeat != FB_PATTERN_NO_REPEAT) {
+    return fb_error(FB_ERR_BAD_REPEAT, FB_ORIGIN_SYSTEM, FN_NAME, FN_ARGS);
+  }
+
+  return new FBPattern({
+    resource,
+
+    // Position of the top-left corner of a tile
+    x,
+    y,
+
+    scale_x,
+    scale_y,
+    repeat,
+  });
+}
+
+/**
+ * Get the color of a pattern at a pixel
+ * @param {FBPattern} pattern Pattern
+ * @param {number} x X axis
+ * @param {number} y Y axis
+ * @returns {array} RGBA color (transparent outside of non-repeated tiles)
+ */
+function fb_pattern_color(pattern = null, x = 0, y = 0) {
+  if (!(pattern instanceof FBPattern) || !fb_valid(pattern.resource)) {
+    return [0, 0, 0, 0];
+  }
+
+  let source = pattern.resource;
+  let u = Math.floor((Math.floor(x) + 0.5 - pattern.x) / pattern.scale_x);
+  let v = Math.floor((Math.floor(y) + 0.5 - pattern.y) / pattern.scale_y);
+
+  if (pattern.repeat == FB_PATTERN_REPEAT || pattern.repeat == FB_PATTERN_REPEAT_X) {
+    u = ((u % source.width) + source.width) % source.width;
+  }
+
+  if (pattern.repeat == FB_PATTERN_REPEAT || pattern.repeat == FB_PATTERN_REPEAT_Y) {
+    v = ((v % source.height) + source.height) % source.height;
+  }
+
+  if (0 > u || u >= source.width || 0 > v || v >= source.height) {
+    return [0, 0, 0, 0];
+  }
+
+  let color = fb_get_pixel_rgba(source, u, v);
+
+  // Paints are straight alpha
+  if (source.alpha_mode == FB_ALPHA_PREMULTIPLIED && color[3] > 0 && color[3] < 255) {
+    color = color.map((c, i) => i < 3 ? Math.min(255, Math.round(c * 255 / color[3])) : c);
+  }
+
+  return color;
+}
+
+/**
+ * Create a gradient
+ * <InternalFunction>
+ * @param {string} FN_NAME Name of the calling function
+ * @param {array} FN_ARGS Arguments of the calling function
+ * @param {number} type Gradient type (See FB_GRADIENT_ constants)
+ * @param {object} geometry Points, radii and angle of the gradient
+ * @param {array} stops Color stops ([[offset, r, g, b, a], ...])
+ * @param {number} spread Spread mode
+ * @param {boolean} dither Ordered dithering
+ * @returns {FBGradient|FBError}
+ */
+function fb_gradient_create(FN_NAME, FN_ARGS, type, geometry, stops, spread, dither) {
+  if (spread != FB_SPREAD_PAD && spread != FB_SPREAD_REPEAT && spread != FB_SPREAD_REFLECT) {
+    return fb_error(FB_ERR_BAD_SPREAD, FB_ORIGIN_SYSTEM, FN_NAME, FN_ARGS);
+  }
+
+  let gradient = new FBGradient({
+    type,
+    x1: 0,
+    y1: 0,
+    r1: 0,
+    x2: 0,
+    y2: 0,
+    r2: 0,
+    angle: 0,
+    ...geometry,
+
+    // Color stops as [offset, r, g, b, a], in offset order
+    stops: [],
+
+    spread,
+    dither: !!dither,
+  });
+
+  if (!Array.isArray(stops)) {
+    return fb_error(FB_ERR_BAD_GRADIENT, FB_ORIGIN_SYSTEM, FN_NAME, FN_ARGS);
+  }
+
+  for (let stop of stops) {
+    if (!Array.isArray(stop) || !fb_gradient_stop(gradient, ...stop)) {
+      return fb_error(FB_ERR_BAD_GRADIENT, FB_ORIGIN_SYSTEM, FN_NAME, FN_ARGS);
+    }
+  }
+
+  return gradient;
+}
+
+/**
+ * Gradient offset at a point, before the spread mode
+ * <InternalFunction>
+ * @param {FBGradient} gradient Gradient
+ * @param {number} x X axis
+ * @param {number} y Y axis
+ * @returns {null|number} Offset (null where the gradient is not defined)
+ */
+function fb_gradient_offset(gradient, x, y) {
+  let { x1, y1, r1, x2, y2, r2 } = gradient;
+
+  if (gradient.type == FB_GRADIENT_CONIC) {
+    let angle = Math.atan2(y - y1, x - x1) * 180 / Math.PI - gradient.angle;
+
+    return (((angle % 360) + 360) % 360) / 360;
+  }
+
+  if (gradient.type == FB_GRADIENT_LINEAR) {
+    let length = (x2 - x1) * (x2 - x1) + (y2 - y1) * (y2 - y1);
+
+    return length == 0 ? null : ((x - x1) * (x2 - x1) + (y - y1) * (y2 - y1)) / length;
+  }
+
+  // Largest t with a circle of radius r1 + t * (r2 - r1) >= 0 through the point
+  let dr = r2 - r1;
+  let a = (x2 - x1) * (x2 - x1) + (y2 - y1) * (y2 - y1) - dr * dr;
+  let b = (x - x1) * (x2 - x1) + (y - y1) * (y2 - y1) + r1 * dr;
+  let c = (x - x1) * (x - x1) + (y - y1) * (y - y1) - r1 * r1;
+
+  if (Math.abs(a) < 1e-9) {
+    let t = b == 0 ? null : c / (2 * b);
+
+    return t !== null && r1 + t * dr >= 0 ? t : null;
+  }
+
+  let discriminant = b * b - a * c;
+
+  if (discriminant < 0) {
+    return null;
+  }
+
+  let t1 = (b + Math.sqrt(discriminant)) / a;
+  let t2 = (b - Math.sqrt(discriminant)) / a;
+
+  for (let t of [Math.max(t1, t2), Math.min(t1, t2)]) {
+    if (r1 + t * dr >= 0) {
+      return t;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Clear the canvas (default color Black)
+ * @param {FBResource} resource Framebuffer Resource
+ * @param {number|FBGradient|FBPattern} r Red channel (or a paint, see fb_gradient_linear and fb_pattern)
+ * @param {number} g Green channel
+ * @param {number} b Blue channel
+ * @returns {boolean}
+ */
+function fb_clear(resource = null, r = 0, g = 0, b = 0) {
+  if (!fb_valid(resource)) {
+    return false;
+  }
+
+  // Replaces the pixels, alpha included
+  if (r instanceof FBGradient || r instanceof FBPattern) {
+    for (let y = 0; y < resource.height; y++) {
+      for (let x = 0; x < resource.width; x++) {
+        let color = fb_paint_color(r, x, y);
+
+        if (resource.alpha_mode == FB_ALPHA_PREMULTIPLIED) {
+          color = color.map((c, i) => i < 3 ? Math.round(c * color[3] / 255) : c);
+        }
+
+        fb_set_pixel_rgba(resource, x, y, ...color);
+      }
+    }
+
+    fb_invalidate(resource);
+    fb_defer(resource);
+
+    return true;
+  }
+
+  if (resource.format != FB_FORMAT_RGBA8) {
+    return fb_clear_rgba(resource, r, g, b, 255);
+  }
+
+  for (let i = 0; i < resource.image.data.length; i += 4) {
+    resource.image.data[i + FB_CHANNEL_R] = r;
+    resource.image.data[i + FB_CHANNEL_G] = g;
+    resource.image.data[i + FB_CHANNEL_B] = b;
+  }
+
+  fb_invalidate(resource);
+  fb_defer(resource);
+
+  return true;
+}
+
+/**
+ * Clear the canvas with an RGBA color (default transparent Black)
+ * @param {FBResource} resource Framebuffer Resource
+ * @param {number} r Red channel
+ * @param {number} g Green channel
+ * @param {number} b Blue channel
+ * @param {number} a Alpha channel
+ * @returns {boolean}
+ */
+function fb_clear_rgba(resource = null, r = 0, g = 0, b = 0, a = 0) {
+  if (!fb_valid(resource)) {
+    return false;
+  }
+
+  if (resource.format != FB_FORMAT_RGBA8) {
+    fb_pixel_fill(resource, r, g, b, a);
+    fb_invalidate(resource);
+    fb_defer(resource);
+
+    return true;
+  }
+
+  for (let i = 0; i < resource.image.data.length; i += 4) {
+    resource.image.data[i + FB_CHANNEL_R] = r;
+    resource.image.data[i + FB_CHANNEL_G] = g;
+    resource.image.data[i + FB_CHANNEL_B] = b;
+    resource.image.data[i + FB_CHANNEL_A] = a;
+  }
+
+  fb_invalidate(resource);
+  fb_defer(resource);
+
+  return true;
+}
+
+/**
+ * Verify that the Framebuffer Resource is valid
+ * @param {FBResource} resource Framebuffer Resource
+ * @returns {boolean}
+ */
+function fb_valid(resource = null) {
+  if (resource === null) {
+    return false;
+  }
+
+  if (resource instanceof FBResource === false) {
+    return false;
+  }
+
+  let fields = [
+    'alpha_mode',
+    'backend',
+    'canvas',
+    'context',
+    'created',
+    'defer',
+    'dirty',
+    'error',
+    'format',
+    'height',
+    'image',
+    'loaded',
+    'locked',
+    'updated',
+    'width',
+  ];
+
+  for (let field of fields) {
+    if (field in resource === false) {
+      return false;
+    }
+  }
+
+  return true;
+}
+
+/**
+ * Clone the resource
+ * <NoDefer>
+ * @param {FBResource} resource Framebuffer Resource
+ * @param {number} cri Red channel index (default FB_CHANNEL_R)
+ * @param {number} cgi Green channel index (default FB_CHANNEL_G)
+ * @param {number} cbi Blue channel index (default FB_CHANNEL_B)
+ * @param {null|number} cai Alpha channel index (default FB_CHANNEL_A, null is opaque)
+ * @returns {boolean|FBResource} Framebuffer Resource (always RGBA8)
+ */
+function fb_copy(
+  resource = null,
+  cri = FB_CHANNEL_R,
+  cgi = FB_CHANNEL_G,
+  cbi = FB_CHANNEL_B,
+  cai = FB_CHANNEL_A
+) {
+  if (!fb_valid(resource)) {
+    return false;
+  }
+
+  let copy = fb_create(resource.width, resource.height);
+  copy.alpha_mode = resource.alpha_mode;
+
+  let data = fb_image(resource).data;
+
+  for (let i = 0, j = data.length; i < j; i += 4) {
+    copy.image.data[i + FB_CHANNEL_R] = data[i + cri];
+    copy.image.data[i + FB_CHANNEL_G] = data[i + cgi];
+    copy.image.data[i + FB_CHANNEL_B] = data[i + cbi];
+
+    if (cai !== null) {
+      copy.image.data[i + FB_CHANNEL_A] = data[i + cai];
+    }
+  }
+
+  // Synchronize
+  fb_backend(copy).sync(copy, fb_image_straight(copy));
+
+  return copy;
+}
+
+/**
+ * Create a resource from an image source
+ * Enable the 'alpha' configuration key to keep transparency.
+ *
+ * Sources: URL strings, Blob and File objects, ArrayBuffers and
+ * typed arrays (file contents), ImageBitmap, ImageData, image,
+ * video (current frame) and canvas elements, OffscreenCanvas
+ * and framebuffer resources (copied).
+ *
+ * Options:
+ * - width, height: Resource size (-1 for auto, keeps the aspect
+ *   ratio when only one of them is given)
+ * - fit: How the source is scaled into the size (see FB_FIT_)
+ * - crossOrigin: CORS mode of URL requests ('anonymous' or
+ *   'use-credentials')
+ * - signal: AbortSignal to cancel the load
+ *
+ * The size can still be given as numbers, fb_load(source, width,
+ * height), the load callbacks of earlier versions are rejected.
+ *
+ * <NoDirtyBit>
+ * @param {string|Blob|ArrayBuffer|TypedArray|ImageBitmap|Element|FBResource} source Image source
+ * @param {object|number} options Load options (or width)
+ * @param {number} legacy_height Height when the width is given instead of options
+ * @returns {Promise<FBResource>} Resolves with the resource, rejects with an FBError
+ */
+async function fb_load(source = null, options = {}, legacy_height = -1) {
+  let FN_NAME = 'fb_load';
+  let FN_ARGS = [...arguments];
+
+  let fail = function(error) {
+    return fb_error(error, FB_ORIGIN_SYSTEM, FN_NAME, FN_ARGS);
+  };
+
+  if (typeof options === 'number') {
+    options = { width: options, height: legacy_height };
+  }
+
+  if (options === null || typeof options !== 'object' || typeof legacy_height !== 'number') {
+    throw fail(FB_ERR_BAD_LOAD_OPTIONS);
+  }
+
+  let settings = Object.assign({
+    width: -1,
+    height: -1,
+    fit: FB_FIT_FILL,
+    crossOrigin: null,
+    signal: null,
+  }, options);
+
+  if (!(settings.fit >= FB_FIT_FILL && settings.fit <= FB_FIT_NONE)) {
+    throw fail(FB_ERR_BAD_FIT);
+  }
+
+  if (settings.signal !== null && settings.signal.aborted) {
+    throw fail(FB_ERR_ABORTED);
+  }
+
+  let loaded = null;
+
+  try {
+    loaded = await fb_load_abortable(fb_load_source(source, settings), settings.signal);
+  } catch (error) {
+    throw fail(error instanceof FBErrorDefinition ? error : FB_ERR_LOAD_FAILED);
+  }
+
+  let width = settings.width;
+  let height = settings.height;
+
+  // Auto size, keep the aspect ratio
+  if (width == -1 && height == -1) {
+    width = loaded.width;
+    height = loaded.height;
+  } else if (width == -1) {
+    width = Math.max(1, Math.round(loaded.width * height / loaded.height));
+  } else if (height == -1) {
+    height = Math.max(1, Math.round(loaded.height * width / loaded.width));
+  }
+
+  // Boundary checks
+  for (let [w, h] of [[loaded.width, loaded.height], [width, height]]) {
+    if (!(w > 0)) {
+      throw fail(FB_ERR_BAD_WIDTH);
+    }
+
+    if (!(h > 0)) {
+      throw fail(FB_ERR_BAD_HEIGHT);
+    }
+
+    if (w > FB_MAX_WIDTH) {
+      throw fail(FB_ERR_LARGE_WIDTH);
+    }
+
+    if (h > FB_MAX_HEIGHT) {
+      throw fail(FB_ERR_LARGE_HEIGHT);
+    }
+  }
+
+  let resource = loaded.source;
+
+  // Sources the library didn't decode are drawn by the backend
+  if (!(resource instanceof FBResource)) {
+    resource = fb_create(loaded.width, loaded.height);
+
+    let drawn = false;
+
+    try {
+      drawn = fb_draw_source(resource, loaded.source, loaded.width, loaded.height);
+    } catch (error) {
+      // Cross-origin sources taint the canvas
+      throw fail(FB_ERR_INVALID_ACCESS);
+    }
+
+    if (!drawn) {
+      throw fail(FB_ERR_BACKEND_UNSUPPORTED);
+    }
+  }
+
+  resource = fb_load_fit(resource, width, height, settings.fit);
+  resource.loaded = true;
+
+  return resource;
+}
+
+/**
+ * Resolve an image source into something fb_draw_source() draws
+ * <InternalFunction>
+ * @param {*} source Image source (see fb_load)
+ * @param {object} settings Load options
+ * @returns {Promise<object>} { source, width, height }, rejects with an error definition
+ */
+async function fb_load_source(source, settings) {
+  let is = function(name) {
+    return typeof fb_global[name] === 'function' && source instanceof fb_global[name];
+  };
+
+  if (source === null || source === undefined) {
+    throw FB_ERR_BAD_SOURCE;
+  }
+
+  if (source instanceof FBResource) {
+    if (!fb_valid(source)) {
+      throw FB_ERR_BAD_SOURCE;
+    }
+
+    return { source: fb_copy(source), width: source.width, height: source.height };
+  }
+
+  // URL
+  if (typeof source === 'string') {
+    let name = fb_backend_resolve(fb_config('backend'));
+    let load = name === null ? null : fb_backends[name].load;
+
+    // Formats browsers don't decode
+    let format = fb_image_format_from_name(source);
+
+    if (format !== null && !['png', 'bmp'].includes(format)) {
+      load = fb_image_fetch;
+    }
+
+    if (load === null) {
+      throw FB_ERR_BACKEND_UNSUPPORTED;
+    }
+
+    return new Promise(function(resolve, reject) {
+      let onload = function(image, width, height) {
+        resolve({ source: image, width: width, height: height });
+      };
+
+      let onerror = function(error = FB_ERR_LOAD_FAILED) {
+        reject(error);
+      };
+
+      if (!load(source, onload, onerror, settings)) {
+        reject(FB_ERR_BACKEND_UNSUPPORTED);
+      }
+    });
+  }
+
+  // File contents
+  if (source instanceof ArrayBuffer || ArrayBuffer.isView(source) || is('Blob')) {
+    let blob = is('Blob') ? source : null;
+    let bytes = null;
+
+    if (blob !== null) {
+      bytes = new Uint8Array(await blob.arrayBuffer());
+    } else if (source instanceof ArrayBuffer) {
+      bytes = new Uint8Array(source);
+    } else {
+      bytes = new Uint8Array(source.buffer, source.byteOffset, source.byteLength);
+    }
+
+    let format = fb_image_format_detect(bytes);
+
+    if (format === null && typeof source.name === 'string') {
+      format = fb_image_format_from_name(source.name);
+    }
+
+    if (format !== null) {
+      let image = fb_image_decode(bytes, format);
+
+      if (image instanceof FBError) {
+        throw FB_ERR_INVALID_DATA;
+      }
+
+      return { source: image, width: image.width, height: image.height };
+    }
+
+    // Formats only browsers decode (e.g. JPEG, WebP, GIF)
+    if (typeof createImageBitmap !== 'function' || typeof Blob !== 'function') {
+      throw FB_ERR_UNKNOWN_IMAGE_FORMAT;
+    }
+
+    let bitmap = null;
+
+    try {
+      bitmap = await createImageBitmap(blob ?? new Blob([bytes]));
+    } catch (error) {
+      throw FB_ERR_INVALID_DATA;
+    }
+
+    return { source: bitmap, width: bitmap.width, height: bitmap.height };
+  }
+
+  if (is('ImageData')) {
+    let image = fb_create(source.width, source.height);
+
+    if (image.error !== null) {
+      throw FB_ERR_BAD_SOURCE;
+    }
+
+    image.image.data.set(source.data);
+    fb_alpha_convert(image.image.data, FB_ALPHA_STRAIGHT, image.alpha_mode);
+    fb_invalidate(image);
+    fb_sync(image);
+
+    return { source: image, width: source.width, height: source.height };
+  }
+
+  if (is('HTMLImageElement')) {
+    if (!source.complete) {
+      await fb_load_event(source, 'load');
+    }
+
+    // Broken image
+    if (source.naturalWidth == 0) {
+      throw FB_ERR_LOAD_FAILED;
+    }
+
+    return { source: source, width: source.naturalWidth, height: source.naturalHeight };
+  }
+
+  if (is('HTMLVideoElement')) {
+    // HAVE_CURRENT_DATA
+    if (source.readyState < 2) {
+      await fb_load_event(source, 'loadeddata');
+    }
+
+    return { source: source, width: source.videoWidth, height: source.videoHeight };
+  }
+
+  if (is('VideoFrame')) {
+    return { source: source, width: source.displayWidth, height: source.displayHeight };
+  }
+
+  if (is('ImageBitmap') || is('HTMLCanvasElement') || is('OffscreenCanvas')) {
+    return { source: source, width: source.width, height: source.height };
+  }
+
+  throw FB_ERR_BAD_SOURCE;
+}
+
+/**
+ * Wait for an element event, rejects on its 'error' event
+ * <InternalFunction>
+ * @param {EventTarget} target Element
+ * @param {string} name Event name
+ * @returns {Promise}
+ */
+function fb_load_event(target, name) {
+  return new Promise(function(resolve, reject) {
+    let onevent = function() {
+      target.removeEventListener('error', onerror);
+      resolve();
+    };
+
+    let onerror = function() {
+      target.removeEventListener(name, onevent);
+      reject(FB_ERR_LOAD_FAILED);
+    };
+
+    target.addEventListener(name, onevent, { once: true });
+    target.addEventListener('error', onerror, { once: true });
+  });
+}
+
+/**
+ * Reject a promise early when a signal aborts
+ * <InternalFunction>
+ * @param {Promise} promise Pending operation
+ * @param {null|AbortSignal} signal Abort signal
+ * @returns {Promise}
+ */
+function fb_load_abortable(promise, signal) {
+  if (signal === null) {
+    return promise;
+  }
+
+  return new Promise(function(resolve, reject) {
+    let onabort = function() {
+      reject(FB_ERR_ABORTED);
+    };
+
+    signal.addEventListener('abort', onabort, { once: true });
+
+    promise.then(function(value) {
+      signal.removeEventListener('abort', onabort);
+      resolve(value);
+    }, function(error) {
+      signal.removeEventListener('abort', onabort);
+      reject(error);
+    });
+  });
+}
+
+/**
+ * Scale a resource into a size with a fit mode
+ * <InternalFunction>
+ * @param {FBResource} resource Framebuffer Resource
+ * @param {number} width Width
+ * @param {number} height Height
+ * @param {number} fit Fit mode (see FB_FIT_)
+ * @returns {FBResource} Framebuffer Resource
+ */
+function fb_load_fit(resource, width, height, fit) {
+  if (resource.width == width && resource.height == height) {
+    return resource;
+  }
+
+  if (fit == FB_FIT_FILL) {
+    return fb_resize(resource, width, height);
+  }
+
+  let scale = 1;
+
+  if (fit == FB_FIT_CONTAIN) {
+    scale = Math.min(width / resource.width, height / resource.height);
+  } else if (fit == FB_FIT_COVER) {
+    scale = Math.max(width / resource.width, height / resource.height);
+  }
+
+  let scaled = fb_resize(
+    resource,
+    Math.max(1, Math.round(resource.width * scale)),
+    Math.max(1, Math.round(resource.height * scale))
+  );
+
+  let fitted = fb_create(width, height);
+  fitted.alpha_mode = resource.alpha_mode;
+  fb_clear_rgba(fitted, 0, 0, 0, 0);
+
+  // Centered, fb_draw() clips what's outside
+  fb_draw(fitted, scaled, (width - scaled.width) >> 1, (height - scaled.height) >> 1);
+
+  return fitted;
+}
+
+/**
+ * Draw the contents from a resource child to the resource parent
+ * Pixels are copied as-is, see fb_blit() for compositing.
+ * <NoDefer>
+ * @param {FBResource} resource_p Framebuffer Resource we're drawing to (parent)
+ * @param {FBResource} resource_c Framebuffer Resource being drawn (child)
+ * @param {number} x X axis
+ * @param {number} y Y axis
+ * @param {number} w Width (-1 is child's width)
+ * @param {number} h Height (-1 is child's height)
+ * @param {number} ox X axis offset
+ * @param {number} oy Y axis offset
+ * @returns {boolean}
+ */
+function fb_draw(
+  resource_p,
+  resource_c,
+  x = 0,
+  y = 0,
+  w = -1,
+  h = -1,
+  ox = 0,
+  oy = 0
+) {
+  if (!fb_valid(resource_p)) {
+    return false;
+  }
+
+  if (!fb_valid(resource_c)) {
+    return false;
+  }
+
+  w = clamp(w, -1, resource_c.width) | 0;
+  h = clamp(h, -1, resource_c.height) | 0;
+
+  x |= 0;
+  y |= 0;
+  w |= 0;
+  h |= 0;
+  ox |= 0;
+  oy |= 0;
+
+  // Don't draw
+  if (w == 0 && h == 0) {
+    return false;
+  }
+
+  // If width or height are less than or equal to
+  // zero we assign each the child's dimensions
+  if (w == -1) {
+    w = resource_c.width;
+  }
+
+  if (h == -1) {
+    h = resource_c.height;
+  }
+
+  if (resource_p.locked) {
+    return false;
+  }
+
+  if (resource_p.format != FB_FORMAT_RGBA8) {
+    return false;
+  }
+
+  // Same semantics as 'putImageData' with a dirty rectangle:
+  // the child region at (ox, oy) lands at (x + ox, y + oy)
+  let sx1 = clamp(ox, 0, resource_c.width);
+  let sy1 = clamp(oy, 0, resource_c.height);
+  let sx2 = clamp(ox + w, 0, resource_c.width);
+  let sy2 = clamp(oy + h, 0, resource_c.height);
+
+  // Clip against the parent
+  sx1 = Math.max(sx1, -x);
+  sy1 = Math.max(sy1, -y);
+  sx2 = Math.min(sx2, resource_p.width - x);
+  sy2 = Math.min(sy2, resource_p.height - y);
+
+  let src = fb_image(resource_c).data;
+  let dst = resource_p.image.data;
+
+  for (let sy = sy1; sy < sy2; sy++) {
+    let spos = (resource_c.width * sy + sx1) * 4;
+    let dpos = (resource_p.width * (sy + y) + sx1 + x) * 4;
+
+    dst.set(src.subarray(spos, spos + (sx2 - sx1) * 4), dpos);
+
+    fb_alpha_convert(
+      dst.subarray(dpos, dpos + (sx2 - sx1) * 4),
+      resource_c.alpha_mode,
+      resource_p.alpha_mode
+    );
+  }
+
+  // Synchronize
+  fb_invalidate(resource_p, sx1 + x, sy1 + y, sx2 - sx1, sy2 - sy1);
+  fb_sync(resource_p);
+
+  return true;
+}
+
+/**
+ * Composite a resource child onto the resource parent
+ * using a blend mode, opacity and Porter-Duff operator.
+ *
+ * Works on the pixel buffer, so results are identical
+ * with and without a canvas. Only the area covered by
+ * the child is affected, unlike the canvas where
+ * operators such as 'source-in' clear the whole canvas.
+ *
+ * @param {FBResource} resource_p Framebuffer Resource we're drawing to (parent)
+ * @param {FBResource} resource_c Framebuffer Resource being drawn (child)
+ * @param {number} x X axis
+ * @param {number} y Y axis
+ * @param {number} blend Blend mode (default FB_BLEND_NORMAL)
+ * @param {number} opacity Global opacity ranging from 0.0 to 1.0 (default 1)
+ * @param {number} composite Compositing operator (default FB_COMPOSITE_SOURCE_OVER)
+ * @param {number} sx X axis of the child area
+ * @param {number} sy Y axis of the child area
+ * @param {number} sw Width of the child area (-1 is child's width)
+ * @param {number} sh Height of the child area (-1 is child's height)
+ * @returns {boolean|FBError}
+ */
+function fb_blit(
+  resource_p = null,
+  resource_c = null,
+  x = 0,
+  y = 0,
+  blend = FB_BLEND_NORMAL,
+  opacity = 1,
+  composite = FB_COMPOSITE_SOURCE_OVER,
+  sx = 0,
+  sy = 0,
+  sw = -1,
+  sh = -1
+) {
+  let FN_NAME = 'fb_blit';
+  let FN_ARGS = [...arguments];
+
+  if (!fb_valid(resource_p)) {
+    return false;
+  }
+
+  if (!fb_valid(resource_c)) {
+    return false;
+  }
+
+  if (resource_p.locked) {
+    return false;
+  }
+
+  if (resource_p.format != FB_FORMAT_RGBA8) {
+    return fb_error(FB_ERR_UNSUPPORTED_FORMAT, FB_ORIGIN_SYSTEM, FN_NAME, FN_ARGS);
+  }
+
+  // Indices only, not other properties of the arrays (e.g. 'length')
+  if (!Number.isInteger(blend) || 0 > blend || blend >= fb_blend_funcs.length) {
+    return fb_error(FB_ERR_BAD_BLEND_MODE, FB_ORIGIN_SYSTEM, FN_NAME, FN_ARGS);
+  }
+
+  if (!Number.isInteger(composite) || 0 > composite || composite >= fb_composite_funcs.length) {
+    return fb_error(FB_ERR_BAD_COMPOSITE_OP, FB_ORIGIN_SYSTEM, FN_NAME, FN_ARGS);
+  }
+
+  let blend_func = fb_blend_funcs[blend];
+  let composite_func = fb_composite_funcs[composite];
+
+  x |= 0;
+  y |= 0;
+  sx |= 0;
+  sy |= 0;
+
+  if (sw == -1) {
+    sw = resource_c.width - sx;
+  }
+
+  if (sh == -1) {
+    sh = resource_c.height - sy;
+  }
+
+  opacity = clamp(+opacity, 0, 1);
+
+  // Child area clipped against the child...
+  let sx1 = clamp(sx, 0, resource_c.width);
+  let sy1 = clamp(sy, 0, resource_c.height);
+  let sx2 = clamp(sx + (sw | 0), 0, resource_c.width);
+  let sy2 = clamp(sy + (sh | 0), 0, resource_c.height);
+
+  // ...and against the parent
+  let dx = x - sx;
+  let dy = y - sy;
+
+  sx1 = Math.max(sx1, -dx);
+  sy1 = Math.max(sy1, -dy);
+  sx2 = Math.min(sx2, resource_p.width - dx);
+  sy2 = Math.min(sy2, resource_p.height - dy);
+
+  let src = fb_image(resource_c).data;
+  let dst = resource_p.image.data;
+  let src_pm = resource_c.alpha_mode == FB_ALPHA_PREMULTIPLIED;
+  let dst_pm = resource_p.alpha_mode == FB_ALPHA_PREMULTIPLIED;
+
+  for (let cy = sy1; cy < sy2; cy++) {
+    for (let cx = sx1; cx < sx2; cx++) {
+      let spos = (resource_c.width * cy + cx) * 4;
+      let dpos = (resource_p.width * (cy + dy) + cx + dx) * 4;
+
+      let as = src[spos + FB_CHANNEL_A] / 255 * opacity;
+      let ab = dst[dpos + FB_CHANNEL_A] / 255;
+
+      let [fa, fb] = composite_func(as, ab);
+      let ao = as * fa + ab * fb;
+
+      if (ao == 0) {
+        dst[dpos + FB_CHANNEL_R] = 0;
+        dst[dpos + FB_CHANNEL_G] = 0;
+        dst[dpos + FB_CHANNEL_B] = 0;
+        dst[dpos + FB_CHANNEL_A] = 0;
+        continue;
+      }
+
+      // Alpha of stored colors (1 for straight alpha)
+      let sd = src_pm ? src[spos + FB_CHANNEL_A] / 255 : 1;
+      let bd = dst_pm ? ab : 1;
+
+      for (let c = 0; c < 3; c++) {
+        let cs = sd > 0 ? src[spos + c] / 255 / sd : 0;
+        let cb = bd > 0 ? dst[dpos + c] / 255 / bd : 0;
+
+        // Blended source, see 'Mixing' in the W3C specification
+        cs = (1 - ab) * cs + ab * blend_func(cb, cs);
+
+        // Premultiplied result
+        let co = as * fa * cs + ab * fb * cb;
+
+        dst[dpos + c] = (dst_pm ? co : co / ao) * 255;
+      }
+
+      dst[dpos + FB_CHANNEL_A] = ao * 255;
+    }
+  }
+
+  fb_invalidate(resource_p, sx1 + dx, sy1 + dy, sx2 - sx1, sy2 - sy1);
+  fb_defer(resource_p);
+
+  return true;
+}
+
+/**
+ * Fill the area with the given color starting from x,y until all
+ * occurences of the background color have been replaced in that area.
+ *
+ * Options:
+ * - tolerance: Largest color distance to the background color
+ *   still filled (default 0, exact)
+ * - distance: FB_DISTANCE_CHANNEL (largest difference of the red, green
+ *   and blue channels) or FB_DISTANCE_PERCEPTUAL (CIE76 delta E, about
+ *   2.3 is a just noticeable difference)
+ * - connectivity: 4 (sides) or 8 (sides and corners) neighbors (default 4)
+ * - border: Color [r, g, b] to fill up to, instead of replacing
+ *   the background color (within the tolerance, default null)
+ * - mask: Return the area as a FB_FORMAT_GRAY8 resource (255 inside)
+ *   without filling it (default false)
+ *
+ * @param {FBResource} resource Framebuffer Resource
+ * @param {number} x X axis
+ * @param {number} y Y axis
+ * @param {number|FBGradient|FBPattern} r Red channel (or a paint, see fb_gradient_linear and fb_pattern)
+ * @param {number} g Green channel
+ * @param {number} b Blue channel
+ * @param {(null|Function)} callback Callback function (default sets the pixel to the color or paint)
+ * @param {object} options Fill options
+ * @returns {boolean|FBResource|FBError} Mask resource with the mask option
+ */
+function fb_fill(
+  resource = null,
+  x,
+  y,
+  r,
+  g,
+  b,
+  callback = fb_paint_pixel,
+  options = {}
+) {
+  let FN_NAME = 'fb_fill';
+  let FN_ARGS = [...arguments];
+
+  if (!fb_valid(resource)) {
+    return false;
+  }
+
+  if (callback === null) {
+    callback = fb_paint_pixel;
+  }
+
+  // FIXME: Add a callback check to make sure it's a function
+  //        and if not, return an FBError with a built-in
+  //        FBErrorDefinition for such a case.
+
+  let settings = Object.assign({
+    tolerance: 0,
+    distance: FB_DISTANCE_CHANNEL,
+    connectivity: 4,
+    border: null,
+    mask: false,
+  }, options);
+
+  if (settings.connectivity != 4 && settings.connectivity != 8) {
+    return fb_error(FB_ERR_BAD_CONNECTIVITY, FB_ORIGIN_SYSTEM, FN_NAME, FN_ARGS);
+  }
+
+  if (settings.distance != FB_DISTANCE_CHANNEL && settings.distance != FB_DISTANCE_PERCEPTUAL) {
+    return fb_error(FB_ERR_BAD_DISTANCE, FB_ORIGIN_SYSTEM, FN_NAME, FN_ARGS);
+  }
+
+  x |= 0;
+  y |= 0;
+
+  let width = resource.width;
+  let height = resource.height;
+
+  if (0 > x || x >= width || 0 > y || y >= height) {
+    return false;
+  }
+
+  let bg_color = fb_get_pixel(resource, x, y);
+  let border = settings.border !== null;
+
+  // Let's not shoot ourselves in the foot
+  if (!settings.mask && !border && settings.tolerance <= 0 && fb_paint_color(r, x, y) === null &&
+      bg_color[0] == r && bg_color[1] == g && bg_color[2] == b) {
+    return false;
+  }
+
+  let reference = border ? settings.border : bg_color;
+  let distance = fb_fill_distance(reference, settings.distance);
+  let data = resource.format == FB_FORMAT_RGBA8 ? resource.image.data : null;
+
+  // 0 not filled yet, 1 filled, 2 not matching
+  let state = new Uint8Array(width * height);
+
+  let matches = function(x, y) {
+    let i = width * y + x;
+
+    if (state[i] != 0) {
+      return false;
+    }
+
+    let near = data !== null ?
+      distance(data[i * 4 + FB_CHANNEL_R], data[i * 4 + FB_CHANNEL_G], data[i * 4 + FB_CHANNEL_B]) :
+      distance(...fb_get_pixel(resource, x, y));
+
+    // In border mode, everything but the border color matches
+    if ((near <= settings.tolerance) == border) {
+      state[i] = 2;
+      return false;
+    }
+
+    return true;
+  };
+
+  // Seed pixels, spans are grown left and right from each
+  let stack = [x, y];
+  let diagonal = settings.connectivity == 8 ? 1 : 0;
+
+  while (stack.length > 0) {
+    let y1 = stack.pop();
+    let x1 = stack.pop();
+
+    if (!matches(x1, y1)) {
+      continue;
+    }
+
+    let left = x1;
+    let right = x1;
+
+    while (left > 0 && matches(left - 1, y1)) {
+      left--;
+    }
+
+    while (right < width - 1 && matches(right + 1, y1)) {
+      right++;
+    }
+
+    state.fill(1, width * y1 + left, width * y1 + right + 1);
+
+    // One seed per run of matching pixels on the rows above and below
+    for (let y2 of [y1 - 1, y1 + 1]) {
+      if (0 > y2 || y2 >= height) {
+        continue;
+      }
+
+      let run = false;
+
+      for (let x2 = Math.max(0, left - diagonal); x2 <= Math.min(width - 1, right + diagonal); x2++) {
+        let matched = matches(x2, y2);
+
+        if (matched && !run) {
+          stack.push(x2, y2);
+        }
+
+        run = matched;
+      }
+    }
+  }
+
+  if (settings.mask) {
+    let mask = fb_create(width, height, FB_FORMAT_GRAY8);
+
+    for (let i = 0; i < state.length; i++) {
+      mask.pixels[i] = state[i] == 1 ? 255 : 0;
+    }
+
+    return mask;
+  }
+
+  for (let y2 = 0, i = 0; y2 < height; y2++) {
+    for (let x2 = 0; x2 < width; x2++, i++) {
+      if (state[i] == 1) {
+        callback(resource, x2, y2, r, g, b);
+      }
+    }
+  }
+
+  fb_defer(resource);
+
+  return true;
+}
+
+/**
+ * Distance function to a color, for fb_fill
+ * <InternalFunction>
+ * @param {array} color Reference color [r, g, b]
+ * @param {number} metric FB_DISTANCE_CHANNEL or FB_DISTANCE_PERCEPTUAL
+ * @returns {Function} (r, g, b) => distance
+ */
+function fb_fill_distance(color, metric) {
+  let [r1, g1, b1] = color;
+
+  if (metric == FB_DISTANCE_CHANNEL) {
+    return (r, g, b) => Math.max(Math.abs(r - r1), Math.abs(g - g1), Math.abs(b - b1));
+  }
+
+  // CIE76, on CIELAB (D65) colors
+  let lab = function(r, g, b) {
+    let [lr, lg, lb] = [r, g, b].map(function(c) {
+      c /= 255;
+      return c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+    });
+
+    let [fx, fy, fz] = [
+      (0.4124 * lr + 0.3576 * lg + 0.1805 * lb) / 0.95047,
+      0.2126 * lr + 0.7152 * lg + 0.0722 * lb,
+      (0.0193 * lr + 0.1192 * lg + 0.9505 * lb) / 1.08883
+    ].map((t) => t > 216 / 24389 ? Math.cbrt(t) : (24389 / 27 * t + 16) / 116);
+
+    return [116 * fy - 16, 500 * (fx - fy), 200 * (fy - fz)];
+  };
+
+  let [l1, a1, bb1] = lab(r1, g1, b1);
+  let cache = new Map();
+
+  return function(r, g, b) {
+    let key = (r << 16) | (g << 8) | b;
+
+    if (!cache.has(key)) {
+      let [l2, a2, bb2] = lab(r, g, b);
+      cache.set(key, Math.hypot(l2 - l1, a2 - a1, bb2 - bb1));
+    }
+
+    return cache.get(key);
+  };
+}
+
+/**
+ * Retrieve a specific color channel from a resource (as an opaque image)
+ * Disclaimer: Alpha channel is white if a resource was created.
+ * @param {FBResource} resource Framebuffer Resource
+ * @param {number} channel Channel index (0=Red, 1=Green, 2=Blue, 3=Alpha) (default 0)
+ * @returns {null|FBResource} Framebuffer Resource
+ */
+function fb_get_channel(resource = null, channel = 0) {
+
+  if (!fb_valid(resource)) {
+    return null;
+  }
+
+  channel = clamp(channel, 0, 3);
+  return fb_copy(resource, channel, channel, channel, null);
+}
+
+/**
+ * Flip image horizontally (X axis)
+ * @param {FBResource} resource Framebuffer Resource
+ * @returns {null|FBResource} Framebuffer Resource
+ */
+function fb_flip_x(resource = null) {
+  if (!fb_valid(resource)) {
+    return null;
+  }
+
+  let width = resource.width;
+  let height = resource.height;
+  let resource_new = fb_create(width, height);
+  resource_new.alpha_mode = resource.alpha_mode;
+
+  // FIXME: Linear access implementation?
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      let color = fb_get_pixel_rgba(resource, x, y);
+
+      // FIXME: Maybe we can yield better performance if we implement this ourselves in bitwise?
+      let x2 = Math.abs(width - x) - 1;
+      fb_set_pixel_rgba(resource_new, x2, y, ...color);
+    }
+  }
+
+  fb_defer(resource_new); // FIXME: need test
+
+  return resource_new;
+}
+
+/**
+ * Flip image vertically (Y axis)
+ * @param {FBResource} resource Framebuffer Resource
+ * @returns {null|FBResource} Framebuffer Resource
+ */
+function fb_flip_y(resource = null) {
+  if (!fb_valid(resource)) {
+    return null;
+  }
+
+  let width = resource.width;
+  let height = resource.height;
+  let resource_new = fb_create(width, height);
+  resource_new.alpha_mode = resource.alpha_mode;
+
+  // FIXME: Linear access implementation?
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      let color = fb_get_pixel_rgba(resource, x, y);
+
+      // FIXME: Maybe we can yield better performance if we implement this ourselves in bitwise?
+      let y2 = Math.abs(height - y) - 1;
+      fb_set_pixel_rgba(resource_new, x, y2, ...color);
+    }
+  }
+
+  fb_defer(resource); // FIXME: need test
+
+  return resource_new;
+}
+
+/**
+ * Rotate image right (90 degrees clockwise)
+ * @param {FBResource} resource Framebuffer Resource
+ * @returns {(null|Object)} Framebuffer Resource
+ */
+function fb_rotate_right(resource = null) {
+  if (!fb_valid(resource)) {
+    return null;
+  }
+
+  let width = resource.width;
+  let height = resource.height;
+  let resource_new = fb_create(height, width);
+  resource_new.alpha_mode = resource.alpha_mode;
+
+  // FIXME: Linear access implementation?
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      let color = fb_get_pixel_rgba(resource, x, y);
+
+      // FIXME: Maybe we can yield better performance if we implement this ourselves in bitwise?
+      let y2 = Math.abs(height - y) - 1;
+      fb_set_pixel_rgba(resource_new, y2, x, ...color);
+    }
+  }
+
+  fb_defer(resource); // FIXME: need test
+
+  return resource_new;
+}
+
+/**
+ * Rotate image left (90 degrees counterclockwise)
+ * @param {FBResource} resource Framebuffer Resource
+ * @returns {(null|Object)} Framebuffer Resource
+ */
+function fb_rotate_left(resource = null) {
+  if (!fb_valid(resource)) {
+    return null;
+  }
+
+  let width = resource.width;
+  let height = resource.height;
+  let resource_new = fb_create(height, width);
+  resource_new.alpha_mode = resource.alpha_mode;
+
+  // FIXME: Linear access implementation?
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      let color = fb_get_pixel_rgba(resource, x, y);
+
+      // FIXME: Maybe we can yield better performance if we implement this ourselves in bitwise?
+      let x2 = Math.abs(width - x) - 1;
+      fb_set_pixel_rgba(resource_new, y, x2, ...color);
+    }
+  }
+
+  fb_defer(resource); // FIXME: need test
+
+  return resource_new;
+}
+
+/**
+ * Replace a specific color in the image
+ * @param {FBResource} resource Framebuffer Resource
+ * @param {number} pr Red channel (parent)
+ * @param {number} pg Green channel (parent)
+ * @param {number} pb Blue channel (parent)
+ * @param {number} cr Red channel (child)
+ * @param {number} cg Green channel (child)
+ * @param {number} cb Blue channel (child)
+ * @returns {(null|Object)} Framebuffer Resource
+ */
+function fb_color_replace(resource = null, pr, pg, pb, cr, cg, cb) {
+  if (!fb_valid(resource)) {
+    return null;
+  }
+
+  let width = resource.width;
+  let height = resource.height;
+  let resource_new = fb_copy(resource);
+
+  // FIXME: Linear access implementation?
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      let [r, g, b] = fb_get_pixel(resource, x, y);
+
+      if (r == pr && g == pg &&b == pb) {
+        fb_set_pixel(resource_new, x, y, cr, cg ,cb);
+      }
+    }
+  }
+
+  fb_defer(resource_new); // FIXME: need test
+
+  return resource_new;
+}
+
+/**
+ * Invert colors of an image
+ * @param {FBResource} resource Framebuffer Resource
+ * @returns {(null|Object)} Framebuffer Resource
+ */
+function fb_color_invert(resource = null) {
+  if (!fb_valid(resource)) {
+    return null;
+  }
+
+  let resource_new = fb_copy(resource);
+
+  for (let i = 0; i < resource_new.image.data.length; i += 4) {
+    resource_new.image.data[i + FB_CHANNEL_R] ^= 255;
+    resource_new.image.data[i + FB_CHANNEL_G] ^= 255;
+    resource_new.image.data[i + FB_CHANNEL_B] ^= 255;
+  }
+
+  fb_invalidate(resource_new);
+  fb_defer(resource_new); // FIXME: need test
+
+  return resource_new;
+}
+
+/**
+ * Convert image to grayscale
+ * @param {FBResource} resource Framebuffer Resource
+ * @returns {(null|Object)} Framebuffer Resource
+ */
+function fb_color_grayscale(resource = null) {
+  if (!fb_valid(resource)) {
+    return null;
+  }
+
+  let resource_new = fb_copy(resource);
+  let pixelcount = resource_new.image.data.length;
+
+  for (let i = 0; i < pixelcount; i += 4) {
+    let [r, g, b] = fb_get_pixel(resource, i);
+
+    // https://en.wikipedia.org/wiki/Luma_(video)#Use_of_relative_luminance
+    let color = (r * 0.21)
+              + (g * 0.72)
+              + (b * 0.07);
+
+    resource_new.image.data[i + FB_CHANNEL_R] = color;
+    resource_new.image.data[i + FB_CHANNEL_G] = color;
+    resource_new.image.data[i + FB_CHANNEL_B] = color;
+  }
+
+  fb_invalidate(resource_new);
+  fb_defer(resource_new);
+
+  return resource_new;
+}
+
+/**
+ * Convert image to 1-bit
+ * @param {FBResource} resource Framebuffer Resource
+ * @returns {(null|Object)} Framebuffer Resource
+ */
+function fb_color_1bit(resource = null) {
+  if (!fb_valid(resource)) {
+    return null;
+  }
+
+  let width = resource.width;
+  let height = resource.height;
+  let resource_new = fb_create(width, height);
+  resource_new.alpha_mode = resource.alpha_mode;
+
+  // FIXME: Linear access implementation?
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      let [r, g, b, a] = fb_get_pixel_rgba(resource, x, y);
+
+      let c = (((r + g + b) / 3) | 0) & 0xFF;
+      c = c > 127 ? 255 : 0;
+
+      fb_set_pixel_rgba(resource_new, x, y, c, c, c, a);
+    }
+  }
+
+  fb_defer(resource_new); // FIXME: need test
+
+  return resource_new;
+}
+
+/**
+ * Add grayscale noise to an image
+ * @param {FBResource} resource Framebuffer Resource
+ * @param {number} scale Amount of noise to add ranging from 0.0 to 10.0 (default 0.1)
+ * @returns {(null|Object)} Framebuffer Resource
+ */
+function fb_noise_grayscale(resource = null, scale = 0.1) {
+  if (!fb_valid(resource)) {
+    return null;
+  }
+
+  scale = clamp(scale, 0, 10);
+
+  let resource_new = fb_copy(resource);
+
+  if (scale == 0) {
+    return resource_new;
+  }
+
+  let width = resource.width;
+  let height = resource.height;
+
+  // FIXME: Linear access implementation?
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      let c = fb_get_pixel(resource, x, y);
+      let noise = Math.floor(Math.random(0) * (255 * scale)); // FIXME: Try bitwise this
+
+      // FIXME: Do we need clamping here? The Uint8ClampedArray
+      //        should automatically handle it, albeit it relies
+      //        on the modulo (%) operator, which may yield
+      //        incorrect results.
+      c[0] = clamp(c[0] + noise, 0, 255);
+      c[1] = clamp(c[1] + noise, 0, 255);
+      c[2] = clamp(c[2] + noise, 0, 255);
+
+      fb_set_pixel(resource_new, x, y, ...c);
+    }
+  }
+
+  fb_defer(resource_new); // FIXME: need test
+
+  return resource_new;
+}
+
+/**
+ * Add RGB noise to an image
+ * @param {FBResource} resource Framebuffer Resource
+ * @param {number} scale Amount of noise to add ranging from 0.0 to 10.0 (default 0.1)
+ * @returns {null|object} Framebuffer Resource
+ */
+function fb_noise_rgb(resource = null, scale = 0.1) {
+  if (!fb_valid(resource)) {
+    return null;
+  }
+
+  scale = clamp(scale, 0, 10);
+
+  let resource_new = fb_copy(resource);
+
+  if (scale == 0) {
+    return resource_new;
+  }
+
+  let width = resource.width;
+  let height = resource.height;
+
+  // FIXME: Linear access implementation?
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      let c = fb_get_pixel(resource, x, y);
+
+      // FIXME: Overuse of the Math prototype methods.
+      //        We must come up with a better and more
       //        performant approach than this.
 
-      let noise1 = Math.floor(Math.random(0) * (255 * scale));
-      let noise2 = Math.floor(Math.random(0) * (255 * scale));
-      let noise3 = Math.floor(Math.random(0) * (255 * scale));
+      let noise1 = Math.floor(Math.random(0) * (255 * scale));
+      let noise2 = Math.floor(Math.random(0) * (255 * scale));
+      let noise3 = Math.floor(Math.random(0) * (255 * scale));
+
+      c[0] = clamp(c[0] + noise1, 0, 255);
+      c[1] = clamp(c[1] + noise2, 0, 255);
+      c[2] = clamp(c[2] + noise3, 0, 255);
+
+      fb_set_pixel(resource_new, x, y, c[0], c[1], c[2]);
+    }
+  }
+
+  fb_defer(resource_new); // FIXME: need test
+
+  return resource_new;
+}
+
+/**
+ * Apply a convolution matrix to an image
+ *
+ * More information:
+ *  - https://en.wikipedia.org/wiki/Kernel_(image_processing)
+ *  - https://en.wikipedia.org/wiki/Convolution
+ *  - https://docs.gimp.org/2.8/en/plug-in-convmatrix.html
+ *
+ * @param {FBResource} resource Framebuffer Resource
+ * @param {array} matrix Convolution matrix (3x3 or 5x5)
+ * @param {number} divisor How much to divide the average result
+ * @param {number} offset Value to add to the quotient (division result)
+ * @returns {null|FBResource|FBError} Framebuffer Resource
+ */
+function fb_convolution_matrix(
+  resource = null,
+  matrix = [0, 0, 0, 0, 0, 0, 0, 0, 0],
+  divisor = 1,
+  offset = 0
+) {
+  // FIXME: See if 'Row- and column-major order' matters here.
+  //        Ideally we'd want to loop over in row-major order
+  //        i.e. (X loop inside Y)
+  if (!fb_valid(resource)) {
+    return null;
+  }
+
+  let FN_NAME = 'fb_convolution_matrix';
+  let FN_ARGS = [...arguments];
+
+  // FIXME: Is this limit artificial?
+  if (matrix.length != 9 && matrix.length != 25) {
+    return fb_error(FB_ERR_CONVOLUTION_MATRIX_SIZE, FB_ORIGIN_SYSTEM, FN_NAME, FN_ARGS);
+  }
+
+  let resource_new = fb_copy(resource); // FIXME: Why not `fb_create` instead of `fb_copy` ?
+  let w = resource.width;
+  let h = resource.height;
+  let cm = matrix;
+
+  // Convolution matrix (3 x 3)
+  //
+  // [
+  //    A0  A1  A2
+  //
+  //    B0  B1  B2
+  //
+  //    C0  C1  C2
+  // ]
+  if (matrix.length == 9) {
+    // FIXME: Linear access implementation?
+    for (let x = 0; x < w; x++) {
+      for (let y = 0; y < h; y++) {
+        // 3 x 3 grid
+        let a0 = fb_get_pixel(resource, x - 1, y - 1);
+        let a1 = fb_get_pixel(resource, x    , y - 1);
+        let a2 = fb_get_pixel(resource, x + 1, y - 1);
+
+        let b0 = fb_get_pixel(resource, x - 1, y    );
+        let b1 = fb_get_pixel(resource, x    , y    );
+        let b2 = fb_get_pixel(resource, x + 1, y    );
+
+        let c0 = fb_get_pixel(resource, x - 1, y + 1);
+        let c1 = fb_get_pixel(resource, x    , y + 1);
+        let c2 = fb_get_pixel(resource, x + 1, y + 1);
+
+        // Apply convolution matrix
+        a0[0] *= cm[0];
+        a0[1] *= cm[0];
+        a0[2] *= cm[0];
+
+        a1[0] *= cm[1];
+        a1[1] *= cm[1];
+        a1[2] *= cm[1];
+
+        a2[0] *= cm[2];
+        a2[1] *= cm[2];
+        a2[2] *= cm[2];
+
+        b0[0] *= cm[3];
+        b0[1] *= cm[3];
+        b0[2] *= cm[3];
+
+        b1[0] *= cm[4];
+        b1[1] *= cm[4];
+        b1[2] *= cm[4];
+
+        b2[0] *= cm[5];
+        b2[1] *= cm[5];
+        b2[2] *= cm[5];
+
+        c0[0] *= cm[6];
+        c0[1] *= cm[6];
+        c0[2] *= cm[6];
+
+        c1[0] *= cm[7];
+        c1[1] *= cm[7];
+        c1[2] *= cm[7];
+
+        c2[0] *= cm[8];
+        c2[1] *= cm[8];
+        c2[2] *= cm[8];
+
+        let avg = [
+          (a0[0] + a1[0] + a2[0] +
+           b0[0] + b1[0] + b2[0] +
+           c0[0] + c1[0] + c2[0]) / divisor,
+
+          (a0[1] + a1[1] + a2[1] +
+           b0[1] + b1[1] + b2[1] +
+           c0[1] + c1[1] + c2[1]) / divisor,
+
+          (a0[2] + a1[2] + a2[2] +
+           b0[2] + b1[2] + b2[2] +
+           c0[2] + c1[2] + c2[2]) / divisor
+        ];
+
+        let pos = w * y * 4 + x * 4;
+
+        resource_new.image.data[pos + FB_CHANNEL_R] = avg[0] + offset;
+        resource_new.image.data[pos + FB_CHANNEL_G] = avg[1] + offset;
+        resource_new.image.data[pos + FB_CHANNEL_B] = avg[2] + offset;
+      }
+    }
+  }
+
+  // Convolution matrix (5 x 5)
+  //
+  // [
+  //    A0  A1  A2  A3  A4
+  //
+  //    B0  B1  B2  B3  B4
+  //
+  //    C0  C1  C2  C3  C4
+  //
+  //    D0  D1  D2  D3  D4
+  //
+  //    E0  E1  E2  E3  E4
+  // ]
+  if (matrix.length == 25) {
+    // FIXME: Linear access implementation?
+    for (let x = 0; x < w; x++) {
+      for (let y = 0; y < h; y++) {
+        // 5 x 5 grid
+        let a0 = fb_get_pixel(resource, x - 2, y - 2);
+        let a1 = fb_get_pixel(resource, x - 1, y - 2);
+        let a2 = fb_get_pixel(resource, x    , y - 2);
+        let a3 = fb_get_pixel(resource, x + 1, y - 2);
+        let a4 = fb_get_pixel(resource, x + 2, y - 2);
+
+        let b0 = fb_get_pixel(resource, x - 2, y - 1);
+        let b1 = fb_get_pixel(resource, x - 1, y - 1);
+        let b2 = fb_get_pixel(resource, x    , y - 1);
+        let b3 = fb_get_pixel(resource, x + 1, y - 1);
+        let b4 = fb_get_pixel(resource, x + 2, y - 1);
+
+        let c0 = fb_get_pixel(resource, x - 2, y    );
+        let c1 = fb_get_pixel(resource, x - 1, y    );
+        let c2 = fb_get_pixel(resource, x    , y    );
+        let c3 = fb_get_pixel(resource, x + 1, y    );
+        let c4 = fb_get_pixel(resource, x + 2, y    );
+
+        let d0 = fb_get_pixel(resource, x - 2, y + 1);
+        let d1 = fb_get_pixel(resource, x - 1, y + 1);
+        let d2 = fb_get_pixel(resource, x    , y + 1);
+        let d3 = fb_get_pixel(resource, x + 1, y + 1);
+        let d4 = fb_get_pixel(resource, x + 2, y + 1);
+
+        let e0 = fb_get_pixel(resource, x - 2, y + 2);
+        let e1 = fb_get_pixel(resource, x - 1, y + 2);
+        let e2 = fb_get_pixel(resource, x    , y + 2);
+        let e3 = fb_get_pixel(resource, x + 1, y + 2);
+        let e4 = fb_get_pixel(resource, x + 2, y + 2);
+
+        // Apply convolution matrix
+        a0[0] *= cm[0];
+        a0[1] *= cm[0];
+        a0[2] *= cm[0];
+
+        a1[0] *= cm[1];
+        a1[1] *= cm[1];
+        a1[2] *= cm[1];
+
+        a2[0] *= cm[2];
+        a2[1] *= cm[2];
+        a2[2] *= cm[2];
+
+        a3[0] *= cm[3];
+        a3[1] *= cm[3];
+        a3[2] *= cm[3];
+
+        a4[0] *= cm[4];
+        a4[1] *= cm[4];
+        a4[2] *= cm[4];
+
+        b0[0] *= cm[5];
+        b0[1] *= cm[5];
+        b0[2] *= cm[5];
+
+        b1[0] *= cm[6];
+        b1[1] *= cm[6];
+        b1[2] *= cm[6];
+
+        b2[0] *= cm[7];
+        b2[1] *= cm[7];
+        b2[2] *= cm[7];
+
+        b3[0] *= cm[8];
+        b3[1] *= cm[8];
+        b3[2] *= cm[8];
+
+        b4[0] *= cm[9];
+        b4[1] *= cm[9];
+        b4[2] *= cm[9];
+
+        c0[0] *= cm[10];
+        c0[1] *= cm[10];
+        c0[2] *= cm[10];
+
+        c1[0] *= cm[11];
+        c1[1] *= cm[11];
+        c1[2] *= cm[11];
+
+        c2[0] *= cm[12];
+        c2[1] *= cm[12];
+        c2[2] *= cm[12];
+
+        c3[0] *= cm[13];
+        c3[1] *= cm[13];
+        c3[2] *= cm[13];
+
+        c4[0] *= cm[14];
+        c4[1] *= cm[14];
+        c4[2] *= cm[14];
+
+        d0[0] *= cm[15];
+        d0[1] *= cm[15];
+        d0[2] *= cm[15];
+
+        d1[0] *= cm[16];
+        d1[1] *= cm[16];
+        d1[2] *= cm[16];
+
+        d2[0] *= cm[17];
+        d2[1] *= cm[17];
+        d2[2] *= cm[17];
+
+        d3[0] *= cm[18];
+        d3[1] *= cm[18];
+        d3[2] *= cm[18];
+
+        d4[0] *= cm[19];
+        d4[1] *= cm[19];
+        d4[2] *= cm[19];
+
+        e0[0] *= cm[20];
+        e0[1] *= cm[20];
+        e0[2] *= cm[20];
+
+        e1[0] *= cm[21];
+        e1[1] *= cm[21];
+        e1[2] *= cm[21];
+
+        e2[0] *= cm[22];
+        e2[1] *= cm[22];
+        e2[2] *= cm[22];
+
+        e3[0] *= cm[23];
+        e3[1] *= cm[23];
+        e3[2] *= cm[23];
+
+        e4[0] *= cm[24];
+        e4[1] *= cm[24];
+        e4[2] *= cm[24];
+
+        let avg = [
+          (a0[0] + a1[0] + a2[0] + a3[0] + a4[0] +
+           b0[0] + b1[0] + b2[0] + b3[0] + b4[0] +
+           c0[0] + c1[0] + c2[0] + c3[0] + c4[0] +
+           d0[0] + d1[0] + d2[0] + d3[0] + d4[0] +
+           e0[0] + e1[0] + e2[0] + e3[0] + e4[0]) / divisor,
+
+          (a0[1] + a1[1] + a2[1] + a3[1] + a4[1] +
+           b0[1] + b1[1] + b2[1] + b3[1] + b4[1] +
+           c0[1] + c1[1] + c2[1] + c3[1] + c4[1] +
+           d0[1] + d1[1] + d2[1] + d3[1] + d4[1] +
+           e0[1] + e1[1] + e2[1] + e3[1] + e4[1]) / divisor,
+
+          (a0[2] + a1[2] + a2[2] + a3[2] + a4[2] +
+           b0[2] + b1[2] + b2[2] + b3[2] + b4[2] +
+           c0[2] + c1[2] + c2[2] + c3[2] + c4[2] +
+           d0[2] + d1[2] + d2[2] + d3[2] + d4[2] +
+           e0[2] + e1[2] + e2[2] + e3[2] + e4[2]) / divisor
+        ];
+
+        let pos = w * y * 4 + x * 4;
+
+        resource_new.image.data[pos + FB_CHANNEL_R] = avg[0] + offset;
+        resource_new.image.data[pos + FB_CHANNEL_G] = avg[1] + offset;
+        resource_new.image.data[pos + FB_CHANNEL_B] = avg[2] + offset;
+      }
+    }
+  }
+
+  fb_invalidate(resource_new);
+  fb_defer(resource_new); // FIXME: need test
+
+  return resource_new;
+}
+
+/**
+ * Sharpen the image
+ * @param {FBResource} resource Framebuffer Resource
+ * @returns {null|object} Framebuffer Resource
+ */
+function fb_sharpen(resource = null) {
+  if (!fb_valid(resource)) {
+    return null;
+  }
+
+  let resource_new = fb_convolution_matrix(
+    resource,
+    [
+       0, -1,  0,
+      -1,  5, -1,
+       0, -1,  0
+    ]
+  );
+
+  fb_defer(resource_new); // FIXME: need test
+
+  return resource_new;
+}
+
+/**
+ * Resize the image (using nearest neighbor)
+ * @param {FBResource} resource Framebuffer Resource
+ * @param {number} w Width (rounded to nearest place)
+ * @param {number} h Height (rounded to nearest place)
+ * @param {boolean} restore Return resized resource in its original dimension
+ * @returns {null|FBResource} Framebuffer Resource
+ */
+function fb_resize(resource = null, w = 0, h = 0, restore = false) {
+  if (!fb_valid(resource)) {
+    return null;
+  }
+
+  w |= 0;
+  h |= 0;
+
+  // If the dimensions have not changed,
+  // return the affectee resource
+  if (w == 0 || h == 0 ||
+      (w == resource.width && h == resource.height)) {
+    return resource;
+  }
+
+  // Keep original dimensions
+  let w_copy = resource.width;
+  let h_copy = resource.height;
+
+  let resource_new = fb_create(w, h);
+  resource_new.alpha_mode = resource.alpha_mode;
+
+  // Difference values between resource
+  // and resource_new dimensions
+  //
+  // FIXME: Should we truncate the integer?
+  //        This way we might get a performance boost,
+  //        but also lose some precision in the resizing
+  //        algorithm (right?)     - imshvc (2024-09-22)
+  let xd = w_copy / w;
+  let yd = h_copy / h;
+
+  // FIXME: Linear access implementation?
+  for (let x = 0; x < w; x++) {
+    for (let y = 0; y < h; y++) {
+      let color = fb_get_pixel_rgba(resource, xd * x, yd * y);
+
+      for (let i = 0; i < xd; i += xd) {
+        for (let j = 0; j < yd; j += yd) {
+          fb_set_pixel_rgba(resource_new, x + i, y + j, ...color);
+        }
+      }
+    }
+  }
+
+  fb_sync(resource_new);
+
+  if (restore) {
+    return fb_resize(resource_new, w_copy, h_copy);
+  }
+
+  return resource_new;
+}
+
+/**
+ * Pixelate an image
+ * @param {FBResource} resource Framebuffer Resource
+ * @param {number} factor How much to divide image dimensions before upsampling (default 2, min 1)
+ * @returns {null|FBResource} Framebuffer Resource
+ */
+function fb_pixelate(resource = null, factor = 2) {
+  if (!fb_valid(resource)) {
+    return null;
+  }
+
+  // Factor min can be 1
+  factor = clamp(factor, 1) | 0; // FIXME: Is this correct?
+
+  let resource_new = fb_copy(resource);
+
+  // If factor is 1 return the affectee resource
+  if (factor == 1) {
+    return resource_new;
+  }
+
+  // Original dimensions
+  let ow = resource.width;
+  let oh = resource.height;
+
+  // Sampled dimensions
+  let sw = clamp((ow / factor) | 0, 1);
+  let sh = clamp((oh / factor) | 0, 1);
+
+  // Downsample and upsample using nearest neighbor
+  resource_new = fb_resize(resource_new, sw, sh);
+  resource_new = fb_resize(resource_new, ow, oh);
+
+  fb_defer(resource_new); // FIXME: need test
+
+  return resource_new;
+}
+
+/**
+ * Crop an image.
+ *
+ * In Mode 1, X1 and Y1 cannot be bigger than X2 and Y2 respectively.
+ * X1 and Y1 define Point #1 on the image which is the starting point
+ * and X2 and Y2 define Point #2 which is the ending point.
+ * All values between those 2 points will be the returned resource
+ * that contains the pixel data cropped within that area.
+ *
+ * If X1 or Y1 are equal to their neighboring counterparts, then the
+ * values of X2 or Y2 are increment by 1.
+ * If X1 is 42 and X2 is 42 then X2 will be 43 as we cannot return
+ * a cropped image if the 2 points fall on the same exact coordinate i.e.
+ * we cannot have an image whose sides are 0.
+ *
+ * Mode 2 overrides the resource_new width and height by treating
+ * X2 and Y2 as the dimensions and not the 2nd point on the image.
+ *
+ * If the width or height exceed the boundary of the affectee resource
+ * then the value that fb_get_pixel() returns by default when out of
+ * bounds will be written to the copy resource.
+ *
+ * @param {FBResource} resource Framebuffer Resource
+ * @param {number} x1 X axis (Point 1)
+ * @param {number} y1 Y axis (Point 1)
+ * @param {number} x2 X axis (Point 2)
+ * @param {number} y2 Y axis (Point 2)
+ * @param {number} mode If 1, values [x2, y2] are used as width and height
+ * @returns {null|FBResource} Framebuffer Resource
+ */
+function fb_crop(resource = null, x1 = 0, y1 = 0, x2 = 1, y2 = 1, mode = 0) {
+  if (!fb_valid(resource)) {
+    return null;
+  }
+
+  // FIXME: Maybe we can yield better performance if we implement this ourselves in bitwise?
+  x1 = Math.abs(x1) | 0;
+  y1 = Math.abs(y1) | 0;
+  x2 = Math.abs(x2) | 0;
+  y2 = Math.abs(y2) | 0;
+
+  mode = clamp(mode, 0, 1);
+
+  let w, h;
+
+  // Mode 0
+  if (mode == 0) {
+    // Save people from making pesky mistakes
+    if (x1 == x2) {
+      ++x2;
+    }
+
+    if (y1 == y2) {
+      ++y2;
+    }
+
+    // Point #1 is bigger than Point #2
+    // swap their values
+    if (x1 > x2) {
+      [x1, x2] = [x2, x1];
+    }
+
+    if (y1 > y2) {
+      [y1, y2] = [y2, y1];
+    }
+
+    // Point #2 must be within the dimension boundaries of the resource
+    x2 = clamp(x2, 0, resource.width);
+    y2 = clamp(y2, 0, resource.height);
+
+    // Set width and height
+    w = (x2 - x1) | 0;
+    h = (y2 - y1) | 0;
+  }
+
+  // Mode 1
+  if (mode == 1) {
+    // Set width and height
+    w = x2;
+    h = y2;
+  }
+
+  let resource_new = fb_create(w, h);
+  resource_new.alpha_mode = resource.alpha_mode;
+  let mx = w + x1;
+  let my = h + y1;
+
+  for (let x = x1; x < mx; x++)
+    for (let y = y1; y < my; y++) {
+      let color = fb_get_pixel_rgba(resource, x, y);
+
+      fb_set_pixel_rgba(
+        resource_new,
+        x - x1,
+        y - y1,
+        ...color
+      );
+    }
+
+  fb_defer(resource_new); // FIXME: need test
+
+  return resource_new;
+}
+
+/**
+ * Detect edges in an image
+ * @param {FBResource} resource Framebuffer Resource
+ * @param {number} mode Available modes [0..2]
+ * @returns {null|FBResource} Framebuffer Resource
+ */
+function fb_detect_edge(resource = null, mode = 0) {
+  if (!fb_valid(resource)) {
+    return null;
+  }
+
+  mode = clamp(mode, 0, 2);
+
+  let resource_new = fb_copy(resource);
+
+  // Mode 0
+  if (mode == 0) {
+    resource_new = fb_convolution_matrix(
+      resource_new,
+      [
+        1,  0, -1,
+        0,  0,  0,
+       -1,  0,  1
+      ]
+    );
+  }
+
+  // Mode 1
+  if (mode == 1) {
+    resource_new = fb_convolution_matrix(
+      resource_new,
+      [
+        0,  1,  0,
+        1, -4,  1,
+        0,  1,  0
+      ]
+    );
+  }
+
+  // Mode 2
+  if (mode == 2) {
+    resource_new = fb_convolution_matrix(
+      resource_new,
+      [
+       -1, -1, -1,
+       -1,  8, -1,
+       -1, -1, -1
+      ]
+    )
+  }
+
+  fb_defer(resource_new); // FIXME: need test
+
+  return resource_new;
+}
+
+/**
+ * Box blur
+ * @param {FBResource} resource Framebuffer Resource
+ * @param {number} iterations Iteration count (min 1)
+ * @returns {null|FBResource} Framebuffer Resource
+ */
+function fb_blur_box(resource = null, iterations = 1) {
+  if (!fb_valid(resource)) {
+    return null;
+  }
+
+  let resource_new = fb_copy(resource);
+  iterations = clamp(iterations, 1);
+
+  for (let i = 0; i < iterations; i++) {
+    resource_new = fb_convolution_matrix(
+      resource_new,
+      [
+        1,  1,  1,
+        1,  1,  1,
+        1,  1,  1
+      ],
+      9
+    );
+  }
+
+  fb_defer(resource_new); // FIXME: need test
+
+  return resource_new;
+}
+
+/**
+ * Gaussian blur
+ * @param {FBResource} resource Framebuffer Resource
+ * @param {number} iterations Iteration count (min 1)
+ * @returns {null|FBResource} Framebuffer Resource
+ */
+function fb_blur_gaussian(resource = null, iterations = 1) {
+  if (!fb_valid(resource)) {
+    return null;
+  }
+
+  let resource_new = fb_copy(resource);
+  iterations = clamp(iterations, 1);
+
+  for (let i = 0; i < iterations; i++) {
+    resource_new = fb_convolution_matrix(
+      resource_new,
+      [
+        1,  2,  1,
+        2,  4,  2,
+        1,  2,  1
+      ],
+      16
+    );
+  }
+
+  fb_defer(resource_new); // FIXME: need test
+
+  return resource_new;
+}
+
+/**
+ * Emboss
+ * @param {FBResource} resource Framebuffer Resource
+ * @param {number} power How many times to apply the convolution matrix (min 0.01)
+ * @returns {null|FBResource} Framebuffer Resource
+ */
+function fb_emboss(resource = null, power = 1) {
+  if (!fb_valid(resource)) {
+    return null;
+  }
+
+  power = clamp(power, 0.01);
+
+  let resource_new = fb_convolution_matrix(
+    resource,
+    [
+     -2 * power, -1 * power,  0 * power,
+     -1 * power,  1 * power,  1 * power,
+      0 * power,  1 * power,  2 * power
+    ],
+    9
+  );
+
+  fb_defer(resource_new); // FIXME: need test
+
+  return resource_new;
+}
+
+/**
+ * Block modifications to the Framebuffer Resource (lock)
+ * @param {FBResource} resource Framebuffer Resource
+ * @returns {boolean}
+ */
+function fb_lock(resource = null) {
+  if (!fb_valid(resource)) {
+    return false;
+  }
+
+  resource.locked = true;
+  return true;
+}
+
+/**
+ * Allow modifications to the Framebuffer Resource (unlock)
+ * @param {FBResource} resource Framebuffer Resource
+ * @returns {boolean}
+ */
+function fb_unlock(resource = null) {
+  if (!fb_valid(resource)) {
+    return false;
+  }
+
+  resource.locked = false;
+  return true;
+}
+
+/**
+ * Convert the resource to a different alpha mode
+ * @param {FBResource} resource Framebuffer Resource
+ * @param {number} mode Alpha mode (FB_ALPHA_STRAIGHT or FB_ALPHA_PREMULTIPLIED)
+ * @returns {boolean}
+ */
+function fb_alpha_mode(resource = null, mode = FB_ALPHA_STRAIGHT) {
+  if (!fb_valid(resource)) {
+    return false;
+  }
+
+  if (resource.locked) {
+    return false;
+  }
+
+  if (mode !== FB_ALPHA_STRAIGHT && mode !== FB_ALPHA_PREMULTIPLIED) {
+    return false;
+  }
+
+  // Colors are defined by the palette
+  if (resource.format != FB_FORMAT_RGBA8) {
+    return false;
+  }
+
+  fb_alpha_convert(resource.image.data, resource.alpha_mode, mode);
+  resource.alpha_mode = mode;
+
+  fb_invalidate(resource);
+
+  return true;
+}
+
+/**
+ * Begin a history step (e.g. a brush stroke)
+ * Changes until fb_history_commit() are undone as one step.
+ * Steps can be nested, only the outermost is recorded.
+ * @param {FBResource} resource Framebuffer Resource
+ * @returns {boolean}
+ */
+function fb_history_begin(resource = null) {
+  if (!fb_valid(resource)) {
+    return false;
+  }
+
+  if (resource.locked) {
+    return false;
+  }
+
+  if (resource.history === null) {
+    resource.history = {
+      undo: [],
+      redo: [],
+      size: 0,
+      budget: fb_config_map.history_budget.value,
+      depth: 0,
+      snapshot: null,
+    };
+  }
+
+  let history = resource.history;
+
+  if (history.depth++ > 0) {
+    return true;
+  }
+
+  history.snapshot = {
+    width: resource.width,
+    height: resource.height,
+    format: resource.format,
+    data: fb_storage(resource).slice(),
+  };
+
+  return true;
+}
+
+/**
+ * Commit the history step started by fb_history_begin()
+ * Only tiles that changed are stored (before and after).
+ * @param {FBResource} resource Framebuffer Resource
+ * @returns {boolean} True when a step was recorded
+ */
+function fb_history_commit(resource = null) {
+  if (!fb_valid(resource)) {
+    return false;
+  }
+
+  let history = resource.history;
+
+  if (history === null || history.depth == 0) {
+    return false;
+  }
+
+  if (--history.depth > 0) {
+    return false;
+  }
+
+  let snapshot = history.snapshot;
+  history.snapshot = null;
+
+  let step = {
+    width_before: snapshot.width,
+    height_before: snapshot.height,
+    format_before: snapshot.format,
+    width_after: resource.width,
+    height_after: resource.height,
+    format_after: resource.format,
+    tiles: [],
+    size: 0,
+  };
+
+  // Resized or converted, store both images entirely
+  if (snapshot.width != resource.width ||
+      snapshot.height != resource.height ||
+      snapshot.format != resource.format) {
+    step.tiles.push({
+      x: 0,
+      y: 0,
+      w: 0,
+      h: 0,
+      before: snapshot.data,
+      after: fb_storage(resource).slice(),
+    });
+  } else {
+    step.tiles = fb_history_diff(resource, snapshot.data);
+  }
+
+  if (step.tiles.length == 0) {
+    return false;
+  }
+
+  for (let tile of step.tiles) {
+    step.size += tile.before.byteLength + tile.after.byteLength;
+  }
+
+  history.undo.push(step);
+  history.size += step.size;
+
+  // New step, nothing to redo
+  for (let redo of history.redo) {
+    history.size -= redo.size;
+  }
+
+  history.redo.length = 0;
+
+  // Respect the memory budget
+  while (history.size > history.budget && history.undo.length > 0) {
+    history.size -= history.undo.shift().size;
+  }
+
+  return history.undo.length > 0;
+}
+
+/**
+ * Undo the last history step
+ * Fails if the resource was resized or converted since.
+ * @param {FBResource} resource Framebuffer Resource
+ * @returns {boolean}
+ */
+function fb_history_undo(resource = null) {
+  if (!fb_valid(resource)) {
+    return false;
+  }
+
+  let history = resource.history;
+
+  if (resource.locked || history === null || history.depth > 0) {
+    return false;
+  }
+
+  if (history.undo.length == 0) {
+    return false;
+  }
+
+  if (!fb_history_apply(resource, history.undo[history.undo.length - 1], false)) {
+    return false;
+  }
+
+  history.redo.push(history.undo.pop());
+
+  return true;
+}
+
+/**
+ * Redo the last undone history step
+ * Fails if the resource was resized or converted since.
+ * @param {FBResource} resource Framebuffer Resource
+ * @returns {boolean}
+ */
+function fb_history_redo(resource = null) {
+  if (!fb_valid(resource)) {
+    return false;
+  }
+
+  let history = resource.history;
+
+  if (resource.locked || history === null || history.depth > 0) {
+    return false;
+  }
+
+  if (history.redo.length == 0) {
+    return false;
+  }
+
+  if (!fb_history_apply(resource, history.redo[history.redo.length - 1], true)) {
+    return false;
+  }
+
+  history.undo.push(history.redo.pop());
+
+  return true;
+}
+
+/**
+ * Clear the undo/redo history
+ * @param {FBResource} resource Framebuffer Resource
+ * @param {null|number} budget New memory budget in bytes (null keeps the current one)
+ * @returns {boolean}
+ */
+function fb_history_clear(resource = null, budget = null) {
+  if (!fb_valid(resource)) {
+    return false;
+  }
+
+  if (resource.history === null) {
+    return true;
+  }
+
+  resource.history.undo.length = 0;
+  resource.history.redo.length = 0;
+  resource.history.size = 0;
+
+  if (typeof budget === 'number' && budget >= 0) {
+    resource.history.budget = budget;
+  }
+
+  return true;
+}
+
+/**
+ * Compare the resource against a snapshot of its data
+ * <InternalFunction>
+ * @param {FBResource} resource Framebuffer Resource
+ * @param {Uint8ClampedArray} data Snapshot (same dimensions)
+ * @returns {array} Changed tiles
+ */
+function fb_history_diff(resource, data) {
+  let tiles = [];
+  let size = FB_DIRTY_TILE_SIZE;
+  let width = resource.width;
+  let height = resource.height;
+  let current = fb_storage(resource);
+
+  // Values per pixel
+  let n = current.length / (width * height);
+
+  for (let ty = 0; ty < height; ty += size) {
+    for (let tx = 0; tx < width; tx += size) {
+      let w = Math.min(size, width - tx);
+      let h = Math.min(size, height - ty);
+      let changed = false;
+
+      for (let y = ty; y < ty + h && !changed; y++) {
+        let pos = (width * y + tx) * n;
+
+        for (let i = pos; i < pos + w * n; i++) {
+          if (current[i] != data[i]) {
+            changed = true;
+            break;
+          }
+        }
+      }
+
+      if (!changed) {
+        continue;
+      }
+
+      let tile = {
+        x: tx,
+        y: ty,
+        w: w,
+        h: h,
+        before: new current.constructor(w * h * n),
+        after: new current.constructor(w * h * n),
+      };
+
+      for (let y = 0; y < h; y++) {
+        let pos = (width * (ty + y) + tx) * n;
+
+        tile.before.set(data.subarray(pos, pos + w * n), y * w * n);
+        tile.after.set(current.subarray(pos, pos + w * n), y * w * n);
+      }
+
+      tiles.push(tile);
+    }
+  }
+
+  return tiles;
+}
+
+/**
+ * Write a history step into the resource
+ * <InternalFunction>
+ * @param {FBResource} resource Framebuffer Resource
+ * @param {object} step History step
+ * @param {boolean} forward Apply 'after' (redo) instead of 'before' (undo)
+ * @returns {boolean} False when the resource was resized or converted
+ *                    outside of the history (nothing is written)
+ */
+function fb_history_apply(resource, step, forward) {
+  let width = forward ? step.width_after : step.width_before;
+  let height = forward ? step.height_after : step.height_before;
+  let format = forward ? step.format_after : step.format_before;
+
+  // The state the step was recorded from
+  if (resource.width != (forward ? step.width_before : step.width_after) ||
+      resource.height != (forward ? step.height_before : step.height_after) ||
+      resource.format != (forward ? step.format_before : step.format_after)) {
+    return false;
+  }
+
+  // Whole image (step resized or converted the resource)
+  if (step.tiles[0].w == 0) {
+    let tile = step.tiles[0];
+
+    fb_storage_replace(resource, width, height, format, forward ? tile.after : tile.before);
+    fb_defer(resource);
+    return true;
+  }
+
+  let storage = fb_storage(resource);
+  let n = storage.length / (resource.width * resource.height);
+
+  for (let tile of step.tiles) {
+    let data = forward ? tile.after : tile.before;
+
+    for (let y = 0; y < tile.h; y++) {
+      let pos = (resource.width * (tile.y + y) + tile.x) * n;
+      storage.set(data.subarray(y * tile.w * n, (y + 1) * tile.w * n), pos);
+    }
+
+    fb_invalidate(resource, tile.x, tile.y, tile.w, tile.h);
+  }
+
+  if (resource.format != FB_FORMAT_RGBA8) {
+    resource.image_stale = true;
+  }
+
+  fb_defer(resource);
+
+  return true;
+}
+
+/**
+ * Create a layer stack that flattens into a target resource
+ * The stack owns the target: don't draw on it directly.
+ * @param {FBResource} target Framebuffer Resource to flatten into
+ * @param {array} background RGBA color under all layers (default transparent)
+ * @returns {null|FBLayerStack} Layer Stack
+ */
+function fb_layers_create(target = null, background = [0, 0, 0, 0]) {
+  if (!fb_valid(target)) {
+    return null;
+  }
+
+  if (target.format != FB_FORMAT_RGBA8) {
+    return null;
+  }
+
+  let stack = new FBLayerStack({
+    target: target,
+
+    // Bottom to top
+    layers: [],
+
+    background: background,
+
+    // Everything is composited on the first sync
+    dirty: 1,
+  });
+
+  return stack;
+}
+
+/**
+ * Add a layer on top of the stack
+ * Layer properties ('visible', 'opacity', 'blend', 'x' and 'y')
+ * can be changed directly, fb_layers_sync() notices.
+ * @param {FBLayerStack} stack Layer Stack
+ * @param {FBResource} resource Framebuffer Resource of the layer
+ * @param {number} x X axis offset
+ * @param {number} y Y axis offset
+ * @param {number} opacity Opacity ranging from 0.0 to 1.0 (default 1)
+ * @param {number} blend Blend mode (default FB_BLEND_NORMAL)
+ * @param {boolean} visible Visibility (default true)
+ * @returns {null|FBLayer} Layer
+ */
+function fb_layers_add(
+  stack = null,
+  resource = null,
+  x = 0,
+  y = 0,
+  opacity = 1,
+  blend = FB_BLEND_NORMAL,
+  visible = true
+) {
+  if (stack instanceof FBLayerStack === false) {
+    return null;
+  }
+
+  if (!fb_valid(resource)) {
+    return null;
+  }
+
+  let layer = new FBLayer({
+    resource: resource,
+    x: x | 0,
+    y: y | 0,
+    opacity: opacity,
+    blend: blend,
+    visible: visible,
+
+    // Properties at the time of the last composite
+    // (null until composited)
+    composited: null,
+
+    // Tiles of the resource changed since the last composite
+    // (see 'layer_tiles' of the resource)
+    tiles: new Uint8Array(fb_dirty_tiles(resource).length),
+  });
+
+  resource.layer_tiles.push(layer.tiles);
+  stack.layers.push(layer);
+
+  return layer;
+}
+
+/**
+ * Remove a layer from the stack
+ * @param {FBLayerStack} stack Layer Stack
+ * @param {FBLayer} layer Layer
+ * @returns {boolean}
+ */
+function fb_layers_remove(stack = null, layer = null) {
+  if (stack instanceof FBLayerStack === false) {
+    return false;
+  }
+
+  let index = stack.layers.indexOf(layer);
+
+  if (index == -1) {
+    return false;
+  }
+
+  stack.layers.splice(index, 1);
+  fb_layers_damage(stack, layer.composited);
+
+  // Stop tracking changes of the resource for this layer
+  let maps = layer.resource.layer_tiles;
+
+  if (maps.indexOf(layer.tiles) != -1) {
+    maps.splice(maps.indexOf(layer.tiles), 1);
+  }
+
+  return true;
+}
+
+/**
+ * Move a layer to a different position in the stack
+ * @param {FBLayerStack} stack Layer Stack
+ * @param {FBLayer} layer Layer
+ * @param {number} index New position (0 is the bottom, -1 the top)
+ * @returns {boolean}
+ */
+function fb_layers_move(stack = null, layer = null, index = -1) {
+  if (stack instanceof FBLayerStack === false) {
+    return false;
+  }
+
+  let current = stack.layers.indexOf(layer);
+
+  if (current == -1) {
+    return false;
+  }
+
+  stack.layers.splice(current, 1);
+
+  if (index < 0) {
+    index = stack.layers.length + 1 + index;
+  }
+
+  index = clamp(index | 0, 0, stack.layers.length);
+  stack.layers.splice(index, 0, layer);
+
+  fb_layers_damage(stack, layer.composited);
+
+  return true;
+}
+
+/**
+ * Flatten the layer stack into its target resource
+ *
+ * Only areas covered by changed layers are composited
+ * again: layers whose properties changed, and the areas
+ * of layer resources drawn to since the last call. The
+ * dirty state of layer resources is kept, they can still
+ * be synchronized on their own with fb_sync().
+ *
+ * @param {FBLayerStack} stack Layer Stack
+ * @returns {boolean} True when the target was updated
+ */
+function fb_layers_sync(stack = null) {
+  if (stack instanceof FBLayerStack === false) {
+    return false;
+  }
+
+  let target = stack.target;
+
+  if (!fb_valid(target) || target.locked) {
+    return false;
+  }
+
+  if (stack.dirty) {
+    fb_invalidate(target);
+    stack.dirty = 0;
+  }
+
+  for (let layer of stack.layers) {
+    let resource = layer.resource;
+    let state = {
+      x: layer.x | 0,
+      y: layer.y | 0,
+      w: resource.width,
+      h: resource.height,
+      visible: layer.visible,
+      opacity: layer.opacity,
+      blend: layer.blend,
+    };
+
+    let last = layer.composited;
+    let changed = last === null;
+
+    for (let key in state) {
+      if (!changed && state[key] !== last[key]) {
+        changed = true;
+      }
+    }
+
+    // Palette of an indexed layer was edited
+    if (resource.palette !== null && resource.palette_version !== resource.palette.version) {
+      fb_image(resource);
+      changed = true;
+    }
+
+    // Moved, resized or restyled: old and new area
+    if (changed) {
+      fb_layers_damage(stack, last);
+      fb_layers_damage(stack, state);
+    } else {
+      for (let [x, y, w, h] of fb_dirty_tile_regions(resource, layer.tiles)) {
+        fb_invalidate(target, state.x + x, state.y + y, w, h);
+      }
+    }
+
+    layer.composited = state;
+
+    // Only clear the tiles of this layer, not the resource
+    let length = fb_dirty_tiles(resource).length;
+
+    if (layer.tiles.length == length) {
+      layer.tiles.fill(0);
+    } else {
+      let maps = resource.layer_tiles;
+      let tiles = new Uint8Array(length);
+
+      maps.splice(maps.indexOf(layer.tiles), 1, tiles);
+      layer.tiles = tiles;
+    }
+  }
+
+  let regions = fb_dirty_regions(target);
+
+  if (regions.length == 0) {
+    return false;
+  }
+
+  // Composite everything first, synchronize once
+  let defer = target.defer;
+  target.defer = FB_DEFER_WRITE_BACK;
+
+  for (let [x, y, w, h] of regions) {
+    fb_layers_composite(stack, x, y, w, h);
+  }
+
+  target.defer = defer;
+  fb_sync(target);
+
+  return true;
+}
+
+/**
+ * Mark the area of a layer state as damaged on the target
+ * <InternalFunction>
+ * @param {FBLayerStack} stack Layer Stack
+ * @param {null|object} state Layer state (see 'composited')
+ * @returns {undefined}
+ */
+function fb_layers_damage(stack, state) {
+  if (state === null) {
+    return;
+  }
+
+  fb_invalidate(stack.target, state.x, state.y, state.w, state.h);
+}
+
+/**
+ * Composite all visible layers within an area of the target
+ * <InternalFunction>
+ * @param {FBLayerStack} stack Layer Stack
+ * @param {number} x X axis
+ * @param {number} y Y axis
+ * @param {number} w Width
+ * @param {number} h Height
+ * @returns {undefined}
+ */
+function fb_layers_composite(stack, x, y, w, h) {
+  let target = stack.target;
+  let data = target.image.data;
+  let [r, g, b, a] = stack.background;
+
+  if (target.alpha_mode == FB_ALPHA_PREMULTIPLIED) {
+    r = r * a / 255;
+    g = g * a / 255;
+    b = b * a / 255;
+  }
+
+  // Background
+  for (let y2 = y; y2 < y + h; y2++) {
+    for (let pos = (target.width * y2 + x) * 4, end = pos + w * 4; pos < end; pos += 4) {
+      data[pos + FB_CHANNEL_R] = r;
+      data[pos + FB_CHANNEL_G] = g;
+      data[pos + FB_CHANNEL_B] = b;
+      data[pos + FB_CHANNEL_A] = a;
+    }
+  }
+
+  for (let layer of stack.layers) {
+    if (!layer.visible || 0 >= layer.opacity) {
+      continue;
+    }
+
+    let state = layer.composited;
+
+    // Intersection of the area and the layer
+    let x1 = Math.max(x, state.x);
+    let y1 = Math.max(y, state.y);
+    let x2 = Math.min(x + w, state.x + state.w);
+    let y2 = Math.min(y + h, state.y + state.h);
+
+    if (x1 >= x2 || y1 >= y2) {
+      continue;
+    }
+
+    fb_blit(
+      target,
+      layer.resource,
+      x1,
+      y1,
+      layer.blend,
+      layer.opacity,
+      FB_COMPOSITE_SOURCE_OVER,
+      x1 - state.x,
+      y1 - state.y,
+      x2 - x1,
+      y2 - y1
+    );
+  }
+}
+
+/**
+ * Create a palette for indexed resources
+ * @param {null|array} colors Entries as [r, g, b] or [r, g, b, a] (default 256 grays)
+ * @returns {null|FBPalette} Palette (null when there are no or over 256 entries)
+ */
+function fb_palette_create(colors = null) {
+  if (colors === null) {
+    colors = [];
+
+    for (let i = 0; i < 256; i++) {
+      colors.push([i, i, i]);
+    }
+  }
+
+  if (!Array.isArray(colors) || colors.length == 0 || colors.length > 256) {
+    return null;
+  }
+
+  let palette = new FBPalette({
+    // RGBA entries (straight alpha)
+    colors: new Uint8ClampedArray(colors.length * 4),
+
+    // Entry count
+    size: colors.length,
+
+    // Incremented on every change, indexed resources
+    // compare it to know when to refresh their image.
+    version: 0,
+
+    // Nearest entry lookups (packed RGBA to index)
+    cache: new Map(),
+  });
+
+  for (let i = 0; i < colors.length; i++) {
+    let [r = 0, g = 0, b = 0, a = 255] = colors[i];
+    palette.colors.set([r, g, b, a], i * 4);
+  }
+
+  return palette;
+}
+
+/**
+ * Set a palette entry
+ * Indexed resources using the palette change on the next fb_sync().
+ * @param {FBPalette} palette Palette
+ * @param {number} index Entry index
+ * @param {number} r Red channel
+ * @param {number} g Green channel
+ * @param {number} b Blue channel
+ * @param {number} a Alpha channel (default 255)
+ * @returns {boolean}
+ */
+function fb_palette_set(palette = null, index = 0, r = 0, g = 0, b = 0, a = 255) {
+  if (!(palette instanceof FBPalette)) {
+    return false;
+  }
+
+  if (0 > index || index >= palette.size) {
+    return false;
+  }
+
+  palette.colors.set([r, g, b, a], index * 4);
+  palette.cache.clear();
+  palette.version++;
+
+  return true;
+}
+
+/**
+ * Get a palette entry
+ * @param {FBPalette} palette Palette
+ * @param {number} index Entry index
+ * @returns {array} [r, g, b, a] ([0, 0, 0, 0] when out of range)
+ */
+function fb_palette_get(palette = null, index = 0) {
+  if (!(palette instanceof FBPalette)) {
+    return [0, 0, 0, 0];
+  }
+
+  if (0 > index || index >= palette.size) {
+    return [0, 0, 0, 0];
+  }
+
+  return Array.from(palette.colors.subarray(index * 4, index * 4 + 4));
+}
+
+/**
+ * Rotate a range of palette entries (color cycling)
+ * Call it on every frame to animate indexed resources
+ * without touching their pixels.
+ * @param {FBPalette} palette Palette
+ * @param {number} start First entry of the range
+ * @param {number} end Last entry of the range (default last entry)
+ * @param {number} step Entries to rotate by, negative rotates backwards (default 1)
+ * @returns {boolean}
+ */
+function fb_palette_cycle(palette = null, start = 0, end = -1, step = 1) {
+  if (!(palette instanceof FBPalette)) {
+    return false;
+  }
+
+  if (end == -1) {
+    end = palette.size - 1;
+  }
+
+  if (0 > start || start > end || end >= palette.size) {
+    return false;
+  }
+
+  let count = end - start + 1;
+  step = ((step % count) + count) % count;
+
+  if (step == 0) {
+    return true;
+  }
+
+  // Entry 'start + i' moves to 'start + i + step'
+  let range = palette.colors.slice(start * 4, (end + 1) * 4);
+  palette.colors.set(range.subarray((count - step) * 4), start * 4);
+  palette.colors.set(range.subarray(0, (count - step) * 4), (start + step) * 4);
+
+  palette.cache.clear();
+  palette.version++;
+
+  return true;
+}
+
+/**
+ * Swap the palette of an indexed resource
+ * Indices are kept, so colors change to the new entries.
+ * @param {FBResource} resource Framebuffer Resource
+ * @param {FBPalette} palette Palette
+ * @returns {boolean|FBError}
+ */
+function fb_palette_swap(resource = null, palette = null) {
+  let FN_NAME = 'fb_palette_swap';
+  let FN_ARGS = [...arguments];
+
+  if (!fb_valid(resource)) {
+    return false;
+  }
+
+  if (resource.locked) {
+    return false;
+  }
+
+  if (resource.format != FB_FORMAT_INDEXED8) {
+    return fb_error(FB_ERR_UNSUPPORTED_FORMAT, FB_ORIGIN_SYSTEM, FN_NAME, FN_ARGS);
+  }
+
+  if (!(palette instanceof FBPalette)) {
+    return fb_error(FB_ERR_EXPECTS_PALETTE, FB_ORIGIN_SYSTEM, FN_NAME, FN_ARGS);
+  }
+
+  resource.palette = palette;
+  resource.image_stale = true;
+  fb_invalidate(resource);
+  fb_defer(resource);
+
+  return true;
+}
+
+/**
+ * Find the palette entry closest to a color
+ * Uses squared distance over all four channels.
+ * @param {FBPalette} palette Palette
+ * @param {number} r Red channel
+ * @param {number} g Green channel
+ * @param {number} b Blue channel
+ * @param {number} a Alpha channel (default 255)
+ * @returns {number} Entry index (-1 on bad palette)
+ */
+function fb_palette_nearest(palette = null, r = 0, g = 0, b = 0, a = 255) {
+  if (!(palette instanceof FBPalette)) {
+    return -1;
+  }
+
+  r = clamp(r | 0, 0, 255);
+  g = clamp(g | 0, 0, 255);
+  b = clamp(b | 0, 0, 255);
+  a = clamp(a | 0, 0, 255);
+
+  let key = ((r << 24) | (g << 16) | (b << 8) | a) >>> 0;
+  let index = palette.cache.get(key);
+
+  if (index !== undefined) {
+    return index;
+  }
+
+  let colors = palette.colors;
+  let best = Infinity;
+  index = 0;
+
+  for (let i = 0, pos = 0; i < palette.size; i++, pos += 4) {
+    let dr = colors[pos + FB_CHANNEL_R] - r;
+    let dg = colors[pos + FB_CHANNEL_G] - g;
+    let db = colors[pos + FB_CHANNEL_B] - b;
+    let da = colors[pos + FB_CHANNEL_A] - a;
+    let distance = dr * dr + dg * dg + db * db + da * da;
+
+    if (best > distance) {
+      best = distance;
+      index = i;
+
+      if (distance == 0) {
+        break;
+      }
+    }
+  }
+
+  palette.cache.set(key, index);
+
+  return index;
+}
+
+/**
+ * Set the palette index of a pixel in an indexed resource
+ * @param {FBResource} resource Framebuffer Resource
+ * @param {number} x X axis
+ * @param {number} y Y axis
+ * @param {number} index Palette entry index
+ * @returns {boolean}
+ */
+function fb_set_index(resource = null, x = 0, y = 0, index = 0) {
+  if (!fb_valid(resource)) {
+    return false;
+  }
+
+  if (resource.locked) {
+    return false;
+  }
+
+  if (resource.format != FB_FORMAT_INDEXED8) {
+    return false;
+  }
+
+  x |= 0;
+  y |= 0;
+
+  if (0 > x || 0 > y || x >= resource.width || y >= resource.height) {
+    return false;
+  }
+
+  let p = resource.width * y + x;
+  resource.pixels[p] = index;
+  fb_pixel_refresh(resource, p);
+
+  fb_dirty_mark(resource, x, y);
+  fb_defer(resource);
+
+  return true;
+}
+
+/**
+ * Get the palette index of a pixel in an indexed resource
+ * @param {FBResource} resource Framebuffer Resource
+ * @param {number} x X axis
+ * @param {number} y Y axis
+ * @returns {number} Palette entry index (-1 on failure)
+ */
+function fb_get_index(resource = null, x = 0, y = 0) {
+  if (!fb_valid(resource)) {
+    return -1;
+  }
+
+  if (resource.format != FB_FORMAT_INDEXED8) {
+    return -1;
+  }
+
+  x |= 0;
+  y |= 0;
+
+  if (0 > x || 0 > y || x >= resource.width || y >= resource.height) {
+    return -1;
+  }
+
+  return resource.pixels[resource.width * y + x];
+}
+
+/**
+ * Set every pixel of an indexed resource to a palette index
+ * @param {FBResource} resource Framebuffer Resource
+ * @param {number} index Palette entry index (default 0)
+ * @returns {boolean}
+ */
+function fb_clear_index(resource = null, index = 0) {
+  if (!fb_valid(resource)) {
+    return false;
+  }
+
+  if (resource.locked) {
+    return false;
+  }
+
+  if (resource.format != FB_FORMAT_INDEXED8) {
+    return false;
+  }
+
+  resource.pixels.fill(index);
+  resource.image_stale = true;
+  fb_invalidate(resource);
+  fb_defer(resource);
+
+  return true;
+}
+
+/**
+ * Convert an indexed resource to RGBA8
+ * @param {FBResource} resource Framebuffer Resource (indexed)
+ * @returns {FBResource|FBError} Framebuffer Resource (RGBA8)
+ */
+function fb_indexed_to_rgba(resource = null) {
+  let FN_NAME = 'fb_indexed_to_rgba';
+  let FN_ARGS = [...arguments];
+
+  if (!fb_valid(resource)) {
+    return fb_error(FB_ERR_EXPECTS_RESOURCE, FB_ORIGIN_SYSTEM, FN_NAME, FN_ARGS);
+  }
+
+  if (resource.format != FB_FORMAT_INDEXED8) {
+    return fb_error(FB_ERR_UNSUPPORTED_FORMAT, FB_ORIGIN_SYSTEM, FN_NAME, FN_ARGS);
+  }
+
+  let resource_new = fb_create(resource.width, resource.height);
+  resource_new.image.data.set(fb_image(resource).data);
+
+  return resource_new;
+}
+
+/**
+ * Convert an RGBA8 resource to indexed using the nearest palette entries
+ * @param {FBResource} resource Framebuffer Resource (RGBA8)
+ * @param {FBPalette} palette Palette (see fb_palette_quantize)
+ * @param {boolean} dither Floyd-Steinberg dithering (default false)
+ * @returns {FBResource|FBError} Framebuffer Resource (indexed)
+ */
+function fb_indexed_from_rgba(resource = null, palette = null, dither = false) {
+  let FN_NAME = 'fb_indexed_from_rgba';
+  let FN_ARGS = [...arguments];
+
+  if (!fb_valid(resource)) {
+    return fb_error(FB_ERR_EXPECTS_RESOURCE, FB_ORIGIN_SYSTEM, FN_NAME, FN_ARGS);
+  }
+
+  if (resource.format != FB_FORMAT_RGBA8) {
+    return fb_error(FB_ERR_UNSUPPORTED_FORMAT, FB_ORIGIN_SYSTEM, FN_NAME, FN_ARGS);
+  }
+
+  if (!(palette instanceof FBPalette)) {
+    return fb_error(FB_ERR_EXPECTS_PALETTE, FB_ORIGIN_SYSTEM, FN_NAME, FN_ARGS);
+  }
+
+  let resource_new = fb_create(resource.width, resource.height, FB_FORMAT_INDEXED8);
+  let data = fb_image_straight(resource).data;
+
+  resource_new.palette = palette;
+  resource_new.pixels.set(fb_palette_map(data, resource.width, resource.height, palette, dither));
+
+  return resource_new;
+}
+
+/**
+ * Create a palette of the most representative colors of a resource
+ * Median cut: exact colors when there are few enough.
+ * @param {FBResource} resource Framebuffer Resource
+ * @param {number} size Most entries (default 256, max 256)
+ * @returns {null|FBPalette} Palette
+ */
+function fb_palette_quantize(resource = null, size = 256) {
+  if (!fb_valid(resource)) {
+    return null;
+  }
+
+  let colors = fb_quantize(fb_image_straight(resource).data, clamp(size | 0, 1, 256), false);
+
+  return fb_palette_create(colors.length > 0 ? colors : [[0, 0, 0, 0]]);
+}
+
+/**
+ * Median cut color quantization
+ * <InternalFunction>
+ * @param {Uint8ClampedArray} data RGBA data (straight alpha)
+ * @param {number} size Most colors
+ * @param {boolean} opaque Skip pixels with alpha below 128 and ignore alpha
+ * @returns {array} Colors as [r, g, b, a]
+ */
+function fb_quantize(data, size, opaque) {
+  // Exact colors, as long as there are few enough
+  let exact = new Map();
+
+  for (let i = 0; i < data.length && exact.size <= size; i += 4) {
+    if (opaque && data[i + FB_CHANNEL_A] < 128) {
+      continue;
+    }
+
+    let a = opaque ? 255 : data[i + FB_CHANNEL_A];
+    let key = ((data[i] << 24) | (data[i + 1] << 16) | (data[i + 2] << 8) | a) >>> 0;
+    exact.set(key, [data[i], data[i + 1], data[i + 2], a]);
+  }
+
+  if (exact.size <= size) {
+    return [...exact.values()];
+  }
+
+  // Histogram of 5-bit color (and 3-bit alpha) buckets
+  // holding the sums to average them afterwards.
+  let buckets = new Map();
+
+  for (let i = 0; i < data.length; i += 4) {
+    if (opaque && data[i + FB_CHANNEL_A] < 128) {
+      continue;
+    }
+
+    let a = opaque ? 255 : data[i + FB_CHANNEL_A];
+    let key = ((data[i] >> 3) << 13) | ((data[i + 1] >> 3) << 8) | ((data[i + 2] >> 3) << 3) | (a >> 5);
+    let bucket = buckets.get(key);
+
+    if (bucket === undefined) {
+      bucket = [0, 0, 0, 0, 0];
+      buckets.set(key, bucket);
+    }
+
+    bucket[0] += data[i];
+    bucket[1] += data[i + 1];
+    bucket[2] += data[i + 2];
+    bucket[3] += a;
+    bucket[4]++;
+  }
+
+  // Bucket averages with their pixel count
+  let entries = [...buckets.values()].map((b) => [b[0] / b[4], b[1] / b[4], b[2] / b[4], b[3] / b[4], b[4]]);
+  let boxes = [entries];
+
+  while (boxes.length < size) {
+    // Split the box with the widest channel range (weighted by count)
+    let best = -1;
+    let best_score = 0;
+    let best_channel = 0;
+
+    for (let i = 0; i < boxes.length; i++) {
+      if (boxes[i].length < 2) {
+        continue;
+      }
+
+      let count = 0;
+
+      for (let e of boxes[i]) {
+        count += e[4];
+      }
+
+      for (let c = 0; c < 4; c++) {
+        let min = Infinity;
+        let max = -Infinity;
+
+        for (let e of boxes[i]) {
+          min = Math.min(min, e[c]);
+          max = Math.max(max, e[c]);
+        }
+
+        let score = (max - min) * Math.sqrt(count);
+
+        if (score > best_score) {
+          best = i;
+          best_score = score;
+          best_channel = c;
+        }
+      }
+    }
+
+    if (best == -1) {
+      break;
+    }
+
+    // Split at the median pixel
+    let box = boxes[best].sort((a, b) => a[best_channel] - b[best_channel]);
+    let half = box.reduce((sum, e) => sum + e[4], 0) / 2;
+    let at = 0;
+
+    for (let sum = 0; at < box.length - 1; at++) {
+      sum += box[at][4];
+
+      if (sum >= half) {
+        break;
+      }
+    }
+
+    boxes.splice(best, 1, box.slice(0, at + 1), box.slice(at + 1));
+  }
+
+  return boxes.map(function(box) {
+    let sum = [0, 0, 0, 0];
+    let count = 0;
+
+    for (let e of box) {
+      for (let c = 0; c < 4; c++) {
+        sum[c] += e[c] * e[4];
+      }
+
+      count += e[4];
+    }
+
+    return sum.map((v) => Math.round(v / count));
+  });
+}
+
+/**
+ * Map RGBA data to palette indices, optionally dithered
+ * <InternalFunction>
+ * @param {Uint8ClampedArray} data RGBA data (straight alpha)
+ * @param {number} width Width
+ * @param {number} height Height
+ * @param {FBPalette} palette Palette
+ * @param {boolean} dither Floyd-Steinberg dithering
+ * @param {number} transparent Index for pixels with alpha below 128, alpha is ignored otherwise (-1 to match alpha)
+ * @returns {Uint8Array} Palette indices
+ */
+function fb_palette_map(data, width, height, palette, dither, transparent = -1) {
+  let indices = new Uint8Array(width * height);
+
+  // Error carried to the current and next row (RGBA)
+  let errors = dither ? [new Float32Array((width + 2) * 4), new Float32Array((width + 2) * 4)] : null;
+
+  for (let y = 0; y < height; y++) {
+    if (dither) {
+      errors = [errors[1], errors[0].fill(0)];
+    }
+
+    for (let x = 0; x < width; x++) {
+      let p = y * width + x;
+      let i = p * 4;
+
+      if (transparent >= 0 && data[i + FB_CHANNEL_A] < 128) {
+        indices[p] = transparent;
+        continue;
+      }
+
+      let color = [
+        data[i + FB_CHANNEL_R],
+        data[i + FB_CHANNEL_G],
+        data[i + FB_CHANNEL_B],
+        transparent >= 0 ? 255 : data[i + FB_CHANNEL_A],
+      ];
+
+      if (dither) {
+        for (let c = 0; c < 4; c++) {
+          color[c] = clamp(Math.round(color[c] + errors[0][(x + 1) * 4 + c]), 0, 255);
+        }
+      }
+
+      let index = fb_palette_nearest(palette, ...color);
+      indices[p] = index;
+
+      if (!dither) {
+        continue;
+      }
+
+      // Spread the error: 7/16 right, 3/16 down left, 5/16 down, 1/16 down right
+      let entry = palette.colors;
+
+      for (let c = 0; c < 4; c++) {
+        let error = color[c] - entry[index * 4 + c];
+        errors[0][(x + 2) * 4 + c] += error * 7 / 16;
+        errors[1][x * 4 + c] += error * 3 / 16;
+        errors[1][(x + 1) * 4 + c] += error * 5 / 16;
+        errors[1][(x + 2) * 4 + c] += error / 16;
+      }
+    }
+  }
+
+  return indices;
+}
+
+/**
+ * Set pixel color with float channels
+ * RGBA32F resources store the values as is (above 1.0 for HDR),
+ * other formats scale them to 0-255.
+ * <NoDefer>
+ * @param {FBResource} resource Framebuffer Resource
+ * @param {number} x X axis
+ * @param {number} y Y axis
+ * @param {number} r Red channel
+ * @param {number} g Green channel
+ * @param {number} b Blue channel
+ * @param {number} a Alpha channel (default 1)
+ */
+function fb_set_pixel_float(resource = null, x, y, r, g, b, a = 1) {
+  if (!fb_valid(resource)) {
+    return;
+  }
+
+  if (resource.locked) {
+    return;
+  }
+
+  x |= 0;
+  y |= 0;
+
+  // Out of bounds
+  if (0 > x || x >= resource.width || 0 > y || y >= resource.height) {
+    return;
+  }
+
+  let p = resource.width * y + x;
+
+  if (resource.format == FB_FORMAT_RGBA32F) {
+    resource.pixels.set([r, g, b, a], p * 4);
+    fb_pixel_refresh(resource, p);
+  } else {
+    fb_pixel_write(resource, p, r * 255, g * 255, b * 255, a * 255);
+  }
+
+  fb_dirty_mark(resource, x, y);
+}
+
+/**
+ * Get pixel color with float channels
+ * RGBA32F resources return the values as is, other formats
+ * are scaled from 0-255 to 0.0-1.0.
+ * @param {FBResource} resource Framebuffer Resource
+ * @param {number} x X axis
+ * @param {number} y Y axis
+ * @returns {number[]} [r, g, b, a] ([0, 0, 0, 0] when out of bounds)
+ */
+function fb_get_pixel_float(resource = null, x = 0, y = 0) {
+  if (!fb_valid(resource)) {
+    return;
+  }
+
+  x |= 0;
+  y |= 0;
+
+  if (0 > x || x >= resource.width || 0 > y || y >= resource.height) {
+    return [0, 0, 0, 0];
+  }
+
+  let p = resource.width * y + x;
+
+  if (resource.format == FB_FORMAT_RGBA32F) {
+    return Array.from(resource.pixels.subarray(p * 4, p * 4 + 4));
+  }
+
+  return fb_pixel_read(resource, p).map((v) => v / 255);
+}
+
+/**
+ * Convert a resource to a different pixel format
+ *
+ * @description
+ * - Exposure and tone mapping apply when converting from
+ *   RGBA32F to any other format, values are multiplied by
+ *   2 ^ exposure before the tone mapping operator.
+ *
+ * - Indexed results use the palette of an indexed resource,
+ *   or the default grayscale palette. See fb_indexed_from_rgba()
+ *   for converting with a palette of your own.
+ *
+ * @param {FBResource} resource Framebuffer Resource
+ * @param {number} format Pixel format to convert to
+ * @param {number} tone Tone mapping operator (default FB_TONE_CLAMP)
+ * @param {number} exposure Exposure in stops (default 0)
+ * @returns {FBResource|FBError} Framebuffer Resource
+ */
+function fb_format_convert(resource = null, format = FB_FORMAT_RGBA8, tone = FB_TONE_CLAMP, exposure = 0) {
+  let FN_NAME = 'fb_format_convert';
+  let FN_ARGS = [...arguments];
+
+  if (!fb_valid(resource)) {
+    return fb_error(FB_ERR_EXPECTS_RESOURCE, FB_ORIGIN_SYSTEM, FN_NAME, FN_ARGS);
+  }
+
+  if (!fb_format_valid(format)) {
+    return fb_error(FB_ERR_BAD_FORMAT, FB_ORIGIN_SYSTEM, FN_NAME, FN_ARGS);
+  }
+
+  if (!Number.isInteger(tone) || 0 > tone || tone >= fb_tone_funcs.length) {
+    return fb_error(FB_ERR_BAD_TONE_MAP, FB_ORIGIN_SYSTEM, FN_NAME, FN_ARGS);
+  }
+
+  let tone_func = fb_tone_funcs[tone];
+
+  let resource_new = fb_create(resource.width, resource.height, format);
+
+  if (format == FB_FORMAT_INDEXED8 && resource.palette !== null) {
+    resource_new.palette = resource.palette;
+  }
+
+  let length = resource.width * resource.height;
+  let hdr = resource.format == FB_FORMAT_RGBA32F;
+  let scale = Math.pow(2, exposure);
+
+  // Straight alpha 0-255 (for RGBA32F the stored floats)
+  let src = hdr ? resource.pixels : fb_image_straight(resource).data;
+
+  for (let p = 0, i = 0; p < length; p++, i += 4) {
+    let r = src[i + FB_CHANNEL_R];
+    let g = src[i + FB_CHANNEL_G];
+    let b = src[i + FB_CHANNEL_B];
+    let a = src[i + FB_CHANNEL_A];
+
+    if (!hdr) {
+      r /= 255;
+      g /= 255;
+      b /= 255;
+      a /= 255;
+    } else if (format != FB_FORMAT_RGBA32F) {
+      r = clamp(tone_func(Math.max(r * scale, 0)), 0, 1);
+      g = clamp(tone_func(Math.max(g * scale, 0)), 0, 1);
+      b = clamp(tone_func(Math.max(b * scale, 0)), 0, 1);
+      a = clamp(a, 0, 1);
+    }
+
+    if (format == FB_FORMAT_RGBA32F) {
+      resource_new.pixels.set([r, g, b, a], i);
+    } else {
+      fb_pixel_write(resource_new, p, r * 255, g * 255, b * 255, a * 255);
+    }
+  }
+
+  if (resource_new.alpha_mode == FB_ALPHA_PREMULTIPLIED) {
+    fb_alpha_convert(resource_new.image.data, FB_ALPHA_STRAIGHT, FB_ALPHA_PREMULTIPLIED);
+  }
+
+  resource_new.image_stale = true;
+  fb_invalidate(resource_new);
+  fb_defer(resource_new);
+
+  return resource_new;
+}
+
+/**
+ * Serialize a resource to a portable format
+ * Includes dimensions, format, pixels (and palette), alpha
+ * mode, 'locked', 'defer' and 'metadata'.
+ *
+ * @description
+ * Binary layout (little-endian, FB_SERIAL_VERSION 1):
+ *
+ *   0  magic 'FBRS'          4 bytes
+ *   4  version               u16
+ *   6  flags (bit 0 locked)  u16
+ *   8  defer                 u8
+ *   9  format                u8
+ *   10 alpha mode            u8
+ *   11 reserved              u8
+ *   12 width                 u32
+ *   16 height                u32
+ *   20 palette entries       u16
+ *   22 reserved              u16
+ *   24 metadata length       u32
+ *   28 pixel data length     u32
+ *   32 palette (RGBA), metadata (UTF-8 JSON), pixel data
+ *
+ * @param {FBResource} resource Framebuffer Resource
+ * @param {number} encoding FB_SERIAL_BINARY (ArrayBuffer) or FB_SERIAL_JSON (string)
+ * @returns {ArrayBuffer|string|FBError}
+ */
+function fb_serialize(resource = null, encoding = FB_SERIAL_BINARY) {
+  let FN_NAME = 'fb_serialize';
+  let FN_ARGS = [...arguments];
+
+  if (!fb_valid(resource)) {
+    return fb_error(FB_ERR_EXPECTS_RESOURCE, FB_ORIGIN_SYSTEM, FN_NAME, FN_ARGS);
+  }
+
+  let metadata = null;
+
+  try {
+    metadata = JSON.stringify(resource.metadata ?? {});
+  } catch (e) {
+    return fb_error(FB_ERR_INVALID_DATA, FB_ORIGIN_SYSTEM, FN_NAME, FN_ARGS);
+  }
+
+  let pixels = fb_storage_bytes(fb_storage(resource));
+  let palette = resource.palette !== null ? resource.palette.colors : new Uint8Array(0);
+
+  if (encoding == FB_SERIAL_JSON) {
+    return JSON.stringify({
+      type: 'FBResource',
+      version: FB_SERIAL_VERSION,
+      width: resource.width,
+      height: resource.height,
+      format: resource.format,
+      alpha_mode: resource.alpha_mode,
+      locked: resource.locked,
+      defer: resource.defer,
+      palette: fb_base64_encode(palette),
+      metadata: JSON.parse(metadata),
+      data: fb_base64_encode(pixels),
+    });
+  }
+
+  if (encoding != FB_SERIAL_BINARY) {
+    return fb_error(FB_ERR_BAD_SERIAL_ENCODING, FB_ORIGIN_SYSTEM, FN_NAME, FN_ARGS);
+  }
+
+  metadata = new TextEncoder().encode(metadata);
+
+  let buffer = new ArrayBuffer(32 + palette.length + metadata.length + pixels.length);
+  let view = new DataView(buffer);
+  let bytes = new Uint8Array(buffer);
+
+  bytes.set([0x46, 0x42, 0x52, 0x53], 0); // FBRS
+  view.setUint16(4, FB_SERIAL_VERSION, true);
+  view.setUint16(6, resource.locked ? 1 : 0, true);
+  view.setUint8(8, resource.defer);
+  view.setUint8(9, resource.format);
+  view.setUint8(10, resource.alpha_mode);
+  view.setUint32(12, resource.width, true);
+  view.setUint32(16, resource.height, true);
+  view.setUint16(20, palette.length / 4, true);
+  view.setUint32(24, metadata.length, true);
+  view.setUint32(28, pixels.length, true);
+
+  bytes.set(palette, 32);
+  bytes.set(metadata, 32 + palette.length);
+  bytes.set(pixels, 32 + palette.length + metadata.length);
+
+  return buffer;
+}
+
+/**
+ * Restore a resource serialized by fb_serialize()
+ * @param {ArrayBuffer|TypedArray|DataView|string|Object} data Binary, JSON string or parsed JSON
+ * @returns {FBResource|FBError} Framebuffer Resource
+ */
+function fb_deserialize(data = null) {
+  let FN_NAME = 'fb_deserialize';
+  let FN_ARGS = [...arguments];
+
+  let state = null;
+
+  try {
+    state = fb_deserialize_state(data);
+  } catch (e) {
+    state = null;
+  }
+
+  if (state === null) {
+    return fb_error(FB_ERR_INVALID_DATA, FB_ORIGIN_SYSTEM, FN_NAME, FN_ARGS);
+  }
+
+  if (!Number.isInteger(state.version) || 1 > state.version) {
+    return fb_error(FB_ERR_INVALID_DATA, FB_ORIGIN_SYSTEM, FN_NAME, FN_ARGS);
+  }
+
+  if (state.version > FB_SERIAL_VERSION) {
+    return fb_error(FB_ERR_UNSUPPORTED_VERSION, FB_ORIGIN_SYSTEM, FN_NAME, FN_ARGS);
+  }
+
+  if (!fb_config_map.defer.allowed.includes(state.defer)) {
+    return fb_error(FB_ERR_INVALID_DATA, FB_ORIGIN_SYSTEM, FN_NAME, FN_ARGS);
+  }
+
+  let resource = fb_create(state.width, state.height, state.format);
+
+  if (resource.error !== null) {
+    return resource.error;
+  }
+
+  let storage = fb_storage(resource);
+
+  if (state.pixels.length != storage.byteLength) {
+    return fb_error(FB_ERR_INVALID_DATA, FB_ORIGIN_SYSTEM, FN_NAME, FN_ARGS);
+  }
+
+  fb_storage_from_bytes(storage, state.pixels);
+
+  if (state.palette.length > 0) {
+    let colors = [];
+
+    for (let i = 0; i < state.palette.length; i += 4) {
+      colors.push(Array.from(state.palette.subarray(i, i + 4)));
+    }
+
+    resource.palette = fb_palette_create(colors);
+  }
+
+  resource.alpha_mode = resource.format == FB_FORMAT_RGBA8 ? state.alpha_mode : FB_ALPHA_STRAIGHT;
+  resource.defer = state.defer;
+  resource.metadata = state.metadata;
+  resource.image_stale = true;
+
+  fb_invalidate(resource);
+  fb_sync(resource);
+
+  resource.locked = state.locked;
+
+  return resource;
+}
+
+/**
+ * Parse serialized data into a plain state object
+ * Throws on malformed input.
+ * <InternalFunction>
+ * @param {ArrayBuffer|TypedArray|DataView|string|Object} data Serialized data
+ * @returns {null|Object}
+ */
+function fb_deserialize_state(data) {
+  if (typeof data === 'string') {
+    data = JSON.parse(data);
+  }
+
+  if (data instanceof ArrayBuffer || ArrayBuffer.isView(data)) {
+    let bytes = data instanceof ArrayBuffer
+      ? new Uint8Array(data)
+      : new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+
+    let view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+    if (32 > bytes.length || String.fromCharCode(...bytes.subarray(0, 4)) !== 'FBRS') {
+      return null;
+    }
+
+    let palette_length = view.getUint16(20, true) * 4;
+    let metadata_length = view.getUint32(24, true);
+    let pixels_length = view.getUint32(28, true);
+    let offset = 32 + palette_length + metadata_length;
+
+    if (offset + pixels_length > bytes.length) {
+      return null;
+    }
+
+    return {
+      version: view.getUint16(4, true),
+      locked: (view.getUint16(6, true) & 1) == 1,
+      defer: view.getUint8(8),
+      format: view.getUint8(9),
+      alpha_mode: view.getUint8(10),
+      width: view.getUint32(12, true),
+      height: view.getUint32(16, true),
+      palette: bytes.slice(32, 32 + palette_length),
+      metadata: JSON.parse(new TextDecoder().decode(bytes.subarray(32 + palette_length, offset))),
+      pixels: bytes.slice(offset, offset + pixels_length),
+    };
+  }
+
+  if (data === null || typeof data !== 'object' || data.type !== 'FBResource') {
+    return null;
+  }
+
+  return {
+    version: data.version,
+    locked: data.locked === true,
+    defer: data.defer,
+    format: data.format,
+    alpha_mode: data.alpha_mode,
+    width: data.width,
+    height: data.height,
+    palette: fb_base64_decode(data.palette ?? ''),
+    metadata: data.metadata ?? {},
+    pixels: fb_base64_decode(data.data),
+  };
+}
+
+/**
+ * Get the bytes of pixel storage (little-endian)
+ * <InternalFunction>
+ * @param {TypedArray} storage Pixel storage (see fb_storage)
+ * @returns {Uint8Array}
+ */
+function fb_storage_bytes(storage) {
+  let bytes = new Uint8Array(storage.byteLength);
+  let view = new DataView(bytes.buffer);
+
+  if (storage instanceof Uint16Array) {
+    storage.forEach((v, i) => view.setUint16(i * 2, v, true));
+  } else if (storage instanceof Float32Array) {
+    storage.forEach((v, i) => view.setFloat32(i * 4, v, true));
+  } else {
+    bytes.set(storage);
+  }
+
+  return bytes;
+}
+
+/**
+ * Fill pixel storage from bytes (little-endian)
+ * <InternalFunction>
+ * @param {TypedArray} storage Pixel storage (see fb_storage)
+ * @param {Uint8Array} bytes Bytes of the same length
+ * @returns {undefined}
+ */
+function fb_storage_from_bytes(storage, bytes) {
+  let view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+  if (storage instanceof Uint16Array) {
+    for (let i = 0; i < storage.length; i++) storage[i] = view.getUint16(i * 2, true);
+  } else if (storage instanceof Float32Array) {
+    for (let i = 0; i < storage.length; i++) storage[i] = view.getFloat32(i * 4, true);
+  } else {
+    storage.set(bytes);
+  }
+}
+
+/**
+ * Encode bytes as base64
+ * <InternalFunction>
+ * @param {Uint8Array} bytes Bytes
+ * @returns {string}
+ */
+function fb_base64_encode(bytes) {
+  let binary = '';
+
+  // Chunked to stay below the argument limit
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+
+  return btoa(binary);
+}
+
+/**
+ * Decode base64 to bytes
+ * <InternalFunction>
+ * @param {string} text Base64 text
+ * @returns {Uint8Array}
+ */
+function fb_base64_decode(text) {
+  let binary = atob(text);
+  let bytes = new Uint8Array(binary.length);
+
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+
+  return bytes;
+}
+
+/**
+ * Compute the CRC-32 of bytes (as used by PNG and gzip)
+ * <InternalFunction>
+ * @param {Uint8Array} bytes Bytes
+ * @param {number} crc Running CRC (default 0)
+ * @returns {number} Unsigned CRC-32
+ */
+function fb_crc32(bytes, crc = 0) {
+  if (fb_crc32_table === null) {
+    fb_crc32_table = new Uint32Array(256);
+
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+
+      for (let k = 0; k < 8; k++) {
+        c = (c & 1) ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+      }
+
+      fb_crc32_table[n] = c;
+    }
+  }
+
+  crc = ~crc;
+
+  for (let i = 0; i < bytes.length; i++) {
+    crc = fb_crc32_table[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+  }
+
+  return ~crc >>> 0;
+}
+
+/**
+ * Compute the Adler-32 of bytes (as used by zlib)
+ * <InternalFunction>
+ * @param {Uint8Array} bytes Bytes
+ * @returns {number} Unsigned Adler-32
+ */
+function fb_adler32(bytes) {
+  let a = 1;
+  let b = 0;
+
+  // 5552 is the most bytes before the sums can overflow
+  for (let i = 0; i < bytes.length; ) {
+    let end = Math.min(i + 5552, bytes.length);
+
+    for (; i < end; i++) {
+      a += bytes[i];
+      b += a;
+    }
+
+    a %= 65521;
+    b %= 65521;
+  }
+
+  return ((b << 16) | a) >>> 0;
+}
+
+/**
+ * Build a decoding table from Huffman code lengths
+ * Indexed by the next 'bits' input bits, entries are
+ * (symbol << 4) | code length, zero for invalid codes.
+ * <InternalFunction>
+ * @param {Uint8Array} lengths Code length of each symbol
+ * @returns {Object} { table, bits }
+ */
+function fb_huffman_table(lengths) {
+  let bits = Math.max(1, ...lengths);
+  let table = new Uint32Array(1 << bits);
+  let code = 0;
+
+  // Canonical codes: shorter codes first, then by symbol
+  for (let len = 1; len <= bits; len++) {
+    for (let symbol = 0; symbol < lengths.length; symbol++) {
+      if (lengths[symbol] != len) {
+        continue;
+      }
+
+      // Codes are stored most significant bit first,
+      // but read least significant bit first.
+      let reversed = 0;
+
+      for (let i = 0; i < len; i++) {
+        reversed |= ((code >> i) & 1) << (len - 1 - i);
+      }
+
+      for (let i = reversed; i < table.length; i += 1 << len) {
+        table[i] = (symbol << 4) | len;
+      }
+
+      code++;
+    }
+
+    code <<= 1;
+  }
+
+  return { table: table, bits: bits };
+}
+
+/**
+ * Decompress a zlib stream (RFC 1950, RFC 1951)
+ * Throws on malformed data.
+ * <InternalFunction>
+ * @param {Uint8Array} data zlib stream
+ * @returns {Uint8Array} Decompressed bytes
+ */
+function fb_inflate(data) {
+  if (2 > data.length || (data[0] & 0x0F) != 8 || ((data[0] << 8) | data[1]) % 31 != 0) {
+    throw new Error('bad zlib header');
+  }
+
+  // Preset dictionaries are not used by PNG
+  if (data[1] & 0x20) {
+    throw new Error('zlib dictionary not supported');
+  }
+
+  let pos = 2;
+  let bitbuf = 0;
+  let bitcnt = 0;
+
+  let out = new Uint8Array(Math.max(1024, data.length * 4));
+  let length = 0;
+
+  let need = function(n) {
+    while (n > bitcnt) {
+      // Past the end reads zeros, checked once the block ends
+      bitbuf |= (pos < data.length ? data[pos] : 0) << bitcnt;
+      pos++;
+      bitcnt += 8;
+    }
+  };
+
+  let bits = function(n) {
+    need(n);
+    let value = bitbuf & ((1 << n) - 1);
+    bitbuf >>>= n;
+    bitcnt -= n;
+    return value;
+  };
+
+  let decode = function(huffman) {
+    need(huffman.bits);
+    let entry = huffman.table[bitbuf & ((1 << huffman.bits) - 1)];
+
+    if (entry == 0) {
+      throw new Error('bad huffman code');
+    }
+
+    bitbuf >>>= entry & 15;
+    bitcnt -= entry & 15;
+    return entry >> 4;
+  };
+
+  let grow = function(n) {
+    if (length + n <= out.length) {
+      return;
+    }
+
+    let bigger = new Uint8Array(Math.max(out.length * 2, length + n));
+    bigger.set(out);
+    out = bigger;
+  };
+
+  let fixed_lit = null;
+  let fixed_dist = null;
+  let last = 0;
+
+  while (!last) {
+    last = bits(1);
+    let type = bits(2);
+
+    if (type == 0) {
+      // Stored block, aligned to a byte
+      bitbuf = 0;
+      pos -= bitcnt >> 3;
+      bitcnt = 0;
+
+      if (pos + 4 > data.length) {
+        throw new Error('truncated stored block');
+      }
+
+      let len = data[pos] | (data[pos + 1] << 8);
+      let nlen = data[pos + 2] | (data[pos + 3] << 8);
+      pos += 4;
+
+      if (len != (~nlen & 0xFFFF) || pos + len > data.length) {
+        throw new Error('bad stored block');
+      }
+
+      grow(len);
+      out.set(data.subarray(pos, pos + len), length);
+      length += len;
+      pos += len;
+      continue;
+    }
+
+    let lit = null;
+    let dist = null;
+
+    if (type == 1) {
+      if (fixed_lit === null) {
+        fixed_lit = fb_huffman_table(fb_deflate_fixed_lengths());
+        fixed_dist = fb_huffman_table(new Uint8Array(30).fill(5));
+      }
+
+      lit = fixed_lit;
+      dist = fixed_dist;
+    } else if (type == 2) {
+      let hlit = bits(5) + 257;
+      let hdist = bits(5) + 1;
+      let hclen = bits(4) + 4;
+
+      let cl_lengths = new Uint8Array(19);
+
+      for (let i = 0; i < hclen; i++) {
+        cl_lengths[fb_deflate_cl_order[i]] = bits(3);
+      }
+
+      let cl = fb_huffman_table(cl_lengths);
+      let lengths = new Uint8Array(hlit + hdist);
+
+      for (let i = 0; i < hlit + hdist; ) {
+        let symbol = decode(cl);
+
+        if (16 > symbol) {
+          lengths[i++] = symbol;
+          continue;
+        }
+
+        let value = 0;
+        let repeat = 0;
+
+        if (symbol == 16) {
+          if (i == 0) {
+            throw new Error('repeat without a length');
+          }
+
+          value = lengths[i - 1];
+          repeat = 3 + bits(2);
+        } else if (symbol == 17) {
+          repeat = 3 + bits(3);
+        } else {
+          repeat = 11 + bits(7);
+        }
+
+        if (i + repeat > hlit + hdist) {
+          throw new Error('too many code lengths');
+        }
+
+        lengths.fill(value, i, i + repeat);
+        i += repeat;
+      }
+
+      lit = fb_huffman_table(lengths.subarray(0, hlit));
+      dist = fb_huffman_table(lengths.subarray(hlit));
+    } else {
+      throw new Error('bad block type');
+    }
+
+    for (;;) {
+      let symbol = decode(lit);
+
+      if (256 > symbol) {
+        grow(1);
+        out[length++] = symbol;
+        continue;
+      }
+
+      if (symbol == 256) {
+        break;
+      }
+
+      symbol -= 257;
+
+      if (symbol >= 29) {
+        throw new Error('bad length symbol');
+      }
+
+      let len = fb_deflate_length_base[symbol] + bits(fb_deflate_length_extra[symbol]);
+      let code = decode(dist);
+
+      if (code >= 30) {
+        throw new Error('bad distance symbol');
+      }
+
+      let distance = fb_deflate_dist_base[code] + bits(fb_deflate_dist_extra[code]);
+
+      if (distance > length) {
+        throw new Error('distance too far back');
+      }
+
+      grow(len);
+
+      // Byte by byte, the copy may overlap itself
+      for (let i = 0; i < len; i++, length++) {
+        out[length] = out[length - distance];
+      }
+    }
+
+    if (pos - (bitcnt >> 3) > data.length) {
+      throw new Error('truncated stream');
+    }
+  }
+
+  return out.slice(0, length);
+}
+
+/**
+ * Compute length-limited Huffman code lengths from frequencies
+ * <InternalFunction>
+ * @param {Uint32Array} freqs Frequency of each symbol
+ * @param {number} limit Longest code length allowed
+ * @returns {Uint8Array} Code length of each symbol
+ */
+function fb_huffman_lengths(freqs, limit) {
+  let lengths = new Uint8Array(freqs.length);
+  let scaled = Array.from(freqs);
+
+  for (;;) {
+    let nodes = [];
+
+    for (let i = 0; i < scaled.length; i++) {
+      if (scaled[i] > 0) {
+        nodes.push({ freq: scaled[i], symbol: i, left: null, right: null });
+      }
+    }
+
+    if (nodes.length == 0) {
+      return lengths;
+    }
+
+    // A single code is paired with an unused one, decoders
+    // may reject incomplete code sets.
+    if (nodes.length == 1) {
+      lengths[nodes[0].symbol] = 1;
+      lengths[nodes[0].symbol == 0 ? 1 : 0] = 1;
+      return lengths;
+    }
+
+    nodes.sort((a, b) => a.freq - b.freq);
+
+    // Two-queue construction: leaves and merged nodes
+    // are both taken in increasing frequency.
+    let merged = [];
+    let li = 0;
+    let mi = 0;
+
+    let take = function() {
+      if (mi >= merged.length || (li < nodes.length && merged[mi].freq >= nodes[li].freq)) {
+        return nodes[li++];
+      }
+
+      return merged[mi++];
+    };
+
+    while ((nodes.length - li) + (merged.length - mi) > 1) {
+      let a = take();
+      let b = take();
+      merged.push({ freq: a.freq + b.freq, symbol: -1, left: a, right: b });
+    }
+
+    let max = 0;
+    let stack = [[merged[merged.length - 1], 0]];
+
+    lengths.fill(0);
+
+    while (stack.length > 0) {
+      let [node, depth] = stack.pop();
+
+      if (node.symbol >= 0) {
+        lengths[node.symbol] = depth;
+        max = Math.max(max, depth);
+        continue;
+      }
+
+      stack.push([node.left, depth + 1], [node.right, depth + 1]);
+    }
+
+    if (max <= limit) {
+      return lengths;
+    }
+
+    // Flatten the distribution and try again
+    scaled = scaled.map((f) => f > 0 ? (f >> 1) | 1 : 0);
+  }
+}
+
+/**
+ * Compute canonical Huffman codes (bit reversed for writing)
+ * <InternalFunction>
+ * @param {Uint8Array} lengths Code length of each symbol
+ * @returns {Uint16Array} Code of each symbol
+ */
+function fb_huffman_codes(lengths) {
+  let codes = new Uint16Array(lengths.length);
+  let code = 0;
+
+  for (let len = 1; len <= 15; len++) {
+    for (let symbol = 0; symbol < lengths.length; symbol++) {
+      if (lengths[symbol] != len) {
+        continue;
+      }
+
+      let reversed = 0;
+
+      for (let i = 0; i < len; i++) {
+        reversed |= ((code >> i) & 1) << (len - 1 - i);
+      }
+
+      codes[symbol] = reversed;
+      code++;
+    }
+
+    code <<= 1;
+  }
+
+  return codes;
+}
+
+/**
+ * Compress bytes into a zlib stream (RFC 1950, RFC 1951)
+ *
+ * @description
+ * - Level 0 stores the data uncompressed.
+ *
+ * - Levels 1 to 9 search longer match chains as they go
+ *   up. Every block is written with fixed or dynamic codes,
+ *   or stored, whichever is smallest.
+ *
+ * <InternalFunction>
+ * @param {Uint8Array} data Bytes
+ * @param {number} level Compression level from 0 to 9 (default 6)
+ * @returns {Uint8Array} zlib stream
+ */
+function fb_deflate(data, level = 6) {
+  level = clamp(level | 0, 0, 9);
+
+  let out = new Uint8Array(1024 + data.length + (data.length >> 3));
+  let length = 0;
+  let bitbuf = 0;
+  let bitcnt = 0;
+
+  let grow = function(n) {
+    if (length + n <= out.length) {
+      return;
+    }
+
+    let bigger = new Uint8Array(Math.max(out.length * 2, length + n));
+    bigger.set(out);
+    out = bigger;
+  };
+
+  let put = function(value, n) {
+    bitbuf |= value << bitcnt;
+    bitcnt += n;
+
+    while (bitcnt >= 8) {
+      grow(1);
+      out[length++] = bitbuf & 0xFF;
+      bitbuf >>>= 8;
+      bitcnt -= 8;
+    }
+  };
+
+  let align = function() {
+    if (bitcnt > 0) {
+      put(0, 8 - bitcnt);
+    }
+  };
+
+  // zlib header: deflate, 32K window, no dictionary
+  put(0x78, 8);
+  put(0x01, 8);
+
+  let stored = function(start, end, last) {
+    // Stored blocks are at most 65535 bytes
+    do {
+      let chunk = Math.min(end - start, 65535);
+      let final = last && start + chunk == end;
+
+      put(final ? 1 : 0, 1);
+      put(0, 2);
+      align();
+      put(chunk & 0xFFFF, 16);
+      put(~chunk & 0xFFFF, 16);
+      grow(chunk);
+      out.set(data.subarray(start, start + chunk), length);
+      length += chunk;
+      start += chunk;
+    } while (start < end);
+  };
+
+  if (level == 0 || data.length == 0) {
+    stored(0, data.length, true);
+  } else {
+    let chain_max = [0, 4, 8, 16, 32, 64, 128, 256, 1024, 4096][level];
+    let nice = [0, 8, 16, 32, 64, 128, 128, 258, 258, 258][level];
+
+    let head = new Int32Array(1 << 15).fill(-1);
+    let prev = new Int32Array(1 << 15);
+    let hash = (i) => ((data[i] << 10) ^ (data[i + 1] << 5) ^ data[i + 2]) & 0x7FFF;
+
+    let insert = function(i) {
+      if (i + 2 < data.length) {
+        let h = hash(i);
+        prev[i & 0x7FFF] = head[h];
+        head[h] = i;
+      }
+    };
+
+    // Symbols of a block: literal (0-255), or length (3-258)
+    // with distance, end of block is written separately.
+    let block_size = 1 << 14;
+    let lits = new Uint16Array(block_size);
+    let dists = new Uint16Array(block_size);
+
+    let i = 0;
+
+    while (i < data.length) {
+      let start = i;
+      let count = 0;
+
+      while (i < data.length && count < block_size) {
+        let best_len = 0;
+        let best_dist = 0;
+
+        if (i + 2 < data.length) {
+          let candidate = head[hash(i)];
+          let chain = chain_max;
+          let max_len = Math.min(258, data.length - i);
+
+          while (candidate >= 0 && i - candidate <= 32768 && chain-- > 0) {
+            if (data[candidate + best_len] == data[i + best_len]) {
+              let len = 0;
+
+              while (len < max_len && data[candidate + len] == data[i + len]) {
+                len++;
+              }
+
+              if (len > best_len) {
+                best_len = len;
+                best_dist = i - candidate;
+
+                if (len >= nice) {
+                  break;
+                }
+              }
+            }
+
+            let next = prev[candidate & 0x7FFF];
+
+            if (next >= candidate) {
+              break;
+            }
+
+            candidate = next;
+          }
+        }
+
+        if (best_len >= 3) {
+          lits[count] = 256 + best_len;
+          dists[count] = best_dist;
+          count++;
+
+          for (let end = i + best_len; i < end; i++) {
+            insert(i);
+          }
+        } else {
+          lits[count] = data[i];
+          dists[count] = 0;
+          count++;
+
+          insert(i);
+          i++;
+        }
+      }
+
+      fb_deflate_block(lits, dists, count, put, () => stored(start, i, i == data.length), i == data.length, i - start);
+    }
+  }
+
+  align();
+
+  let adler = fb_adler32(data);
+  grow(4);
+  out[length++] = adler >>> 24;
+  out[length++] = (adler >>> 16) & 0xFF;
+  out[length++] = (adler >>> 8) & 0xFF;
+  out[length++] = adler & 0xFF;
+
+  return out.slice(0, length);
+}
+
+/**
+ * Write one deflate block of LZ77 symbols
+ * Picks fixed codes, dynamic codes or a stored block by size.
+ * <InternalFunction>
+ * @param {Uint16Array} lits Literals (0-255) and lengths (256 + length)
+ * @param {Uint16Array} dists Distances (0 for literals)
+ * @param {number} count Symbol count
+ * @param {function} put Bit writer (value, bit count)
+ * @param {function} stored Writes the block as stored instead
+ * @param {boolean} last Final block
+ * @param {number} raw Uncompressed size of the block in bytes
+ * @returns {undefined}
+ */
+function fb_deflate_block(lits, dists, count, put, stored, last, raw) {
+  let lit_freqs = new Uint32Array(286);
+  let dist_freqs = new Uint32Array(30);
+
+  // Symbol and extra bits of each length and distance
+  let lit_symbol = (value) => value < 256 ? value : 257 + fb_deflate_code(fb_deflate_length_base, value - 256);
+  let dist_symbol = (value) => fb_deflate_code(fb_deflate_dist_base, value);
+
+  for (let i = 0; i < count; i++) {
+    lit_freqs[lit_symbol(lits[i])]++;
+
+    if (lits[i] >= 256) {
+      dist_freqs[dist_symbol(dists[i])]++;
+    }
+  }
+
+  lit_freqs[256] = 1;
+
+  let lit_lengths = fb_huffman_lengths(lit_freqs, 15);
+  let dist_lengths = fb_huffman_lengths(dist_freqs, 15);
+
+  // At least one distance code must be described
+  if (dist_lengths.every((len) => len == 0)) {
+    dist_lengths[0] = 1;
+  }
+
+  let hlit = 286;
+  let hdist = 30;
+
+  while (hlit > 257 && lit_lengths[hlit - 1] == 0) hlit--;
+  while (hdist > 1 && dist_lengths[hdist - 1] == 0) hdist--;
+
+  // Run-length encode the code lengths (symbols 16, 17, 18)
+  let all = [...lit_lengths.subarray(0, hlit), ...dist_lengths.subarray(0, hdist)];
+  let runs = [];
+
+  for (let i = 0; i < all.length; ) {
+    let value = all[i];
+    let run = 1;
+
+    while (i + run < all.length && all[i + run] == value) {
+      run++;
+    }
+
+    i += run;
+
+    if (value == 0) {
+      while (run >= 11) {
+        let n = Math.min(run, 138);
+        runs.push([18, n - 11, 7]);
+        run -= n;
+      }
+
+      if (run >= 3) {
+        runs.push([17, run - 3, 3]);
+        run = 0;
+      }
+    } else {
+      runs.push([value, 0, 0]);
+      run--;
+
+      while (run >= 3) {
+        let n = Math.min(run, 6);
+        runs.push([16, n - 3, 2]);
+        run -= n;
+      }
+    }
+
+    for (; run > 0; run--) {
+      runs.push([value, 0, 0]);
+    }
+  }
+
+  let cl_freqs = new Uint32Array(19);
+
+  for (let [symbol] of runs) {
+    cl_freqs[symbol]++;
+  }
+
+  let cl_lengths = fb_huffman_lengths(cl_freqs, 7);
+  let hclen = 19;
+
+  while (hclen > 4 && cl_lengths[fb_deflate_cl_order[hclen - 1]] == 0) hclen--;
+
+  // Block sizes in bits
+  let fixed_lit_lengths = fb_deflate_fixed_lengths();
+  let dynamic_size = 14 + hclen * 3;
+  let fixed_size = 0;
+
+  for (let [symbol, , extra] of runs) {
+    dynamic_size += cl_lengths[symbol] + extra;
+  }
+
+  for (let symbol = 0; symbol < 286; symbol++) {
+    let extra = symbol > 256 ? fb_deflate_length_extra[symbol - 257] : 0;
+    dynamic_size += lit_freqs[symbol] * (lit_lengths[symbol] + extra);
+    fixed_size += lit_freqs[symbol] * (fixed_lit_lengths[symbol] + extra);
+  }
+
+  for (let symbol = 0; symbol < 30; symbol++) {
+    dynamic_size += dist_freqs[symbol] * (dist_lengths[symbol] + fb_deflate_dist_extra[symbol]);
+    fixed_size += dist_freqs[symbol] * (5 + fb_deflate_dist_extra[symbol]);
+  }
+
+  if (raw * 8 + 40 < Math.min(dynamic_size, fixed_size)) {
+    stored();
+    return;
+  }
+
+  let dynamic = fixed_size > dynamic_size;
+
+  put(last ? 1 : 0, 1);
+
+  if (dynamic) {
+    put(2, 2);
+    put(hlit - 257, 5);
+    put(hdist - 1, 5);
+    put(hclen - 4, 4);
+
+    for (let i = 0; i < hclen; i++) {
+      put(cl_lengths[fb_deflate_cl_order[i]], 3);
+    }
+
+    let cl_codes = fb_huffman_codes(cl_lengths);
+
+    for (let [symbol, value, extra] of runs) {
+      put(cl_codes[symbol], cl_lengths[symbol]);
+
+      if (extra > 0) {
+        put(value, extra);
+      }
+    }
+  } else {
+    put(1, 2);
+    lit_lengths = fixed_lit_lengths;
+    dist_lengths = new Uint8Array(30).fill(5);
+  }
+
+  let lit_codes = fb_huffman_codes(lit_lengths);
+  let dist_codes = fb_huffman_codes(dist_lengths);
+
+  for (let i = 0; i < count; i++) {
+    let value = lits[i];
+    let symbol = lit_symbol(value);
+
+    put(lit_codes[symbol], lit_lengths[symbol]);
+
+    if (256 > value) {
+      continue;
+    }
+
+    let extra = fb_deflate_length_extra[symbol - 257];
+    put(value - 256 - fb_deflate_length_base[symbol - 257], extra);
+
+    let code = dist_symbol(dists[i]);
+    put(dist_codes[code], dist_lengths[code]);
+    put(dists[i] - fb_deflate_dist_base[code], fb_deflate_dist_extra[code]);
+  }
+
+  put(lit_codes[256], lit_lengths[256]);
+}
+
+/**
+ * Find the code of a length or distance in a base table
+ * <InternalFunction>
+ * @param {array} base Base values (fb_deflate_length_base or fb_deflate_dist_base)
+ * @param {number} value Length or distance
+ * @returns {number} Code
+ */
+function fb_deflate_code(base, value) {
+  let code = base.length - 1;
+
+  while (base[code] > value) {
+    code--;
+  }
+
+  return code;
+}
+
+/**
+ * Get the fixed literal/length code lengths
+ * <InternalFunction>
+ * @returns {Uint8Array}
+ */
+function fb_deflate_fixed_lengths() {
+  let lengths = new Uint8Array(288);
+  lengths.fill(8, 0, 144);
+  lengths.fill(9, 144, 256);
+  lengths.fill(7, 256, 280);
+  lengths.fill(8, 280, 288);
+  return lengths;
+}
+
+/**
+ * Encode a resource as PNG (RGBA, 8 bits per channel)
+ * @param {FBResource} resource Framebuffer Resource
+ * @param {number} level Compression level from 0 (none) to 9 (default 6)
+ * @param {number} filter Row filter (default FB_PNG_FILTER_ADAPTIVE)
+ * @param {null|Object} text Key-value pairs written as tEXt chunks (Latin-1)
+ * @returns {Uint8Array|FBError} PNG file
+ */
+function fb_png_encode(resource = null, level = 6, filter = FB_PNG_FILTER_ADAPTIVE, text = null) {
+  let FN_NAME = 'fb_png_encode';
+  let FN_ARGS = [...arguments];
+
+  if (!fb_valid(resource)) {
+    return fb_error(FB_ERR_EXPECTS_RESOURCE, FB_ORIGIN_SYSTEM, FN_NAME, FN_ARGS);
+  }
+
+  if (!(filter >= FB_PNG_FILTER_NONE && filter <= FB_PNG_FILTER_ADAPTIVE)) {
+    return fb_error(FB_ERR_BAD_PNG_FILTER, FB_ORIGIN_SYSTEM, FN_NAME, FN_ARGS);
+  }
+
+  let chunks = [['IHDR', fb_png_ihdr(resource.width, resource.height)]];
+
+  for (let key in text ?? {}) {
+    let value = String(text[key]);
+    let bytes = new Uint8Array(key.length + 1 + value.length);
+
+    for (let i = 0; i < key.length; i++) bytes[i] = key.charCodeAt(i) & 0xFF;
+    for (let i = 0; i < value.length; i++) bytes[key.length + 1 + i] = value.charCodeAt(i) & 0xFF;
+
+    chunks.push(['tEXt', bytes]);
+  }
+
+  chunks.push(['IDAT', fb_png_compress(resource, level, filter)]);
+  chunks.push(['IEND', new Uint8Array(0)]);
+
+  return fb_png_assemble(chunks);
+}
+
+/**
+ * Create the IHDR chunk data of an 8-bit RGBA image
+ * <InternalFunction>
+ * @param {number} width Width
+ * @param {number} height Height
+ * @returns {Uint8Array}
+ */
+function fb_png_ihdr(width, height) {
+  let ihdr = new Uint8Array(13);
+  let view = new DataView(ihdr.buffer);
+
+  view.setUint32(0, width);
+  view.setUint32(4, height);
+  ihdr.set([8, 6, 0, 0, 0], 8); // 8-bit RGBA, deflate, adaptive filtering, no interlace
+
+  return ihdr;
+}
+
+/**
+ * Filter and compress the pixels of a resource (IDAT data)
+ * <InternalFunction>
+ * @param {FBResource} resource Framebuffer Resource
+ * @param {number} level Compression level from 0 to 9
+ * @param {number} filter Row filter (FB_PNG_FILTER_)
+ * @returns {Uint8Array} zlib stream
+ */
+function fb_png_compress(resource, level, filter) {
+  let width = resource.width;
+  let height = resource.height;
+  let data = fb_image_straight(resource).data;
+  let stride = width * 4;
+
+  // Filter type byte followed by the filtered row
+  let raw = new Uint8Array((stride + 1) * height);
+  let candidates = [];
+
+  for (let f = FB_PNG_FILTER_NONE; f <= FB_PNG_FILTER_PAETH; f++) {
+    candidates.push(new Uint8Array(stride));
+  }
+
+  for (let y = 0; y < height; y++) {
+    let row = data.subarray(y * stride, (y + 1) * stride);
+    let prior = y > 0 ? data.subarray((y - 1) * stride, y * stride) : null;
+    let chosen = filter;
+
+    if (filter == FB_PNG_FILTER_ADAPTIVE) {
+      // Minimum sum of absolute differences heuristic
+      let best = Infinity;
+
+      for (let f = FB_PNG_FILTER_NONE; f <= FB_PNG_FILTER_PAETH; f++) {
+        fb_png_filter_row(f, row, prior, candidates[f]);
+
+        let sum = 0;
+
+        for (let i = 0; i < stride; i++) {
+          sum += candidates[f][i] < 128 ? candidates[f][i] : 256 - candidates[f][i];
+        }
+
+        if (best > sum) {
+          best = sum;
+          chosen = f;
+        }
+      }
+    } else {
+      fb_png_filter_row(filter, row, prior, candidates[filter]);
+    }
+
+    raw[y * (stride + 1)] = chosen;
+    raw.set(candidates[chosen], y * (stride + 1) + 1);
+  }
+
+  return fb_deflate(raw, level);
+}
+
+/**
+ * Assemble a PNG file from chunks (adds lengths and CRCs)
+ * <InternalFunction>
+ * @param {array} chunks Chunks as [type, data]
+ * @returns {Uint8Array} PNG file
+ */
+function fb_png_assemble(chunks) {
+  let size = 8;
+
+  for (let [, bytes] of chunks) {
+    size += 12 + bytes.length;
+  }
+
+  let png = new Uint8Array(size);
+  let view = new DataView(png.buffer);
+  let pos = 8;
+
+  png.set(FB_PNG_SIGNATURE, 0);
+
+  for (let [type, bytes] of chunks) {
+    view.setUint32(pos, bytes.length);
+
+    for (let i = 0; i < 4; i++) {
+      png[pos + 4 + i] = type.charCodeAt(i);
+    }
+
+    png.set(bytes, pos + 8);
+    view.setUint32(pos + 8 + bytes.length, fb_crc32(png.subarray(pos + 4, pos + 8 + bytes.length)));
+    pos += 12 + bytes.length;
+  }
+
+  return png;
+}
+
+/**
+ * Decode a PNG into a new resource (RGBA8)
+ * Supports every color type, bit depth and interlacing.
+ * Text chunks (tEXt, zTXt) are put in 'metadata.text'.
+ * @param {ArrayBuffer|TypedArray|DataView} data PNG file
+ * @returns {FBResource|FBError} Framebuffer Resource
+ */
+function fb_png_decode(data = null) {
+  let FN_NAME = 'fb_png_decode';
+  let FN_ARGS = [...arguments];
+
+  let png = null;
+
+  try {
+    png = fb_png_parse(data);
+  } catch (e) {
+    png = null;
+  }
+
+  if (png === null) {
+    return fb_error(FB_ERR_INVALID_DATA, FB_ORIGIN_SYSTEM, FN_NAME, FN_ARGS);
+  }
+
+  let resource = fb_create(png.width, png.height);
+
+  if (resource.error !== null) {
+    return resource.error;
+  }
+
+  resource.image.data.set(png.data);
+  resource.metadata.text = png.text;
+  fb_alpha_convert(resource.image.data, FB_ALPHA_STRAIGHT, resource.alpha_mode);
+
+  fb_invalidate(resource);
+  fb_defer(resource);
+
+  return resource;
+}
+
+/**
+ * Parse a PNG file into straight RGBA8 pixels
+ * Throws on malformed data.
+ * <InternalFunction>
+ * @param {ArrayBuffer|TypedArray|DataView} data PNG file
+ * @returns {null|Object} { width, height, data, text }
+ */
+function fb_png_parse(data) {
+  if (!(data instanceof ArrayBuffer || ArrayBuffer.isView(data))) {
+    return null;
+  }
+
+  let bytes = data instanceof ArrayBuffer
+    ? new Uint8Array(data)
+    : new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+
+  let view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+  for (let i = 0; i < 8; i++) {
+    if (bytes[i] !== FB_PNG_SIGNATURE[i]) {
+      return null;
+    }
+  }
+
+  let header = null;
+  let palette = null;
+  let transparency = null;
+  let idat = [];
+  let text = {};
+  let pos = 8;
+  let ended = false;
+
+  let latin1 = (b) => String.fromCharCode(...b);
+
+  while (!ended && pos + 12 <= bytes.length) {
+    let length = view.getUint32(pos);
+    let type = latin1(bytes.subarray(pos + 4, pos + 8));
+    let chunk = bytes.subarray(pos + 8, pos + 8 + length);
+
+    if (pos + 12 + length > bytes.length) {
+      return null;
+    }
+
+    if (fb_crc32(bytes.subarray(pos + 4, pos + 8 + length)) !== view.getUint32(pos + 8 + length)) {
+      return null;
+    }
+
+    pos += 12 + length;
+
+    switch (type) {
+      case 'IHDR': {
+        let chunk_view = new DataView(chunk.buffer, chunk.byteOffset, chunk.byteLength);
+
+        header = {
+          width: chunk_view.getUint32(0),
+          height: chunk_view.getUint32(4),
+          depth: chunk[8],
+          color: chunk[9],
+          interlace: chunk[12],
+        };
+
+        break;
+      }
+
+      case 'PLTE':
+        palette = chunk;
+        break;
+
+      case 'tRNS':
+        transparency = chunk;
+        break;
+
+      case 'IDAT':
+        idat.push(chunk);
+        break;
+
+      case 'tEXt': {
+        let nul = chunk.indexOf(0);
+
+        if (nul > 0) {
+          text[latin1(chunk.subarray(0, nul))] = latin1(chunk.subarray(nul + 1));
+        }
+
+        break;
+      }
+
+      case 'zTXt': {
+        let nul = chunk.indexOf(0);
+
+        if (nul > 0 && chunk[nul + 1] == 0) {
+          text[latin1(chunk.subarray(0, nul))] = latin1(fb_inflate(chunk.subarray(nul + 2)));
+        }
+
+        break;
+      }
+
+      case 'IEND':
+        ended = true;
+        break;
+    }
+  }
+
+  if (header === null || idat.length == 0) {
+    return null;
+  }
+
+  let { width, height, depth, color, interlace } = header;
+
+  // Channels of each color type, and allowed bit depths
+  let channels = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 }[color];
+  let depths = { 0: [1, 2, 4, 8, 16], 2: [8, 16], 3: [1, 2, 4, 8], 4: [8, 16], 6: [8, 16] }[color];
+
+  if (channels === undefined || !depths.includes(depth) || interlace > 1) {
+    return null;
+  }
+
+  if (color == 3 && palette === null) {
+    return null;
+  }
+
+  if (0 >= width || 0 >= height || width > FB_MAX_WIDTH || height > FB_MAX_HEIGHT) {
+    return null;
+  }
+
+  let compressed = new Uint8Array(idat.reduce((sum, chunk) => sum + chunk.length, 0));
+
+  for (let i = 0, offset = 0; i < idat.length; offset += idat[i].length, i++) {
+    compressed.set(idat[i], offset);
+  }
+
+  let raw = fb_inflate(compressed);
+  let out = new Uint8ClampedArray(width * height * 4);
+
+  let bits = channels * depth;
+  let bpp = Math.max(1, bits >> 3);
+  let max = (1 << depth) - 1;
+  let offset = 0;
+
+  // Adam7 passes: x start, y start, x step, y step
+  let passes = interlace
+    ? [[0, 0, 8, 8], [4, 0, 8, 8], [0, 4, 4, 8], [2, 0, 4, 4], [0, 2, 2, 4], [1, 0, 2, 2], [0, 1, 1, 2]]
+    : [[0, 0, 1, 1]];
+
+  // Transparent color of gray and RGB images (full precision)
+  let key = null;
+
+  if (transparency !== null && (color == 0 || color == 2)) {
+    key = [];
+
+    for (let i = 0; i + 1 < transparency.length; i += 2) {
+      key.push((transparency[i] << 8) | transparency[i + 1]);
+    }
+  }
+
+  for (let [xs, ys, xstep, ystep] of passes) {
+    let pass_width = Math.ceil((width - xs) / xstep);
+    let pass_height = Math.ceil((height - ys) / ystep);
+
+    if (0 >= pass_width || 0 >= pass_height) {
+      continue;
+    }
+
+    let stride = Math.ceil(pass_width * bits / 8);
+    let prior = new Uint8Array(stride);
+    let row = new Uint8Array(stride);
+
+    for (let y = 0; y < pass_height; y++) {
+      if (offset + 1 + stride > raw.length) {
+        return null;
+      }
+
+      let type = raw[offset];
+      row.set(raw.subarray(offset + 1, offset + 1 + stride));
+      offset += 1 + stride;
+
+      if (!fb_png_unfilter_row(type, row, prior, bpp)) {
+        return null;
+      }
+
+      let sample = function(index) {
+        if (depth == 8) return row[index];
+        if (depth == 16) return (row[index * 2] << 8) | row[index * 2 + 1];
+
+        let bit = index * depth;
+        return (row[bit >> 3] >> (8 - depth - (bit & 7))) & max;
+      };
+
+      // Scale a sample to 8 bits
+      let scale = function(value) {
+        if (depth == 16) return value >> 8;
+        if (depth == 8) return value;
+        return Math.round(value * 255 / max);
+      };
+
+      for (let x = 0; x < pass_width; x++) {
+        let i = ((ys + y * ystep) * width + xs + x * xstep) * 4;
+        let s = x * channels;
+        let r, g, b, a = 255;
+
+        switch (color) {
+          case 0:
+            r = g = b = scale(sample(s));
+            if (key !== null && sample(s) == key[0]) a = 0;
+            break;
+
+          case 2:
+            r = scale(sample(s));
+            g = scale(sample(s + 1));
+            b = scale(sample(s + 2));
+
+            if (key !== null && sample(s) == key[0] && sample(s + 1) == key[1] && sample(s + 2) == key[2]) {
+              a = 0;
+            }
+
+            break;
+
+          case 3: {
+            let index = sample(s);
+
+            if (index * 3 + 2 >= palette.length) {
+              return null;
+            }
+
+            r = palette[index * 3];
+            g = palette[index * 3 + 1];
+            b = palette[index * 3 + 2];
+
+            if (transparency !== null && index < transparency.length) {
+              a = transparency[index];
+            }
+
+            break;
+          }
+
+          case 4:
+            r = g = b = scale(sample(s));
+            a = scale(sample(s + 1));
+            break;
+
+          case 6:
+            r = scale(sample(s));
+            g = scale(sample(s + 1));
+            b = scale(sample(s + 2));
+            a = scale(sample(s + 3));
+            break;
+        }
+
+        out[i + FB_CHANNEL_R] = r;
+        out[i + FB_CHANNEL_G] = g;
+        out[i + FB_CHANNEL_B] = b;
+        out[i + FB_CHANNEL_A] = a;
+      }
+
+      [prior, row] = [row, prior];
+    }
+  }
+
+  return { width: width, height: height, data: out, text: text };
+}
+
+/**
+ * Filter a PNG row
+ * <InternalFunction>
+ * @param {number} type Filter type (FB_PNG_FILTER_NONE to FB_PNG_FILTER_PAETH)
+ * @param {Uint8Array} row Row bytes (RGBA)
+ * @param {null|Uint8Array} prior Previous row bytes (null for the first row)
+ * @param {Uint8Array} out Filtered bytes
+ * @returns {undefined}
+ */
+function fb_png_filter_row(type, row, prior, out) {
+  for (let i = 0; i < row.length; i++) {
+    let left = i >= 4 ? row[i - 4] : 0;
+    let up = prior !== null ? prior[i] : 0;
+    let corner = i >= 4 && prior !== null ? prior[i - 4] : 0;
+
+    switch (type) {
+      case FB_PNG_FILTER_NONE:    out[i] = row[i]; break;
+      case FB_PNG_FILTER_SUB:     out[i] = row[i] - left; break;
+      case FB_PNG_FILTER_UP:      out[i] = row[i] - up; break;
+      case FB_PNG_FILTER_AVERAGE: out[i] = row[i] - ((left + up) >> 1); break;
+      case FB_PNG_FILTER_PAETH:   out[i] = row[i] - fb_png_paeth(left, up, corner); break;
+    }
+  }
+}
+
+/**
+ * Reverse the filter of a PNG row (in place)
+ * <InternalFunction>
+ * @param {number} type Filter type
+ * @param {Uint8Array} row Filtered row bytes
+ * @param {Uint8Array} prior Previous unfiltered row bytes (zeros for the first row)
+ * @param {number} bpp Bytes per complete pixel (at least 1)
+ * @returns {boolean} false on unknown filter type
+ */
+function fb_png_unfilter_row(type, row, prior, bpp) {
+  for (let i = 0; i < row.length; i++) {
+    let left = i >= bpp ? row[i - bpp] : 0;
+    let corner = i >= bpp ? prior[i - bpp] : 0;
+
+    switch (type) {
+      case FB_PNG_FILTER_NONE:    break;
+      case FB_PNG_FILTER_SUB:     row[i] += left; break;
+      case FB_PNG_FILTER_UP:      row[i] += prior[i]; break;
+      case FB_PNG_FILTER_AVERAGE: row[i] += (left + prior[i]) >> 1; break;
+      case FB_PNG_FILTER_PAETH:   row[i] += fb_png_paeth(left, prior[i], corner); break;
+      default: return false;
+    }
+  }
+
+  return true;
+}
+
+/**
+ * Paeth predictor
+ * <InternalFunction>
+ * @param {number} a Left
+ * @param {number} b Up
+ * @param {number} c Upper left
+ * @returns {number}
+ */
+function fb_png_paeth(a, b, c) {
+  let p = a + b - c;
+  let pa = Math.abs(p - a);
+  let pb = Math.abs(p - b);
+  let pc = Math.abs(p - c);
+
+  if (pa <= pb && pa <= pc) return a;
+  if (pb <= pc) return b;
+  return c;
+}
+
+/**
+ * Encode a resource as a PNG data URL
+ * <InternalFunction>
+ * @param {FBResource} resource Framebuffer Resource
+ * @returns {string}
+ */
+function fb_png_data_url(resource) {
+  return 'data:image/png;base64,' + fb_base64_encode(fb_png_encode(resource));
+}
+
+/**
+ * Decode an image file into a new resource (RGBA8)
+ * Formats: PNG, BMP, TGA, PPM/PGM/PBM and QOI.
+ * @param {ArrayBuffer|TypedArray|DataView} data File contents
+ * @param {null|string} format Format name (null detects it from the magic bytes)
+ * @returns {FBResource|FBError} Framebuffer Resource
+ */
+function fb_image_decode(data = null, format = null) {
+  let FN_NAME = 'fb_image_decode';
+  let FN_ARGS = [...arguments];
+
+  if (!(data instanceof ArrayBuffer || ArrayBuffer.isView(data))) {
+    return fb_error(FB_ERR_INVALID_DATA, FB_ORIGIN_SYSTEM, FN_NAME, FN_ARGS);
+  }
+
+  let bytes = data instanceof ArrayBuffer
+    ? new Uint8Array(data)
+    : new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+
+  if (format === null) {
+    format = fb_image_format_detect(bytes);
+  }
+
+  if (!Object.hasOwn(fb_image_formats, format)) {
+    return fb_error(FB_ERR_UNKNOWN_IMAGE_FORMAT, FB_ORIGIN_SYSTEM, FN_NAME, FN_ARGS);
+  }
+
+  let definition = fb_image_formats[format];
+
+  let image = null;
+
+  try {
+    image = definition.parse(bytes);
+  } catch (e) {
+    image = null;
+  }
+
+  if (image === null) {
+    return fb_error(FB_ERR_INVALID_DATA, FB_ORIGIN_SYSTEM, FN_NAME, FN_ARGS);
+  }
+
+  let resource = fb_create(image.width, image.height);
+
+  if (resource.error !== null) {
+    return resource.error;
+  }
+
+  resource.image.data.set(image.data);
+
+  if (image.text !== undefined) {
+    resource.metadata.text = image.text;
+  }
+
+  fb_alpha_convert(resource.image.data, FB_ALPHA_STRAIGHT, resource.alpha_mode);
+  fb_invalidate(resource);
+  fb_defer(resource);
+
+  return resource;
+}
+
+/**
+ * Encode a resource as an image file
+ *
+ * @description
+ * Options by format:
+ *
+ * - png: level (0-9, default 6), filter (FB_PNG_FILTER_),
+ *   text (tEXt key-value pairs)
+ *
+ * - bmp: alpha (32-bit with alpha, default true)
+ *
+ * - tga: rle (run-length encoded, default true)
+ *
+ * - ppm, pgm, pbm: ascii (plain format, default false)
+ *
+ * - qoi: none
+ *
+ * @param {FBResource} resource Framebuffer Resource
+ * @param {string} format Format name (default 'png')
+ * @param {Object} options Encoder options
+ * @returns {Uint8Array|FBError} File contents
+ */
+function fb_image_encode(resource = null, format = 'png', options = {}) {
+  let FN_NAME = 'fb_image_encode';
+  let FN_ARGS = [...arguments];
+
+  if (!fb_valid(resource)) {
+    return fb_error(FB_ERR_EXPECTS_RESOURCE, FB_ORIGIN_SYSTEM, FN_NAME, FN_ARGS);
+  }
+
+  if (!Object.hasOwn(fb_image_formats, format)) {
+    return fb_error(FB_ERR_UNKNOWN_IMAGE_FORMAT, FB_ORIGIN_SYSTEM, FN_NAME, FN_ARGS);
+  }
+
+  let definition = fb_image_formats[format];
+
+  return definition.encode(resource, options ?? {});
+}
+
+/**
+ * Detect the image format of file contents from magic bytes
+ * TGA has none, its header is checked for sanity last.
+ * <InternalFunction>
+ * @param {Uint8Array} bytes File contents
+ * @returns {null|string} Format name
+ */
+function fb_image_format_detect(bytes) {
+  let ascii = String.fromCharCode(...bytes.subarray(0, 4));
+
+  if (FB_PNG_SIGNATURE.every((v, i) => bytes[i] === v)) {
+    return 'png';
+  }
+
+  if (ascii == 'qoif') {
+    return 'qoi';
+  }
+
+  if (ascii.startsWith('BM')) {
+    return 'bmp';
+  }
+
+  if (/^P[1-6]\s/.test(ascii)) {
+    return { 1: 'pbm', 2: 'pgm', 3: 'ppm', 4: 'pbm', 5: 'pgm', 6: 'ppm' }[ascii[1]];
+  }
+
+  if (fb_tga_header(bytes) !== null) {
+    return 'tga';
+  }
+
+  return null;
+}
+
+/**
+ * Get the image format of a file name from its extension
+ * <InternalFunction>
+ * @param {string} name File name, path or URL
+ * @returns {null|string} Format name
+ */
+function fb_image_format_from_name(name) {
+  let match = /\.([a-z0-9]+)(?:[?#].*)?$/i.exec(String(name));
+
+  if (match === null) {
+    return null;
+  }
+
+  let extension = match[1].toLowerCase();
+
+  for (let format in fb_image_formats) {
+    if (fb_image_formats[format].extensions.includes(extension)) {
+      return format;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Encode a resource as BMP
+ * 32-bit (BITMAPV4HEADER with an alpha mask) or 24-bit.
+ * @param {FBResource} resource Framebuffer Resource
+ * @param {boolean} alpha Keep the alpha channel (default true)
+ * @returns {Uint8Array|FBError} BMP file
+ */
+function fb_bmp_encode(resource = null, alpha = true) {
+  let FN_NAME = 'fb_bmp_encode';
+  let FN_ARGS = [...arguments];
+
+  if (!fb_valid(resource)) {
+    return fb_error(FB_ERR_EXPECTS_RESOURCE, FB_ORIGIN_SYSTEM, FN_NAME, FN_ARGS);
+  }
+
+  let width = resource.width;
+  let height = resource.height;
+  let data = fb_image_straight(resource).data;
+
+  let header_size = alpha ? 108 : 40;
+  let pixel_size = alpha ? 4 : 3;
+  let stride = (width * pixel_size + 3) & ~3;
+  let offset = 14 + header_size;
+
+  let bmp = new Uint8Array(offset + stride * height);
+  let view = new DataView(bmp.buffer);
+
+  // BITMAPFILEHEADER
+  bmp.set([0x42, 0x4D], 0); // BM
+  view.setUint32(2, bmp.length, true);
+  view.setUint32(10, offset, true);
+
+  // BITMAPINFOHEADER (or BITMAPV4HEADER)
+  view.setUint32(14, header_size, true);
+  view.setInt32(18, width, true);
+  view.setInt32(22, height, true); // bottom-up
+  view.setUint16(26, 1, true);
+  view.setUint16(28, pixel_size * 8, true);
+  view.setUint32(30, alpha ? 3 : 0, true); // BI_BITFIELDS or BI_RGB
+  view.setUint32(34, stride * height, true);
+  view.setInt32(38, 2835, true); // 72 DPI
+  view.setInt32(42, 2835, true);
+
+  if (alpha) {
+    view.setUint32(54, 0x00FF0000, true);
+    view.setUint32(58, 0x0000FF00, true);
+    view.setUint32(62, 0x000000FF, true);
+    view.setUint32(66, 0xFF000000, true);
+    bmp.set([0x42, 0x47, 0x52, 0x73], 70); // LCS_sRGB ('sRGB' little-endian)
+  }
+
+  for (let y = 0; y < height; y++) {
+    let pos = offset + (height - 1 - y) * stride;
+
+    for (let x = 0, i = y * width * 4; x < width; x++, i += 4, pos += pixel_size) {
+      bmp[pos] = data[i + FB_CHANNEL_B];
+      bmp[pos + 1] = data[i + FB_CHANNEL_G];
+      bmp[pos + 2] = data[i + FB_CHANNEL_R];
+
+      if (alpha) {
+        bmp[pos + 3] = data[i + FB_CHANNEL_A];
+      }
+    }
+  }
+
+  return bmp;
+}
+
+/**
+ * Parse a BMP file into straight RGBA8 pixels
+ * Supports 1, 4, 8 (incl. RLE), 16, 24 and 32 bits per pixel,
+ * bit field masks and top-down images.
+ * <InternalFunction>
+ * @param {Uint8Array} bytes BMP file
+ * @returns {null|Object} { width, height, data }
+ */
+function fb_bmp_parse(bytes) {
+  let view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+  if (bytes[0] != 0x42 || bytes[1] != 0x4D) {
+    return null;
+  }
+
+  let offset = view.getUint32(10, true);
+  let header_size = view.getUint32(14, true);
+  let width, height, bits, compression = 0, colors = 0;
+
+  if (header_size == 12) {
+    // OS/2 BITMAPCOREHEADER
+    width = view.getUint16(18, true);
+    height = view.getInt16(20, true);
+    bits = view.getUint16(24, true);
+  } else {
+    width = view.getInt32(18, true);
+    height = view.getInt32(22, true);
+    bits = view.getUint16(28, true);
+    compression = view.getUint32(30, true);
+    colors = view.getUint32(46, true);
+  }
+
+  let top_down = 0 > height;
+  height = Math.abs(height);
+
+  if (0 >= width || 0 >= height || width > FB_MAX_WIDTH || height > FB_MAX_HEIGHT) {
+    return null;
+  }
+
+  // Bit field masks: in the header (V2 and up), or right after
+  // the 40-byte header. Either way they start at offset 54.
+  let masks = null;
+
+  if (compression == 3 || compression == 6) {
+    masks = [
+      view.getUint32(54, true),
+      view.getUint32(58, true),
+      view.getUint32(62, true),
+      compression == 6 || header_size >= 56 ? view.getUint32(66, true) : 0,
+    ];
+  } else if (bits == 16) {
+    masks = [0x7C00, 0x03E0, 0x001F, 0]; // 5-5-5
+  } else if (bits == 32) {
+    masks = [0x00FF0000, 0x0000FF00, 0x000000FF, 0];
+  }
+
+  // Palette (BGR0, or BGR for OS/2)
+  let palette = [];
+
+  if (bits <= 8) {
+    let entry_size = header_size == 12 ? 3 : 4;
+    let count = colors || (1 << bits);
+    let at = 14 + header_size;
+
+    for (let i = 0; i < count && at + i * entry_size + 2 < bytes.length; i++) {
+      let p = at + i * entry_size;
+      palette.push([bytes[p + 2], bytes[p + 1], bytes[p], 255]);
+    }
+  }
+
+  let out = new Uint8ClampedArray(width * height * 4);
+  let row_of = (y) => top_down ? y : height - 1 - y;
+
+  let put = function(x, y, r, g, b, a) {
+    let i = (row_of(y) * width + x) * 4;
+    out[i + FB_CHANNEL_R] = r;
+    out[i + FB_CHANNEL_G] = g;
+    out[i + FB_CHANNEL_B] = b;
+    out[i + FB_CHANNEL_A] = a;
+  };
+
+  let put_index = function(x, y, index) {
+    let [r, g, b, a] = palette[index] ?? [0, 0, 0, 255];
+    put(x, y, r, g, b, a);
+  };
+
+  // Run-length encoded (BI_RLE8, BI_RLE4), rows bottom-up
+  if (compression == 1 || compression == 2) {
+    let pos = offset;
+    let x = 0;
+    let y = 0;
+    let nibbles = compression == 2;
+
+    // Skipped pixels are transparent
+    while (pos + 1 < bytes.length && y < height) {
+      let count = bytes[pos++];
+      let value = bytes[pos++];
+
+      if (count > 0) {
+        for (let i = 0; i < count && x < width; i++, x++) {
+          put_index(x, y, nibbles ? (i & 1 ? value & 15 : value >> 4) : value);
+        }
+      } else if (value == 0) {
+        x = 0;
+        y++;
+      } else if (value == 1) {
+        break;
+      } else if (value == 2) {
+        x += bytes[pos++];
+        y += bytes[pos++];
+      } else {
+        // Absolute mode, padded to 16 bits
+        let size = nibbles ? (value + 1) >> 1 : value;
+
+        for (let i = 0; i < value && x < width; i++, x++) {
+          let byte = bytes[pos + (nibbles ? i >> 1 : i)];
+          put_index(x, y, nibbles ? (i & 1 ? byte & 15 : byte >> 4) : byte);
+        }
+
+        pos += size + (size & 1);
+      }
+    }
+
+    return { width: width, height: height, data: out };
+  }
+
+  if (![1, 4, 8, 16, 24, 32].includes(bits) || ![0, 3, 6].includes(compression)) {
+    return null;
+  }
+
+  let stride = ((width * bits + 31) >> 5) * 4;
+
+  if (offset + stride * height > bytes.length) {
+    return null;
+  }
+
+  // Extract and scale a masked channel to 8 bits
+  let channel = function(value, mask) {
+    if (mask == 0) {
+      return -1;
+    }
+
+    let shift = 0;
+
+    while (((mask >>> shift) & 1) == 0) {
+      shift++;
+    }
+
+    let max = mask >>> shift;
+    return Math.round(((value & mask) >>> shift) * 255 / max);
+  };
+
+  let has_alpha = false;
+
+  // Rows in file order, put() flips bottom-up images
+  for (let y = 0; y < height; y++) {
+    let row = offset + y * stride;
+
+    for (let x = 0; x < width; x++) {
+      if (bits <= 8) {
+        let bit = x * bits;
+        let index = (bytes[row + (bit >> 3)] >> (8 - bits - (bit & 7))) & ((1 << bits) - 1);
+        put_index(x, y, index);
+        continue;
+      }
+
+      if (bits == 24) {
+        let p = row + x * 3;
+        put(x, y, bytes[p + 2], bytes[p + 1], bytes[p], 255);
+        continue;
+      }
+
+      let value = bits == 16 ? view.getUint16(row + x * 2, true) : view.getUint32(row + x * 4, true);
+      let a = channel(value, masks[3]);
+
+      has_alpha = has_alpha || a > 0;
+      put(x, y, channel(value, masks[0]), channel(value, masks[1]), channel(value, masks[2]), a);
+    }
+  }
+
+  // No alpha mask, or an alpha channel that is all zeros
+  // (common for files that don't use it): opaque.
+  if (bits > 8 && !has_alpha) {
+    for (let i = FB_CHANNEL_A; i < out.length; i += 4) {
+      out[i] = 255;
+    }
+  }
+
+  return { width: width, height: height, data: out };
+}
+
+/**
+ * Encode a resource as TGA (32-bit, top-left origin)
+ * @param {FBResource} resource Framebuffer Resource
+ * @param {boolean} rle Run-length encode (default true)
+ * @returns {Uint8Array|FBError} TGA file
+ */
+function fb_tga_encode(resource = null, rle = true) {
+  let FN_NAME = 'fb_tga_encode';
+  let FN_ARGS = [...arguments];
+
+  if (!fb_valid(resource)) {
+    return fb_error(FB_ERR_EXPECTS_RESOURCE, FB_ORIGIN_SYSTEM, FN_NAME, FN_ARGS);
+  }
+
+  let width = resource.width;
+  let height = resource.height;
+  let data = fb_image_straight(resource).data;
+
+  // Worst case for RLE is one header byte per 128 pixels
+  let tga = new Uint8Array(18 + width * height * 4 + Math.ceil(width / 128) * height + 26);
+  let view = new DataView(tga.buffer);
+
+  tga[2] = rle ? 10 : 2; // (RLE) truecolor
+  view.setUint16(12, width, true);
+  view.setUint16(14, height, true);
+  tga[16] = 32;
+  tga[17] = 0x28; // 8 alpha bits, top-left origin
+
+  let pos = 18;
+
+  let write = function(i) {
+    tga[pos++] = data[i + FB_CHANNEL_B];
+    tga[pos++] = data[i + FB_CHANNEL_G];
+    tga[pos++] = data[i + FB_CHANNEL_R];
+    tga[pos++] = data[i + FB_CHANNEL_A];
+  };
+
+  let same = (i, j) => data[i] == data[j] && data[i + 1] == data[j + 1]
+                    && data[i + 2] == data[j + 2] && data[i + 3] == data[j + 3];
+
+  for (let y = 0; y < height; y++) {
+    let start = y * width * 4;
+    let end = start + width * 4;
+
+    if (!rle) {
+      for (let i = start; i < end; i += 4) {
+        write(i);
+      }
+
+      continue;
+    }
+
+    // Packets don't cross rows
+    for (let i = start; i < end; ) {
+      let run = 1;
+
+      while (run < 128 && i + run * 4 < end && same(i, i + run * 4)) {
+        run++;
+      }
+
+      if (run > 1) {
+        tga[pos++] = 0x80 | (run - 1);
+        write(i);
+        i += run * 4;
+        continue;
+      }
+
+      // Raw packet until the next repeat
+      let count = 1;
+
+      while (count < 128 && i + count * 4 < end &&
+             !(i + (count + 1) * 4 < end && same(i + count * 4, i + (count + 1) * 4))) {
+        count++;
+      }
+
+      tga[pos++] = count - 1;
+
+      for (let j = 0; j < count; j++) {
+        write(i + j * 4);
+      }
+
+      i += count * 4;
+    }
+  }
+
+  // TGA 2.0 footer (no extension or developer area)
+  pos += 8;
+
+  for (let ch of 'TRUEVISION-XFILE.') {
+    tga[pos++] = ch.charCodeAt(0);
+  }
+
+  tga[pos++] = 0;
+
+  return tga.slice(0, pos);
+}
+
+/**
+ * Read and check a TGA header
+ * <InternalFunction>
+ * @param {Uint8Array} bytes TGA file
+ * @returns {null|Object} Header fields
+ */
+function fb_tga_header(bytes) {
+  if (18 > bytes.length) {
+    return null;
+  }
+
+  let view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+  let header = {
+    id_length: bytes[0],
+    map_type: bytes[1],
+    type: bytes[2],
+    map_first: view.getUint16(3, true),
+    map_length: view.getUint16(5, true),
+    map_bits: bytes[7],
+    width: view.getUint16(12, true),
+    height: view.getUint16(14, true),
+    bits: bytes[16],
+    descriptor: bytes[17],
+  };
+
+  let color_mapped = header.type == 1 || header.type == 9;
+
+  if (
+    header.map_type > 1 ||
+    ![1, 2, 3, 9, 10, 11].includes(header.type) ||
+    (color_mapped && (header.map_type != 1 || ![15, 16, 24, 32].includes(header.map_bits))) ||
+    ![8, 15, 16, 24, 32].includes(header.bits) ||
+    header.width == 0 ||
+    header.height == 0 ||
+    (header.descriptor & 0xC0) != 0
+  ) {
+    return null;
+  }
+
+  return header;
+}
+
+/**
+ * Parse a TGA file into straight RGBA8 pixels
+ * Supports color-mapped, truecolor and grayscale, with or
+ * without RLE, 8 to 32 bits per pixel and any origin.
+ * <InternalFunction>
+ * @param {Uint8Array} bytes TGA file
+ * @returns {null|Object} { width, height, data }
+ */
+function fb_tga_parse(bytes) {
+  let header = fb_tga_header(bytes);
+
+  if (header === null) {
+    return null;
+  }
+
+  let { width, height, bits, type, descriptor } = header;
+  let pos = 18 + header.id_length;
+
+  // 15 and 16-bit colors are 5-5-5, the top bit is alpha
+  // only when the descriptor says there's an alpha bit.
+  let alpha_bits = descriptor & 15;
+
+  let color = function(p, size) {
+    switch (size) {
+      case 8:
+        return [bytes[p], bytes[p], bytes[p], 255];
+
+      case 15:
+      case 16: {
+        let v = bytes[p] | (bytes[p + 1] << 8);
+        let scale = (c) => (c << 3) | (c >> 2);
+        let a = size == 16 && alpha_bits > 0 ? ((v & 0x8000) ? 255 : 0) : 255;
+        return [scale((v >> 10) & 31), scale((v >> 5) & 31), scale(v & 31), a];
+      }
+
+      case 24:
+        return [bytes[p + 2], bytes[p + 1], bytes[p], 255];
+
+      default:
+        return [bytes[p + 2], bytes[p + 1], bytes[p], alpha_bits > 0 ? bytes[p + 3] : 255];
+    }
+  };
+
+  let map = [];
+
+  if (header.map_type == 1) {
+    let entry_size = Math.ceil(header.map_bits / 8);
+
+    for (let i = 0; i < header.map_length; i++) {
+      map[header.map_first + i] = color(pos + i * entry_size, header.map_bits);
+    }
+
+    pos += header.map_length * entry_size;
+  }
+
+  let pixel_size = Math.ceil(bits / 8);
+  let color_mapped = type == 1 || type == 9;
+
+  let read = function(p) {
+    if (!color_mapped) {
+      return color(p, bits);
+    }
+
+    let index = pixel_size == 2 ? bytes[p] | (bytes[p + 1] << 8) : bytes[p];
+    return map[index] ?? [0, 0, 0, 255];
+  };
+
+  // Pixels in file order
+  let count = width * height;
+  let pixels = new Array(count);
+
+  if (type >= 9) {
+    for (let n = 0; n < count; ) {
+      if (pos >= bytes.length) {
+        return null;
+      }
+
+      let packet = bytes[pos++];
+      let length = (packet & 0x7F) + 1;
+
+      if (packet & 0x80) {
+        let value = read(pos);
+        pos += pixel_size;
+
+        for (let i = 0; i < length && n < count; i++) {
+          pixels[n++] = value;
+        }
+      } else {
+        for (let i = 0; i < length && n < count; i++) {
+          pixels[n++] = read(pos);
+          pos += pixel_size;
+        }
+      }
+    }
+  } else {
+    if (pos + count * pixel_size > bytes.length) {
+      return null;
+    }
+
+    for (let n = 0; n < count; n++, pos += pixel_size) {
+      pixels[n] = read(pos);
+    }
+  }
+
+  let out = new Uint8ClampedArray(count * 4);
+  let right_to_left = (descriptor & 0x10) != 0;
+  let top_down = (descriptor & 0x20) != 0;
+
+  for (let n = 0; n < count; n++) {
+    let x = n % width;
+    let y = (n / width) | 0;
+
+    if (right_to_left) x = width - 1 - x;
+    if (!top_down) y = height - 1 - y;
+
+    out.set(pixels[n], (y * width + x) * 4);
+  }
+
+  return { width: width, height: height, data: out };
+}
+
+/**
+ * Encode a resource as Netpbm (PPM, PGM or PBM)
+ * Alpha is dropped, PGM uses luma and PBM thresholds it
+ * (dark pixels are set bits).
+ * @param {FBResource} resource Framebuffer Resource
+ * @param {string} variant 'ppm', 'pgm' or 'pbm' (default 'ppm')
+ * @param {boolean} ascii Plain (text) format (default false)
+ * @returns {Uint8Array|FBError} Netpbm file
+ */
+function fb_pnm_encode(resource = null, variant = 'ppm', ascii = false) {
+  let FN_NAME = 'fb_pnm_encode';
+  let FN_ARGS = [...arguments];
+
+  if (!fb_valid(resource)) {
+    return fb_error(FB_ERR_EXPECTS_RESOURCE, FB_ORIGIN_SYSTEM, FN_NAME, FN_ARGS);
+  }
+
+  let number = { pbm: 1, pgm: 2, ppm: 3 }[variant];
+
+  if (number === undefined) {
+    return fb_error(FB_ERR_UNKNOWN_IMAGE_FORMAT, FB_ORIGIN_SYSTEM, FN_NAME, FN_ARGS);
+  }
+
+  let width = resource.width;
+  let height = resource.height;
+  let data = fb_image_straight(resource).data;
+
+  // https://en.wikipedia.org/wiki/Luma_(video)#Use_of_relative_luminance
+  let luma = (i) => Math.round((data[i + FB_CHANNEL_R] * 0.21)
+                             + (data[i + FB_CHANNEL_G] * 0.72)
+                             + (data[i + FB_CHANNEL_B] * 0.07));
+
+  // Samples of each row
+  let rows = [];
+
+  for (let y = 0; y < height; y++) {
+    let row = [];
+
+    for (let x = 0, i = y * width * 4; x < width; x++, i += 4) {
+      if (variant == 'ppm') {
+        row.push(data[i + FB_CHANNEL_R], data[i + FB_CHANNEL_G], data[i + FB_CHANNEL_B]);
+      } else if (variant == 'pgm') {
+        row.push(luma(i));
+      } else {
+        row.push(luma(i) < 128 ? 1 : 0);
+      }
+    }
+
+    rows.push(row);
+  }
+
+  let header = 'P' + (ascii ? number : number + 3) + '\n' + width + ' ' + height + '\n'
+             + (variant == 'pbm' ? '' : '255\n');
+
+  if (ascii) {
+    // Lines of at most 70 characters
+    let lines = [];
+
+    for (let row of rows) {
+      let line = '';
+
+      for (let value of row) {
+        let text = String(value);
+
+        if (line.length + text.length + 1 > 70) {
+          lines.push(line);
+          line = '';
+        }
+
+        line += (line.length > 0 ? ' ' : '') + text;
+      }
+
+      lines.push(line);
+    }
+
+    return new TextEncoder().encode(header + lines.join('\n') + '\n');
+  }
+
+  let row_size = variant == 'pbm' ? (width + 7) >> 3 : rows[0].length;
+  let pnm = new Uint8Array(header.length + row_size * height);
+
+  for (let i = 0; i < header.length; i++) {
+    pnm[i] = header.charCodeAt(i);
+  }
+
+  for (let y = 0; y < height; y++) {
+    let pos = header.length + y * row_size;
+
+    if (variant == 'pbm') {
+      for (let x = 0; x < width; x++) {
+        pnm[pos + (x >> 3)] |= rows[y][x] << (7 - (x & 7));
+      }
+    } else {
+      pnm.set(rows[y], pos);
+    }
+  }
+
+  return pnm;
+}
+
+/**
+ * Parse a Netpbm file (P1 to P6) into straight RGBA8 pixels
+ * <InternalFunction>
+ * @param {Uint8Array} bytes Netpbm file
+ * @returns {null|Object} { width, height, data }
+ */
+function fb_pnm_parse(bytes) {
+  if (bytes[0] != 0x50 || 0x31 > bytes[1] || bytes[1] > 0x36) {
+    return null;
+  }
+
+  let number = bytes[1] - 0x30;
+  let bitmap = number == 1 || number == 4;
+  let channels = number == 3 || number == 6 ? 3 : 1;
+  let pos = 2;
+
+  // Whitespace separated decimal, '#' starts a comment
+  let token = function() {
+    for (;;) {
+      while (pos < bytes.length && /\s/.test(String.fromCharCode(bytes[pos]))) pos++;
+
+      if (bytes[pos] != 0x23) {
+        break;
+      }
+
+      while (pos < bytes.length && bytes[pos] != 0x0A && bytes[pos] != 0x0D) pos++;
+    }
+
+    let start = pos;
+
+    while (pos < bytes.length && bytes[pos] >= 0x30 && bytes[pos] <= 0x39) pos++;
+
+    if (start == pos) {
+      throw new Error('expected a number');
+    }
+
+    return parseInt(String.fromCharCode(...bytes.subarray(start, pos)), 10);
+  };
+
+  let width = token();
+  let height = token();
+  let maxval = bitmap ? 1 : token();
+
+  if (0 >= width || 0 >= height || width > FB_MAX_WIDTH || height > FB_MAX_HEIGHT) {
+    return null;
+  }
+
+  if (0 >= maxval || maxval > 65535) {
+    return null;
+  }
+
+  let out = new Uint8ClampedArray(width * height * 4);
+  let count = width * height * channels;
+  let samples = new Uint16Array(count);
+
+  if (number <= 3) {
+    // Plain: PBM bits may have no whitespace between them
+    for (let i = 0; i < count; i++) {
+      if (bitmap) {
+        while (pos < bytes.length && bytes[pos] != 0x30 && bytes[pos] != 0x31) pos++;
+
+        if (pos >= bytes.length) {
+          return null;
+        }
+
+        samples[i] = bytes[pos++] - 0x30;
+      } else {
+        samples[i] = token();
+      }
+    }
+  } else {
+    // Raw: a single whitespace after the header
+    pos++;
+
+    if (bitmap) {
+      let row_size = (width + 7) >> 3;
+
+      // Truncated
+      if (pos + row_size * height > bytes.length) {
+        return null;
+      }
+
+      for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+          samples[y * width + x] = (bytes[pos + y * row_size + (x >> 3)] >> (7 - (x & 7))) & 1;
+        }
+      }
+    } else {
+      let wide = maxval > 255;
+
+      // Truncated
+      if (pos + count * (wide ? 2 : 1) > bytes.length) {
+        return null;
+      }
+
+      for (let i = 0; i < count; i++) {
+        samples[i] = wide ? (bytes[pos + i * 2] << 8) | bytes[pos + i * 2 + 1] : bytes[pos + i];
+      }
+    }
+  }
+
+  for (let p = 0, i = 0; p < width * height; p++, i += 4) {
+    let r, g, b;
+
+    if (bitmap) {
+      r = g = b = samples[p] ? 0 : 255; // 1 is black
+    } else if (channels == 1) {
+      r = g = b = Math.round(samples[p] * 255 / maxval);
+    } else {
+      r = Math.round(samples[p * 3] * 255 / maxval);
+      g = Math.round(samples[p * 3 + 1] * 255 / maxval);
+      b = Math.round(samples[p * 3 + 2] * 255 / maxval);
+    }
+
+    out[i + FB_CHANNEL_R] = r;
+    out[i + FB_CHANNEL_G] = g;
+    out[i + FB_CHANNEL_B] = b;
+    out[i + FB_CHANNEL_A] = 255;
+  }
+
+  return { width: width, height: height, data: out };
+}
+
+/**
+ * Encode a resource as QOI (Quite OK Image format)
+ * See: https://qoiformat.org/qoi-specification.pdf
+ * @param {FBResource} resource Framebuffer Resource
+ * @returns {Uint8Array|FBError} QOI file
+ */
+function fb_qoi_encode(resource = null) {
+  let FN_NAME = 'fb_qoi_encode';
+  let FN_ARGS = [...arguments];
+
+  if (!fb_valid(resource)) {
+    return fb_error(FB_ERR_EXPECTS_RESOURCE, FB_ORIGIN_SYSTEM, FN_NAME, FN_ARGS);
+  }
+
+  let width = resource.width;
+  let height = resource.height;
+  let data = fb_image_straight(resource).data;
+
+  let qoi = new Uint8Array(14 + width * height * 5 + 8);
+  let view = new DataView(qoi.buffer);
+
+  qoi.set([0x71, 0x6F, 0x69, 0x66], 0); // qoif
+  view.setUint32(4, width);
+  view.setUint32(8, height);
+  qoi[12] = 4;
+  qoi[13] = 0; // sRGB with linear alpha
+
+  let index = new Uint8Array(64 * 4);
+  let pos = 14;
+  let run = 0;
+  let [pr, pg, pb, pa] = [0, 0, 0, 255];
+
+  for (let i = 0; i < data.length; i += 4) {
+    let r = data[i + FB_CHANNEL_R];
+    let g = data[i + FB_CHANNEL_G];
+    let b = data[i + FB_CHANNEL_B];
+    let a = data[i + FB_CHANNEL_A];
+
+    if (r == pr && g == pg && b == pb && a == pa) {
+      run++;
+
+      if (run == 62 || i + 4 == data.length) {
+        qoi[pos++] = 0xC0 | (run - 1); // QOI_OP_RUN
+        run = 0;
+      }
+
+      continue;
+    }
+
+    if (run > 0) {
+      qoi[pos++] = 0xC0 | (run - 1);
+      run = 0;
+    }
+
+    let hash = ((r * 3 + g * 5 + b * 7 + a * 11) % 64) * 4;
+
+    if (index[hash] == r && index[hash + 1] == g && index[hash + 2] == b && index[hash + 3] == a) {
+      qoi[pos++] = hash >> 2; // QOI_OP_INDEX
+    } else {
+      index.set([r, g, b, a], hash);
+
+      if (a == pa) {
+        let dr = ((r - pr + 384) & 0xFF) - 128;
+        let dg = ((g - pg + 384) & 0xFF) - 128;
+        let db = ((b - pb + 384) & 0xFF) - 128;
+        let dr_dg = dr - dg;
+        let db_dg = db - dg;
+
+        if (dr >= -2 && dr <= 1 && dg >= -2 && dg <= 1 && db >= -2 && db <= 1) {
+          qoi[pos++] = 0x40 | ((dr + 2) << 4) | ((dg + 2) << 2) | (db + 2); // QOI_OP_DIFF
+        } else if (dg >= -32 && dg <= 31 && dr_dg >= -8 && dr_dg <= 7 && db_dg >= -8 && db_dg <= 7) {
+          qoi[pos++] = 0x80 | (dg + 32); // QOI_OP_LUMA
+          qoi[pos++] = ((dr_dg + 8) << 4) | (db_dg + 8);
+        } else {
+          qoi.set([0xFE, r, g, b], pos); // QOI_OP_RGB
+          pos += 4;
+        }
+      } else {
+        qoi.set([0xFF, r, g, b, a], pos); // QOI_OP_RGBA
+        pos += 5;
+      }
+    }
+
+    [pr, pg, pb, pa] = [r, g, b, a];
+  }
+
+  // End marker
+  qoi.set([0, 0, 0, 0, 0, 0, 0, 1], pos);
+  pos += 8;
+
+  return qoi.slice(0, pos);
+}
+
+/**
+ * Parse a QOI file into straight RGBA8 pixels
+ * <InternalFunction>
+ * @param {Uint8Array} bytes QOI file
+ * @returns {null|Object} { width, height, data }
+ */
+function fb_qoi_parse(bytes) {
+  let view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+  if (22 > bytes.length || String.fromCharCode(...bytes.subarray(0, 4)) != 'qoif') {
+    return null;
+  }
+
+  let width = view.getUint32(4);
+  let height = view.getUint32(8);
+
+  if (0 >= width || 0 >= height || width > FB_MAX_WIDTH || height > FB_MAX_HEIGHT) {
+    return null;
+  }
+
+  let out = new Uint8ClampedArray(width * height * 4);
+  let index = new Uint8Array(64 * 4);
+  let end = bytes.length - 8;
+  let pos = 14;
+  let run = 0;
+  let r = 0, g = 0, b = 0, a = 255;
+
+  for (let i = 0; i < out.length; i += 4) {
+    if (run > 0) {
+      run--;
+    } else if (pos < end) {
+      let op = bytes[pos++];
+
+      if (op == 0xFE) {
+        r = bytes[pos++];
+        g = bytes[pos++];
+        b = bytes[pos++];
+      } else if (op == 0xFF) {
+        r = bytes[pos++];
+        g = bytes[pos++];
+        b = bytes[pos++];
+        a = bytes[pos++];
+      } else if ((op & 0xC0) == 0x00) {
+        let at = (op & 0x3F) * 4;
+        r = index[at];
+        g = index[at + 1];
+        b = index[at + 2];
+        a = index[at + 3];
+      } else if ((op & 0xC0) == 0x40) {
+        r = (r + ((op >> 4) & 3) - 2) & 0xFF;
+        g = (g + ((op >> 2) & 3) - 2) & 0xFF;
+        b = (b + (op & 3) - 2) & 0xFF;
+      } else if ((op & 0xC0) == 0x80) {
+        let next = bytes[pos++];
+        let dg = (op & 0x3F) - 32;
+        r = (r + dg + ((next >> 4) & 15) - 8) & 0xFF;
+        g = (g + dg) & 0xFF;
+        b = (b + dg + (next & 15) - 8) & 0xFF;
+      } else {
+        run = op & 0x3F;
+      }
+
+      index.set([r, g, b, a], ((r * 3 + g * 5 + b * 7 + a * 11) % 64) * 4);
+    } else {
+      return null;
+    }
+
+    out[i + FB_CHANNEL_R] = r;
+    out[i + FB_CHANNEL_G] = g;
+    out[i + FB_CHANNEL_B] = b;
+    out[i + FB_CHANNEL_A] = a;
+  }
+
+  return { width: width, height: height, data: out };
+}
+
+/**
+ * Load an image file decoded by the library (see fb_image_decode)
+ * Paths are fetched, the format is detected from the magic
+ * bytes or the extension.
+ * <InternalFunction>
+ * @param {string|ArrayBuffer|TypedArray} path URL or file contents
+ * @param {function} onload Called with (source, width, height)
+ * @param {function} onerror Called with an error definition
+ * @param {object} options Load options (crossOrigin, signal, see fb_load)
+ * @returns {boolean} false when there's no way to fetch
+ */
+function fb_image_fetch(path, onload, onerror, options = {}) {
+  let decode = function(buffer) {
+    let bytes = buffer instanceof ArrayBuffer
+      ? new Uint8Array(buffer)
+      : new Uint8Array(buffer.buffer, buffer.byteOffset, buffer.byteLength);
+
+    let format = fb_image_format_detect(bytes);
+
+    if (format === null && typeof path === 'string') {
+      format = fb_image_format_from_name(path);
+    }
+
+    if (format === null) {
+      onerror(FB_ERR_UNKNOWN_IMAGE_FORMAT);
+      return;
+    }
+
+    let source = fb_image_decode(bytes, format);
+
+    if (source instanceof FBError) {
+      onerror(FB_ERR_INVALID_DATA);
+      return;
+    }
+
+    onload(source, source.width, source.height);
+  };
+
+  if (path instanceof ArrayBuffer || ArrayBuffer.isView(path)) {
+    decode(path);
+    return true;
+  }
+
+  if (typeof fetch !== 'function') {
+    return false;
+  }
+
+  let init = {
+    credentials: options.crossOrigin === 'use-credentials' ? 'include' : 'same-origin',
+    signal: options.signal ?? undefined,
+  };
+
+  let status = function(response) {
+    if (response.ok) {
+      return response.arrayBuffer();
+    }
+
+    return Promise.reject(
+      response.status == 404 || response.status == 410 ? FB_ERR_PATH_NOT_FOUND : FB_ERR_NETWORK
+    );
+  };
+
+  fetch(path, init)
+    .then(status)
+    .then((buffer) => decode(buffer), function(error) {
+      if (error instanceof FBErrorDefinition) {
+        onerror(error);
+      } else {
+        onerror(error?.name === 'AbortError' ? FB_ERR_ABORTED : FB_ERR_NETWORK);
+      }
+    });
+
+  return true;
+}
+
+/**
+ * Start a download of bytes as a file (needs a document)
+ * <InternalFunction>
+ * @param {Uint8Array} bytes File contents
+ * @param {string} filename File name
+ * @param {string} type MIME type
+ * @returns {boolean}
+ */
+function fb_download(bytes, filename, type) {
+  if (typeof document !== 'object' || typeof Blob !== 'function') {
+    return false;
+  }
+
+  let url = URL.createObjectURL(new Blob([bytes], { type: type }));
+  let anchor = document.createElement('a');
+  anchor.href = url;
+  anchor.download = filename;
+  anchor.click();
+
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+
+  return true;
+}
+
+/**
+ * Start recording a resource: a frame is captured on every fb_sync()
+ * With write-through (defer = 0) that's after every drawing call.
+ * @param {FBResource} resource Framebuffer Resource
+ * @param {null|number} delay Delay of every frame in milliseconds (null for the time between syncs)
+ * @returns {null|FBRecording} Recording
+ */
+function fb_record_start(resource = null, delay = null) {
+  if (!fb_valid(resource)) {
+    return null;
+  }
+
+  resource.recording = new FBRecording({
+    resource: resource,
+
+    // Captured copies (RGBA8) and their delays (milliseconds)
+    frames: [],
+    delays: [],
+
+    // Fixed delay, or null to measure it
+    delay: delay,
+
+    // Time of the last capture
+    captured: 0,
+  });
+
+  return resource.recording;
+}
+
+/**
+ * Stop recording a resource
+ * @param {FBResource} resource Framebuffer Resource
+ * @returns {null|FBRecording} Recording (pass it to fb_gif_encode or fb_apng_encode)
+ */
+function fb_record_stop(resource = null) {
+  if (!fb_valid(resource)) {
+    return null;
+  }
+
+  let recording = resource.recording;
+
+  if (recording === null) {
+    return null;
+  }
+
+  resource.recording = null;
+
+  // The last frame is shown as long as the one before
+  let count = recording.delays.length;
+
+  if (count > 0 && recording.delay === null) {
+    recording.delays[count - 1] = count > 1 ? recording.delays[count - 2] : 100;
+  }
+
+  return recording;
+}
+
+/**
+ * Capture a frame of a recorded resource
+ * <InternalFunction>
+ * @param {FBResource} resource Framebuffer Resource
+ * @returns {undefined}
+ */
+function fb_record_capture(resource) {
+  let recording = resource.recording;
+  let now = time_precise();
+  let count = recording.frames.length;
+
+  if (recording.delay === null && count > 0) {
+    recording.delays[count - 1] = Math.max(1, Math.round(now - recording.captured));
+  }
+
+  recording.frames.push(fb_copy(resource));
+  recording.delays.push(recording.delay ?? 0);
+  recording.captured = now;
+}
+
+/**
+ * Get frames and delays from the arguments of an animation encoder
+ * <InternalFunction>
+ * @param {array|FBRecording} frames Resources or a recording
+ * @param {null|number|array} delays Delay of every frame, or of each frame (milliseconds)
+ * @returns {null|Object} { frames, delays }
+ */
+function fb_animation_frames(frames, delays) {
+  if (frames instanceof FBRecording) {
+    delays = delays ?? frames.delays;
+    frames = frames.frames;
+  }
+
+  if (!Array.isArray(frames) || frames.length == 0 || !frames.every((frame) => fb_valid(frame))) {
+    return null;
+  }
+
+  let width = frames[0].width;
+  let height = frames[0].height;
+
+  if (!frames.every((frame) => frame.width == width && frame.height == height)) {
+    return null;
+  }
+
+  delays = delays ?? 100;
+
+  return {
+    frames: frames,
+    delays: frames.map((frame, i) => Math.max(0, Array.isArray(delays) ? delays[i] ?? 100 : delays)),
+  };
+}
+
+/**
+ * Encode frames as an animated GIF
+ * Each frame gets its own palette, pixels with alpha below
+ * 128 are transparent.
+ * @param {array|FBRecording} frames Resources of the same size, or a recording
+ * @param {null|number|array} delays Delay of every frame, or of each frame in milliseconds (default 100, or the recorded delays)
+ * @param {number} loop Times to play, 0 loops forever (default 0)
+ * @param {boolean} dither Floyd-Steinberg dithering (default false)
+ * @returns {Uint8Array|FBError} GIF file
+ */
+function fb_gif_encode(frames = null, delays = null, loop = 0, dither = false) {
+  let FN_NAME = 'fb_gif_encode';
+  let FN_ARGS = [...arguments];
+
+  let animation = fb_animation_frames(frames, delays);
+
+  if (animation === null) {
+    return fb_error(FB_ERR_BAD_FRAMES, FB_ORIGIN_SYSTEM, FN_NAME, FN_ARGS);
+  }
+
+  let width = animation.frames[0].width;
+  let height = animation.frames[0].height;
+
+  let out = [];
+  let u16 = (v) => out.push(v & 0xFF, (v >> 8) & 0xFF);
+
+  // Header, logical screen descriptor (no global color table)
+  for (let ch of 'GIF89a') {
+    out.push(ch.charCodeAt(0));
+  }
+
+  u16(width);
+  u16(height);
+  out.push(0, 0, 0);
 
-      c[0] = clamp(c[0] + noise1, 0, 255);
-      c[1] = clamp(c[1] + noise2, 0, 255);
-      c[2] = clamp(c[2] + noise3, 0, 255);
+  // NETSCAPE2.0 application extension (loop count)
+  //
+  // Counts repeats after the first play, 0 is forever.
+  // Without the extension the animation plays once.
+  if (loop != 1) {
+    out.push(0x21, 0xFF, 11);
 
-      fb_set_pixel(resource_new, x, y, c[0], c[1], c[2]);
+    for (let ch of 'NETSCAPE2.0') {
+      out.push(ch.charCodeAt(0));
     }
+
+    out.push(3, 1);
+    u16(loop == 0 ? 0 : loop - 1);
+    out.push(0);
   }
 
-  fb_defer(resource_new); // FIXME: need test
+  for (let f = 0; f < animation.frames.length; f++) {
+    let data = fb_image_straight(animation.frames[f]).data;
 
-  return resource_new;
+    let transparent = false;
+
+    for (let i = FB_CHANNEL_A; i < data.length && !transparent; i += 4) {
+      transparent = data[i] < 128;
+    }
+
+    // Transparent pixels get the entry after the palette
+    let colors = fb_quantize(data, transparent ? 255 : 256, true);
+    let palette = fb_palette_create(colors.length > 0 ? colors : [[0, 0, 0]]);
+    let transparent_index = transparent ? palette.size : -1;
+    let indices = fb_palette_map(data, width, height, palette, dither, transparent_index);
+
+    let table_bits = 1;
+
+    while ((1 << table_bits) < palette.size + (transparent ? 1 : 0)) {
+      table_bits++;
+    }
+
+    // Graphic control extension
+    // Disposal: restore to background with transparency, otherwise leave
+    out.push(0x21, 0xF9, 4, ((transparent ? 2 : 1) << 2) | (transparent ? 1 : 0));
+    u16(Math.round(animation.delays[f] / 10));
+    out.push(transparent ? transparent_index : 0, 0);
+
+    // Image descriptor with a local color table
+    out.push(0x2C);
+    u16(0);
+    u16(0);
+    u16(width);
+    u16(height);
+    out.push(0x80 | (table_bits - 1));
+
+    for (let i = 0; i < (1 << table_bits); i++) {
+      if (i < palette.size) {
+        out.push(palette.colors[i * 4], palette.colors[i * 4 + 1], palette.colors[i * 4 + 2]);
+      } else {
+        out.push(0, 0, 0);
+      }
+    }
+
+    // Image data in sub-blocks of at most 255 bytes
+    let min_code_size = Math.max(2, table_bits);
+    let lzw = fb_gif_lzw(indices, min_code_size);
+
+    out.push(min_code_size);
+
+    for (let i = 0; i < lzw.length; i += 255) {
+      let block = lzw.subarray(i, i + 255);
+      out.push(block.length, ...block);
+    }
+
+    out.push(0);
+  }
+
+  out.push(0x3B);
+
+  return new Uint8Array(out);
 }
 
 /**
- * Apply a convolution matrix to an image
- *
- * More information:
- *  - https://en.wikipedia.org/wiki/Kernel_(image_processing)
- *  - https://en.wikipedia.org/wiki/Convolution
- *  - https://docs.gimp.org/2.8/en/plug-in-convmatrix.html
- *
- * @param {FBResource} resource Framebuffer Resource
- * @param {array} matrix Convolution matrix (3x3 or 5x5)
- * @param {number} divisor How much to divide the average result
- * @param {number} offset Value to add to the quotient (division result)
- * @returns {null|FBResource|FBError} Framebuffer Resource
+ * Compress GIF image data (variable-length code LZW)
+ * <InternalFunction>
+ * @param {Uint8Array} indices Color table indices
+ * @param {number} min_code_size Minimum code size (2 to 8)
+ * @returns {Uint8Array} Code stream
  */
-function fb_convolution_matrix(
+function fb_gif_lzw(indices, min_code_size) {
+  let clear_code = 1 << min_code_size;
+  let eoi_code = clear_code + 1;
+  let next_code = eoi_code + 1;
+  let code_size = min_code_size + 1;
+  let table = new Map();
+
+  let out = [];
+  let bitbuf = 0;
+  let bitcnt = 0;
+
+  let emit = function(code) {
+    bitbuf |= code << bitcnt;
+    bitcnt += code_size;
+
+    while (bitcnt >= 8) {
+      out.push(bitbuf & 0xFF);
+      bitbuf >>>= 8;
+      bitcnt -= 8;
+    }
+  };
+
+  emit(clear_code);
+
+  let prefix = indices[0];
+
+  for (let i = 1; i < indices.length; i++) {
+    let key = (prefix << 8) | indices[i];
+    let code = table.get(key);
+
+    if (code !== undefined) {
+      prefix = code;
+      continue;
+    }
+
+    emit(prefix);
+
+    // Table full: start over
+    if (next_code == 4096) {
+      emit(clear_code);
+      table.clear();
+      next_code = eoi_code + 1;
+      code_size = min_code_size + 1;
+    } else {
+      if (next_code >= (1 << code_size)) {
+        code_size++;
+      }
+
+      table.set(key, next_code++);
+    }
+
+    prefix = indices[i];
+  }
+
+  emit(prefix);
+  emit(eoi_code);
+
+  if (bitcnt > 0) {
+    out.push(bitbuf & 0xFF);
+  }
+
+  return new Uint8Array(out);
+}
+
+/**
+ * Encode frames as an animated PNG (APNG)
+ * Viewers without APNG support show the first frame.
+ * @param {array|FBRecording} frames Resources of the same size, or a recording
+ * @param {null|number|array} delays Delay of every frame, or of each frame in milliseconds (default 100, or the recorded delays)
+ * @param {number} loop Times to play, 0 loops forever (default 0)
+ * @param {number} level Compression level from 0 to 9 (default 6)
+ * @returns {Uint8Array|FBError} PNG file
+ */
+function fb_apng_encode(frames = null, delays = null, loop = 0, level = 6) {
+  let FN_NAME = 'fb_apng_encode';
+  let FN_ARGS = [...arguments];
+
+  let animation = fb_animation_frames(frames, delays);
+
+  if (animation === null) {
+    return fb_error(FB_ERR_BAD_FRAMES, FB_ORIGIN_SYSTEM, FN_NAME, FN_ARGS);
+  }
+
+  let width = animation.frames[0].width;
+  let height = animation.frames[0].height;
+  let count = animation.frames.length;
+
+  let actl = new Uint8Array(8);
+  new DataView(actl.buffer).setUint32(0, count);
+  new DataView(actl.buffer).setUint32(4, loop);
+
+  let chunks = [['IHDR', fb_png_ihdr(width, height)], ['acTL', actl]];
+
+  // fcTL and fdAT chunks share one sequence
+  let sequence = 0;
+
+  for (let f = 0; f < count; f++) {
+    let fctl = new Uint8Array(26);
+    let view = new DataView(fctl.buffer);
+
+    view.setUint32(0, sequence++);
+    view.setUint32(4, width);
+    view.setUint32(8, height);
+    view.setUint32(12, 0); // x offset
+    view.setUint32(16, 0); // y offset
+    view.setUint16(20, Math.min(animation.delays[f], 65535));
+    view.setUint16(22, 1000); // milliseconds
+    fctl[24] = 0; // APNG_DISPOSE_OP_NONE
+    fctl[25] = 0; // APNG_BLEND_OP_SOURCE
+
+    chunks.push(['fcTL', fctl]);
+
+    let compressed = fb_png_compress(animation.frames[f], level, FB_PNG_FILTER_ADAPTIVE);
+
+    // The first frame is the default image
+    if (f == 0) {
+      chunks.push(['IDAT', compressed]);
+      continue;
+    }
+
+    let fdat = new Uint8Array(4 + compressed.length);
+    new DataView(fdat.buffer).setUint32(0, sequence++);
+    fdat.set(compressed, 4);
+
+    chunks.push(['fdAT', fdat]);
+  }
+
+  chunks.push(['IEND', new Uint8Array(0)]);
+
+  return fb_png_assemble(chunks);
+}
+
+/**
+ * Create a sprite sheet from a grid of equally sized frames
+ * Sprites are named by their index ('0', '1', ...), row by row.
+ * @param {FBResource} resource Framebuffer Resource (sheet image)
+ * @param {number} frame_width Frame width
+ * @param {number} frame_height Frame height
+ * @param {number} margin Space around the grid (default 0)
+ * @param {number} spacing Space between frames (default 0)
+ * @param {number} count Number of frames (-1 for all)
+ * @param {number} duration Duration of every frame in milliseconds (default 100)
+ * @returns {null|FBSpriteSheet|FBError} Sprite sheet
+ */
+function fb_sheet_grid(
   resource = null,
-  matrix = [0, 0, 0, 0, 0, 0, 0, 0, 0],
-  divisor = 1,
-  offset = 0
+  frame_width = 0,
+  frame_height = 0,
+  margin = 0,
+  spacing = 0,
+  count = -1,
+  duration = 100
 ) {
-  // FIXME: See if 'Row- and column-major order' matters here.
-  //        Ideally we'd want to loop over in row-major order
-  //        i.e. (X loop inside Y)
+  let FN_NAME = 'fb_sheet_grid';
+  let FN_ARGS = [...arguments];
+
   if (!fb_valid(resource)) {
     return null;
   }
 
-  let FN_NAME = 'fb_convolution_matrix';
+  frame_width |= 0;
+  frame_height |= 0;
+  margin = Math.max(0, margin | 0);
+  spacing = Math.max(0, spacing | 0);
+
+  if (0 >= frame_width) {
+    return fb_error(FB_ERR_BAD_WIDTH, FB_ORIGIN_SYSTEM, FN_NAME, FN_ARGS);
+  }
+
+  if (0 >= frame_height) {
+    return fb_error(FB_ERR_BAD_HEIGHT, FB_ORIGIN_SYSTEM, FN_NAME, FN_ARGS);
+  }
+
+  let columns = Math.floor((resource.width - margin * 2 + spacing) / (frame_width + spacing));
+  let rows = Math.floor((resource.height - margin * 2 + spacing) / (frame_height + spacing));
+  let total = Math.max(0, columns) * Math.max(0, rows);
+
+  if (count >= 0) {
+    total = Math.min(total, count | 0);
+  }
+
+  let sheet = fb_sheet_create(resource);
+
+  for (let i = 0; i < total; i++) {
+    fb_sheet_add(sheet, String(i), {
+      x: margin + (i % columns) * (frame_width + spacing),
+      y: margin + Math.floor(i / columns) * (frame_height + spacing),
+      width: frame_width,
+      height: frame_height,
+      duration: duration,
+    });
+  }
+
+  return sheet;
+}
+
+/**
+ * Create a sprite sheet from a JSON atlas descriptor
+ * Supports the TexturePacker JSON (hash and array) and Aseprite
+ * formats: trimmed and rotated frames, frame durations, Aseprite
+ * frame tags and PixiJS-style 'animations' become animations.
+ * @param {FBResource} resource Framebuffer Resource (atlas image)
+ * @param {string|object} descriptor JSON descriptor
+ * @returns {null|FBSpriteSheet|FBError} Sprite sheet
+ */
+function fb_sheet_atlas(resource = null, descriptor = null) {
+  let FN_NAME = 'fb_sheet_atlas';
   let FN_ARGS = [...arguments];
 
-  // FIXME: Is this limit artificial?
-  if (matrix.length != 9 && matrix.length != 25) {
-    return fb_error(FB_ERR_CONVOLUTION_MATRIX_SIZE, FB_ORIGIN_SYSTEM, FN_NAME, FN_ARGS);
+  if (!fb_valid(resource)) {
+    return null;
   }
 
-  let resource_new = fb_copy(resource); // FIXME: Why not `fb_create` instead of `fb_copy` ?
-  let w = resource.width;
-  let h = resource.height;
-  let cm = matrix;
+  if (typeof descriptor === 'string') {
+    try {
+      descriptor = JSON.parse(descriptor);
+    } catch (e) {
+      return fb_error(FB_ERR_BAD_ATLAS, FB_ORIGIN_SYSTEM, FN_NAME, FN_ARGS);
+    }
+  }
 
-  // Convolution matrix (3 x 3)
-  //
-  // [
-  //    A0  A1  A2
-  //
-  //    B0  B1  B2
-  //
-  //    C0  C1  C2
-  // ]
-  if (matrix.length == 9) {
-    // FIXME: Linear access implementation?
-    for (let x = 0; x < w; x++) {
-      for (let y = 0; y < h; y++) {
-        // 3 x 3 grid
-        let a0 = fb_get_pixel(resource, x - 1, y - 1);
-        let a1 = fb_get_pixel(resource, x    , y - 1);
-        let a2 = fb_get_pixel(resource, x + 1, y - 1);
+  let frames = descriptor?.frames;
+
+  // Hash ({ name: frame }) or array ([{ filename, ... }])
+  if (frames !== null && typeof frames === 'object' && !Array.isArray(frames)) {
+    frames = Object.entries(frames).map(([name, frame]) => Object.assign({ filename: name }, frame));
+  }
+
+  if (!Array.isArray(frames)) {
+    return fb_error(FB_ERR_BAD_ATLAS, FB_ORIGIN_SYSTEM, FN_NAME, FN_ARGS);
+  }
+
+  let sheet = fb_sheet_create(resource);
+
+  for (let i = 0; i < frames.length; i++) {
+    let entry = frames[i];
+    let frame = entry?.frame;
+
+    if (frame === null || typeof frame !== 'object' || !(frame.w > 0 && frame.h > 0)) {
+      return fb_error(FB_ERR_BAD_ATLAS, FB_ORIGIN_SYSTEM, FN_NAME, FN_ARGS);
+    }
+
+    let trim = entry.spriteSourceSize ?? { x: 0, y: 0 };
+    let source = entry.sourceSize ?? { w: frame.w, h: frame.h };
+
+    fb_sheet_add(sheet, String(entry.filename ?? i), {
+      x: frame.x | 0,
+      y: frame.y | 0,
+      width: frame.w | 0,
+      height: frame.h | 0,
+      rotated: entry.rotated === true,
+      offset_x: trim.x | 0,
+      offset_y: trim.y | 0,
+      source_width: source.w | 0,
+      source_height: source.h | 0,
+      duration: entry.duration ?? 100,
+    });
+  }
+
+  let directions = {
+    forward: FB_ANIM_FORWARD,
+    reverse: FB_ANIM_REVERSE,
+    pingpong: FB_ANIM_PINGPONG,
+  };
+
+  // Aseprite
+  for (let tag of descriptor.meta?.frameTags ?? []) {
+    let names = [];
+
+    for (let i = tag.from; i <= tag.to && i < sheet.sprites.length; i++) {
+      names.push(i);
+    }
+
+    fb_sheet_animation(sheet, tag.name, names, null, directions[tag.direction] ?? FB_ANIM_FORWARD);
+  }
+
+  // PixiJS
+  for (let [name, names] of Object.entries(descriptor.animations ?? {})) {
+    if (fb_sheet_animation(sheet, name, names) instanceof FBError) {
+      return fb_error(FB_ERR_BAD_ATLAS, FB_ORIGIN_SYSTEM, FN_NAME, FN_ARGS);
+    }
+  }
+
+  return sheet;
+}
+
+/**
+ * Create an empty sprite sheet
+ * <InternalFunction>
+ * @param {FBResource} resource Framebuffer Resource (sheet image)
+ * @returns {FBSpriteSheet} Sprite sheet
+ */
+function fb_sheet_create(resource) {
+  return new FBSpriteSheet({
+    resource: resource,
+
+    // Sprites in order, and by name
+    sprites: [],
+    names: {},
+
+    // Animations by name (see fb_sheet_animation)
+    animations: {},
+  });
+}
+
+/**
+ * Add a sprite to a sheet
+ * <InternalFunction>
+ * @param {FBSpriteSheet} sheet Sprite sheet
+ * @param {string} name Sprite name
+ * @param {object} frame Sprite properties
+ * @returns {FBSprite} Sprite
+ */
+function fb_sheet_add(sheet, name, frame) {
+  let sprite = new FBSprite({
+    sheet: sheet,
+    name: name,
+    index: sheet.sprites.length,
+
+    // Area in the sheet, 'rotated' areas are stored 90 degrees
+    // clockwise (height by width)
+    x: 0,
+    y: 0,
+    width: 0,
+    height: 0,
+    rotated: false,
+
+    // Position of the area in the untrimmed sprite
+    offset_x: 0,
+    offset_y: 0,
+    source_width: frame.width,
+    source_height: frame.height,
+
+    // Milliseconds
+    duration: 100,
+  }, frame);
+
+  sheet.sprites.push(sprite);
+  sheet.names[name] = sprite;
+
+  return sprite;
+}
+
+/**
+ * Get a sprite of a sheet
+ * @param {FBSpriteSheet} sheet Sprite sheet
+ * @param {string|number} name Sprite name or index
+ * @returns {null|FBSprite} Sprite
+ */
+function fb_sheet_sprite(sheet = null, name = 0) {
+  if (!(sheet instanceof FBSpriteSheet)) {
+    return null;
+  }
+
+  if (typeof name === 'number') {
+    return sheet.sprites[name] ?? null;
+  }
+
+  return Object.hasOwn(sheet.names, name) ? sheet.names[name] : null;
+}
+
+/**
+ * Define a named animation from sprites of a sheet
+ * @param {FBSpriteSheet} sheet Sprite sheet
+ * @param {string} name Animation name
+ * @param {null|array} sprites Sprite names or indices (null for all sprites)
+ * @param {null|number|array} durations Duration of every frame, or of each frame in milliseconds (null for the sprite durations)
+ * @param {number} direction Playback direction (see FB_ANIM_)
+ * @returns {null|object|FBError} Animation
+ */
+function fb_sheet_animation(
+  sheet = null,
+  name = null,
+  sprites = null,
+  durations = null,
+  direction = FB_ANIM_FORWARD
+) {
+  let FN_NAME = 'fb_sheet_animation';
+  let FN_ARGS = [...arguments];
+
+  if (!(sheet instanceof FBSpriteSheet) || name === null) {
+    return null;
+  }
+
+  let frames = (sprites ?? sheet.sprites.map((sprite) => sprite.index))
+    .map((sprite) => fb_sheet_sprite(sheet, sprite));
+
+  if (frames.length == 0 || frames.includes(null)) {
+    return fb_error(FB_ERR_UNKNOWN_SPRITE, FB_ORIGIN_SYSTEM, FN_NAME, FN_ARGS);
+  }
+
+  // Durations follow the sprites as given, not the play order
+  let times = frames.map(function(sprite, i) {
+    if (Array.isArray(durations)) {
+      return durations[i] ?? sprite.duration;
+    }
+
+    return durations ?? sprite.duration;
+  });
+
+  // Play order, ping-pong doesn't repeat the ends
+  if (direction == FB_ANIM_REVERSE) {
+    frames.reverse();
+    times.reverse();
+  } else if (direction == FB_ANIM_PINGPONG) {
+    frames = frames.concat(frames.slice(1, -1).reverse());
+    times = times.concat(times.slice(1, -1).reverse());
+  }
+
+  let animation = {
+    name: name,
+    frames: frames,
+    durations: times,
+    direction: direction,
+    duration: 0,
+  };
+
+  animation.duration = animation.durations.reduce((total, duration) => total + duration, 0);
+  sheet.animations[name] = animation;
+
+  return animation;
+}
+
+/**
+ * Get the sprite of an animation at a point in time
+ * @param {FBSpriteSheet} sheet Sprite sheet
+ * @param {string} name Animation name
+ * @param {number} time Milliseconds since the animation started
+ * @param {boolean} loop Repeat the animation (otherwise it stops on the last frame)
+ * @returns {null|FBSprite} Sprite
+ */
+function fb_sheet_frame(sheet = null, name = null, time = 0, loop = true) {
+  if (!(sheet instanceof FBSpriteSheet)) {
+    return null;
+  }
+
+  if (!Object.hasOwn(sheet.animations, name)) {
+    return null;
+  }
+
+  let animation = sheet.animations[name];
+
+  if (animation.duration <= 0) {
+    return animation.frames[0];
+  }
+
+  time = Math.max(0, time);
+
+  if (loop) {
+    time %= animation.duration;
+  }
+
+  for (let i = 0; i < animation.frames.length; i++) {
+    time -= animation.durations[i];
+
+    if (time < 0) {
+      return animation.frames[i];
+    }
+  }
+
+  return animation.frames[animation.frames.length - 1];
+}
+
+/**
+ * Draw a sprite (see fb_blit for the parameters)
+ * Trimmed sprites are drawn at their offset, as if untrimmed.
+ * @param {FBResource} resource Framebuffer Resource
+ * @param {FBSprite} sprite Sprite
+ * @param {number} x X axis
+ * @param {number} y Y axis
+ * @param {number} blend Blend mode (see FB_BLEND_)
+ * @param {number} opacity Opacity (0 to 1)
+ * @param {number} composite Porter-Duff operator (see FB_COMPOSITE_)
+ * @returns {boolean|FBError}
+ */
+function fb_sprite_draw(
+  resource = null,
+  sprite = null,
+  x = 0,
+  y = 0,
+  blend = FB_BLEND_NORMAL,
+  opacity = 1,
+  composite = FB_COMPOSITE_SOURCE_OVER
+) {
+  if (!(sprite instanceof FBSprite)) {
+    return false;
+  }
+
+  x = (x | 0) + sprite.offset_x;
+  y = (y | 0) + sprite.offset_y;
+
+  if (sprite.rotated) {
+    let area = fb_sprite_area(sprite);
+    return fb_blit(resource, area, x, y, blend, opacity, composite);
+  }
+
+  return fb_blit(
+    resource,
+    sprite.sheet.resource,
+    x,
+    y,
+    blend,
+    opacity,
+    composite,
+    sprite.x,
+    sprite.y,
+    sprite.width,
+    sprite.height
+  );
+}
+
+/**
+ * Copy a sprite into a new resource (RGBA8) of its untrimmed size
+ * @param {FBSprite} sprite Sprite
+ * @returns {null|FBResource} Framebuffer Resource
+ */
+function fb_sprite_resource(sprite = null) {
+  if (!(sprite instanceof FBSprite)) {
+    return null;
+  }
+
+  let resource = fb_create(sprite.source_width, sprite.source_height);
+  resource.alpha_mode = sprite.sheet.resource.alpha_mode;
+  fb_clear_rgba(resource, 0, 0, 0, 0);
+
+  fb_draw(resource, fb_sprite_area(sprite), sprite.offset_x, sprite.offset_y);
+
+  return resource;
+}
+
+/**
+ * Copy the (unrotated) area of a sprite
+ * <InternalFunction>
+ * @param {FBSprite} sprite Sprite
+ * @returns {FBResource} Framebuffer Resource (RGBA8)
+ */
+function fb_sprite_area(sprite) {
+  let sheet = sprite.sheet.resource;
+  let src = fb_image(sheet).data;
 
-        let b0 = fb_get_pixel(resource, x - 1, y    );
-        let b1 = fb_get_pixel(resource, x    , y    );
-        let b2 = fb_get_pixel(resource, x + 1, y    );
+  let area = fb_create(sprite.width, sprite.height);
+  area.alpha_mode = sheet.alpha_mode;
 
-        let c0 = fb_get_pixel(resource, x - 1, y + 1);
-        let c1 = fb_get_pixel(resource, x    , y + 1);
-        let c2 = fb_get_pixel(resource, x + 1, y + 1);
+  let dst = area.image.data;
 
-        // Apply convolution matrix
-        a0[0] *= cm[0];
-        a0[1] *= cm[0];
-        a0[2] *= cm[0];
+  for (let v = 0; v < sprite.height; v++) {
+    for (let u = 0; u < sprite.width; u++) {
+      // Rotated areas are 'height' pixels wide
+      let sx = sprite.rotated ? sprite.x + sprite.height - 1 - v : sprite.x + u;
+      let sy = sprite.rotated ? sprite.y + u : sprite.y + v;
+      let dpos = (v * sprite.width + u) * 4;
 
-        a1[0] *= cm[1];
-        a1[1] *= cm[1];
-        a1[2] *= cm[1];
+      if (sx < 0 || sy < 0 || sx >= sheet.width || sy >= sheet.height) {
+        dst.fill(0, dpos, dpos + 4);
+        continue;
+      }
 
-        a2[0] *= cm[2];
-        a2[1] *= cm[2];
-        a2[2] *= cm[2];
+      dst.set(src.subarray((sy * sheet.width + sx) * 4, (sy * sheet.width + sx) * 4 + 4), dpos);
+    }
+  }
 
-        b0[0] *= cm[3];
-        b0[1] *= cm[3];
-        b0[2] *= cm[3];
+  fb_invalidate(area);
+  fb_sync(area);
 
-        b1[0] *= cm[4];
-        b1[1] *= cm[4];
-        b1[2] *= cm[4];
+  return area;
+}
 
-        b2[0] *= cm[5];
-        b2[1] *= cm[5];
-        b2[2] *= cm[5];
+/**
+ * Pack resources into a new atlas (shelf packing, tallest first)
+ * @param {array|object} resources Framebuffer Resources, or resources by name
+ * @param {number} padding Space around every sprite (default 1)
+ * @param {number} max_width Maximum atlas width
+ * @returns {null|FBSpriteSheet|FBError} Sprite sheet, see fb_sheet_descriptor for its JSON
+ */
+function fb_sheet_pack(resources = null, padding = 1, max_width = FB_MAX_WIDTH) {
+  let FN_NAME = 'fb_sheet_pack';
+  let FN_ARGS = [...arguments];
 
-        c0[0] *= cm[6];
-        c0[1] *= cm[6];
-        c0[2] *= cm[6];
+  if (resources === null || typeof resources !== 'object') {
+    return null;
+  }
 
-        c1[0] *= cm[7];
-        c1[1] *= cm[7];
-        c1[2] *= cm[7];
+  let entries = Array.isArray(resources)
+    ? resources.map((resource, i) => [String(i), resource])
+    : Object.entries(resources);
 
-        c2[0] *= cm[8];
-        c2[1] *= cm[8];
-        c2[2] *= cm[8];
+  if (!entries.every(([name, resource]) => fb_valid(resource))) {
+    return fb_error(FB_ERR_EXPECTS_RESOURCE, FB_ORIGIN_SYSTEM, FN_NAME, FN_ARGS);
+  }
 
-        let avg = [
-          (a0[0] + a1[0] + a2[0] +
-           b0[0] + b1[0] + b2[0] +
-           c0[0] + c1[0] + c2[0]) / divisor,
+  padding = Math.max(0, padding | 0);
 
-          (a0[1] + a1[1] + a2[1] +
-           b0[1] + b1[1] + b2[1] +
-           c0[1] + c1[1] + c2[1]) / divisor,
+  let area = 0;
+  let width = 1;
 
-          (a0[2] + a1[2] + a2[2] +
-           b0[2] + b1[2] + b2[2] +
-           c0[2] + c1[2] + c2[2]) / divisor
-        ];
+  for (let [name, resource] of entries) {
+    area += (resource.width + padding) * (resource.height + padding);
+    width = Math.max(width, resource.width + padding * 2);
+  }
 
-        let pos = w * y * 4 + x * 4;
+  // Roughly square
+  width = Math.max(width, Math.ceil(Math.sqrt(area)) + padding);
 
-        resource_new.image.data[pos + FB_CHANNEL_R] = avg[0] + offset;
-        resource_new.image.data[pos + FB_CHANNEL_G] = avg[1] + offset;
-        resource_new.image.data[pos + FB_CHANNEL_B] = avg[2] + offset;
-      }
-    }
+  if (width > Math.min(max_width, FB_MAX_WIDTH)) {
+    return fb_error(FB_ERR_LARGE_WIDTH, FB_ORIGIN_SYSTEM, FN_NAME, FN_ARGS);
   }
 
-  // Convolution matrix (5 x 5)
-  //
-  // [
-  //    A0  A1  A2  A3  A4
-  //
-  //    B0  B1  B2  B3  B4
-  //
-  //    C0  C1  C2  C3  C4
-  //
-  //    D0  D1  D2  D3  D4
-  //
-  //    E0  E1  E2  E3  E4
-  // ]
-  if (matrix.length == 25) {
-    // FIXME: Linear access implementation?
-    for (let x = 0; x < w; x++) {
-      for (let y = 0; y < h; y++) {
-        // 5 x 5 grid
-        let a0 = fb_get_pixel(resource, x - 2, y - 2);
-        let a1 = fb_get_pixel(resource, x - 1, y - 2);
-        let a2 = fb_get_pixel(resource, x    , y - 2);
-        let a3 = fb_get_pixel(resource, x + 1, y - 2);
-        let a4 = fb_get_pixel(resource, x + 2, y - 2);
+  let order = entries
+    .map((entry, i) => i)
+    .sort((a, b) => entries[b][1].height - entries[a][1].height || a - b);
 
-        let b0 = fb_get_pixel(resource, x - 2, y - 1);
-        let b1 = fb_get_pixel(resource, x - 1, y - 1);
-        let b2 = fb_get_pixel(resource, x    , y - 1);
-        let b3 = fb_get_pixel(resource, x + 1, y - 1);
-        let b4 = fb_get_pixel(resource, x + 2, y - 1);
+  let places = [];
+  let x = padding;
+  let y = padding;
+  let row = 0;
+  let used = 1;
 
-        let c0 = fb_get_pixel(resource, x - 2, y    );
-        let c1 = fb_get_pixel(resource, x - 1, y    );
-        let c2 = fb_get_pixel(resource, x    , y    );
-        let c3 = fb_get_pixel(resource, x + 1, y    );
-        let c4 = fb_get_pixel(resource, x + 2, y    );
+  for (let i of order) {
+    let resource = entries[i][1];
 
-        let d0 = fb_get_pixel(resource, x - 2, y + 1);
-        let d1 = fb_get_pixel(resource, x - 1, y + 1);
-        let d2 = fb_get_pixel(resource, x    , y + 1);
-        let d3 = fb_get_pixel(resource, x + 1, y + 1);
-        let d4 = fb_get_pixel(resource, x + 2, y + 1);
+    if (x + resource.width + padding > width && x > padding) {
+      x = padding;
+      y += row + padding;
+      row = 0;
+    }
 
-        let e0 = fb_get_pixel(resource, x - 2, y + 2);
-        let e1 = fb_get_pixel(resource, x - 1, y + 2);
-        let e2 = fb_get_pixel(resource, x    , y + 2);
-        let e3 = fb_get_pixel(resource, x + 1, y + 2);
-        let e4 = fb_get_pixel(resource, x + 2, y + 2);
+    places[i] = [x, y];
+    x += resource.width + padding;
+    row = Math.max(row, resource.height);
+    used = Math.max(used, x);
+  }
 
-        // Apply convolution matrix
-        a0[0] *= cm[0];
-        a0[1] *= cm[0];
-        a0[2] *= cm[0];
+  let height = Math.max(1, y + row + padding);
 
-        a1[0] *= cm[1];
-        a1[1] *= cm[1];
-        a1[2] *= cm[1];
+  if (height > FB_MAX_HEIGHT) {
+    return fb_error(FB_ERR_LARGE_HEIGHT, FB_ORIGIN_SYSTEM, FN_NAME, FN_ARGS);
+  }
 
-        a2[0] *= cm[2];
-        a2[1] *= cm[2];
-        a2[2] *= cm[2];
+  let atlas = fb_create(Math.min(width, used), height);
+  fb_clear_rgba(atlas, 0, 0, 0, 0);
 
-        a3[0] *= cm[3];
-        a3[1] *= cm[3];
-        a3[2] *= cm[3];
+  let sheet = fb_sheet_create(atlas);
 
-        a4[0] *= cm[4];
-        a4[1] *= cm[4];
-        a4[2] *= cm[4];
+  entries.forEach(function([name, resource], i) {
+    fb_draw(atlas, resource, places[i][0], places[i][1]);
 
-        b0[0] *= cm[5];
-        b0[1] *= cm[5];
-        b0[2] *= cm[5];
+    fb_sheet_add(sheet, name, {
+      x: places[i][0],
+      y: places[i][1],
+      width: resource.width,
+      height: resource.height,
+    });
+  });
 
-        b1[0] *= cm[6];
-        b1[1] *= cm[6];
-        b1[2] *= cm[6];
+  return sheet;
+}
 
-        b2[0] *= cm[7];
-        b2[1] *= cm[7];
-        b2[2] *= cm[7];
+/**
+ * Describe a sprite sheet as JSON (TexturePacker hash format)
+ * Animations are listed PixiJS-style, by sprite names.
+ * @param {FBSpriteSheet} sheet Sprite sheet
+ * @param {string} image File name of the sheet image
+ * @returns {null|object} Descriptor (see fb_sheet_atlas)
+ */
+function fb_sheet_descriptor(sheet = null, image = 'atlas.png') {
+  if (!(sheet instanceof FBSpriteSheet)) {
+    return null;
+  }
 
-        b3[0] *= cm[8];
-        b3[1] *= cm[8];
-        b3[2] *= cm[8];
+  let frames = {};
+  let animations = {};
 
-        b4[0] *= cm[9];
-        b4[1] *= cm[9];
-        b4[2] *= cm[9];
+  for (let sprite of sheet.sprites) {
+    let trimmed = sprite.offset_x != 0 || sprite.offset_y != 0 ||
+      sprite.source_width != sprite.width || sprite.source_height != sprite.height;
 
-        c0[0] *= cm[10];
-        c0[1] *= cm[10];
-        c0[2] *= cm[10];
+    frames[sprite.name] = {
+      frame: { x: sprite.x, y: sprite.y, w: sprite.width, h: sprite.height },
+      rotated: sprite.rotated,
+      trimmed: trimmed,
+      spriteSourceSize: { x: sprite.offset_x, y: sprite.offset_y, w: sprite.width, h: sprite.height },
+      sourceSize: { w: sprite.source_width, h: sprite.source_height },
+      duration: sprite.duration,
+    };
+  }
 
-        c1[0] *= cm[11];
-        c1[1] *= cm[11];
-        c1[2] *= cm[11];
+  for (let [name, animation] of Object.entries(sheet.animations)) {
+    animations[name] = animation.frames.map((sprite) => sprite.name);
+  }
 
-        c2[0] *= cm[12];
-        c2[1] *= cm[12];
-        c2[2] *= cm[12];
+  return {
+    frames: frames,
+    animations: animations,
+    meta: {
+      app: 'framebuffer.js',
+      image: image,
+      format: 'RGBA8888',
+      size: { w: sheet.resource.width, h: sheet.resource.height },
+      scale: '1',
+    },
+  };
+}
 
-        c3[0] *= cm[13];
-        c3[1] *= cm[13];
-        c3[2] *= cm[13];
+/**
+ * Get the built-in 8x8 font (ASCII)
+ * Glyphs of font8x8 by Daniel Hepper (public domain).
+ * @returns {FBFont} Font
+ */
+function fb_font_default() {
+  if (fb_font_builtin !== null) {
+    return fb_font_builtin;
+  }
 
-        c4[0] *= cm[14];
-        c4[1] *= cm[14];
-        c4[2] *= cm[14];
+  let font = fb_font_create('font8x8', 8, 7);
 
-        d0[0] *= cm[15];
-        d0[1] *= cm[15];
-        d0[2] *= cm[15];
+  for (let i = 0; i < fb_font_8x8.length / 16; i++) {
+    let bitmap = new Uint8Array(64);
 
-        d1[0] *= cm[16];
-        d1[1] *= cm[16];
-        d1[2] *= cm[16];
+    for (let row = 0; row < 8; row++) {
+      let bits = parseInt(fb_font_8x8.substr(i * 16 + row * 2, 2), 16);
 
-        d2[0] *= cm[17];
-        d2[1] *= cm[17];
-        d2[2] *= cm[17];
+      for (let col = 0; col < 8; col++) {
+        bitmap[row * 8 + col] = (bits >> col) & 1 ? 255 : 0;
+      }
+    }
 
-        d3[0] *= cm[18];
-        d3[1] *= cm[18];
-        d3[2] *= cm[18];
+    font.glyphs.set(32 + i, { width: 8, height: 8, x: 0, y: 0, advance: 8, bitmap: bitmap });
+  }
 
-        d4[0] *= cm[19];
-        d4[1] *= cm[19];
-        d4[2] *= cm[19];
+  fb_font_builtin = font;
 
-        e0[0] *= cm[20];
-        e0[1] *= cm[20];
-        e0[2] *= cm[20];
+  return font;
+}
 
-        e1[0] *= cm[21];
-        e1[1] *= cm[21];
-        e1[2] *= cm[21];
+/**
+ * Create an empty font
+ * <InternalFunction>
+ * @param {string} name Font name
+ * @param {number} height Line height
+ * @param {number} ascent Distance from the top of a line to the baseline
+ * @returns {FBFont} Font
+ */
+function fb_font_create(name, height, ascent) {
+  return new FBFont({
+    name: name,
+    height: height,
+    ascent: ascent,
 
-        e2[0] *= cm[22];
-        e2[1] *= cm[22];
-        e2[2] *= cm[22];
+    // Glyphs by code point: { width, height, x, y, advance, bitmap }
+    // The bitmap (coverage, 0 to 255) is placed at (x, y) from
+    // the pen position at the top of the line.
+    glyphs: new Map(),
 
-        e3[0] *= cm[23];
-        e3[1] *= cm[23];
-        e3[2] *= cm[23];
+    // Spacing adjustments by code point pair (see fb_font_kerning)
+    kerning: new Map(),
 
-        e4[0] *= cm[24];
-        e4[1] *= cm[24];
-        e4[2] *= cm[24];
+    // Drawn for missing glyphs ('?')
+    fallback: 63,
+  });
+}
 
-        let avg = [
-          (a0[0] + a1[0] + a2[0] + a3[0] + a4[0] +
-           b0[0] + b1[0] + b2[0] + b3[0] + b4[0] +
-           c0[0] + c1[0] + c2[0] + c3[0] + c4[0] +
-           d0[0] + d1[0] + d2[0] + d3[0] + d4[0] +
-           e0[0] + e1[0] + e2[0] + e3[0] + e4[0]) / divisor,
+/**
+ * Load a BDF (Glyph Bitmap Distribution Format) font
+ * @param {string} text Font file contents
+ * @returns {FBFont|FBError} Font
+ */
+function fb_font_bdf(text = null) {
+  let FN_NAME = 'fb_font_bdf';
+  let FN_ARGS = [...arguments];
 
-          (a0[1] + a1[1] + a2[1] + a3[1] + a4[1] +
-           b0[1] + b1[1] + b2[1] + b3[1] + b4[1] +
-           c0[1] + c1[1] + c2[1] + c3[1] + c4[1] +
-           d0[1] + d1[1] + d2[1] + d3[1] + d4[1] +
-           e0[1] + e1[1] + e2[1] + e3[1] + e4[1]) / divisor,
+  if (typeof text !== 'string' || !text.trimStart().startsWith('STARTFONT')) {
+    return fb_error(FB_ERR_BAD_FONT, FB_ORIGIN_SYSTEM, FN_NAME, FN_ARGS);
+  }
 
-          (a0[2] + a1[2] + a2[2] + a3[2] + a4[2] +
-           b0[2] + b1[2] + b2[2] + b3[2] + b4[2] +
-           c0[2] + c1[2] + c2[2] + c3[2] + c4[2] +
-           d0[2] + d1[2] + d2[2] + d3[2] + d4[2] +
-           e0[2] + e1[2] + e2[2] + e3[2] + e4[2]) / divisor
-        ];
+  let lines = text.split(/\r?\n/);
+  let name = '';
+  let bounds = null;
+  let ascent = null;
+  let descent = null;
+  let chars = [];
+  let char = null;
 
-        let pos = w * y * 4 + x * 4;
+  for (let i = 0; i < lines.length; i++) {
+    let tokens = lines[i].trim().split(/\s+/);
+    let values = tokens.slice(1).map(Number);
 
-        resource_new.image.data[pos + FB_CHANNEL_R] = avg[0] + offset;
-        resource_new.image.data[pos + FB_CHANNEL_G] = avg[1] + offset;
-        resource_new.image.data[pos + FB_CHANNEL_B] = avg[2] + offset;
-      }
+    // Glyph properties outside of STARTCHAR and ENDCHAR
+    if (char === null && ['ENCODING', 'DWIDTH', 'BBX', 'BITMAP', 'ENDCHAR'].includes(tokens[0])) {
+      return fb_error(FB_ERR_BAD_FONT, FB_ORIGIN_SYSTEM, FN_NAME, FN_ARGS);
     }
-  }
 
-  fb_defer(resource_new); // FIXME: need test
+    switch (tokens[0]) {
+      case 'FONT':
+        name = tokens.slice(1).join(' ');
+        break;
+
+      case 'FONTBOUNDINGBOX':
+        bounds = values;
+        break;
+
+      case 'FONT_ASCENT':
+        ascent = values[0];
+        break;
+
+      case 'FONT_DESCENT':
+        descent = values[0];
+        break;
+
+      case 'STARTCHAR':
+        char = { code: -1, advance: null, box: bounds, rows: [] };
+        break;
+
+      case 'ENCODING':
+        // Non-standard glyphs: 'ENCODING -1 code'
+        char.code = values[0] >= 0 ? values[0] : values[1] ?? -1;
+        break;
+
+      case 'DWIDTH':
+        char.advance = values[0];
+        break;
+
+      case 'BBX':
+        char.box = values;
+        break;
 
-  return resource_new;
-}
+      case 'BITMAP':
+        char.rows = lines.slice(i + 1, i + 1 + (char.box?.[1] ?? 0)).map((row) => row.trim());
+        i += char.rows.length;
+        break;
 
-/**
- * Sharpen the image
- * @param {FBResource} resource Framebuffer Resource
- * @returns {null|object} Framebuffer Resource
- */
-function fb_sharpen(resource = null) {
-  if (!fb_valid(resource)) {
-    return null;
+      case 'ENDCHAR':
+        chars.push(char);
+        char = null;
+        break;
+    }
   }
 
-  let resource_new = fb_convolution_matrix(
-    resource,
-    [
-       0, -1,  0,
-      -1,  5, -1,
-       0, -1,  0
-    ]
-  );
+  if (bounds === null || bounds.length < 4 || bounds.some(isNaN)) {
+    return fb_error(FB_ERR_BAD_FONT, FB_ORIGIN_SYSTEM, FN_NAME, FN_ARGS);
+  }
 
-  fb_defer(resource_new); // FIXME: need test
+  ascent = ascent ?? bounds[1] + bounds[3];
+  descent = descent ?? -bounds[3];
 
-  return resource_new;
-}
+  let font = fb_font_create(name, ascent + descent, ascent);
 
-/**
- * Resize the image (using nearest neighbor)
- * @param {FBResource} resource Framebuffer Resource
- * @param {number} w Width (rounded to nearest place)
- * @param {number} h Height (rounded to nearest place)
- * @param {boolean} restore Return resized resource in its original dimension
- * @returns {null|FBResource} Framebuffer Resource
- */
-function fb_resize(resource = null, w = 0, h = 0, restore = false) {
-  if (!fb_valid(resource)) {
-    return null;
-  }
+  for (let char of chars) {
+    if (!Array.isArray(char.box) || char.box.length < 4) {
+      return fb_error(FB_ERR_BAD_FONT, FB_ORIGIN_SYSTEM, FN_NAME, FN_ARGS);
+    }
 
-  w |= 0;
-  h |= 0;
+    let [width, height, x, y] = char.box;
 
-  // If the dimensions have not changed,
-  // return the affectee resource
-  if (w == 0 || w == resource.width &&
-      h == 0 || h == resource.height) {
-    return resource;
-  }
+    if (char.code < 0) {
+      continue;
+    }
 
-  // Keep original dimensions
-  let w_copy = resource.width;
-  let h_copy = resource.height;
+    if ([width, height, x, y].some(isNaN) || width < 0 || height < 0) {
+      return fb_error(FB_ERR_BAD_FONT, FB_ORIGIN_SYSTEM, FN_NAME, FN_ARGS);
+    }
 
-  let resource_new = fb_create(w, h);
+    // Rows are hex, most significant bit first
+    let bitmap = new Uint8Array(width * height);
 
-  // Difference values between resource
-  // and resource_new dimensions
-  //
-  // FIXME: Should we truncate the integer?
-  //        This way we might get a performance boost,
-  //        but also lose some precision in the resizing
-  //        algorithm (right?)     - imshvc (2024-09-22)
-  xd = w_copy / w;
-  yd = h_copy / h;
+    for (let row = 0; row < height; row++) {
+      let hex = char.rows[row] ?? '';
 
-  // FIXME: Linear access implementation?
-  for (let x = 0; x < w; x++) {
-    for (let y = 0; y < h; y++) {
-      let color = fb_get_pixel(resource, xd * x, yd * y);
+      for (let col = 0; col < width; col++) {
+        let nibble = parseInt(hex[col >> 2], 16);
 
-      for (let i = 0; i < xd; i += xd) {
-        for (let j = 0; j < yd; j += yd) {
-          fb_set_pixel(resource_new, x + i, y + j, ...color);
+        if (nibble & (8 >> (col & 3))) {
+          bitmap[row * width + col] = 255;
         }
       }
     }
-  }
-
-  fb_sync(resource_new);
 
-  if (restore) {
-    return fb_resize(resource_new, w_copy, h_copy);
+    font.glyphs.set(char.code, {
+      width: width,
+      height: height,
+      x: x,
+      y: ascent - (height + y),
+      advance: char.advance ?? width,
+      bitmap: bitmap,
+    });
   }
 
-  return resource_new;
+  return font;
 }
 
 /**
- * Pixelate an image
- * @param {FBResource} resource Framebuffer Resource
- * @param {number} factor How much to divide image dimensions before upsampling (default 2, min 1)
- * @returns {null|FBResource} Framebuffer Resource
+ * Load a PC Screen Font (PSF1 or PSF2, e.g. Linux console fonts)
+ * Glyphs are mapped with the Unicode table when the font has one.
+ * @param {ArrayBuffer|TypedArray} data Font file contents
+ * @returns {FBFont|FBError} Font
  */
-function fb_pixelate(resource = null, factor = 2) {
-  if (!fb_valid(resource)) {
-    return null;
+function fb_font_psf(data = null) {
+  let FN_NAME = 'fb_font_psf';
+  let FN_ARGS = [...arguments];
+
+  if (!(data instanceof ArrayBuffer || ArrayBuffer.isView(data))) {
+    return fb_error(FB_ERR_BAD_FONT, FB_ORIGIN_SYSTEM, FN_NAME, FN_ARGS);
+  }
+
+  let bytes = data instanceof ArrayBuffer
+    ? new Uint8Array(data)
+    : new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+
+  let view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  let psf1 = bytes.length >= 4 && bytes[0] == 0x36 && bytes[1] == 0x04;
+  let count, size, width, height, offset, table, unicode;
+
+  if (psf1) {
+    // PSF1: 8 pixels wide, mode bit 0 is 512 glyphs, bits 1-2 a table
+    count = bytes[2] & 1 ? 512 : 256;
+    size = bytes[3];
+    width = 8;
+    height = size;
+    offset = 4;
+    unicode = (bytes[2] & 6) != 0;
+  } else if (bytes.length >= 32 && view.getUint32(0, true) == 0x864AB572) {
+    // PSF2
+    offset = view.getUint32(8, true);
+    unicode = (view.getUint32(12, true) & 1) != 0;
+    count = view.getUint32(16, true);
+    size = view.getUint32(20, true);
+    height = view.getUint32(24, true);
+    width = view.getUint32(28, true);
+  } else {
+    return fb_error(FB_ERR_BAD_FONT, FB_ORIGIN_SYSTEM, FN_NAME, FN_ARGS);
   }
 
-  // Factor min can be 1
-  factor = clamp(factor, 1) | 0; // FIXME: Is this correct?
+  let stride = (width + 7) >> 3;
+  table = offset + count * size;
 
-  let resource_new = fb_copy(resource);
+  if (width == 0 || height == 0 || size < stride * height || table > bytes.length) {
+    return fb_error(FB_ERR_BAD_FONT, FB_ORIGIN_SYSTEM, FN_NAME, FN_ARGS);
+  }
 
-  // If factor is 1 return the affectee resource
-  if (factor == 1) {
-    return resource_new;
+  // Code points of every glyph
+  let codes = [];
+
+  if (!unicode) {
+    for (let i = 0; i < count; i++) {
+      codes.push([i]);
+    }
+  } else if (psf1) {
+    // PSF1: 16-bit entries ending with 0xFFFF, 0xFFFE starts sequences
+    for (let i = 0, p = table; i < count && p + 1 < bytes.length; i++) {
+      let list = [];
+      let sequence = false;
+
+      for (let value; p + 1 < bytes.length && (value = view.getUint16(p, true)) != 0xFFFF; p += 2) {
+        sequence = sequence || value == 0xFFFE;
+
+        if (!sequence) {
+          list.push(value);
+        }
+      }
+
+      codes.push(list);
+      p += 2;
+    }
+  } else {
+    // PSF2: UTF-8 entries ending with 0xFF, 0xFE starts sequences
+    let decoder = new TextDecoder();
+
+    for (let i = 0, p = table; i < count && p < bytes.length; i++) {
+      let end = bytes.indexOf(0xFF, p);
+      end = end == -1 ? bytes.length : end;
+
+      let single = bytes.indexOf(0xFE, p);
+      single = single == -1 || single > end ? end : single;
+
+      codes.push(Array.from(decoder.decode(bytes.subarray(p, single)), (ch) => ch.codePointAt(0)));
+      p = end + 1;
+    }
   }
 
-  // Original dimensions
-  let ow = resource.width;
-  let oh = resource.height;
+  let font = fb_font_create('', height, height);
 
-  // Sampled dimensions
-  let sw = clamp((ow / factor) | 0, 1);
-  let sh = clamp((oh / factor) | 0, 1);
+  for (let i = 0; i < count; i++) {
+    let bitmap = new Uint8Array(width * height);
+    let base = offset + i * size;
 
-  // Downsample and upsample using nearest neighbor
-  resource_new = fb_resize(resource_new, sw, sh);
-  resource_new = fb_resize(resource_new, ow, oh);
+    for (let row = 0; row < height; row++) {
+      for (let col = 0; col < width; col++) {
+        if (bytes[base + row * stride + (col >> 3)] & (0x80 >> (col & 7))) {
+          bitmap[row * width + col] = 255;
+        }
+      }
+    }
 
-  fb_defer(resource_new); // FIXME: need test
+    let glyph = { width: width, height: height, x: 0, y: 0, advance: width, bitmap: bitmap };
 
-  return resource_new;
+    for (let code of codes[i] ?? []) {
+      if (!font.glyphs.has(code)) {
+        font.glyphs.set(code, glyph);
+      }
+    }
+  }
+
+  return font;
 }
 
 /**
- * Crop an image.
- *
- * In Mode 1, X1 and Y1 cannot be bigger than X2 and Y2 respectively.
- * X1 and Y1 define Point #1 on the image which is the starting point
- * and X2 and Y2 define Point #2 which is the ending point.
- * All values between those 2 points will be the returned resource
- * that contains the pixel data cropped within that area.
- *
- * If X1 or Y1 are equal to their neighboring counterparts, then the
- * values of X2 or Y2 are increment by 1.
- * If X1 is 42 and X2 is 42 then X2 will be 43 as we cannot return
- * a cropped image if the 2 points fall on the same exact coordinate i.e.
- * we cannot have an image whose sides are 0.
- *
- * Mode 2 overrides the resource_new width and height by treating
- * X2 and Y2 as the dimensions and not the 2nd point on the image.
- *
- * If the width or height exceed the boundary of the affectee resource
- * then the value that fb_get_pixel() returns by default when out of
- * bounds will be written to the copy resource.
- *
+ * Create a font from an image of glyphs in a grid
+ * Coverage is the alpha channel, or the brightness of opaque images
+ * (light glyphs on a dark background).
  * @param {FBResource} resource Framebuffer Resource
- * @param {number} x1 X axis (Point 1)
- * @param {number} y1 Y axis (Point 1)
- * @param {number} x2 X axis (Point 2)
- * @param {number} y2 Y axis (Point 2)
- * @param {number} mode If 1, values [x2, y2] are used as width and height
- * @returns {null|FBResource} Framebuffer Resource
+ * @param {number} glyph_width Cell width
+ * @param {number} glyph_height Cell height
+ * @param {null|string} chars Characters of the cells, row by row (null for ASCII 32 to 126)
+ * @param {boolean} proportional Advance by the glyph width instead of the cell width
+ * @returns {null|FBFont|FBError} Font
  */
-function fb_crop(resource = null, x1 = 0, y1 = 0, x2 = 1, y2 = 1, mode = 0) {
+function fb_font_image(
+  resource = null,
+  glyph_width = 8,
+  glyph_height = 8,
+  chars = null,
+  proportional = false
+) {
+  let FN_NAME = 'fb_font_image';
+  let FN_ARGS = [...arguments];
+
   if (!fb_valid(resource)) {
     return null;
   }
 
-  // FIXME: Maybe we can yield better performance if we implement this ourselves in bitwise?
-  x1 = Math.abs(x1) | 0;
-  y1 = Math.abs(y1) | 0;
-  x2 = Math.abs(x2) | 0;
-  y2 = Math.abs(y2) | 0;
+  glyph_width |= 0;
+  glyph_height |= 0;
 
-  mode = clamp(mode, 0, 1);
+  if (0 >= glyph_width) {
+    return fb_error(FB_ERR_BAD_WIDTH, FB_ORIGIN_SYSTEM, FN_NAME, FN_ARGS);
+  }
 
-  let w, h;
+  if (0 >= glyph_height) {
+    return fb_error(FB_ERR_BAD_HEIGHT, FB_ORIGIN_SYSTEM, FN_NAME, FN_ARGS);
+  }
 
-  // Mode 0
-  if (mode == 0) {
-    // Save people from making pesky mistakes
-    if (x1 == x2) {
-      ++x2;
-    }
+  if (chars === null) {
+    chars = '';
 
-    if (y1 == y2) {
-      ++y2;
+    for (let i = 32; i < 127; i++) {
+      chars += String.fromCharCode(i);
     }
+  }
 
-    // Point #1 is bigger than Point #2
-    // swap their values
-    if (x1 > x2) {
-      [x1, x2] = [x2, x1];
+  let data = fb_image_straight(resource).data;
+  let opaque = true;
+
+  for (let i = FB_CHANNEL_A; i < data.length; i += 4) {
+    if (data[i] < 255) {
+      opaque = false;
+      break;
     }
+  }
 
-    if (y1 > y2) {
-      [y1, y2] = [y2, y1];
+  let columns = Math.floor(resource.width / glyph_width);
+  let rows = Math.floor(resource.height / glyph_height);
+  let font = fb_font_create('', glyph_height, glyph_height);
+  let i = 0;
+
+  for (let ch of chars) {
+    if (columns == 0 || i >= columns * rows) {
+      break;
     }
 
-    // Point #2 must be within the dimension boundaries of the resource
-    x2 = clamp(x2, 0, resource.width);
-    y2 = clamp(y2, 0, resource.height);
+    let cx = (i % columns) * glyph_width;
+    let cy = Math.floor(i / columns) * glyph_height;
+    let bitmap = new Uint8Array(glyph_width * glyph_height);
+    let left = glyph_width;
+    let right = -1;
 
-    // Set width and height
-    w = (x2 - x1) | 0;
-    h = (y2 - y1) | 0;
-  }
+    for (let y = 0; y < glyph_height; y++) {
+      for (let x = 0; x < glyph_width; x++) {
+        let pos = ((cy + y) * resource.width + cx + x) * 4;
+        let coverage = opaque
+          ? data[pos + FB_CHANNEL_R] * 0.299 + data[pos + FB_CHANNEL_G] * 0.587 + data[pos + FB_CHANNEL_B] * 0.114
+          : data[pos + FB_CHANNEL_A];
 
-  // Mode 1
-  if (mode == 1) {
-    // Set width and height
-    w = x2;
-    h = y2;
-  }
+        bitmap[y * glyph_width + x] = coverage;
 
-  let resource_new = fb_create(w, h);
-  let mx = w + x1;
-  let my = h + y1;
+        if (coverage > 0) {
+          left = Math.min(left, x);
+          right = Math.max(right, x);
+        }
+      }
+    }
 
-  for (let x = x1; x < mx; x++)
-    for (let y = y1; y < my; y++) {
-      let color = fb_get_pixel(resource, x, y);
+    let glyph = { width: glyph_width, height: glyph_height, x: 0, y: 0, advance: glyph_width, bitmap: bitmap };
 
-      fb_set_pixel(
-        resource_new,
-        x - x1,
-        y - y1,
-        ...color
-      );
+    // Trimmed with a pixel of spacing, blanks are half a cell
+    if (proportional) {
+      glyph.x = right == -1 ? 0 : -left;
+      glyph.advance = right == -1 ? Math.ceil(glyph_width / 2) : right - left + 2;
     }
 
-  fb_defer(resource_new); // FIXME: need test
+    font.glyphs.set(ch.codePointAt(0), glyph);
+    i++;
+  }
 
-  return resource_new;
+  return font;
 }
 
 /**
- * Detect edges in an image
- * @param {FBResource} resource Framebuffer Resource
- * @param {number} mode Available modes [0..2]
- * @returns {null|FBResource} Framebuffer Resource
+ * Set kerning pairs of a font
+ * @param {FBFont} font Font
+ * @param {object|array} pairs Adjustments by pair ({ 'AV': -1 }), or [first, second, adjustment] entries
+ * @returns {boolean}
  */
-function fb_detect_edge(resource = null, mode = 0) {
-  if (!fb_valid(resource)) {
-    return null;
-  }
-
-  mode = clamp(mode, 0, 2);
-
-  let resource_new = fb_copy(resource);
-
-  // Mode 0
-  if (mode == 0) {
-    resource_new = fb_convolution_matrix(
-      resource_new,
-      [
-        1,  0, -1,
-        0,  0,  0,
-       -1,  0,  1
-      ]
-    );
+function fb_font_kerning(font = null, pairs = null) {
+  if (!(font instanceof FBFont) || pairs === null || typeof pairs !== 'object') {
+    return false;
   }
 
-  // Mode 1
-  if (mode == 1) {
-    resource_new = fb_convolution_matrix(
-      resource_new,
-      [
-        0,  1,  0,
-        1, -4,  1,
-        0,  1,  0
-      ]
-    );
-  }
+  let entries = Array.isArray(pairs)
+    ? pairs
+    : Object.entries(pairs).map(([pair, adjustment]) => [...Array.from(pair), adjustment]);
 
-  // Mode 2
-  if (mode == 2) {
-    resource_new = fb_convolution_matrix(
-      resource_new,
-      [
-       -1, -1, -1,
-       -1,  8, -1,
-       -1, -1, -1
-      ]
-    )
-  }
+  for (let [first, second, adjustment] of entries) {
+    let a = typeof first === 'string' ? first.codePointAt(0) : first;
+    let b = typeof second === 'string' ? second.codePointAt(0) : second;
 
-  fb_defer(resource_new); // FIXME: need test
+    font.kerning.set(a * 0x110000 + b, adjustment | 0);
+  }
 
-  return resource_new;
+  return true;
 }
 
 /**
- * Box blur
+ * Draw text with a bitmap font
+ *
+ * Options:
+ * - font: Font (default fb_font_default())
+ * - scale: Integer pixel scale (default 1)
+ * - width, height: Box size, text wraps at the width and
+ *   lines past the height are left out (0 for none)
+ * - align: FB_ALIGN_LEFT, FB_ALIGN_CENTER or FB_ALIGN_RIGHT
+ * - valign: FB_ALIGN_TOP, FB_ALIGN_MIDDLE or FB_ALIGN_BOTTOM
+ * - line_spacing: Extra pixels between lines (default 0)
+ * - letter_spacing: Extra pixels between characters (default 0)
+ * - kerning: Apply the font kerning pairs (default true)
+ *
+ * Without a box, X and Y are the anchor of the alignment.
+ *
  * @param {FBResource} resource Framebuffer Resource
- * @param {number} iterations Iteration count (min 1)
- * @returns {null|FBResource} Framebuffer Resource
+ * @param {string} text Text ('\n' breaks lines)
+ * @param {number} x X axis
+ * @param {number} y Y axis
+ * @param {number} r Red channel
+ * @param {number} g Green channel
+ * @param {number} b Blue channel
+ * @param {number} a Alpha channel (default 255)
+ * @param {object} options Text options
+ * @returns {boolean}
  */
-function fb_blur_box(resource = null, iterations = 1) {
+function fb_text(
+  resource = null,
+  text = '',
+  x = 0,
+  y = 0,
+  r = 255,
+  g = 255,
+  b = 255,
+  a = 255,
+  options = {}
+) {
   if (!fb_valid(resource)) {
-    return null;
+    return false;
   }
 
-  let resource_new = fb_copy(resource);
-  iterations = clamp(iterations, 1);
+  let settings = fb_text_settings(options);
+  let layout = fb_text_layout(String(text), settings);
+  let font = settings.font;
+  let scale = settings.scale;
 
-  for (let i = 0; i < iterations; i++) {
-    resource_new = fb_convolution_matrix(
-      resource_new,
-      [
-        1,  1,  1,
-        1,  1,  1,
-        1,  1,  1
-      ],
-      9
-    );
+  x |= 0;
+  y |= 0;
+
+  let box_width = settings.width > 0 ? settings.width : 0;
+  let box_height = settings.height > 0 ? settings.height : 0;
+
+  // Top of the block
+  if (settings.valign == FB_ALIGN_MIDDLE) {
+    y += (box_height - layout.height) >> 1;
+  } else if (settings.valign == FB_ALIGN_BOTTOM) {
+    y += box_height - layout.height;
   }
 
-  fb_defer(resource_new); // FIXME: need test
+  for (let line of layout.lines) {
+    let pen = x;
 
-  return resource_new;
-}
+    if (settings.align == FB_ALIGN_CENTER) {
+      pen += (box_width - line.width) >> 1;
+    } else if (settings.align == FB_ALIGN_RIGHT) {
+      pen += box_width - line.width;
+    }
 
-/**
- * Gaussian blur
- * @param {FBResource} resource Framebuffer Resource
- * @param {number} iterations Iteration count (min 1)
- * @returns {null|FBResource} Framebuffer Resource
- */
-function fb_blur_gaussian(resource = null, iterations = 1) {
-  if (!fb_valid(resource)) {
-    return null;
-  }
+    for (let i = 0; i < line.codes.length; i++) {
+      let glyph = fb_text_glyph(font, line.codes[i]);
 
-  let resource_new = fb_copy(resource);
-  iterations = clamp(iterations, 1);
+      if (i > 0) {
+        pen += fb_text_spacing(font, line.codes[i - 1], line.codes[i], settings) * scale;
+      }
 
-  for (let i = 0; i < iterations; i++) {
-    resource_new = fb_convolution_matrix(
-      resource_new,
-      [
-        1,  2,  1,
-        2,  4,  2,
-        1,  2,  1
-      ],
-      16
-    );
+      if (glyph === null) {
+        continue;
+      }
+
+      for (let gy = 0; gy < glyph.height; gy++) {
+        for (let gx = 0; gx < glyph.width; gx++) {
+          let coverage = glyph.bitmap[gy * glyph.width + gx];
+
+          if (coverage == 0) {
+            continue;
+          }
+
+          let px = pen + (glyph.x + gx) * scale;
+          let py = y + (glyph.y + gy) * scale;
+
+          for (let sy = 0; sy < scale; sy++) {
+            for (let sx = 0; sx < scale; sx++) {
+              fb_pixel_blend(resource, px + sx, py + sy, r, g, b, a * coverage / 255);
+            }
+          }
+        }
+      }
+
+      pen += glyph.advance * scale;
+    }
+
+    y += (font.height + settings.line_spacing) * scale;
   }
 
-  fb_defer(resource_new); // FIXME: need test
+  fb_defer(resource);
 
-  return resource_new;
+  return true;
 }
 
 /**
- * Emboss
- * @param {FBResource} resource Framebuffer Resource
- * @param {number} power How many times to apply the convolution matrix (min 0.01)
- * @returns {null|FBResource} Framebuffer Resource
+ * Measure text drawn with fb_text()
+ * @param {string} text Text
+ * @param {object} options Text options (see fb_text)
+ * @returns {object} { width, height, lines } with the wrapped lines
  */
-function fb_emboss(resource = null, power = 1) {
-  if (!fb_valid(resource)) {
-    return null;
-  }
-
-  power = clamp(power, 0.01);
-
-  let resource_new = fb_convolution_matrix(
-    resource_new,
-    [
-     -2 * power, -1 * power,  0 * power,
-     -1 * power,  1 * power,  1 * power,
-      0 * power,  1 * power,  2 * power
-    ],
-    9
-  );
+function fb_text_measure(text = '', options = {}) {
+  let settings = fb_text_settings(options);
+  let layout = fb_text_layout(String(text), settings);
+
+  return {
+    width: layout.width,
+    height: layout.height,
+    lines: layout.lines.map((line) => String.fromCodePoint(...line.codes)),
+  };
+}
 
-  fb_defer(resource_new); // FIXME: need test
+/**
+ * Fill in the default text options
+ * <InternalFunction>
+ * @param {object} options Text options (see fb_text)
+ * @returns {object}
+ */
+function fb_text_settings(options) {
+  let settings = Object.assign({
+    font: null,
+    scale: 1,
+    width: 0,
+    height: 0,
+    align: FB_ALIGN_LEFT,
+    valign: FB_ALIGN_TOP,
+    line_spacing: 0,
+    letter_spacing: 0,
+    kerning: true,
+  }, options);
+
+  if (!(settings.font instanceof FBFont)) {
+    settings.font = fb_font_default();
+  }
+
+  settings.scale = Math.max(1, settings.scale | 0);
+
+  return settings;
+}
 
-  return resource_new;
+/**
+ * Glyph of a code point, or the fallback glyph
+ * <InternalFunction>
+ * @param {FBFont} font Font
+ * @param {number} code Code point
+ * @returns {null|object} Glyph
+ */
+function fb_text_glyph(font, code) {
+  return font.glyphs.get(code) ?? font.glyphs.get(font.fallback) ?? null;
 }
 
 /**
- * Block modifications to the Framebuffer Resource (lock)
- * @param {FBResource} resource Framebuffer Resource
- * @returns {boolean}
+ * Space added between two characters (kerning and letter spacing)
+ * <InternalFunction>
+ * @param {FBFont} font Font
+ * @param {number} first Code point
+ * @param {number} second Code point
+ * @param {object} settings Text options
+ * @returns {number} Pixels (unscaled)
  */
-function fb_lock(resource = null) {
-  if (!fb_valid(resource)) {
-    return false;
-  }
+function fb_text_spacing(font, first, second, settings) {
+  let kerning = settings.kerning ? font.kerning.get(first * 0x110000 + second) ?? 0 : 0;
 
-  resource.locked = true;
-  return true;
+  return kerning + settings.letter_spacing;
 }
 
 /**
- * Allow modifications to the Framebuffer Resource (unlock)
- * @param {FBResource} resource Framebuffer Resource
- * @returns {boolean}
+ * Break text into lines, wrapped at the box width
+ * <InternalFunction>
+ * @param {string} text Text
+ * @param {object} settings Text options
+ * @returns {object} { lines: [{ codes, width }], width, height }
  */
-function fb_unlock(resource = null) {
-  if (!fb_valid(resource)) {
-    return false;
+function fb_text_layout(text, settings) {
+  let font = settings.font;
+  let scale = settings.scale;
+
+  let measure = function(codes) {
+    let width = 0;
+
+    for (let i = 0; i < codes.length; i++) {
+      if (i > 0) {
+        width += fb_text_spacing(font, codes[i - 1], codes[i], settings);
+      }
+
+      width += fb_text_glyph(font, codes[i])?.advance ?? 0;
+    }
+
+    return width * scale;
+  };
+
+  let lines = [];
+
+  let push = function(codes) {
+    lines.push({ codes: codes, width: measure(codes) });
+  };
+
+  for (let paragraph of text.replace(/\t/g, '    ').split(/\r?\n/)) {
+    let codes = Array.from(paragraph, (ch) => ch.codePointAt(0));
+
+    if (!(settings.width > 0)) {
+      push(codes);
+      continue;
+    }
+
+    // Greedy word wrap, words wider than the box are broken
+    let line = [];
+
+    for (let word of paragraph.split(' ')) {
+      word = Array.from(word, (ch) => ch.codePointAt(0));
+
+      let joined = line.length > 0 ? [...line, 32, ...word] : word;
+
+      if (measure(joined) <= settings.width) {
+        line = joined;
+        continue;
+      }
+
+      if (line.length > 0) {
+        push(line);
+      }
+
+      while (word.length > 1 && measure(word) > settings.width) {
+        let fit = 1;
+
+        while (fit < word.length && measure(word.slice(0, fit + 1)) <= settings.width) {
+          fit++;
+        }
+
+        push(word.slice(0, fit));
+        word = word.slice(fit);
+      }
+
+      line = word;
+    }
+
+    push(line);
   }
 
-  resource.locked = false;
-  return true;
+  let step = (font.height + settings.line_spacing) * scale;
+
+  // Lines past the box height are left out
+  if (settings.height > 0) {
+    let count = Math.floor((settings.height - font.height * scale) / step) + 1;
+    lines = lines.slice(0, Math.max(0, count));
+  }
+
+  return {
+    lines: lines,
+    width: lines.reduce((width, line) => Math.max(width, line.width), 0),
+    height: lines.length > 0 ? (lines.length - 1) * step + font.height * scale : 0,
+  };
 }
 
 /**
@@ -2329,15 +12681,12 @@ function fb_replace(resource_p = null, resource_c = null) {
   let cw = resource_c.width;
   let ch = resource_c.height;
 
-  resource_p.canvas.width = cw;
-  resource_p.canvas.height = ch;
-  resource_p.width = cw;
-  resource_p.height = ch;
+  fb_storage_replace(resource_p, cw, ch, resource_c.format, fb_storage(resource_c));
+  resource_p.palette = resource_c.palette;
+  resource_p.alpha_mode = resource_c.alpha_mode;
 
   // Synchronize
-  resource_p.context.putImageData(resource_c.image, 0, 0);
-  resource_p.image = resource_p.context.getImageData(0, 0, cw, ch);
-  fb_update(resource_p);
+  fb_sync(resource_p);
 
   return true;
 }
@@ -2373,9 +12722,28 @@ function fb_draw_source(
     return false;
   }
 
+  // Decoded by the library (e.g. fb_png_decode)
+  if (source instanceof FBResource) {
+    let scaled = fb_resize(source, source_width, source_height);
+
+    resource.image = fb_image_create(source_width, source_height);
+    resource.image.data.set(fb_image_straight(scaled).data);
+    fb_alpha_convert(resource.image.data, FB_ALPHA_STRAIGHT, resource.alpha_mode);
+    fb_invalidate(resource);
+    fb_sync(resource);
+
+    return true;
+  }
+
+  let backend = fb_backend(resource);
+
+  if (backend.draw_source === null) {
+    return false;
+  }
+
   // Synchronize
-  resource.context.drawImage(source, 0, 0, source_width, source_height);
-  resource.image = resource.context.getImageData(0, 0, source_width, source_height);
+  backend.draw_source(resource, source, source_width, source_height);
+  fb_alpha_convert(resource.image.data, FB_ALPHA_STRAIGHT, resource.alpha_mode);
   fb_update(resource);
   // TODO: Do we need fb_sync() instead?
   // TODO: 
@@ -2443,7 +12811,10 @@ function fb_config(key = null, value = undefined) {
   }
 
   // Check if value is allowed
-  if (!fb_config_map[key].allowed.includes(value)) {
+  // Either a list of values or a validation function
+  let allowed = fb_config_map[key].allowed;
+
+  if (typeof allowed === 'function' ? !allowed(value) : !allowed.includes(value)) {
     return fb_error(FB_ERR_BAD_CFG_VALUE, FB_ORIGIN_SYSTEM, FN_NAME, FN_ARGS);
   }
 
@@ -2523,6 +12894,9 @@ function fb_version(format = null) {
 
 /**
  * Hook a function
+ * Hooks replace the function in 'fb_namespace' and the
+ * library itself (e.g. fb_rect calling fb_line), in the
+ * legacy build and as a module.
  * @param {String} func Function name
  * @param {number} hook_func Hooked function
  * @param {boolean} active Activate hook on creation
@@ -2559,14 +12933,14 @@ function fb_hook(func = null, hook_func = null, active = true) {
   // Initialize hook store
   fb_hooked_functions[func] = {
     active: false,
-    original: window[func],
+    original: fb_namespace[func],
     hooked: hook_func
   };
 
   fb_hooked_functions[func].hooked.name = func;
 
   // Reference to the hook
-  window[func] = fb_hooked_functions[func].original;
+  fb_hook_assign(func, fb_hooked_functions[func].original);
 
   // Activate hook on creation
   if (active) {
@@ -2624,7 +12998,7 @@ function fb_hook_disable(func = null) {
 
   // Disable hook
   fb_hooked_functions[func].active = false;
-  window[func] = fb_hooked_functions[func].original;
+  fb_hook_assign(func, fb_hooked_functions[func].original);
 
   return true;
 }
@@ -2642,7 +13016,7 @@ function fb_hook_enable(func = null) {
 
   // Enable hook
   fb_hooked_functions[func].active = true;
-  window[func] = fb_hooked_functions[func].hooked;
+  fb_hook_assign(func, fb_hooked_functions[func].hooked);
 
   return true;
 }
@@ -2677,7 +13051,7 @@ function fb_unhook(func = null) {
   }
 
   // Restore original function
-  window[func] = fb_hooked_functions[func].original;
+  fb_hook_assign(func, fb_hooked_functions[func].original);
 
   // Delete hook
   delete fb_hooked_functions[func];
@@ -2685,6 +13059,23 @@ function fb_unhook(func = null) {
   return true;
 }
 
+/**
+ * Point a function name at a different implementation.
+ * Both 'fb_namespace' and the binding library code calls
+ * (the global in the legacy build) are replaced.
+ * <InternalFunction>
+ * @param {String} func Function name
+ * @param {Function} impl Function implementation
+ * @returns {undefined}
+ */
+function fb_hook_assign(func = null, impl = null) {
+  fb_namespace[func] = impl;
+
+  if (Object.hasOwn(fb_bindings, func)) {
+    fb_bindings[func](impl);
+  }
+}
+
 /**
  * Hook helper: Print function arguments
  * @param {String} func Function name
@@ -2696,54 +13087,150 @@ function fb_hook_log_args(func = null, args = null, returned = null) {
     return;
   }
 
-  let result = func + '(';
+  let result = func + '(';
+
+  for (let i in args) {
+    let arg = args[i];
+
+    if (i > 0 && i < args.length) {
+      result += ', ';
+    }
+
+    switch (typeof arg) {
+      default:
+      case 'number':
+        result += arg;
+        break;
+
+      case 'string':
+        result += '"' + arg + '"';
+        break;
+
+      case 'object':
+        if (arg instanceof Array) {
+          result += '[Array (' + arg.length + ' items)]';
+        } else {
+          result += '[Object (' + Object.keys(arg).length + ' items)]';
+        }
+        break;
+    }
+
+    if (i + 1 > args.length) {
+      result += ') = ' + returned;
+      break;
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Generate Data URL for the Resource image.
+ * Headless resources need a backend that implements 'data_url'.
+ * @param {FBResource} resource Framebuffer Resource
+ * @returns {String|null} Data URL
+ */
+function fb_data_url(resource = null) {
+  if (!fb_valid(resource)) {
+    return null;
+  }
+
+  let backend = fb_backend(resource);
+
+  if (backend.data_url === null) {
+    return null;
+  }
+
+  return backend.data_url(resource);
+}
+
+/**
+ * Get the backend of a resource
+ * Unknown backends fall back to 'headless'.
+ * <InternalFunction>
+ * @param {FBResource} resource Framebuffer Resource
+ * @returns {object} Backend (see 'fb_backends')
+ */
+function fb_backend(resource = null) {
+  let name = resource?.backend;
+
+  if (typeof name === 'string' && name in fb_backends) {
+    return fb_backends[name];
+  }
+
+  return fb_backends.headless;
+}
+
+/**
+ * Resolve a backend name to one available in this environment
+ * <InternalFunction>
+ * @param {string} name Backend name ('auto' picks 'canvas' or 'headless')
+ * @returns {string|null} Backend name (null when unavailable)
+ */
+function fb_backend_resolve(name = 'auto') {
+  if (name === 'auto') {
+    name = fb_backends.canvas.available() ? 'canvas' : 'headless';
+  }
+
+  if (!(name in fb_backends)) {
+    return null;
+  }
+
+  if (!fb_backends[name].available()) {
+    return null;
+  }
 
-  for (let i in args) {
-    let arg = args[i];
+  return name;
+}
 
-    if (i > 0 && i < args.length) {
-      result += ', ';
-    }
+/**
+ * Register a backend (e.g. node-canvas, or a file writer for 'save')
+ * Missing methods are taken from the 'headless' backend.
+ * Select it with fb_config('backend', name).
+ * @param {string} name Backend name
+ * @param {object} backend Backend methods (see 'fb_backends')
+ * @returns {boolean|FBError}
+ */
+function fb_backend_register(name = null, backend = null) {
+  let FN_NAME = 'fb_backend_register';
+  let FN_ARGS = [...arguments];
 
-    switch (typeof arg) {
-      default:
-      case 'number':
-        result += arg;
-        break;
+  if (typeof name !== 'string' || name === 'auto') {
+    return fb_error(FB_ERR_BAD_BACKEND, FB_ORIGIN_SYSTEM, FN_NAME, FN_ARGS);
+  }
 
-      case 'string':
-        result += '"' + arg + '"';
-        break;
+  if (backend === null || typeof backend !== 'object') {
+    return fb_error(FB_ERR_BAD_BACKEND, FB_ORIGIN_SYSTEM, FN_NAME, FN_ARGS);
+  }
 
-      case 'object':
-        if (arg instanceof Array) {
-          result += '[Array (' + arg.length + ' items)]';
-        } else {
-          result += '[Object (' + Object.keys(arg).length + ' items)]';
-        }
-        break;
-    }
+  fb_backends[name] = Object.assign({}, fb_backends.headless, backend);
 
-    if (i + 1 > args.length) {
-      result += ') = ' + returned;
-      break;
-    }
+  if (!fb_config_map.backend.allowed.includes(name)) {
+    fb_config_map.backend.allowed.push(name);
   }
 
-  return result;
+  return true;
 }
 
 /**
- * Generate Data URL for the Resource image.
- * @param {FBResource} resource Framebuffer Resource
- * @returns {String|null} Data URL
+ * Create an ImageData (or an object shaped like one when
+ * the environment has no ImageData, e.g. Node.js)
+ * <InternalFunction>
+ * @param {number} width Width
+ * @param {number} height Height
+ * @returns {ImageData|object}
  */
-function fb_data_url(resource = null) {
-  if (!fb_valid(resource)) {
-    return null;
+function fb_image_create(width = 0, height = 0) {
+  if (typeof ImageData === 'function') {
+    return new ImageData(width, height);
   }
 
-  return resource.canvas.toDataURL();
+  return {
+    width: width,
+    height: height,
+    colorSpace: 'srgb',
+    data: new Uint8ClampedArray(width * height * 4),
+  };
 }
 
 /**
@@ -2761,7 +13248,7 @@ function fb_resource_list_add(resource = null) {
     return false;
   }
 
-  window.fb_resource_list.push(resource);
+  fb_resource_list.push(resource);
   return true;
 }
 
@@ -2830,7 +13317,7 @@ function fb_error(data = null, origin = null, func = null, args = null) {
 
   // Logging enabled
   if (fb_config('error_log')) {
-    window.fb_errors.push(error);
+    fb_errors.push(error);
   }
 
   if (func !== null) {
@@ -2853,11 +13340,11 @@ function fb_list_functions(var_args) {
   let filters = [...arguments];
   let list = {};
 
-  // for each 'key' in window
-  for (let k in window) {
+  // for each 'key' in the library namespace
+  for (let k in fb_namespace) {
 
     // if k starts with 'fb_' and is a function
-    if (k.startsWith('fb_') && typeof window[k] === 'function') {
+    if (k.startsWith('fb_') && typeof fb_namespace[k] === 'function') {
 
       // filters specified, need to loop
       if (filters.length > 0) {
@@ -2885,7 +13372,7 @@ function fb_list_functions(var_args) {
  * @returns {FBError|null}
  */
 function fb_get_last_error() {
-  let errors = window.fb_errors;
+  let errors = fb_errors;
 
   if (errors.length == 0) {
     return null;
@@ -2903,7 +13390,7 @@ function fb_get_last_error() {
  * @returns {undefined}
  */
 function fb_clear_errors() {
-  window.fb_errors.length = 0;
+  fb_errors.length = 0;
 }
 
 /**
@@ -2938,7 +13425,7 @@ function fb_describe_error(data = null) {
     return '';
   }
 
-  let errors = window.fb_error_defs;
+  let errors = fb_error_defs;
 
   if (data in errors && errors[data] instanceof FBErrorDefinition && 'text' in errors[data]) {
     return errors[data].text;
@@ -2991,6 +13478,404 @@ function fb_rgb(color = 0) {
   ];
 }
 
+/**
+ * Convert RGBA data between alpha modes (in place)
+ * <InternalFunction>
+ * @param {Uint8ClampedArray} data RGBA data
+ * @param {number} from Alpha mode of the data
+ * @param {number} to Alpha mode to convert to
+ * @returns {undefined}
+ */
+function fb_alpha_convert(data, from = FB_ALPHA_STRAIGHT, to = FB_ALPHA_STRAIGHT) {
+  if (from == to) {
+    return;
+  }
+
+  for (let i = 0; i < data.length; i += 4) {
+    let a = data[i + FB_CHANNEL_A];
+
+    if (a == 255) {
+      continue;
+    }
+
+    if (to == FB_ALPHA_PREMULTIPLIED) {
+      data[i + FB_CHANNEL_R] = data[i + FB_CHANNEL_R] * a / 255;
+      data[i + FB_CHANNEL_G] = data[i + FB_CHANNEL_G] * a / 255;
+      data[i + FB_CHANNEL_B] = data[i + FB_CHANNEL_B] * a / 255;
+      continue;
+    }
+
+    // Color is lost on fully transparent pixels
+    if (a == 0) {
+      data[i + FB_CHANNEL_R] = 0;
+      data[i + FB_CHANNEL_G] = 0;
+      data[i + FB_CHANNEL_B] = 0;
+      continue;
+    }
+
+    data[i + FB_CHANNEL_R] = data[i + FB_CHANNEL_R] * 255 / a;
+    data[i + FB_CHANNEL_G] = data[i + FB_CHANNEL_G] * 255 / a;
+    data[i + FB_CHANNEL_B] = data[i + FB_CHANNEL_B] * 255 / a;
+  }
+}
+
+/**
+ * Get the resource image in straight alpha (what the canvas expects)
+ * Premultiplied resources return a converted copy.
+ * <InternalFunction>
+ * @param {FBResource} resource Framebuffer Resource
+ * @returns {ImageData|object}
+ */
+function fb_image_straight(resource = null) {
+  if (resource.alpha_mode != FB_ALPHA_PREMULTIPLIED) {
+    return fb_image(resource);
+  }
+
+  let image = fb_image_create(resource.width, resource.height);
+  image.data.set(fb_image(resource).data);
+  fb_alpha_convert(image.data, FB_ALPHA_PREMULTIPLIED, FB_ALPHA_STRAIGHT);
+
+  return image;
+}
+
+/**
+ * Get the display image (RGBA8) of a resource
+ * RGBA8 resources return 'resource.image' itself, other
+ * formats return an up to date display copy.
+ * @param {FBResource} resource Framebuffer Resource
+ * @returns {ImageData|object}
+ */
+function fb_image(resource = null) {
+  if (resource.format == FB_FORMAT_RGBA8) {
+    return resource.image;
+  }
+
+  let image = resource.image;
+
+  if (
+    image === null ||
+    resource.image_stale ||
+    image.width != resource.width ||
+    image.height != resource.height ||
+    (resource.palette !== null && resource.palette_version !== resource.palette.version)
+  ) {
+    fb_format_resolve(resource);
+  }
+
+  return resource.image;
+}
+
+/**
+ * Convert every pixel of a resource into its display copy
+ * <InternalFunction>
+ * @param {FBResource} resource Framebuffer Resource
+ * @returns {undefined}
+ */
+function fb_format_resolve(resource) {
+  let image = resource.image;
+
+  if (image === null || image.width != resource.width || image.height != resource.height) {
+    image = resource.image = fb_image_create(resource.width, resource.height);
+  }
+
+  let data = image.data;
+  let length = resource.width * resource.height;
+
+  for (let p = 0, i = 0; p < length; p++, i += 4) {
+    let [r, g, b, a] = fb_pixel_read(resource, p);
+    data[i + FB_CHANNEL_R] = r;
+    data[i + FB_CHANNEL_G] = g;
+    data[i + FB_CHANNEL_B] = b;
+    data[i + FB_CHANNEL_A] = a;
+  }
+
+  resource.image_stale = false;
+
+  if (resource.palette !== null) {
+    resource.palette_version = resource.palette.version;
+  }
+}
+
+/**
+ * Get the typed array holding the pixels of a resource
+ * ('image.data' for RGBA8, 'pixels' for other formats)
+ * <InternalFunction>
+ * @param {FBResource} resource Framebuffer Resource
+ * @returns {TypedArray}
+ */
+function fb_storage(resource) {
+  return resource.format == FB_FORMAT_RGBA8 ? resource.image.data : resource.pixels;
+}
+
+/**
+ * Replace the dimensions, format and pixels of a resource
+ * The data is copied and the entire resource invalidated.
+ * <InternalFunction>
+ * @param {FBResource} resource Framebuffer Resource
+ * @param {number} width Width
+ * @param {number} height Height
+ * @param {number} format Pixel format
+ * @param {TypedArray} data Pixels in the given format
+ * @returns {undefined}
+ */
+function fb_storage_replace(resource, width, height, format, data) {
+  fb_backend(resource).resize(resource, width, height);
+  resource.width = width;
+  resource.height = height;
+  resource.format = format;
+
+  if (format == FB_FORMAT_RGBA8) {
+    resource.pixels = null;
+    resource.image = fb_image_create(width, height);
+    resource.image.data.set(data);
+  } else {
+    resource.pixels = data.slice();
+    resource.image_stale = true;
+  }
+
+  fb_invalidate(resource);
+}
+
+/**
+ * Read a pixel of a resource as RGBA, whatever its format
+ * <InternalFunction>
+ * @param {FBResource} resource Framebuffer Resource
+ * @param {number} p Pixel index (not byte offset)
+ * @returns {array} [r, g, b, a]
+ */
+function fb_pixel_read(resource, p) {
+  if (0 > p || p >= resource.width * resource.height) {
+    return [0, 0, 0, 0];
+  }
+
+  let pixels = resource.pixels;
+
+  switch (resource.format) {
+    case FB_FORMAT_INDEXED8:
+      return fb_palette_get(resource.palette, pixels[p]);
+
+    case FB_FORMAT_GRAY8:
+      return [pixels[p], pixels[p], pixels[p], 255];
+
+    case FB_FORMAT_RGB565: {
+      let r = pixels[p] >> 11;
+      let g = (pixels[p] >> 5) & 63;
+      let b = pixels[p] & 31;
+
+      // Replicate high bits into the low bits
+      return [(r << 3) | (r >> 2), (g << 2) | (g >> 4), (b << 3) | (b >> 2), 255];
+    }
+
+    case FB_FORMAT_RGBA32F:
+      return Array.from(
+        pixels.subarray(p * 4, p * 4 + 4),
+        (v) => Math.round(clamp(v, 0, 1) * 255)
+      );
+
+    default:
+      return Array.from(resource.image.data.subarray(p * 4, p * 4 + 4));
+  }
+}
+
+/**
+ * Write an RGBA pixel to a resource, whatever its format
+ * The display copy is kept up to date when it's current.
+ * <InternalFunction>
+ * @param {FBResource} resource Framebuffer Resource
+ * @param {number} p Pixel index (not byte offset)
+ * @param {number} r Red
+ * @param {number} g Green
+ * @param {number} b Blue
+ * @param {number} a Alpha
+ * @returns {undefined}
+ */
+function fb_pixel_write(resource, p, r, g, b, a) {
+  switch (resource.format) {
+    case FB_FORMAT_INDEXED8:
+      resource.pixels[p] = fb_palette_nearest(resource.palette, r, g, b, a);
+      break;
+
+    case FB_FORMAT_GRAY8:
+      // https://en.wikipedia.org/wiki/Luma_(video)#Use_of_relative_luminance
+      resource.pixels[p] = clamp(Math.round((r * 0.21) + (g * 0.72) + (b * 0.07)), 0, 255);
+      break;
+
+    case FB_FORMAT_RGB565:
+      r = clamp(Math.round(r), 0, 255);
+      g = clamp(Math.round(g), 0, 255);
+      b = clamp(Math.round(b), 0, 255);
+      resource.pixels[p] = ((r >> 3) << 11) | ((g >> 2) << 5) | (b >> 3);
+      break;
+
+    case FB_FORMAT_RGBA32F:
+      resource.pixels.set([r / 255, g / 255, b / 255, a / 255], p * 4);
+      break;
+
+    default:
+      resource.image.data.set([r, g, b, a], p * 4);
+      return;
+  }
+
+  fb_pixel_refresh(resource, p);
+}
+
+/**
+ * Update a pixel of the display copy when it's current
+ * (otherwise it's converted entirely by fb_image())
+ * <InternalFunction>
+ * @param {FBResource} resource Framebuffer Resource
+ * @param {number} p Pixel index (not byte offset)
+ * @returns {undefined}
+ */
+function fb_pixel_refresh(resource, p) {
+  let image = resource.image;
+
+  if (
+    image === null ||
+    resource.image_stale ||
+    image.width != resource.width ||
+    image.height != resource.height
+  ) {
+    return;
+  }
+
+  image.data.set(fb_pixel_read(resource, p), p * 4);
+}
+
+/**
+ * Fill every pixel of a resource with an RGBA color, whatever its format
+ * <InternalFunction>
+ * @param {FBResource} resource Framebuffer Resource
+ * @param {number} r Red
+ * @param {number} g Green
+ * @param {number} b Blue
+ * @param {number} a Alpha
+ * @returns {undefined}
+ */
+function fb_pixel_fill(resource, r, g, b, a) {
+  let storage = fb_storage(resource);
+
+  if (storage.length == 0) {
+    return;
+  }
+
+  let n = storage.length / (resource.width * resource.height);
+
+  // Write the first pixel and repeat its values
+  resource.image_stale = true;
+  fb_pixel_write(resource, 0, r, g, b, a);
+
+  for (let filled = n; filled < storage.length; filled *= 2) {
+    storage.copyWithin(filled, 0, Math.min(filled, storage.length - filled));
+  }
+}
+
+/**
+ * Blend a color over a pixel (source-over)
+ * Opaque colors are written as-is, in any pixel format.
+ * <InternalFunction, NoDefer>
+ * @param {FBResource} resource Framebuffer Resource
+ * @param {number} x X axis
+ * @param {number} y Y axis
+ * @param {number} r Red channel
+ * @param {number} g Green channel
+ * @param {number} b Blue channel
+ * @param {number} a Alpha channel (0 to 255)
+ */
+function fb_pixel_blend(resource, x, y, r, g, b, a) {
+  x |= 0;
+  y |= 0;
+
+  if (a <= 0 || 0 > x || x >= resource.width || 0 > y || y >= resource.height) {
+    return;
+  }
+
+  if (a >= 255) {
+    fb_set_pixel_rgba(resource, x, y, r, g, b, 255);
+    return;
+  }
+
+  let dst = fb_get_pixel_rgba(resource, x, y);
+  let pm = resource.alpha_mode == FB_ALPHA_PREMULTIPLIED;
+
+  let as = a / 255;
+  let ab = dst[FB_CHANNEL_A] / 255;
+  let ao = as + ab * (1 - as);
+
+  let out = [r, g, b].map(function(c, i) {
+    // Premultiplied result
+    let co = c * as + (pm ? dst[i] : dst[i] * ab) * (1 - as);
+
+    return Math.round(pm ? co : co / ao);
+  });
+
+  fb_set_pixel_rgba(resource, x, y, ...out, Math.round(ao * 255));
+}
+
+/**
+ * Set a pixel to a color or to a paint (see fb_gradient_linear and fb_pattern)
+ * <InternalFunction, NoDefer>
+ * @param {FBResource} resource Framebuffer Resource
+ * @param {number} x X axis
+ * @param {number} y Y axis
+ * @param {number|FBGradient|FBPattern} r Red channel (or a paint)
+ * @param {number} g Green channel
+ * @param {number} b Blue channel
+ */
+function fb_paint_pixel(resource, x, y, r, g, b) {
+  let color = fb_paint_color(r, x, y);
+
+  if (color !== null) {
+    let [pr, pg, pb, pa] = color;
+
+    if (pa >= 255) {
+      fb_set_pixel(resource, x, y, pr, pg, pb);
+    } else {
+      fb_pixel_blend(resource, x, y, pr, pg, pb, pa);
+    }
+
+    return;
+  }
+
+  fb_set_pixel(resource, x, y, r, g, b);
+}
+
+/**
+ * Color of a paint at a pixel
+ * <InternalFunction>
+ * @param {*} paint Paint (or a red channel)
+ * @param {number} x X axis
+ * @param {number} y Y axis
+ * @returns {null|array} RGBA color (null when not a paint)
+ */
+function fb_paint_color(paint, x, y) {
+  if (paint instanceof FBGradient) {
+    return fb_gradient_color(paint, x, y);
+  }
+
+  if (paint instanceof FBPattern) {
+    return fb_pattern_color(paint, x, y);
+  }
+
+  return null;
+}
+
+/**
+ * Check if a pixel format is known
+ * <InternalFunction>
+ * @param {number} format Pixel format
+ * @returns {boolean}
+ */
+function fb_format_valid(format) {
+  return [
+    FB_FORMAT_RGBA8,
+    FB_FORMAT_INDEXED8,
+    FB_FORMAT_GRAY8,
+    FB_FORMAT_RGB565,
+    FB_FORMAT_RGBA32F,
+  ].includes(format);
+}
+
 /**
  * Clamp a value between low and high
  * @param {number} v Value
@@ -3210,3 +14095,602 @@ function is_ascii(input = '') {
 
   return is_digit(input) || is_alpha(input) || is_special(input);
 }
+
+// Library namespace
+//
+// Every public constant, variable and function. This is
+// what modules export, and what hooks operate on.
+var fb_namespace = {
+  ...fb_constants,
+
+  // Variables
+  fb_constants,
+  fb_error_defs,
+  fb_color_defs,
+  fb_resource_list,
+  fb_errors,
+
+  // Functions
+  FBResource,
+  FBLayer,
+  FBLayerStack,
+  FBPalette,
+  FBRecording,
+  FBSpriteSheet,
+  FBSprite,
+  FBFont,
+  FBStroke,
+  FBPath,
+  FBGradient,
+  FBPattern,
+  FBError,
+  FBErrorDefinition,
+  fb_create,
+  fb_sync,
+  fb_update,
+  fb_invalidate,
+  fb_dirty_regions,
+  fb_dirty_tile_regions,
+  fb_dirty_tiles,
+  fb_dirty_mark,
+  fb_set_pixel,
+  fb_set_pixel_rgba,
+  fb_get_pixel,
+  fb_get_pixel_rgba,
+  fb_spawn,
+  fb_despawn,
+  fb_save,
+  fb_rect,
+  fb_circle,
+  fb_arc,
+  fb_ellipse_points,
+  fb_line,
+  fb_line_exact,
+  fb_line_wu,
+  fb_stroke,
+  fb_stroke_path,
+  fb_stroke_dashes,
+  fb_stroke_outline,
+  fb_stroke_join,
+  fb_spans_fill,
+  fb_polygon,
+  fb_triangle,
+  fb_polyline,
+  fb_points,
+  fb_polygon_fill,
+  fb_path_create,
+  fb_path_move_to,
+  fb_path_line_to,
+  fb_path_quadratic_to,
+  fb_path_bezier_to,
+  fb_path_arc_to,
+  fb_path_close,
+  fb_path_stroke,
+  fb_path_fill,
+  fb_path_arc_segments,
+  fb_path_flatten,
+  fb_path_bezier_flatten,
+  fb_path_svg,
+  fb_path_transform,
+  fb_svg,
+  fb_svg_path_parse,
+  fb_svg_arc,
+  fb_svg_attributes,
+  fb_svg_root,
+  fb_svg_state,
+  fb_svg_shape,
+  fb_svg_length,
+  fb_svg_color,
+  fb_svg_transform,
+  fb_svg_multiply,
+  fb_gradient_linear,
+  fb_gradient_radial,
+  fb_gradient_conic,
+  fb_gradient_stop,
+  fb_gradient_color,
+  fb_pattern,
+  fb_pattern_color,
+  fb_gradient_create,
+  fb_gradient_offset,
+  fb_clear,
+  fb_clear_rgba,
+  fb_valid,
+  fb_copy,
+  fb_load,
+  fb_load_source,
+  fb_load_event,
+  fb_load_abortable,
+  fb_load_fit,
+  fb_draw,
+  fb_blit,
+  fb_fill,
+  fb_fill_distance,
+  fb_get_channel,
+  fb_flip_x,
+  fb_flip_y,
+  fb_rotate_right,
+  fb_rotate_left,
+  fb_color_replace,
+  fb_color_invert,
+  fb_color_grayscale,
+  fb_color_1bit,
+  fb_noise_grayscale,
+  fb_noise_rgb,
+  fb_convolution_matrix,
+  fb_sharpen,
+  fb_resize,
+  fb_pixelate,
+  fb_crop,
+  fb_detect_edge,
+  fb_blur_box,
+  fb_blur_gaussian,
+  fb_emboss,
+  fb_lock,
+  fb_unlock,
+  fb_alpha_mode,
+  fb_history_begin,
+  fb_history_commit,
+  fb_history_undo,
+  fb_history_redo,
+  fb_history_clear,
+  fb_history_diff,
+  fb_history_apply,
+  fb_layers_create,
+  fb_layers_add,
+  fb_layers_remove,
+  fb_layers_move,
+  fb_layers_sync,
+  fb_layers_damage,
+  fb_layers_composite,
+  fb_palette_create,
+  fb_palette_set,
+  fb_palette_get,
+  fb_palette_cycle,
+  fb_palette_swap,
+  fb_palette_nearest,
+  fb_set_index,
+  fb_get_index,
+  fb_clear_index,
+  fb_indexed_to_rgba,
+  fb_indexed_from_rgba,
+  fb_palette_quantize,
+  fb_quantize,
+  fb_palette_map,
+  fb_set_pixel_float,
+  fb_get_pixel_float,
+  fb_format_convert,
+  fb_serialize,
+  fb_deserialize,
+  fb_deserialize_state,
+  fb_storage_bytes,
+  fb_storage_from_bytes,
+  fb_base64_encode,
+  fb_base64_decode,
+  fb_crc32,
+  fb_adler32,
+  fb_huffman_table,
+  fb_inflate,
+  fb_huffman_lengths,
+  fb_huffman_codes,
+  fb_deflate,
+  fb_deflate_block,
+  fb_deflate_code,
+  fb_deflate_fixed_lengths,
+  fb_png_encode,
+  fb_png_ihdr,
+  fb_png_compress,
+  fb_png_assemble,
+  fb_png_decode,
+  fb_png_parse,
+  fb_png_filter_row,
+  fb_png_unfilter_row,
+  fb_png_paeth,
+  fb_png_data_url,
+  fb_image_decode,
+  fb_image_encode,
+  fb_image_format_detect,
+  fb_image_format_from_name,
+  fb_bmp_encode,
+  fb_bmp_parse,
+  fb_tga_encode,
+  fb_tga_header,
+  fb_tga_parse,
+  fb_pnm_encode,
+  fb_pnm_parse,
+  fb_qoi_encode,
+  fb_qoi_parse,
+  fb_image_fetch,
+  fb_download,
+  fb_record_start,
+  fb_record_stop,
+  fb_record_capture,
+  fb_animation_frames,
+  fb_gif_encode,
+  fb_gif_lzw,
+  fb_apng_encode,
+  fb_sheet_grid,
+  fb_sheet_atlas,
+  fb_sheet_create,
+  fb_sheet_add,
+  fb_sheet_sprite,
+  fb_sheet_animation,
+  fb_sheet_frame,
+  fb_sprite_draw,
+  fb_sprite_resource,
+  fb_sprite_area,
+  fb_sheet_pack,
+  fb_sheet_descriptor,
+  fb_font_default,
+  fb_font_create,
+  fb_font_bdf,
+  fb_font_psf,
+  fb_font_image,
+  fb_font_kerning,
+  fb_text,
+  fb_text_measure,
+  fb_text_settings,
+  fb_text_glyph,
+  fb_text_spacing,
+  fb_text_layout,
+  fb_replace,
+  fb_draw_source,
+  fb_defer,
+  fb_config,
+  fb_config_default,
+  fb_sync_config,
+  fb_version,
+  fb_hook,
+  fb_hook_active,
+  fb_hook_call,
+  fb_hook_disable,
+  fb_hook_enable,
+  fb_hooked,
+  fb_unhook,
+  fb_hook_assign,
+  fb_hook_log_args,
+  fb_data_url,
+  fb_backend,
+  fb_backend_resolve,
+  fb_backend_register,
+  fb_image_create,
+  fb_resource_list_add,
+  fb_resource_list_filter,
+  fb_error,
+  fb_list_functions,
+  fb_get_last_error,
+  fb_clear_errors,
+  fb_describe_error,
+  fb_trim,
+  fb_getpos,
+  fb_rgb,
+  fb_alpha_convert,
+  fb_image_straight,
+  fb_image,
+  fb_format_resolve,
+  fb_storage,
+  fb_storage_replace,
+  fb_pixel_read,
+  fb_pixel_write,
+  fb_pixel_refresh,
+  fb_pixel_fill,
+  fb_pixel_blend,
+  fb_paint_pixel,
+  fb_paint_color,
+  fb_format_valid,
+  clamp,
+  time,
+  time_precise,
+  rand,
+  sleep,
+  in_range,
+  lerp,
+  safe_div,
+  is_digit,
+  is_alpha,
+  is_special,
+  is_ascii,
+};
+
+// Setters of the library's own function bindings
+//
+// fb_hook_assign() rebinds functions through these, so library
+// code (e.g. fb_rect drawing with fb_line) calls hooked functions
+// in modules as it does through the globals of the legacy build.
+var fb_bindings = {
+  // Functions
+  FBResource: (impl) => { FBResource = impl; },
+  FBLayer: (impl) => { FBLayer = impl; },
+  FBLayerStack: (impl) => { FBLayerStack = impl; },
+  FBPalette: (impl) => { FBPalette = impl; },
+  FBRecording: (impl) => { FBRecording = impl; },
+  FBSpriteSheet: (impl) => { FBSpriteSheet = impl; },
+  FBSprite: (impl) => { FBSprite = impl; },
+  FBFont: (impl) => { FBFont = impl; },
+  FBStroke: (impl) => { FBStroke = impl; },
+  FBPath: (impl) => { FBPath = impl; },
+  FBGradient: (impl) => { FBGradient = impl; },
+  FBPattern: (impl) => { FBPattern = impl; },
+  FBError: (impl) => { FBError = impl; },
+  FBErrorDefinition: (impl) => { FBErrorDefinition = impl; },
+  fb_create: (impl) => { fb_create = impl; },
+  fb_sync: (impl) => { fb_sync = impl; },
+  fb_update: (impl) => { fb_update = impl; },
+  fb_invalidate: (impl) => { fb_invalidate = impl; },
+  fb_dirty_regions: (impl) => { fb_dirty_regions = impl; },
+  fb_dirty_tile_regions: (impl) => { fb_dirty_tile_regions = impl; },
+  fb_dirty_tiles: (impl) => { fb_dirty_tiles = impl; },
+  fb_dirty_mark: (impl) => { fb_dirty_mark = impl; },
+  fb_set_pixel: (impl) => { fb_set_pixel = impl; },
+  fb_set_pixel_rgba: (impl) => { fb_set_pixel_rgba = impl; },
+  fb_get_pixel: (impl) => { fb_get_pixel = impl; },
+  fb_get_pixel_rgba: (impl) => { fb_get_pixel_rgba = impl; },
+  fb_spawn: (impl) => { fb_spawn = impl; },
+  fb_despawn: (impl) => { fb_despawn = impl; },
+  fb_save: (impl) => { fb_save = impl; },
+  fb_rect: (impl) => { fb_rect = impl; },
+  fb_circle: (impl) => { fb_circle = impl; },
+  fb_arc: (impl) => { fb_arc = impl; },
+  fb_ellipse_points: (impl) => { fb_ellipse_points = impl; },
+  fb_line: (impl) => { fb_line = impl; },
+  fb_line_exact: (impl) => { fb_line_exact = impl; },
+  fb_line_wu: (impl) => { fb_line_wu = impl; },
+  fb_stroke: (impl) => { fb_stroke = impl; },
+  fb_stroke_path: (impl) => { fb_stroke_path = impl; },
+  fb_stroke_dashes: (impl) => { fb_stroke_dashes = impl; },
+  fb_stroke_outline: (impl) => { fb_stroke_outline = impl; },
+  fb_stroke_join: (impl) => { fb_stroke_join = impl; },
+  fb_spans_fill: (impl) => { fb_spans_fill = impl; },
+  fb_polygon: (impl) => { fb_polygon = impl; },
+  fb_triangle: (impl) => { fb_triangle = impl; },
+  fb_polyline: (impl) => { fb_polyline = impl; },
+  fb_points: (impl) => { fb_points = impl; },
+  fb_polygon_fill: (impl) => { fb_polygon_fill = impl; },
+  fb_path_create: (impl) => { fb_path_create = impl; },
+  fb_path_move_to: (impl) => { fb_path_move_to = impl; },
+  fb_path_line_to: (impl) => { fb_path_line_to = impl; },
+  fb_path_quadratic_to: (impl) => { fb_path_quadratic_to = impl; },
+  fb_path_bezier_to: (impl) => { fb_path_bezier_to = impl; },
+  fb_path_arc_to: (impl) => { fb_path_arc_to = impl; },
+  fb_path_close: (impl) => { fb_path_close = impl; },
+  fb_path_stroke: (impl) => { fb_path_stroke = impl; },
+  fb_path_fill: (impl) => { fb_path_fill = impl; },
+  fb_path_arc_segments: (impl) => { fb_path_arc_segments = impl; },
+  fb_path_flatten: (impl) => { fb_path_flatten = impl; },
+  fb_path_bezier_flatten: (impl) => { fb_path_bezier_flatten = impl; },
+  fb_path_svg: (impl) => { fb_path_svg = impl; },
+  fb_path_transform: (impl) => { fb_path_transform = impl; },
+  fb_svg: (impl) => { fb_svg = impl; },
+  fb_svg_path_parse: (impl) => { fb_svg_path_parse = impl; },
+  fb_svg_arc: (impl) => { fb_svg_arc = impl; },
+  fb_svg_attributes: (impl) => { fb_svg_attributes = impl; },
+  fb_svg_root: (impl) => { fb_svg_root = impl; },
+  fb_svg_state: (impl) => { fb_svg_state = impl; },
+  fb_svg_shape: (impl) => { fb_svg_shape = impl; },
+  fb_svg_length: (impl) => { fb_svg_length = impl; },
+  fb_svg_color: (impl) => { fb_svg_color = impl; },
+  fb_svg_transform: (impl) => { fb_svg_transform = impl; },
+  fb_svg_multiply: (impl) => { fb_svg_multiply = impl; },
+  fb_gradient_linear: (impl) => { fb_gradient_linear = impl; },
+  fb_gradient_radial: (impl) => { fb_gradient_radial = impl; },
+  fb_gradient_conic: (impl) => { fb_gradient_conic = impl; },
+  fb_gradient_stop: (impl) => { fb_gradient_stop = impl; },
+  fb_gradient_color: (impl) => { fb_gradient_color = impl; },
+  fb_pattern: (impl) => { fb_pattern = impl; },
+  fb_pattern_color: (impl) => { fb_pattern_color = impl; },
+  fb_gradient_create: (impl) => { fb_gradient_create = impl; },
+  fb_gradient_offset: (impl) => { fb_gradient_offset = impl; },
+  fb_clear: (impl) => { fb_clear = impl; },
+  fb_clear_rgba: (impl) => { fb_clear_rgba = impl; },
+  fb_valid: (impl) => { fb_valid = impl; },
+  fb_copy: (impl) => { fb_copy = impl; },
+  fb_load: (impl) => { fb_load = impl; },
+  fb_load_source: (impl) => { fb_load_source = impl; },
+  fb_load_event: (impl) => { fb_load_event = impl; },
+  fb_load_abortable: (impl) => { fb_load_abortable = impl; },
+  fb_load_fit: (impl) => { fb_load_fit = impl; },
+  fb_draw: (impl) => { fb_draw = impl; },
+  fb_blit: (impl) => { fb_blit = impl; },
+  fb_fill: (impl) => { fb_fill = impl; },
+  fb_fill_distance: (impl) => { fb_fill_distance = impl; },
+  fb_get_channel: (impl) => { fb_get_channel = impl; },
+  fb_flip_x: (impl) => { fb_flip_x = impl; },
+  fb_flip_y: (impl) => { fb_flip_y = impl; },
+  fb_rotate_right: (impl) => { fb_rotate_right = impl; },
+  fb_rotate_left: (impl) => { fb_rotate_left = impl; },
+  fb_color_replace: (impl) => { fb_color_replace = impl; },
+  fb_color_invert: (impl) => { fb_color_invert = impl; },
+  fb_color_grayscale: (impl) => { fb_color_grayscale = impl; },
+  fb_color_1bit: (impl) => { fb_color_1bit = impl; },
+  fb_noise_grayscale: (impl) => { fb_noise_grayscale = impl; },
+  fb_noise_rgb: (impl) => { fb_noise_rgb = impl; },
+  fb_convolution_matrix: (impl) => { fb_convolution_matrix = impl; },
+  fb_sharpen: (impl) => { fb_sharpen = impl; },
+  fb_resize: (impl) => { fb_resize = impl; },
+  fb_pixelate: (impl) => { fb_pixelate = impl; },
+  fb_crop: (impl) => { fb_crop = impl; },
+  fb_detect_edge: (impl) => { fb_detect_edge = impl; },
+  fb_blur_box: (impl) => { fb_blur_box = impl; },
+  fb_blur_gaussian: (impl) => { fb_blur_gaussian = impl; },
+  fb_emboss: (impl) => { fb_emboss = impl; },
+  fb_lock: (impl) => { fb_lock = impl; },
+  fb_unlock: (impl) => { fb_unlock = impl; },
+  fb_alpha_mode: (impl) => { fb_alpha_mode = impl; },
+  fb_history_begin: (impl) => { fb_history_begin = impl; },
+  fb_history_commit: (impl) => { fb_history_commit = impl; },
+  fb_history_undo: (impl) => { fb_history_undo = impl; },
+  fb_history_redo: (impl) => { fb_history_redo = impl; },
+  fb_history_clear: (impl) => { fb_history_clear = impl; },
+  fb_history_diff: (impl) => { fb_history_diff = impl; },
+  fb_history_apply: (impl) => { fb_history_apply = impl; },
+  fb_layers_create: (impl) => { fb_layers_create = impl; },
+  fb_layers_add: (impl) => { fb_layers_add = impl; },
+  fb_layers_remove: (impl) => { fb_layers_remove = impl; },
+  fb_layers_move: (impl) => { fb_layers_move = impl; },
+  fb_layers_sync: (impl) => { fb_layers_sync = impl; },
+  fb_layers_damage: (impl) => { fb_layers_damage = impl; },
+  fb_layers_composite: (impl) => { fb_layers_composite = impl; },
+  fb_palette_create: (impl) => { fb_palette_create = impl; },
+  fb_palette_set: (impl) => { fb_palette_set = impl; },
+  fb_palette_get: (impl) => { fb_palette_get = impl; },
+  fb_palette_cycle: (impl) => { fb_palette_cycle = impl; },
+  fb_palette_swap: (impl) => { fb_palette_swap = impl; },
+  fb_palette_nearest: (impl) => { fb_palette_nearest = impl; },
+  fb_set_index: (impl) => { fb_set_index = impl; },
+  fb_get_index: (impl) => { fb_get_index = impl; },
+  fb_clear_index: (impl) => { fb_clear_index = impl; },
+  fb_indexed_to_rgba: (impl) => { fb_indexed_to_rgba = impl; },
+  fb_indexed_from_rgba: (impl) => { fb_indexed_from_rgba = impl; },
+  fb_palette_quantize: (impl) => { fb_palette_quantize = impl; },
+  fb_quantize: (impl) => { fb_quantize = impl; },
+  fb_palette_map: (impl) => { fb_palette_map = impl; },
+  fb_set_pixel_float: (impl) => { fb_set_pixel_float = impl; },
+  fb_get_pixel_float: (impl) => { fb_get_pixel_float = impl; },
+  fb_format_convert: (impl) => { fb_format_convert = impl; },
+  fb_serialize: (impl) => { fb_serialize = impl; },
+  fb_deserialize: (impl) => { fb_deserialize = impl; },
+  fb_deserialize_state: (impl) => { fb_deserialize_state = impl; },
+  fb_storage_bytes: (impl) => { fb_storage_bytes = impl; },
+  fb_storage_from_bytes: (impl) => { fb_storage_from_bytes = impl; },
+  fb_base64_encode: (impl) => { fb_base64_encode = impl; },
+  fb_base64_decode: (impl) => { fb_base64_decode = impl; },
+  fb_crc32: (impl) => { fb_crc32 = impl; },
+  fb_adler32: (impl) => { fb_adler32 = impl; },
+  fb_huffman_table: (impl) => { fb_huffman_table = impl; },
+  fb_inflate: (impl) => { fb_inflate = impl; },
+  fb_huffman_lengths: (impl) => { fb_huffman_lengths = impl; },
+  fb_huffman_codes: (impl) => { fb_huffman_codes = impl; },
+  fb_deflate: (impl) => { fb_deflate = impl; },
+  fb_deflate_block: (impl) => { fb_deflate_block = impl; },
+  fb_deflate_code: (impl) => { fb_deflate_code = impl; },
+  fb_deflate_fixed_lengths: (impl) => { fb_deflate_fixed_lengths = impl; },
+  fb_png_encode: (impl) => { fb_png_encode = impl; },
+  fb_png_ihdr: (impl) => { fb_png_ihdr = impl; },
+  fb_png_compress: (impl) => { fb_png_compress = impl; },
+  fb_png_assemble: (impl) => { fb_png_assemble = impl; },
+  fb_png_decode: (impl) => { fb_png_decode = impl; },
+  fb_png_parse: (impl) => { fb_png_parse = impl; },
+  fb_png_filter_row: (impl) => { fb_png_filter_row = impl; },
+  fb_png_unfilter_row: (impl) => { fb_png_unfilter_row = impl; },
+  fb_png_paeth: (impl) => { fb_png_paeth = impl; },
+  fb_png_data_url: (impl) => { fb_png_data_url = impl; },
+  fb_image_decode: (impl) => { fb_image_decode = impl; },
+  fb_image_encode: (impl) => { fb_image_encode = impl; },
+  fb_image_format_detect: (impl) => { fb_image_format_detect = impl; },
+  fb_image_format_from_name: (impl) => { fb_image_format_from_name = impl; },
+  fb_bmp_encode: (impl) => { fb_bmp_encode = impl; },
+  fb_bmp_parse: (impl) => { fb_bmp_parse = impl; },
+  fb_tga_encode: (impl) => { fb_tga_encode = impl; },
+  fb_tga_header: (impl) => { fb_tga_header = impl; },
+  fb_tga_parse: (impl) => { fb_tga_parse = impl; },
+  fb_pnm_encode: (impl) => { fb_pnm_encode = impl; },
+  fb_pnm_parse: (impl) => { fb_pnm_parse = impl; },
+  fb_qoi_encode: (impl) => { fb_qoi_encode = impl; },
+  fb_qoi_parse: (impl) => { fb_qoi_parse = impl; },
+  fb_image_fetch: (impl) => { fb_image_fetch = impl; },
+  fb_download: (impl) => { fb_download = impl; },
+  fb_record_start: (impl) => { fb_record_start = impl; },
+  fb_record_stop: (impl) => { fb_record_stop = impl; },
+  fb_record_capture: (impl) => { fb_record_capture = impl; },
+  fb_animation_frames: (impl) => { fb_animation_frames = impl; },
+  fb_gif_encode: (impl) => { fb_gif_encode = impl; },
+  fb_gif_lzw: (impl) => { fb_gif_lzw = impl; },
+  fb_apng_encode: (impl) => { fb_apng_encode = impl; },
+  fb_sheet_grid: (impl) => { fb_sheet_grid = impl; },
+  fb_sheet_atlas: (impl) => { fb_sheet_atlas = impl; },
+  fb_sheet_create: (impl) => { fb_sheet_create = impl; },
+  fb_sheet_add: (impl) => { fb_sheet_add = impl; },
+  fb_sheet_sprite: (impl) => { fb_sheet_sprite = impl; },
+  fb_sheet_animation: (impl) => { fb_sheet_animation = impl; },
+  fb_sheet_frame: (impl) => { fb_sheet_frame = impl; },
+  fb_sprite_draw: (impl) => { fb_sprite_draw = impl; },
+  fb_sprite_resource: (impl) => { fb_sprite_resource = impl; },
+  fb_sprite_area: (impl) => { fb_sprite_area = impl; },
+  fb_sheet_pack: (impl) => { fb_sheet_pack = impl; },
+  fb_sheet_descriptor: (impl) => { fb_sheet_descriptor = impl; },
+  fb_font_default: (impl) => { fb_font_default = impl; },
+  fb_font_create: (impl) => { fb_font_create = impl; },
+  fb_font_bdf: (impl) => { fb_font_bdf = impl; },
+  fb_font_psf: (impl) => { fb_font_psf = impl; },
+  fb_font_image: (impl) => { fb_font_image = impl; },
+  fb_font_kerning: (impl) => { fb_font_kerning = impl; },
+  fb_text: (impl) => { fb_text = impl; },
+  fb_text_measure: (impl) => { fb_text_measure = impl; },
+  fb_text_settings: (impl) => { fb_text_settings = impl; },
+  fb_text_glyph: (impl) => { fb_text_glyph = impl; },
+  fb_text_spacing: (impl) => { fb_text_spacing = impl; },
+  fb_text_layout: (impl) => { fb_text_layout = impl; },
+  fb_replace: (impl) => { fb_replace = impl; },
+  fb_draw_source: (impl) => { fb_draw_source = impl; },
+  fb_defer: (impl) => { fb_defer = impl; },
+  fb_config: (impl) => { fb_config = impl; },
+  fb_config_default: (impl) => { fb_config_default = impl; },
+  fb_sync_config: (impl) => { fb_sync_config = impl; },
+  fb_version: (impl) => { fb_version = impl; },
+  fb_hook: (impl) => { fb_hook = impl; },
+  fb_hook_active: (impl) => { fb_hook_active = impl; },
+  fb_hook_call: (impl) => { fb_hook_call = impl; },
+  fb_hook_disable: (impl) => { fb_hook_disable = impl; },
+  fb_hook_enable: (impl) => { fb_hook_enable = impl; },
+  fb_hooked: (impl) => { fb_hooked = impl; },
+  fb_unhook: (impl) => { fb_unhook = impl; },
+  fb_hook_assign: (impl) => { fb_hook_assign = impl; },
+  fb_hook_log_args: (impl) => { fb_hook_log_args = impl; },
+  fb_data_url: (impl) => { fb_data_url = impl; },
+  fb_backend: (impl) => { fb_backend = impl; },
+  fb_backend_resolve: (impl) => { fb_backend_resolve = impl; },
+  fb_backend_register: (impl) => { fb_backend_register = impl; },
+  fb_image_create: (impl) => { fb_image_create = impl; },
+  fb_resource_list_add: (impl) => { fb_resource_list_add = impl; },
+  fb_resource_list_filter: (impl) => { fb_resource_list_filter = impl; },
+  fb_error: (impl) => { fb_error = impl; },
+  fb_list_functions: (impl) => { fb_list_functions = impl; },
+  fb_get_last_error: (impl) => { fb_get_last_error = impl; },
+  fb_clear_errors: (impl) => { fb_clear_errors = impl; },
+  fb_describe_error: (impl) => { fb_describe_error = impl; },
+  fb_trim: (impl) => { fb_trim = impl; },
+  fb_getpos: (impl) => { fb_getpos = impl; },
+  fb_rgb: (impl) => { fb_rgb = impl; },
+  fb_alpha_convert: (impl) => { fb_alpha_convert = impl; },
+  fb_image_straight: (impl) => { fb_image_straight = impl; },
+  fb_image: (impl) => { fb_image = impl; },
+  fb_format_resolve: (impl) => { fb_format_resolve = impl; },
+  fb_storage: (impl) => { fb_storage = impl; },
+  fb_storage_replace: (impl) => { fb_storage_replace = impl; },
+  fb_pixel_read: (impl) => { fb_pixel_read = impl; },
+  fb_pixel_write: (impl) => { fb_pixel_write = impl; },
+  fb_pixel_refresh: (impl) => { fb_pixel_refresh = impl; },
+  fb_pixel_fill: (impl) => { fb_pixel_fill = impl; },
+  fb_pixel_blend: (impl) => { fb_pixel_blend = impl; },
+  fb_paint_pixel: (impl) => { fb_paint_pixel = impl; },
+  fb_paint_color: (impl) => { fb_paint_color = impl; },
+  fb_format_valid: (impl) => { fb_format_valid = impl; },
+  clamp: (impl) => { clamp = impl; },
+  time: (impl) => { time = impl; },
+  time_precise: (impl) => { time_precise = impl; },
+  rand: (impl) => { rand = impl; },
+  sleep: (impl) => { sleep = impl; },
+  in_range: (impl) => { in_range = impl; },
+  lerp: (impl) => { lerp = impl; },
+  safe_div: (impl) => { safe_div = impl; },
+  is_digit: (impl) => { is_digit = impl; },
+  is_alpha: (impl) => { is_alpha = impl; },
+  is_special: (impl) => { is_special = impl; },
+  is_ascii: (impl) => { is_ascii = impl; },
+};
+
+// Module exports (CommonJS)
+if (fb_module) {
+  module.exports = fb_namespace;
+}
+
+// Legacy (script tag) build: expand constants to global scope.
+// Functions and the other constants are already global.
+if (!fb_module) {
+  for (let id in fb_error_defs) {
+    fb_global[id] = fb_error_defs[id];
+  }
+
+  for (let id in fb_color_defs) {
+    fb_global['FB_COLOR_' + id.toUpperCase()] = fb_color_defs[id];
+  }
+}
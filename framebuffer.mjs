@@ -0,0 +1,451 @@
+// ES module build of framebuffer.js
+//
+// Named exports of every function, variable and constant,
+// except for the 'FB_COLOR_' definitions which are reachable
+// through 'fb_constants' (or 'fb_color_defs').
+//
+// The default export is the library namespace, which is
+// what 'fb_hook()' operates on. Exported functions look
+// themselves up in the namespace, so they call hooks too.
+import fb from './framebuffer.js';
+
+export default fb;
+
+export const {
+  FB_VERSION_YEAR,
+  FB_VERSION_MONTH,
+  FB_VERSION_DAY,
+  FB_ORIGIN_SYSTEM,
+  FB_ORIGIN_USER,
+  FB_MAX_WIDTH,
+  FB_MAX_HEIGHT,
+  FB_DIRTY_TILE_SIZE,
+  FB_FORMAT_RGBA8,
+  FB_FORMAT_INDEXED8,
+  FB_FORMAT_GRAY8,
+  FB_FORMAT_RGB565,
+  FB_FORMAT_RGBA32F,
+  FB_TONE_CLAMP,
+  FB_TONE_REINHARD,
+  FB_TONE_ACES,
+  FB_SERIAL_VERSION,
+  FB_SERIAL_BINARY,
+  FB_SERIAL_JSON,
+  FB_PNG_FILTER_NONE,
+  FB_PNG_FILTER_SUB,
+  FB_PNG_FILTER_UP,
+  FB_PNG_FILTER_AVERAGE,
+  FB_PNG_FILTER_PAETH,
+  FB_PNG_FILTER_ADAPTIVE,
+  FB_PNG_SIGNATURE,
+  FB_FIT_FILL,
+  FB_FIT_CONTAIN,
+  FB_FIT_COVER,
+  FB_FIT_NONE,
+  FB_ANIM_FORWARD,
+  FB_ANIM_REVERSE,
+  FB_ANIM_PINGPONG,
+  FB_ALIGN_LEFT,
+  FB_ALIGN_CENTER,
+  FB_ALIGN_RIGHT,
+  FB_ALIGN_TOP,
+  FB_ALIGN_MIDDLE,
+  FB_ALIGN_BOTTOM,
+  FB_LINE_PRECISION,
+  FB_LINE_EXACT,
+  FB_LINE_AA,
+  FB_CAP_BUTT,
+  FB_CAP_ROUND,
+  FB_CAP_SQUARE,
+  FB_JOIN_MITER,
+  FB_JOIN_ROUND,
+  FB_JOIN_BEVEL,
+  FB_FILL_NONZERO,
+  FB_FILL_EVENODD,
+  FB_ARC_OPEN,
+  FB_ARC_CHORD,
+  FB_ARC_PIE,
+  FB_GRADIENT_LINEAR,
+  FB_GRADIENT_RADIAL,
+  FB_GRADIENT_CONIC,
+  FB_SPREAD_PAD,
+  FB_SPREAD_REPEAT,
+  FB_SPREAD_REFLECT,
+  FB_PATTERN_REPEAT,
+  FB_PATTERN_REPEAT_X,
+  FB_PATTERN_REPEAT_Y,
+  FB_PATTERN_NO_REPEAT,
+  FB_DISTANCE_CHANNEL,
+  FB_DISTANCE_PERCEPTUAL,
+  FB_CHANNEL_R,
+  FB_CHANNEL_G,
+  FB_CHANNEL_B,
+  FB_CHANNEL_A,
+  FB_DEFER_WRITE_THROUGH,
+  FB_DEFER_WRITE_BACK,
+  FB_ALPHA_STRAIGHT,
+  FB_ALPHA_PREMULTIPLIED,
+  FB_BLEND_NORMAL,
+  FB_BLEND_MULTIPLY,
+  FB_BLEND_SCREEN,
+  FB_BLEND_OVERLAY,
+  FB_BLEND_ADD,
+  FB_BLEND_SUBTRACT,
+  FB_BLEND_DIFFERENCE,
+  FB_BLEND_DARKEN,
+  FB_BLEND_LIGHTEN,
+  FB_COMPOSITE_CLEAR,
+  FB_COMPOSITE_COPY,
+  FB_COMPOSITE_DESTINATION,
+  FB_COMPOSITE_SOURCE_OVER,
+  FB_COMPOSITE_DESTINATION_OVER,
+  FB_COMPOSITE_SOURCE_IN,
+  FB_COMPOSITE_DESTINATION_IN,
+  FB_COMPOSITE_SOURCE_OUT,
+  FB_COMPOSITE_DESTINATION_OUT,
+  FB_COMPOSITE_SOURCE_ATOP,
+  FB_COMPOSITE_DESTINATION_ATOP,
+  FB_COMPOSITE_XOR,
+  FB_ERR_UNSPECIFIED,
+  FB_ERR_BAD_WIDTH,
+  FB_ERR_BAD_HEIGHT,
+  FB_ERR_LARGE_WIDTH,
+  FB_ERR_LARGE_HEIGHT,
+  FB_ERR_STUB_FUNCTION,
+  FB_ERR_FUNC_BLACKLISTED,
+  FB_ERR_BAD_CFG_KEY,
+  FB_ERR_BAD_CFG_VALUE,
+  FB_ERR_BAD_HOOK_TYPE,
+  FB_ERR_HOOK_CALL_FAILED,
+  FB_ERR_PATH_NOT_FOUND,
+  FB_ERR_FILE_NOT_FOUND,
+  FB_ERR_INVALID_FUNCTION,
+  FB_ERR_INVALID_ACCESS,
+  FB_ERR_INVALID_DATA,
+  FB_ERR_USER_GENERATED,
+  FB_ERR_UNHANDLED_CASE,
+  FB_ERR_RES_LIST_DISABLED,
+  FB_ERR_CONVOLUTION_MATRIX_SIZE,
+  FB_ERR_BAD_RESOURCE_STRUCTURE,
+  FB_ERR_FROM_SYSTEM,
+  FB_ERR_CANVAS_NOT_SUPPORTED,
+  FB_ERR_EXPECTS_RESOURCE,
+  FB_ERR_EXPECTS_CONTAINER,
+  FB_ERR_BACKEND_UNAVAILABLE,
+  FB_ERR_BACKEND_UNSUPPORTED,
+  FB_ERR_BAD_BACKEND,
+  FB_ERR_BAD_BLEND_MODE,
+  FB_ERR_BAD_COMPOSITE_OP,
+  FB_ERR_BAD_FORMAT,
+  FB_ERR_UNSUPPORTED_FORMAT,
+  FB_ERR_EXPECTS_PALETTE,
+  FB_ERR_BAD_TONE_MAP,
+  FB_ERR_BAD_SERIAL_ENCODING,
+  FB_ERR_UNSUPPORTED_VERSION,
+  FB_ERR_BAD_PNG_FILTER,
+  FB_ERR_UNKNOWN_IMAGE_FORMAT,
+  FB_ERR_BAD_FRAMES,
+  FB_ERR_BAD_SOURCE,
+  FB_ERR_BAD_FIT,
+  FB_ERR_BAD_LOAD_OPTIONS,
+  FB_ERR_ABORTED,
+  FB_ERR_NETWORK,
+  FB_ERR_LOAD_FAILED,
+  FB_ERR_BAD_ATLAS,
+  FB_ERR_UNKNOWN_SPRITE,
+  FB_ERR_BAD_FONT,
+  FB_ERR_BAD_FILL_RULE,
+  FB_ERR_BAD_ARC_TYPE,
+  FB_ERR_BAD_SVG,
+  FB_ERR_BAD_GRADIENT,
+  FB_ERR_BAD_SPREAD,
+  FB_ERR_BAD_PATTERN,
+  FB_ERR_BAD_REPEAT,
+  FB_ERR_BAD_CONNECTIVITY,
+  FB_ERR_BAD_DISTANCE,
+  fb_constants,
+  fb_error_defs,
+  fb_color_defs,
+  fb_resource_list,
+  fb_errors,
+  FBResource,
+  FBLayer,
+  FBLayerStack,
+  FBPalette,
+  FBRecording,
+  FBSpriteSheet,
+  FBSprite,
+  FBFont,
+  FBStroke,
+  FBPath,
+  FBGradient,
+  FBPattern,
+  FBError,
+  FBErrorDefinition,
+} = fb;
+
+// Functions call through the namespace, so hooks apply
+export function fb_create(...args) { return fb.fb_create(...args); }
+export function fb_sync(...args) { return fb.fb_sync(...args); }
+export function fb_update(...args) { return fb.fb_update(...args); }
+export function fb_invalidate(...args) { return fb.fb_invalidate(...args); }
+export function fb_dirty_regions(...args) { return fb.fb_dirty_regions(...args); }
+export function fb_dirty_tile_regions(...args) { return fb.fb_dirty_tile_regions(...args); }
+export function fb_dirty_tiles(...args) { return fb.fb_dirty_tiles(...args); }
+export function fb_dirty_mark(...args) { return fb.fb_dirty_mark(...args); }
+export function fb_set_pixel(...args) { return fb.fb_set_pixel(...args); }
+export function fb_set_pixel_rgba(...args) { return fb.fb_set_pixel_rgba(...args); }
+export function fb_get_pixel(...args) { return fb.fb_get_pixel(...args); }
+export function fb_get_pixel_rgba(...args) { return fb.fb_get_pixel_rgba(...args); }
+export function fb_spawn(...args) { return fb.fb_spawn(...args); }
+export function fb_despawn(...args) { return fb.fb_despawn(...args); }
+export function fb_save(...args) { return fb.fb_save(...args); }
+export function fb_rect(...args) { return fb.fb_rect(...args); }
+export function fb_circle(...args) { return fb.fb_circle(...args); }
+export function fb_arc(...args) { return fb.fb_arc(...args); }
+export function fb_ellipse_points(...args) { return fb.fb_ellipse_points(...args); }
+export function fb_line(...args) { return fb.fb_line(...args); }
+export function fb_line_exact(...args) { return fb.fb_line_exact(...args); }
+export function fb_line_wu(...args) { return fb.fb_line_wu(...args); }
+export function fb_stroke(...args) { return fb.fb_stroke(...args); }
+export function fb_stroke_path(...args) { return fb.fb_stroke_path(...args); }
+export function fb_stroke_dashes(...args) { return fb.fb_stroke_dashes(...args); }
+export function fb_stroke_outline(...args) { return fb.fb_stroke_outline(...args); }
+export function fb_stroke_join(...args) { return fb.fb_stroke_join(...args); }
+export function fb_spans_fill(...args) { return fb.fb_spans_fill(...args); }
+export function fb_polygon(...args) { return fb.fb_polygon(...args); }
+export function fb_triangle(...args) { return fb.fb_triangle(...args); }
+export function fb_polyline(...args) { return fb.fb_polyline(...args); }
+export function fb_points(...args) { return fb.fb_points(...args); }
+export function fb_polygon_fill(...args) { return fb.fb_polygon_fill(...args); }
+export function fb_path_create(...args) { return fb.fb_path_create(...args); }
+export function fb_path_move_to(...args) { return fb.fb_path_move_to(...args); }
+export function fb_path_line_to(...args) { return fb.fb_path_line_to(...args); }
+export function fb_path_quadratic_to(...args) { return fb.fb_path_quadratic_to(...args); }
+export function fb_path_bezier_to(...args) { return fb.fb_path_bezier_to(...args); }
+export function fb_path_arc_to(...args) { return fb.fb_path_arc_to(...args); }
+export function fb_path_close(...args) { return fb.fb_path_close(...args); }
+export function fb_path_stroke(...args) { return fb.fb_path_stroke(...args); }
+export function fb_path_fill(...args) { return fb.fb_path_fill(...args); }
+export function fb_path_arc_segments(...args) { return fb.fb_path_arc_segments(...args); }
+export function fb_path_flatten(...args) { return fb.fb_path_flatten(...args); }
+export function fb_path_bezier_flatten(...args) { return fb.fb_path_bezier_flatten(...args); }
+export function fb_path_svg(...args) { return fb.fb_path_svg(...args); }
+export function fb_path_transform(...args) { return fb.fb_path_transform(...args); }
+export function fb_svg(...args) { return fb.fb_svg(...args); }
+export function fb_svg_path_parse(...args) { return fb.fb_svg_path_parse(...args); }
+export function fb_svg_arc(...args) { return fb.fb_svg_arc(...args); }
+export function fb_svg_attributes(...args) { return fb.fb_svg_attributes(...args); }
+export function fb_svg_root(...args) { return fb.fb_svg_root(...args); }
+export function fb_svg_state(...args) { return fb.fb_svg_state(...args); }
+export function fb_svg_shape(...args) { return fb.fb_svg_shape(...args); }
+export function fb_svg_length(...args) { return fb.fb_svg_length(...args); }
+export function fb_svg_color(...args) { return fb.fb_svg_color(...args); }
+export function fb_svg_transform(...args) { return fb.fb_svg_transform(...args); }
+export function fb_svg_multiply(...args) { return fb.fb_svg_multiply(...args); }
+export function fb_gradient_linear(...args) { return fb.fb_gradient_linear(...args); }
+export function fb_gradient_radial(...args) { return fb.fb_gradient_radial(...args); }
+export function fb_gradient_conic(...args) { return fb.fb_gradient_conic(...args); }
+export function fb_gradient_stop(...args) { return fb.fb_gradient_stop(...args); }
+export function fb_gradient_color(...args) { return fb.fb_gradient_color(...args); }
+export function fb_pattern(...args) { return fb.fb_pattern(...args); }
+export function fb_pattern_color(...args) { return fb.fb_pattern_color(...args); }
+export function fb_gradient_create(...args) { return fb.fb_gradient_create(...args); }
+export function fb_gradient_offset(...args) { return fb.fb_gradient_offset(...args); }
+export function fb_clear(...args) { return fb.fb_clear(...args); }
+export function fb_clear_rgba(...args) { return fb.fb_clear_rgba(...args); }
+export function fb_valid(...args) { return fb.fb_valid(...args); }
+export function fb_copy(...args) { return fb.fb_copy(...args); }
+export function fb_load(...args) { return fb.fb_load(...args); }
+export function fb_load_source(...args) { return fb.fb_load_source(...args); }
+export function fb_load_event(...args) { return fb.fb_load_event(...args); }
+export function fb_load_abortable(...args) { return fb.fb_load_abortable(...args); }
+export function fb_load_fit(...args) { return fb.fb_load_fit(...args); }
+export function fb_draw(...args) { return fb.fb_draw(...args); }
+export function fb_blit(...args) { return fb.fb_blit(...args); }
+export function fb_fill(...args) { return fb.fb_fill(...args); }
+export function fb_fill_distance(...args) { return fb.fb_fill_distance(...args); }
+export function fb_get_channel(...args) { return fb.fb_get_channel(...args); }
+export function fb_flip_x(...args) { return fb.fb_flip_x(...args); }
+export function fb_flip_y(...args) { return fb.fb_flip_y(...args); }
+export function fb_rotate_right(...args) { return fb.fb_rotate_right(...args); }
+export function fb_rotate_left(...args) { return fb.fb_rotate_left(...args); }
+export function fb_color_replace(...args) { return fb.fb_color_replace(...args); }
+export function fb_color_invert(...args) { return fb.fb_color_invert(...args); }
+export function fb_color_grayscale(...args) { return fb.fb_color_grayscale(...args); }
+export function fb_color_1bit(...args) { return fb.fb_color_1bit(...args); }
+export function fb_noise_grayscale(...args) { return fb.fb_noise_grayscale(...args); }
+export function fb_noise_rgb(...args) { return fb.fb_noise_rgb(...args); }
+export function fb_convolution_matrix(...args) { return fb.fb_convolution_matrix(...args); }
+export function fb_sharpen(...args) { return fb.fb_sharpen(...args); }
+export function fb_resize(...args) { return fb.fb_resize(...args); }
+export function fb_pixelate(...args) { return fb.fb_pixelate(...args); }
+export function fb_crop(...args) { return fb.fb_crop(...args); }
+export function fb_detect_edge(...args) { return fb.fb_detect_edge(...args); }
+export function fb_blur_box(...args) { return fb.fb_blur_box(...args); }
+export function fb_blur_gaussian(...args) { return fb.fb_blur_gaussian(...args); }
+export function fb_emboss(...args) { return fb.fb_emboss(...args); }
+export function fb_lock(...args) { return fb.fb_lock(...args); }
+export function fb_unlock(...args) { return fb.fb_unlock(...args); }
+export function fb_alpha_mode(...args) { return fb.fb_alpha_mode(...args); }
+export function fb_history_begin(...args) { return fb.fb_history_begin(...args); }
+export function fb_history_commit(...args) { return fb.fb_history_commit(...args); }
+export function fb_history_undo(...args) { return fb.fb_history_undo(...args); }
+export function fb_history_redo(...args) { return fb.fb_history_redo(...args); }
+export function fb_history_clear(...args) { return fb.fb_history_clear(...args); }
+export function fb_history_diff(...args) { return fb.fb_history_diff(...args); }
+export function fb_history_apply(...args) { return fb.fb_history_apply(...args); }
+export function fb_layers_create(...args) { return fb.fb_layers_create(...args); }
+export function fb_layers_add(...args) { return fb.fb_layers_add(...args); }
+export function fb_layers_remove(...args) { return fb.fb_layers_remove(...args); }
+export function fb_layers_move(...args) { return fb.fb_layers_move(...args); }
+export function fb_layers_sync(...args) { return fb.fb_layers_sync(...args); }
+export function fb_layers_damage(...args) { return fb.fb_layers_damage(...args); }
+export function fb_layers_composite(...args) { return fb.fb_layers_composite(...args); }
+export function fb_palette_create(...args) { return fb.fb_palette_create(...args); }
+export function fb_palette_set(...args) { return fb.fb_palette_set(...args); }
+export function fb_palette_get(...args) { return fb.fb_palette_get(...args); }
+export function fb_palette_cycle(...args) { return fb.fb_palette_cycle(...args); }
+export function fb_palette_swap(...args) { return fb.fb_palette_swap(...args); }
+export function fb_palette_nearest(...args) { return fb.fb_palette_nearest(...args); }
+export function fb_set_index(...args) { return fb.fb_set_index(...args); }
+export function fb_get_index(...args) { return fb.fb_get_index(...args); }
+export function fb_clear_index(...args) { return fb.fb_clear_index(...args); }
+export function fb_indexed_to_rgba(...args) { return fb.fb_indexed_to_rgba(...args); }
+export function fb_indexed_from_rgba(...args) { return fb.fb_indexed_from_rgba(...args); }
+export function fb_palette_quantize(...args) { return fb.fb_palette_quantize(...args); }
+export function fb_quantize(...args) { return fb.fb_quantize(...args); }
+export function fb_palette_map(...args) { return fb.fb_palette_map(...args); }
+export function fb_set_pixel_float(...args) { return fb.fb_set_pixel_float(...args); }
+export function fb_get_pixel_float(...args) { return fb.fb_get_pixel_float(...args); }
+export function fb_format_convert(...args) { return fb.fb_format_convert(...args); }
+export function fb_serialize(...args) { return fb.fb_serialize(...args); }
+export function fb_deserialize(...args) { return fb.fb_deserialize(...args); }
+export function fb_deserialize_state(...args) { return fb.fb_deserialize_state(...args); }
+export function fb_storage_bytes(...args) { return fb.fb_storage_bytes(...args); }
+export function fb_storage_from_bytes(...args) { return fb.fb_storage_from_bytes(...args); }
+export function fb_base64_encode(...args) { return fb.fb_base64_encode(...args); }
+export function fb_base64_decode(...args) { return fb.fb_base64_decode(...args); }
+export function fb_crc32(...args) { return fb.fb_crc32(...args); }
+export function fb_adler32(...args) { return fb.fb_adler32(...args); }
+export function fb_huffman_table(...args) { return fb.fb_huffman_table(...args); }
+export function fb_inflate(...args) { return fb.fb_inflate(...args); }
+export function fb_huffman_lengths(...args) { return fb.fb_huffman_lengths(...args); }
+export function fb_huffman_codes(...args) { return fb.fb_huffman_codes(...args); }
+export function fb_deflate(...args) { return fb.fb_deflate(...args); }
+export function fb_deflate_block(...args) { return fb.fb_deflate_block(...args); }
+export function fb_deflate_code(...args) { return fb.fb_deflate_code(...args); }
+export function fb_deflate_fixed_lengths(...args) { return fb.fb_deflate_fixed_lengths(...args); }
+export function fb_png_encode(...args) { return fb.fb_png_encode(...args); }
+export function fb_png_ihdr(...args) { return fb.fb_png_ihdr(...args); }
+export function fb_png_compress(...args) { return fb.fb_png_compress(...args); }
+export function fb_png_assemble(...args) { return fb.fb_png_assemble(...args); }
+export function fb_png_decode(...args) { return fb.fb_png_decode(...args); }
+export function fb_png_parse(...args) { return fb.fb_png_parse(...args); }
+export function fb_png_filter_row(...args) { return fb.fb_png_filter_row(...args); }
+export function fb_png_unfilter_row(...args) { return fb.fb_png_unfilter_row(...args); }
+export function fb_png_paeth(...args) { return fb.fb_png_paeth(...args); }
+export function fb_png_data_url(...args) { return fb.fb_png_data_url(...args); }
+export function fb_image_decode(...args) { return fb.fb_image_decode(...args); }
+export function fb_image_encode(...args) { return fb.fb_image_encode(...args); }
+export function fb_image_format_detect(...args) { return fb.fb_image_format_detect(...args); }
+export function fb_image_format_from_name(...args) { return fb.fb_image_format_from_name(...args); }
+export function fb_bmp_encode(...args) { return fb.fb_bmp_encode(...args); }
+export function fb_bmp_parse(...args) { return fb.fb_bmp_parse(...args); }
+export function fb_tga_encode(...args) { return fb.fb_tga_encode(...args); }
+export function fb_tga_header(...args) { return fb.fb_tga_header(...args); }
+export function fb_tga_parse(...args) { return fb.fb_tga_parse(...args); }
+export function fb_pnm_encode(...args) { return fb.fb_pnm_encode(...args); }
+export function fb_pnm_parse(...args) { return fb.fb_pnm_parse(...args); }
+export function fb_qoi_encode(...args) { return fb.fb_qoi_encode(...args); }
+export function fb_qoi_parse(...args) { return fb.fb_qoi_parse(...args); }
+export function fb_image_fetch(...args) { return fb.fb_image_fetch(...args); }
+export function fb_download(...args) { return fb.fb_download(...args); }
+export function fb_record_start(...args) { return fb.fb_record_start(...args); }
+export function fb_record_stop(...args) { return fb.fb_record_stop(...args); }
+export function fb_record_capture(...args) { return fb.fb_record_capture(...args); }
+export function fb_animation_frames(...args) { return fb.fb_animation_frames(...args); }
+export function fb_gif_encode(...args) { return fb.fb_gif_encode(...args); }
+export function fb_gif_lzw(...args) { return fb.fb_gif_lzw(...args); }
+export function fb_apng_encode(...args) { return fb.fb_apng_encode(...args); }
+export function fb_sheet_grid(...args) { return fb.fb_sheet_grid(...args); }
+export function fb_sheet_atlas(...args) { return fb.fb_sheet_atlas(...args); }
+export function fb_sheet_create(...args) { return fb.fb_sheet_create(...args); }
+export function fb_sheet_add(...args) { return fb.fb_sheet_add(...args); }
+export function fb_sheet_sprite(...args) { return fb.fb_sheet_sprite(...args); }
+export function fb_sheet_animation(...args) { return fb.fb_sheet_animation(...args); }
+export function fb_sheet_frame(...args) { return fb.fb_sheet_frame(...args); }
+export function fb_sprite_draw(...args) { return fb.fb_sprite_draw(...args); }
+export function fb_sprite_resource(...args) { return fb.fb_sprite_resource(...args); }
+export function fb_sprite_area(...args) { return fb.fb_sprite_area(...args); }
+export function fb_sheet_pack(...args) { return fb.fb_sheet_pack(...args); }
+export function fb_sheet_descriptor(...args) { return fb.fb_sheet_descriptor(...args); }
+export function fb_font_default(...args) { return fb.fb_font_default(...args); }
+export function fb_font_create(...args) { return fb.fb_font_create(...args); }
+export function fb_font_bdf(...args) { return fb.fb_font_bdf(...args); }
+export function fb_font_psf(...args) { return fb.fb_font_psf(...args); }
+export function fb_font_image(...args) { return fb.fb_font_image(...args); }
+export function fb_font_kerning(...args) { return fb.fb_font_kerning(...args); }
+export function fb_text(...args) { return fb.fb_text(...args); }
+export function fb_text_measure(...args) { return fb.fb_text_measure(...args); }
+export function fb_text_settings(...args) { return fb.fb_text_settings(...args); }
+export function fb_text_glyph(...args) { return fb.fb_text_glyph(...args); }
+export function fb_text_spacing(...args) { return fb.fb_text_spacing(...args); }
+export function fb_text_layout(...args) { return fb.fb_text_layout(...args); }
+export function fb_replace(...args) { return fb.fb_replace(...args); }
+export function fb_draw_source(...args) { return fb.fb_draw_source(...args); }
+export function fb_defer(...args) { return fb.fb_defer(...args); }
+export function fb_config(...args) { return fb.fb_config(...args); }
+export function fb_config_default(...args) { return fb.fb_config_default(...args); }
+export function fb_sync_config(...args) { return fb.fb_sync_config(...args); }
+export function fb_version(...args) { return fb.fb_version(...args); }
+export function fb_hook(...args) { return fb.fb_hook(...args); }
+export function fb_hook_active(...args) { return fb.fb_hook_active(...args); }
+export function fb_hook_call(...args) { return fb.fb_hook_call(...args); }
+export function fb_hook_disable(...args) { return fb.fb_hook_disable(...args); }
+export function fb_hook_enable(...args) { return fb.fb_hook_enable(...args); }
+export function fb_hooked(...args) { return fb.fb_hooked(...args); }
+export function fb_unhook(...args) { return fb.fb_unhook(...args); }
+export function fb_hook_assign(...args) { return fb.fb_hook_assign(...args); }
+export function fb_hook_log_args(...args) { return fb.fb_hook_log_args(...args); }
+export function fb_data_url(...args) { return fb.fb_data_url(...args); }
+export function fb_backend(...args) { return fb.fb_backend(...args); }
+export function fb_backend_resolve(...args) { return fb.fb_backend_resolve(...args); }
+export function fb_backend_register(...args) { return fb.fb_backend_register(...args); }
+export function fb_image_create(...args) { return fb.fb_image_create(...args); }
+export function fb_resource_list_add(...args) { return fb.fb_resource_list_add(...args); }
+export function fb_resource_list_filter(...args) { return fb.fb_resource_list_filter(...args); }
+export function fb_error(...args) { return fb.fb_error(...args); }
+export function fb_list_functions(...args) { return fb.fb_list_functions(...args); }
+export function fb_get_last_error(...args) { return fb.fb_get_last_error(...args); }
+export function fb_clear_errors(...args) { return fb.fb_clear_errors(...args); }
+export function fb_describe_error(...args) { return fb.fb_describe_error(...args); }
+export function fb_trim(...args) { return fb.fb_trim(...args); }
+export function fb_getpos(...args) { return fb.fb_getpos(...args); }
+export function fb_rgb(...args) { return fb.fb_rgb(...args); }
+export function fb_alpha_convert(...args) { return fb.fb_alpha_convert(...args); }
+export function fb_image_straight(...args) { return fb.fb_image_straight(...args); }
+export function fb_image(...args) { return fb.fb_image(...args); }
+export function fb_format_resolve(...args) { return fb.fb_format_resolve(...args); }
+export function fb_storage(...args) { return fb.fb_storage(...args); }
+export function fb_storage_replace(...args) { return fb.fb_storage_replace(...args); }
+export function fb_pixel_read(...args) { return fb.fb_pixel_read(...args); }
+export function fb_pixel_write(...args) { return fb.fb_pixel_write(...args); }
+export function fb_pixel_refresh(...args) { return fb.fb_pixel_refresh(...args); }
+export function fb_pixel_fill(...args) { return fb.fb_pixel_fill(...args); }
+export function fb_pixel_blend(...args) { return fb.fb_pixel_blend(...args); }
+export function fb_paint_pixel(...args) { return fb.fb_paint_pixel(...args); }
+export function fb_paint_color(...args) { return fb.fb_paint_color(...args); }
+export function fb_format_valid(...args) { return fb.fb_format_valid(...args); }
+export function clamp(...args) { return fb.clamp(...args); }
+export function time(...args) { return fb.time(...args); }
+export function time_precise(...args) { return fb.time_precise(...args); }
+export function rand(...args) { return fb.rand(...args); }
+export function sleep(...args) { return fb.sleep(...args); }
+export function in_range(...args) { return fb.in_range(...args); }
+export function lerp(...args) { return fb.lerp(...args); }
+export function safe_div(...args) { return fb.safe_div(...args); }
+export function is_digit(...args) { return fb.is_digit(...args); }
+export function is_alpha(...args) { return fb.is_alpha(...args); }
+export function is_special(...args) { return fb.is_special(...args); }
+export function is_ascii(...args) { return fb.is_ascii(...args); }